@@ -0,0 +1,120 @@
+// @flow
+
+const ImageItem = require('./ImageItem')
+
+function isImageItem (item) {
+  return item instanceof ImageItem || (item.constructor && item.constructor.name === 'ImageItem') ||
+    (item && typeof item === 'object' && item.imageData)
+}
+
+function increment (keyToOccurrence, key) {
+  keyToOccurrence[key] = keyToOccurrence[key] ? keyToOccurrence[key] + 1 : 1
+}
+
+function getMostUsedKey (keyToOccurrence) {
+  var maxOccurence = 0
+  var maxKey
+  Object.keys(keyToOccurrence).map((element) => {
+    if (!maxKey || keyToOccurrence[element] > maxOccurence) {
+      maxOccurence = keyToOccurrence[element]
+      maxKey = element
+    }
+  })
+  return maxKey
+}
+
+// Gathers the document-wide text statistics of CalculateGlobalStats page by page, so pages
+// don't need to stay in memory. Only occurrence counts are kept, per height where the final
+// statistic depends on the most used height which is known only after the last page.
+module.exports = class GlobalStatsCollector {
+  constructor () {
+    this.heightToOccurrence = {}
+    this.fontToOccurrence = {}
+    this.maxHeight = 0
+    this.maxHeightFont = undefined
+    this.heightToDistanceOccurrence = {}
+    this.heightToFontWidthStats = {}
+    this.fontToGlyphWidths = {}
+  }
+
+  static ofPages (pages /*: Page[] */) /*: GlobalStatsCollector */ {
+    const collector = new GlobalStatsCollector()
+    pages.forEach(page => collector.addPage(page))
+    return collector
+  }
+
+  addPage (page /*: Page */) {
+    var lastTextItem
+    page.items.forEach(item => {
+      if (isImageItem(item)) {
+        lastTextItem = null
+        return
+      }
+      if (item.height) {
+        increment(this.heightToOccurrence, item.height)
+        increment(this.fontToOccurrence, item.font)
+        if (item.height > this.maxHeight) {
+          this.maxHeight = item.height
+          this.maxHeightFont = item.font
+        }
+      }
+
+      const textLength = item.text ? item.text.trim().length : 0
+      if (textLength === 0) {
+        lastTextItem = null
+        return
+      }
+      // Line distances between consecutive non-empty items of the same height
+      if (lastTextItem && lastTextItem.height === item.height && item.y !== lastTextItem.y) {
+        const distance = lastTextItem.y - item.y
+        if (distance > 0) {
+          increment(this.heightToDistanceOccurrence[item.height] = this.heightToDistanceOccurrence[item.height] || {}, distance)
+        }
+      }
+      lastTextItem = item
+
+      // Average character width per font (for width-based bold detection)
+      if (item.font && item.width && item.height) {
+        const fontToWidthStats = this.heightToFontWidthStats[item.height] = this.heightToFontWidthStats[item.height] || {}
+        const stats = fontToWidthStats[item.font] = fontToWidthStats[item.font] || { totalWidth: 0, totalChars: 0, sampleCount: 0 }
+        stats.totalWidth += item.width
+        stats.totalChars += textLength
+        stats.sampleCount++
+      }
+
+      // The spread of the width per character and font size, to find monospace fonts (see CalculateGlobalStats).
+      // Digits and repeated words like 'Page 12' are set in equal widths in most fonts, so the distinct Latin letters are
+      // counted, and the distinct texts by their letters ('Chapter 1 Overview' on every page is a single text).
+      // CJK characters are all of the same width in any font.
+      if (item.font && item.width && item.height && item.text.length >= 4 && /[a-z]/i.test(item.text)) {
+        const widthPerChar = item.width / item.text.length / item.height
+        const glyphWidths = this.fontToGlyphWidths[item.font] = this.fontToGlyphWidths[item.font] ||
+          { minWidthPerChar: widthPerChar, maxWidthPerChar: widthPerChar, letters: new Set(), texts: new Set() }
+        glyphWidths.texts.add(item.text.toLowerCase().replace(/[^a-z]/g, ''))
+        glyphWidths.minWidthPerChar = Math.min(glyphWidths.minWidthPerChar, widthPerChar)
+        glyphWidths.maxWidthPerChar = Math.max(glyphWidths.maxWidthPerChar, widthPerChar)
+        Array.from(item.text.toLowerCase()).forEach(char => /[a-z]/.test(char) && glyphWidths.letters.add(char))
+      }
+    })
+  }
+
+  // The statistics of all pages added so far
+  summarize () {
+    const mostUsedHeight = parseInt(getMostUsedKey(this.heightToOccurrence))
+    const fontToWidthStats = new Map()
+    Object.entries(this.heightToFontWidthStats[mostUsedHeight] || {}).forEach(([font, stats]) => {
+      fontToWidthStats.set(font, { ...stats, avgWidthPerChar: stats.totalWidth / stats.totalChars })
+    })
+    return {
+      heightToOccurrence: this.heightToOccurrence,
+      fontToOccurrence: this.fontToOccurrence,
+      distanceToOccurrence: this.heightToDistanceOccurrence[mostUsedHeight] || {},
+      mostUsedHeight,
+      mostUsedFont: getMostUsedKey(this.fontToOccurrence),
+      maxHeight: this.maxHeight,
+      maxHeightFont: this.maxHeightFont,
+      fontToWidthStats,
+      fontToGlyphWidths: this.fontToGlyphWidths,
+    }
+  }
+}
@@ -11,6 +11,9 @@ module.exports = class ImageItem extends PageItem {
     this.imageData = options.imageData // Buffer or Uint8Array
     this.imageName = options.imageName // 图片名称，用于引用
     this.imageFormat = options.imageFormat // 'png', 'jpg', etc.
+    this.pixelWidth = options.pixelWidth // size of the image data in pixels (the width/height above being its size on the page)
+    this.pixelHeight = options.pixelHeight
+    this.hash = options.hash // SHA-1 of imageData, the same for the same image on different pages
   }
 }
 
@@ -7,16 +7,142 @@ const StashingStream = require('./StashingStream')
 const ParsedElements = require('./ParsedElements')
 const { isNumber, isListItemCharacter } = require('../util/string-functions')
 const { sortByX } = require('../util/page-item-functions')
+const { findLinkAt } = require('../util/links')
+const { isMathCharacter } = require('../util/math')
+const { findDecorations, decorationAt } = require('../util/decorations')
+const { resolveDetection } = require('../util/detection')
+
+// Minimum horizontal gap (in PDF units) between two segments of a line
+const MIN_SEGMENT_GAP = 6
+
+// Operators counting as math characters in a math font, besides the letters and math symbols
+const MATH_OPERATOR_REGEX = /[-+=<>*/^|~−×÷]/
+// Dot leaders of tables of contents and indexes, which TeX sets in a math font
+const LEADER_REGEX = /(?:[.·…]\s*){3,}/g
+
+// Footnote markers are numbers or symbols like '*', '†' and '‡'
+const FOOTNOTE_MARKER_REGEX = /^(\d{1,3}|[*†‡§¶]{1,3})$/
+
+// Finds the superscript footnote markers of the (x-sorted) items of a line: digits or symbols
+// in a smaller font, raised above the baseline of the line and attached to the preceding word.
+// Raised digits after a symbol in a math font are exponents like the '2' of 'x²'.
+function findFootnoteMarkers (textItems, mathFonts) {
+  const items = textItems.filter(item => item.text && item.text.trim().length > 0)
+  const markers = new Set()
+  if (items.length < 2) {
+    return markers
+  }
+  const lineItem = items.reduce((tallest, item) => (item.height > tallest.height ? item : tallest), items[0])
+  items.forEach((item, i) => {
+    if (i === 0 || markers.has(items[i - 1]) || mathFonts.has(items[i - 1].font) || !FOOTNOTE_MARKER_REGEX.test(item.text.trim())) {
+      return
+    }
+    const previous = items[i - 1]
+    const gap = item.x - (previous.x + (previous.width || 0))
+    if (item.height < lineItem.height * 0.85 && item.y > lineItem.y && gap <= item.height) {
+      markers.add(item)
+    }
+  })
+  return markers
+}
+
+// Finds the super- and subscripts of the (x-sorted) items of a line: text in a smaller font, raised or lowered
+// against the baseline of the line and attached to the text before it, like the '2' of 'x²' or 'H₂O'.
+// Returns a Map of the items to their WordFormat name.
+function findScripts (textItems, footnoteMarkers, { scriptHeightRatio, scriptMinOffset }) {
+  const items = textItems.filter(item => item.text && item.text.trim().length > 0)
+  const scripts = new Map()
+  if (items.length < 2) {
+    return scripts
+  }
+  const lineItem = items.reduce((tallest, item) => (item.height > tallest.height ? item : tallest), items[0])
+  var scriptLength = 0
+  items.forEach((item, i) => {
+    if (i === 0 || footnoteMarkers.has(item) || !(item.height < lineItem.height * scriptHeightRatio)) {
+      return
+    }
+    const previous = items[i - 1]
+    const gap = item.x - (previous.x + (previous.width || 0))
+    const offset = item.y - lineItem.y
+    if (gap <= item.height && Math.abs(offset) >= lineItem.height * scriptMinOffset) {
+      scripts.set(item, offset > 0 ? 'SUPERSCRIPT' : 'SUBSCRIPT')
+      scriptLength += item.text.trim().length
+    }
+  })
+  // Mostly smaller text is rather set around a large initial letter
+  const length = items.reduce((sum, item) => sum + item.text.trim().length, 0)
+  return scriptLength * 2 < length ? scripts : new Map()
+}
+
+// The share of the math characters (letters and operators in a math font or math symbols like '∑') of the math
+// characters and the letters of a line. Digits, punctuation and operators like '=' are set in the text font of TeX
+// equations, and dot leaders in its math font.
+function mathShareOf (textItems, mathFonts) {
+  var mathChars = 0
+  var letters = 0
+  textItems.forEach(item => {
+    const inMathFont = mathFonts.has(item.font)
+    Array.from((item.text || '').replace(LEADER_REGEX, '')).forEach(char => {
+      if (isMathCharacter(char) || (inMathFont && (/\p{L}/u.test(char) || MATH_OPERATOR_REGEX.test(char)))) {
+        mathChars++
+      } else if (/\p{L}/u.test(char)) {
+        letters++
+      }
+    })
+  })
+  return mathChars > 0 ? mathChars / (mathChars + letters) : 0
+}
+
+// Splits the (x-sorted) non-whitespace items of a line at horizontal gaps wider than the font size
+function splitAtGaps (textItems) {
+  // pdf.js fills gaps with whitespace items, which would bridge the columns of a table
+  const items = textItems.filter(item => item.text && item.text.trim().length > 0)
+  if (items.length === 0) {
+    return []
+  }
+  const groups = [[items[0]]]
+  for (var i = 1; i < items.length; i++) {
+    const lastItem = items[i - 1]
+    const item = items[i]
+    const gap = item.x - (lastItem.x + (lastItem.width || 0))
+    if (gap >= Math.max(lastItem.height || 0, item.height || 0, MIN_SEGMENT_GAP)) {
+      groups.push([])
+    }
+    groups[groups.length - 1].push(item)
+  }
+  return groups
+}
+
+// The strike-throughs and underlines of the runs of a line, see util/decorations
+function decorationsOf (textItems, rulings) {
+  if (rulings.length === 0) {
+    return []
+  }
+  return [].concat(...splitAtGaps(textItems).map(group => {
+    const lineItem = group.reduce((tallest, item) => (item.height > tallest.height ? item : tallest), group[0])
+    const lastItem = group[group.length - 1]
+    return findDecorations(rulings, {
+      x: group[0].x,
+      width: lastItem.x + (lastItem.width || 0) - group[0].x,
+      y: lineItem.y,
+      height: lineItem.height,
+    })
+  }))
+}
 
 // Converts text items which have been grouped to a line (through TextItemLineGrouper) to a single LineItem doing inline transformations like
 // 'whitespace removal', bold/emphasis annotation, link-detection, etc..
 module.exports = class LineConverter {
-  constructor (fontToFormats) {
+  // mathFonts are the ids of the math fonts (see CalculateGlobalStats), math the section of the detection configuration
+  constructor (fontToFormats, { mathFonts = new Set(), math = resolveDetection().math } = {}) {
     this.fontToFormats = fontToFormats
+    this.mathFonts = mathFonts
+    this.math = math
   }
 
-  // returns a CombineResult
-  compact (textItems /*: TextItem[] */) /*: LineItem */ {
+  // returns a CombineResult. Words covered by one of the (link annotation) links get it as their link,
+  // words crossed or underlined by one of the rulings (see util/rulings) are formatted accordingly.
+  compact (textItems /*: TextItem[] */, links /*: Object[] */ = [], rulings /*: Object[] */ = []) /*: LineItem */ {
     // Filter out invalid items
     const validItems = textItems.filter(item => item && typeof item === 'object' && typeof item.x === 'number')
     
@@ -39,9 +165,13 @@ module.exports = class LineConverter {
     
     // we can't trust order of occurence, esp. footnoteLinks like to come last
     sortByX(validItems)
+    const footnoteMarkers = findFootnoteMarkers(validItems, this.mathFonts)
+    const scripts = findScripts(validItems, footnoteMarkers, this.math)
+    const scriptedItems = validItems.map(item => new TextItem({ ...item, script: scripts.get(item) }))
+    const decorations = decorationsOf(validItems, rulings)
 
-    const wordStream = new WordDetectionStream(this.fontToFormats)
-    wordStream.consumeAll(validItems.map(item => new TextItem({ ...item })))
+    const wordStream = new WordDetectionStream(this.fontToFormats, links, decorations)
+    wordStream.consumeAll(scriptedItems.map((item, i) => new TextItem({ ...item, footnoteMarker: footnoteMarkers.has(validItems[i]) })))
     const words = wordStream.complete()
 
     var maxHeight = 0
@@ -53,9 +183,12 @@ module.exports = class LineConverter {
     return new LineItem({
       x: validItems[0].x,
       y: validItems[0].y,
+      region: validItems[0].region,
       height: maxHeight,
       width: widthSum,
       words: words,
+      segments: this.segmentsOf(scriptedItems, links, decorations),
+      mathShare: mathShareOf(validItems, this.mathFonts),
       parsedElements: new ParsedElements({
         footnoteLinks: wordStream.footnoteLinks,
         footnotes: wordStream.footnotes,
@@ -64,17 +197,40 @@ module.exports = class LineConverter {
       }),
     })
   }
+
+  // The words of the runs of a line split at horizontal gaps wider than the font size (see splitAtGaps).
+  // Returns undefined for lines without such gaps.
+  segmentsOf (textItems /*: TextItem[] */, links /*: Object[] */ = [], decorations /*: Object[] */ = []) {
+    const groups = splitAtGaps(textItems)
+    if (groups.length < 2) {
+      return undefined
+    }
+    const segments = groups.map(group => {
+      const wordStream = new WordDetectionStream(this.fontToFormats, links, decorations)
+      wordStream.consumeAll(group.map(item => new TextItem({ ...item })))
+      const lastItem = group[group.length - 1]
+      return {
+        x: group[0].x,
+        width: lastItem.x + (lastItem.width || 0) - group[0].x,
+        words: wordStream.complete(),
+      }
+    })
+    return segments
+  }
 }
 
 class WordDetectionStream extends StashingStream {
-  constructor (fontToFormats) {
+  constructor (fontToFormats, links = [], decorations = []) {
     super()
     this.fontToFormats = fontToFormats
+    this.links = links
+    this.decorations = decorations
     this.footnoteLinks = []
     this.footnotes = []
     this.formattedWords = 0
     this.containLinks = false
     this.stashedNumber = false
+    this.lastFlushedItem = null
   }
 
   shouldStash (item) { // eslint-disable-line no-unused-vars
@@ -88,7 +244,7 @@ class WordDetectionStream extends StashingStream {
   onPushOnStash (item) { // eslint-disable-line no-unused-vars
     // Only process TextItems, skip ImageItems
     if (item && item.text && typeof item.text === 'string') {
-      this.stashedNumber = isNumber(item.text.trim())
+      this.stashedNumber = isNumberText(item.text)
     } else {
       this.stashedNumber = false
     }
@@ -102,12 +258,16 @@ class WordDetectionStream extends StashingStream {
     if (!lastItem || !lastItem.text || typeof lastItem.text !== 'string') {
       return false
     }
+    // Superscript footnote markers and scripts are words of their own
+    if (item.footnoteMarker || lastItem.footnoteMarker || item.script !== lastItem.script) {
+      return false
+    }
     const lastItemFormat = this.fontToFormats.get(lastItem.font)
     const itemFormat = this.fontToFormats.get(item.font)
     if (lastItemFormat !== itemFormat) {
       return false
     }
-    const itemIsANumber = isNumber(item.text.trim())
+    const itemIsANumber = isNumberText(item.text)
     return this.stashedNumber === itemIsANumber
   }
 
@@ -117,8 +277,18 @@ class WordDetectionStream extends StashingStream {
     if (textItems.length === 0) {
       return
     }
+    const firstResult = results.length
     
-    if (this.stashedNumber) {
+    if (textItems.length === 1 && textItems[0].footnoteMarker) {
+      const marker = textItems[0].text.trim()
+      results.push(new Word({
+        string: marker,
+        type: WordType.FOOTNOTE_LINK,
+      }))
+      this.footnoteLinks.push(isNumber(marker) ? parseInt(marker) : marker)
+    } else if (textItems[0].script) {
+      this.copyStashItemsAsText(textItems, results)
+    } else if (this.stashedNumber) {
       const joinedNumber = textItems.map(item => item.text)
         .join('')
         .trim()
@@ -140,6 +310,14 @@ class WordDetectionStream extends StashingStream {
     } else {
       this.copyStashItemsAsText(textItems, results)
     }
+
+    // Text continuing a script without space, like the 'O' of 'H₂O'
+    const lastItem = this.lastFlushedItem
+    if (results.length > firstResult && lastItem && lastItem.script && !textItems[0].script &&
+      !lastItem.text.endsWith(' ') && !textItems[0].text.startsWith(' ') && textItems[0].x - lastItem.x - lastItem.width <= 5) {
+      results[firstResult].attached = true
+    }
+    this.lastFlushedItem = textItems[textItems.length - 1]
   }
 
   copyStashItemsAsText (stash, results) {
@@ -148,15 +326,33 @@ class WordDetectionStream extends StashingStream {
     if (textItems.length === 0) {
       return
     }
-    const format = this.fontToFormats.get(textItems[0].font)
+    const format = textItems[0].script || this.fontToFormats.get(textItems[0].font)
     results.push(...this.itemsToWords(textItems, format))
   }
 
   itemsToWords (items, formatName) {
-    const combinedText = combineText(items)
-    const words = combinedText.split(' ')
-    const format = formatName ? WordFormat.enumValueOf(formatName) : null
-    return words.filter(w => w.trim().length > 0).map(word => {
+    // the text item and index each character comes from, to find the links and decorations covering the words
+    const charOrigins = this.links.length > 0 || this.decorations.length > 0 ? [] : null
+    const combinedText = combineText(items, charOrigins)
+    var offset = 0
+    const words = combinedText.split(' ').map(word => {
+      const start = offset
+      offset += word.length + 1
+      return { word, start }
+    })
+    const fontFormat = formatName ? WordFormat.enumValueOf(formatName) : null
+    return words.filter(({ word }) => word.trim().length > 0).map(({ word, start }) => {
+      const wordOrigins = charOrigins ? charOrigins.slice(start, start + word.length) : []
+      const link = charOrigins ? this.linkOf(wordOrigins) : undefined
+      if (link) {
+        this.containLinks = true
+      }
+      var format = fontFormat
+      // Scripts keep their format, links are underlined anyway
+      const decoration = items[0].script ? undefined : this.decorationOf(wordOrigins)
+      if (decoration && !(decoration === 'UNDERLINE' && (link || /^(http:|www\.)/.test(word)))) {
+        format = WordFormat.enumValueOf(decoration)
+      }
       var type = null
       if (word.startsWith('http:')) {
         this.containLinks = true
@@ -170,29 +366,73 @@ class WordDetectionStream extends StashingStream {
       if (format) {
         this.formattedWords++
       }
-      return new Word({ string: word, type, format })
+      return new Word({ string: word, type, format, link })
     })
   }
+
+  // The link covering the center of the middle character of a word
+  linkOf (charOrigins) {
+    const origins = charOrigins.filter(origin => origin)
+    if (origins.length === 0) {
+      return undefined
+    }
+    const { item, index } = origins[Math.floor(origins.length / 2)]
+    const charWidth = (item.width || 0) / item.text.length
+    // y is the baseline of the text
+    return findLinkAt(this.links, item.x + charWidth * (index + 0.5), item.y + (item.height || 0) / 2)
+  }
+
+  // The decoration (see util/decorations) covering most of a word. It replaces the format of the font,
+  // so struck out bold text becomes plain ~~text~~.
+  decorationOf (charOrigins) {
+    const origins = charOrigins.filter(origin => origin)
+    if (origins.length === 0 || this.decorations.length === 0) {
+      return undefined
+    }
+    const first = origins[0]
+    const last = origins[origins.length - 1]
+    const charX = ({ item, index }) => item.x + (item.width || 0) / item.text.length * index
+    return decorationAt(this.decorations, charX(first), charX({ ...last, index: last.index + 1 }))
+  }
+}
+
+// Whitespace between the items of a line isn't a number
+function isNumberText (text) {
+  const trimmed = text.trim()
+  return trimmed.length > 0 && isNumber(trimmed)
 }
 
-function combineText (textItems) {
+// Joins the text of the items. If given, charOrigins is filled with the { item, index } each character
+// comes from (null for inserted whitespace).
+function combineText (textItems, charOrigins) {
   var text = ''
   var lastItem
+  const add = (string, item) => {
+    text += string
+    if (charOrigins) {
+      for (var i = 0; i < string.length; i++) {
+        charOrigins.push(item ? { item, index: i } : null)
+      }
+    }
+  }
   textItems.forEach(textItem => {
-    var textToAdd = textItem.text
-    if (!text.endsWith(' ') && !textToAdd.startsWith(' ')) {
+    var separator = ''
+    var suffix = ''
+    if (!text.endsWith(' ') && !textItem.text.startsWith(' ')) {
       if (lastItem) {
         const xDistance = textItem.x - lastItem.x - lastItem.width
         if (xDistance > 5) {
-          text += ' '
+          separator = ' '
         }
       } else {
         if (isListItemCharacter(textItem.text)) {
-          textToAdd += ' '
+          suffix = ' '
         }
       }
     }
-    text += textToAdd
+    add(separator)
+    add(textItem.text, textItem)
+    add(suffix)
     lastItem = textItem
   })
   return text
@@ -10,6 +10,10 @@ module.exports = class LineItem extends PageItem {
     this.width = options.width
     this.height = options.height
     this.words = options.words || []
+    this.segments = options.segments // { x, width, words }[] of a line with wide horizontal gaps, e.g. a table row
+    this.table = options.table // Table, for lines of type BlockType.TABLE
+    this.mathShare = options.mathShare // share of math characters, see LineConverter and DetectMath
+    this.indent = options.indent // leading spaces of a line of code, see DetectCodeQuoteBlocks
     if (options.text && !options.words) {
       this.words = options.text.split(' ')
         .filter(string => string.trim().length > 0)
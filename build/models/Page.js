@@ -3,5 +3,11 @@ module.exports = class Page {
   constructor (options) {
     this.index = options.index
     this.items = options.items || [] // PageItem
+    this.rulings = options.rulings || [] // horizontal/vertical lines drawn on the page, see util/rulings
+    this.links = options.links || [] // link annotations of the page, see util/links
+    this.width = options.width // size of the page in PDF units
+    this.height = options.height
+    this.warnings = options.warnings || [] // problems while extracting the page, like unreadable images
+    this.error = options.error // the PageExtractionError of a page which failed to load, see util/pdf.extractPages()
   }
 }
@@ -7,5 +7,6 @@ module.exports = class PageItem {
     this.type = options.type
     this.annotation = options.annotation
     this.parsedElements = options.parsedElements
+    this.region = options.region // index of the layout region (e.g. column) in reading order, see DetectColumns
   }
 }
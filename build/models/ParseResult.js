@@ -1,3 +1,5 @@
+const { SILENT_LOGGER } = require('../util/logger')
+
 // The result of a PDF parse respectively a Transformation
 module.exports = class ParseResult {
   constructor (options) {
@@ -5,5 +7,10 @@ module.exports = class ParseResult {
     this.globals = options.globals // properties accasable for all the following transformations in debug mode
     this.messages = options.messages // something to show only for the transformation in debug mode
     this.images = options.images || null // Map<string, Buffer> of images (for relative image mode)
+    this.mdast = options.mdast || null // mdast Root of the whole document (set by ToMarkdown)
+    this.pendingImages = options.pendingImages || [] // images waiting for the imageHandler (set by ToMarkdown, see util/image-handler)
+    this.warnings = options.warnings || [] // problems to report to the caller, shared by all transformations
+    this.figures = options.figures || [] // the captions of the figures and tables, shared by all transformations (see DetectCaptions)
+    this.logger = options.logger || SILENT_LOGGER // the logger option of pdf2md(), for the diagnostics of the transformations (see util/logger)
   }
 }
@@ -18,16 +18,17 @@ class StyleConfidence {
   /**
    * Returns the WordFormat enum value if confidence exceeds threshold
    * @param {number} threshold - Minimum confidence (default: 0.5)
+   * @param {number} italicThreshold - Minimum italic confidence (default: threshold)
    * @returns {WordFormat|null}
    */
-  toWordFormat (threshold = 0.5) {
+  toWordFormat (threshold = 0.5, italicThreshold = threshold) {
     const WordFormat = require('./markdown/WordFormat')
     
-    if (this.bold >= threshold && this.italic >= threshold) {
+    if (this.bold >= threshold && this.italic >= italicThreshold) {
       return WordFormat.BOLD_OBLIQUE
     } else if (this.bold >= threshold) {
       return WordFormat.BOLD
-    } else if (this.italic >= threshold) {
+    } else if (this.italic >= italicThreshold) {
       return WordFormat.OBLIQUE
     }
     return null
@@ -0,0 +1,12 @@
+// A table detected from the positions of the text items on a page
+module.exports = class Table {
+  constructor (options) {
+    this.rows = options.rows || [] // Word[][][]: rows of cells, each cell holding its words (empty cells have none)
+    this.alignments = options.alignments || [] // 'left', 'center' or 'right' per column
+    this.headerRows = typeof options.headerRows === 'number' ? options.headerRows : 1
+  }
+
+  get columnCount () {
+    return this.alignments.length
+  }
+}
@@ -14,5 +14,7 @@ module.exports = class TextItem extends PageItem {
     this.lineFormat = options.lineFormat
     this.unopenedFormat = options.unopenedFormat
     this.unclosedFormat = options.unclosedFormat
+    this.footnoteMarker = options.footnoteMarker // superscript footnote marker, see LineConverter
+    this.script = options.script // 'SUPERSCRIPT' or 'SUBSCRIPT' (WordFormat name), see LineConverter
   }
 }
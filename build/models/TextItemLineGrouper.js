@@ -6,7 +6,7 @@ import TextItem from './TextItem'
 
 const { sortByX } = require('../util/page-item-functions')
 
-// Groups all text items which are on the same y line
+// Groups all text items which are on the same y line (and in the same layout region)
 module.exports = class TextItemLineGrouper {
   constructor (options) {
     this.mostUsedDistance = options.mostUsedDistance || 12
@@ -16,11 +16,15 @@ module.exports = class TextItemLineGrouper {
   group (textItems /*: TextItem[] */) /*: TextItem[][] */ {
     const lines = []
     var currentLine = []
+    var lineItem // the tallest item of the line, whose baseline raised and lowered text (like 'x²') lies around
     textItems.forEach(item => {
-      if (currentLine.length > 0 && Math.abs(currentLine[0].y - item.y) >= this.mostUsedDistance / 2) {
+      if (currentLine.length > 0 && (Math.abs(lineItem.y - item.y) >= this.mostUsedDistance / 2 || lineItem.region !== item.region)) {
         lines.push(currentLine)
         currentLine = []
       }
+      if (currentLine.length === 0 || item.height > lineItem.height) {
+        lineItem = item
+      }
       currentLine.push(item)
     })
     lines.push(currentLine)
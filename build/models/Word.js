@@ -3,5 +3,7 @@ module.exports = class Word {
     this.string = options.string
     this.type = options.type // WordType
     this.format = options.format // WordFormat
+    this.link = options.link // the link annotation covering the word, see util/links
+    this.attached = options.attached // no whitespace before the word, like after a subscript in 'H₂O' (see LineConverter)
   }
 }
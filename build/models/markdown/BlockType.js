@@ -5,59 +5,132 @@ import LineItemBlock from '../LineItemBlock'
 */
 
 const { Enum } = require('enumify')
+const { escapeHtml } = require('../../util/string-functions')
+const { linesToLatex } = require('../../util/math')
+const { guessLanguage } = require('../../util/code')
+const { isAttached, isPunctationCharacter, linkUrl, linesToFootnotes, readLists } = require('../../util/word-functions')
+const MarkdownRenderer = require('../renderers/MarkdownRenderer')
 
-function firstFormat (lineItem) {
-  if (lineItem.words.length === 0) {
-    return null
-  }
-  return lineItem.words[0].format
-}
+// Renders the text of the blocks, see blockToText()
+const markdownRenderer = new MarkdownRenderer()
 
-function isPunctationCharacter (string) {
-  if (string.length !== 1) {
-    return false
-  }
-  return string[0] === '.' || string[0] === '!' || string[0] === '?'
-}
+// The mdast types of formats holding the text of their words as value rather than as children
+const LITERAL_TYPES = ['inlineCode', 'inlineMath', 'html']
 
-function linesToText (lineItems, disableInlineFormats) {
-  var text = ''
-  var openFormat
+// Converts the words of the lines to mdast phrasing content (https://github.com/syntax-tree/mdast).
+// Lines are joined with a space, words hyphenated at the end of a line are joined again.
+function linesToPhrasing (lineItems) {
+  const nodes = []
+  var open // { format, children } or { format, code, text } of the currently formatted words
+  var openLink // the link node of the currently linked words
+  // Formats are nested within links
+  const container = () => openLink ? openLink.children : nodes
 
-  const closeFormat = () => {
-    text += openFormat.endSymbol
-    openFormat = null
+  const append = value => {
+    if (open && open.code) {
+      open.text += value
+      open.code.value = open.code.type === 'html' ? open.format.startSymbol + escapeHtml(open.text) + open.format.endSymbol : open.text
+      return
+    }
+    const children = open ? open.children : container()
+    const last = children[children.length - 1]
+    if (last && last.type === 'text') {
+      last.value += value
+    } else {
+      children.push({ type: 'text', value })
+    }
   }
 
+  var attachNext = true
   lineItems.forEach((line, lineIndex) => {
     line.words.forEach((word, i) => {
       const wordType = word.type
       const wordFormat = word.format
-      if (openFormat && (!wordFormat || wordFormat !== openFormat)) {
-        closeFormat()
+      const wordLinkUrl = linkUrl(word)
+      if (open && wordFormat !== open.format) {
+        open = null
       }
+      if (openLink && wordLinkUrl !== openLink.url) {
+        open = null
+        openLink = null
+      }
+      if (!attachNext && !isAttached(word, line.words[i - 1]) && !isPunctationCharacter(word.string)) {
+        append(' ')
+      }
+      attachNext = false
 
-      if (i > 0 && !(wordType && wordType.attachWithoutWhitespace) && !isPunctationCharacter(word.string)) {
-        text += ' '
+      if (wordLinkUrl && !openLink) {
+        open = null
+        openLink = { type: 'link', url: wordLinkUrl, title: null, children: [] }
+        nodes.push(openLink)
       }
 
-      if (wordFormat && !openFormat && (!disableInlineFormats)) {
-        openFormat = wordFormat
-        text += openFormat.startSymbol
+      if (wordFormat && !open) {
+        const outer = { type: wordFormat.mdastTypes[0], children: [] }
+        var inner = outer
+        wordFormat.mdastTypes.slice(1).forEach(type => {
+          const child = { type, children: [] }
+          inner.children.push(child)
+          inner = child
+        })
+        container().push(outer)
+        if (LITERAL_TYPES.includes(inner.type)) {
+          delete inner.children
+          inner.value = ''
+          open = { format: wordFormat, code: inner, text: '' }
+        } else {
+          open = { format: wordFormat, children: inner.children }
+        }
       }
 
-      if (wordType && (!disableInlineFormats || wordType.plainTextFormat)) {
-        text += wordType.toText(word.string)
+      var string = word.string
+      const isLastWordOfLine = i === line.words.length - 1 && lineIndex < lineItems.length - 1
+      if (isLastWordOfLine && string.length > 1 && string.endsWith('-')) {
+        string = string.substring(0, string.length - 1)
+        attachNext = true
+      }
+      if (wordLinkUrl) {
+        append(string)
+      } else if (wordType && wordType.toMdast && !(open && open.code)) {
+        (open ? open.children : container()).push(wordType.toMdast(string))
+      } else if (wordType && !(open && open.code)) {
+        append(wordType.toText(string))
       } else {
-        text += word.string
+        append(string)
       }
     })
-    if (openFormat && (lineIndex === lineItems.length - 1 || firstFormat(lineItems[lineIndex + 1]) !== openFormat)) {
-      closeFormat()
-    }
-    text += '\n'
   })
-  return text
+  return nodes
+}
+
+function paragraphOf (lineItems) {
+  return { type: 'paragraph', children: linesToPhrasing(lineItems) }
+}
+
+// Converts list lines ('-' or '1.' followed by the text, indented by whitespace) to nested mdast lists.
+// Lines without a list marker continue the previous list item.
+function linesToLists (lineItems) {
+  const toMdast = nodes => nodes.map(node => node.items ? {
+    type: 'list',
+    ordered: node.ordered,
+    start: node.start,
+    spread: false,
+    children: node.items.map(item => ({ type: 'listItem', spread: false, checked: null, children: [paragraphOf(item.lines), ...toMdast(item.lists)] })),
+  } : paragraphOf(node.lines))
+  return toMdast(readLists(lineItems))
+}
+
+function tableToMdast (table) {
+  const rowToMdast = cells => ({
+    type: 'tableRow',
+    children: cells.map(words => ({ type: 'tableCell', children: linesToPhrasing([{ words }]) })),
+  })
+  const rows = table.headerRows > 0 ? table.rows : [table.alignments.map(() => [])].concat(table.rows)
+  return {
+    type: 'table',
+    align: [...table.alignments],
+    children: rows.map(rowToMdast),
+  }
 }
 
 // An Markdown block
@@ -71,203 +144,99 @@ BlockType.initEnum({
   H1: {
     headline: true,
     headlineLevel: 1,
-    toText (block /*: LineItemBlock */) /*: string */ {
-      // Allow inline formats (bold/italic) in headers
-      // Markdown allows: ### **Bold Title** and ### *Italic Title*
-      return '# ' + linesToText(block.items, false)
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return [{ type: 'heading', depth: 1, children: linesToPhrasing(block.items) }]
     },
   },
   H2: {
     headline: true,
     headlineLevel: 2,
-    toText (block /*: LineItemBlock */) /*: string */ {
-      return '## ' + linesToText(block.items, false)
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return [{ type: 'heading', depth: 2, children: linesToPhrasing(block.items) }]
     },
   },
   H3: {
     headline: true,
     headlineLevel: 3,
-    toText (block /*: LineItemBlock */) /*: string */ {
-      return '### ' + linesToText(block.items, false)
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return [{ type: 'heading', depth: 3, children: linesToPhrasing(block.items) }]
     },
   },
   H4: {
     headline: true,
     headlineLevel: 4,
-    toText (block /*: LineItemBlock */) /*: string */ {
-      return '#### ' + linesToText(block.items, false)
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return [{ type: 'heading', depth: 4, children: linesToPhrasing(block.items) }]
     },
   },
   H5: {
     headline: true,
     headlineLevel: 5,
-    toText (block /*: LineItemBlock */) /*: string */ {
-      return '##### ' + linesToText(block.items, false)
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return [{ type: 'heading', depth: 5, children: linesToPhrasing(block.items) }]
     },
   },
   H6: {
     headline: true,
     headlineLevel: 6,
-    toText (block /*: LineItemBlock */) /*: string */ {
-      return '###### ' + linesToText(block.items, false)
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return [{ type: 'heading', depth: 6, children: linesToPhrasing(block.items) }]
     },
   },
   TOC: {
     mergeToBlock: true,
-    toText (block /*: LineItemBlock */) /*: string */ {
-      return linesToText(block.items, true)
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return linesToLists(block.items)
     },
   },
   FOOTNOTES: {
     mergeToBlock: true,
     mergeFollowingNonTypedItems: true,
-    toText (block /*: LineItemBlock */) /*: string */ {
-      return linesToText(block.items, false)
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return linesToFootnotes(block.items).map(({ label, lines, content }) => {
+        if (!label) {
+          return paragraphOf(lines)
+        }
+        return { type: 'footnoteDefinition', identifier: label, label, children: [paragraphOf(content)] }
+      })
     },
   },
   CODE: {
     mergeToBlock: true,
-    toText (block /*: LineItemBlock */) /*: string */ {
-      return '```\n' + linesToText(block.items, true) + '```'
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      const code = markdownRenderer.codeText(block.items)
+      return [{ type: 'code', lang: guessLanguage(code), meta: null, value: code.replace(/\n$/, '') }]
+    },
+  },
+  MATH: {
+    // A display equation, see DetectMath
+    mergeToBlock: true,
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return [{ type: 'math', meta: null, value: linesToLatex(block.items) }]
     },
   },
   LIST: {
     mergeToBlock: false,
     mergeFollowingNonTypedItemsWithSmallDistance: true,
-    toText (block /*: LineItemBlock */) /*: string */ {
-      return linesToText(block.items, false)
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return linesToLists(block.items)
     },
   },
   TABLE: {
     mergeToBlock: true,
-    toText (block /*: LineItemBlock */) /*: string */ {
-      // Convert table lines to markdown table format
-      const lines = block.items.map(item => {
-        if (!item.words || item.words.length === 0) {
-          return ''
-        }
-        return item.words.map(w => w.string).join(' ')
-      }).filter(line => line.trim().length > 0)
-      
-      if (lines.length === 0) {
-        return ''
-      }
-      
-      // Try to detect if it's already in markdown table format
-      const hasPipes = lines.some(line => line.includes('|'))
-      if (hasPipes) {
-        // Already has pipes, just return as-is with proper formatting
-        return lines.join('\n')
-      }
-      
-      // Handle single-line table (common in PDFs)
-      if (lines.length === 1) {
-        const singleLine = lines[0]
-        // Try to split by common patterns
-        // Look for patterns like "名称 类型 是否支持 备注 标题 结构 ✅ 多级标题..."
-        const words = singleLine.split(/\s+/).filter(w => w.trim().length > 0)
-        
-        // Try to detect column boundaries by looking for keywords or patterns
-        // Common table pattern: header words followed by data
-        const potentialColumns = []
-        let currentColumn = []
-        
-        // Simple heuristic: group words that might be columns
-        // Look for patterns like "名称", "类型", "是否支持", "备注" as headers
-        const headerKeywords = ['名称', '类型', '支持', '备注', '标题', '公式', '表格', '列表', '模块', '覆盖']
-        
-        words.forEach((word, index) => {
-          const isHeader = headerKeywords.some(kw => word.includes(kw))
-          const isEmoji = /[✅⚠️❌]/u.test(word)
-          const isShort = word.length <= 10
-          
-          // If we find a header keyword or emoji, it might be a column boundary
-          if (isHeader && currentColumn.length > 0) {
-            potentialColumns.push(currentColumn.join(' '))
-            currentColumn = [word]
-          } else if (isEmoji && currentColumn.length > 2) {
-            // Emoji often marks end of a column
-            currentColumn.push(word)
-            potentialColumns.push(currentColumn.join(' '))
-            currentColumn = []
-          } else {
-            currentColumn.push(word)
-          }
-        })
-        
-        if (currentColumn.length > 0) {
-          potentialColumns.push(currentColumn.join(' '))
-        }
-        
-        // If we found multiple potential columns, treat as table
-        if (potentialColumns.length >= 2) {
-          const maxCols = potentialColumns.length
-          const tableLines = []
-          const rowText = '| ' + potentialColumns.map(col => col.trim() || ' ').join(' | ') + ' |'
-          tableLines.push(rowText)
-          const separator = '| ' + Array(maxCols).fill('---').join(' | ') + ' |'
-          tableLines.push(separator)
-          return tableLines.join('\n')
-        }
-        
-        // Fallback: try splitting by fixed patterns
-        const parts = singleLine.split(/\s{2,}|\t|(名称|类型|支持|备注)/)
-        const filteredParts = parts.filter(p => p && p.trim().length > 0 && !['名称', '类型', '支持', '备注'].includes(p.trim()))
-        if (filteredParts.length >= 4) {
-          const maxCols = Math.min(4, filteredParts.length)
-          const tableLines = []
-          const rowText = '| ' + filteredParts.slice(0, maxCols).map(col => col.trim() || ' ').join(' | ') + ' |'
-          tableLines.push(rowText)
-          const separator = '| ' + Array(maxCols).fill('---').join(' | ') + ' |'
-          tableLines.push(separator)
-          return tableLines.join('\n')
-        }
-      }
-      
-      // Convert to markdown table format (multi-line)
-      // Split by multiple spaces or tabs to detect columns
-      const rows = lines.map(line => {
-        const columns = line.split(/\s{2,}|\t/).filter(col => col.trim().length > 0)
-        if (columns.length === 0) {
-          columns.push(line.trim())
-        }
-        return columns
-      })
-      
-      if (rows.length === 0) {
-        return ''
-      }
-      
-      // Find max column count
-      const maxCols = Math.max(...rows.map(row => row.length))
-      
-      // Normalize rows to have same column count
-      const normalizedRows = rows.map(row => {
-        while (row.length < maxCols) {
-          row.push('')
-        }
-        return row.slice(0, maxCols)
-      })
-      
-      // Generate markdown table
-      const tableLines = []
-      normalizedRows.forEach((row, index) => {
-        const rowText = '| ' + row.map(col => col.trim() || ' ').join(' | ') + ' |'
-        tableLines.push(rowText)
-        
-        // Add separator after first row
-        if (index === 0 && normalizedRows.length > 1) {
-          const separator = '| ' + Array(maxCols).fill('---').join(' | ') + ' |'
-          tableLines.push(separator)
-        }
-      })
-      
-      return tableLines.join('\n')
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return block.items.map(item => item.table ? tableToMdast(item.table) : paragraphOf([item]))
+    },
+  },
+  CAPTION: {
+    // The caption of a figure or table, see DetectCaptions
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return [paragraphOf(block.items)]
     },
   },
   PARAGRAPH: {
-    toText (block /*: LineItemBlock */) /*: string */ {
-      return linesToText(block.items, false)
+    toMdast (block /*: LineItemBlock */) /*: Object[] */ {
+      return [paragraphOf(block.items)]
     },
   },
 })
@@ -276,11 +245,17 @@ module.exports.isHeadline = function isHeadline (type /*: BlockType */) /*: bool
   return type && type.name.length === 2 && type.name[0] === 'H'
 }
 
+// The Markdown of a block with the line breaks of the PDF, see MarkdownRenderer
 module.exports.blockToText = function blockToText (block /*: LineItemBlock */) /*: string */ {
+  return markdownRenderer.blockText(block)
+}
+
+// Converts a block to mdast nodes (https://github.com/syntax-tree/mdast)
+module.exports.blockToMdast = function blockToMdast (block /*: LineItemBlock */) /*: Object[] */ {
   if (!block.type) {
-    return linesToText(block.items, false)
+    return [paragraphOf(block.items)]
   }
-  return block.type.toText(block)
+  return block.type.toMdast(block)
 }
 
 module.exports.headlineByLevel = function headlineByLevel (level) {
@@ -297,9 +272,7 @@ module.exports.headlineByLevel = function headlineByLevel (level) {
   } else if (level === 6) {
     return BlockType.H6
   } else {
-    // if level is >= 6, just use BlockType H6
-    // eslint-disable-next-line no-console
-    console.warn('Unsupported headline level: ' + level + ' (supported are 1-6), defaulting to level 6')
+    // Markdown has no deeper headline levels than 6, e.g. for the entries of a deeply nested table of contents
     return BlockType.H6
   }
 }
@@ -1,6 +1,6 @@
 const { Enum } = require('enumify')
 
-// The format of a word element
+// The format of a word element. mdastTypes are the nested mdast nodes (outermost first) representing it.
 class WordFormat extends Enum {
 
 }
@@ -11,21 +11,57 @@ WordFormat.initEnum({
   BOLD: {
     startSymbol: '**',
     endSymbol: '**',
+    mdastTypes: ['strong'],
   },
   OBLIQUE: {
     startSymbol: '_',
     endSymbol: '_',
+    mdastTypes: ['emphasis'],
   },
   BOLD_OBLIQUE: {
     startSymbol: '**_',
     endSymbol: '_**',
+    mdastTypes: ['strong', 'emphasis'],
   },
   STRIKETHROUGH: {
     startSymbol: '~~',
     endSymbol: '~~',
+    mdastTypes: ['delete'],
   },
   INLINE_CODE: {
     startSymbol: '`',
     endSymbol: '`',
+    mdastTypes: ['inlineCode'],
+  },
+  // Raised respectively lowered text, see LineConverter. Without mdast equivalent, they become html nodes.
+  // The first word of a script is attached to the word before it (x<sup>2</sup>).
+  SUPERSCRIPT: {
+    startSymbol: '<sup>',
+    endSymbol: '</sup>',
+    mdastTypes: ['html'],
+    attachWithoutWhitespace: true,
+  },
+  SUBSCRIPT: {
+    startSymbol: '<sub>',
+    endSymbol: '</sub>',
+    mdastTypes: ['html'],
+    attachWithoutWhitespace: true,
+  },
+  // Text ruled at the baseline, see util/decorations. INSERTION for the underlineTag 'ins'.
+  UNDERLINE: {
+    startSymbol: '<u>',
+    endSymbol: '</u>',
+    mdastTypes: ['html'],
+  },
+  INSERTION: {
+    startSymbol: '<ins>',
+    endSymbol: '</ins>',
+    mdastTypes: ['html'],
+  },
+  // LaTeX like x^{2}, see util/math
+  MATH: {
+    startSymbol: '$',
+    endSymbol: '$',
+    mdastTypes: ['inlineMath'],
   },
 })
@@ -12,18 +12,23 @@ WordType.initEnum({
     toText (string) {
       return `[${string}](${string})`
     },
+    toMdast (string) {
+      return { type: 'link', url: string, title: null, children: [{ type: 'text', value: string }] }
+    },
   },
   FOOTNOTE_LINK: {
     attachWithoutWhitespace: true,
     plainTextFormat: true,
     toText (string) {
-      return `^${string}`
-    // return `<sup>[${string}](#${string})</sup>`
+      return `[^${string}]`
+    },
+    toMdast (string) {
+      return { type: 'footnoteReference', identifier: string, label: string }
     },
   },
   FOOTNOTE: {
     toText (string) {
-      return `(^${string})`
+      return `[^${string}]:`
     },
   },
 })
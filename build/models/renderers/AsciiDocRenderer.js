@@ -0,0 +1,156 @@
+// @flow
+
+/*::
+import LineItemBlock from '../LineItemBlock'
+import Table from '../Table'
+import WordFormat from '../markdown/WordFormat'
+import WordType from '../markdown/WordType'
+*/
+
+const Renderer = require('./Renderer')
+const { linesToFootnotes, readLists } = require('../../util/word-functions')
+const { linesToLatex } = require('../../util/math')
+const { guessLanguage } = require('../../util/code')
+
+// The unconstrained marks of the word formats, which also apply within words. Underlined text and insertions
+// become the built-in role 'underline'.
+const FORMAT_MARKS = {
+  BOLD: ['**', '**'],
+  OBLIQUE: ['__', '__'],
+  BOLD_OBLIQUE: ['**__', '__**'],
+  STRIKETHROUGH: ['[.line-through]##', '##'],
+  INLINE_CODE: ['`+', '+`'],
+  SUPERSCRIPT: ['^', '^'],
+  SUBSCRIPT: ['~', '~'],
+  UNDERLINE: ['[.underline]##', '##'],
+  INSERTION: ['[.underline]##', '##'],
+  MATH: ['latexmath:[', ']'],
+}
+
+const ALIGNMENT_SPECIFIERS = {
+  left: '<',
+  center: '^',
+  right: '>',
+}
+
+// The target of a link macro, with the characters ending it escaped
+function toLinkTarget (url) {
+  return url.replace(/[\s[\]]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'))
+}
+
+// Renders AsciiDoc (https://docs.asciidoctor.org/asciidoc/latest/). The headlines are sections of the level 1 to 5,
+// the front matter the attributes of the document header.
+module.exports = class AsciiDocRenderer extends Renderer {
+  constructor () {
+    super('asciidoc', 'adoc', { figures: true })
+  }
+
+  heading (block /*: LineItemBlock */, level /*: number */) /*: string */ {
+    const id = block.anchor ? `[#${block.anchor}]\n` : ''
+    return id + '='.repeat(Math.min(level, 5) + 1) + ' ' + this.renderLines(block.items, { join: true })
+  }
+
+  paragraph (block /*: LineItemBlock */) /*: string */ {
+    return this.renderLines(block.items, { join: true })
+  }
+
+  list (block /*: LineItemBlock */) /*: string */ {
+    return this.renderLists(readLists(block.items), 1)
+  }
+
+  toc (block /*: LineItemBlock */) /*: string */ {
+    return this.renderLists(readLists(block.items), 1)
+  }
+
+  // The depth of a list is the number of its markers, e.g. '**' or '..'. Adjacent lists are separated by an
+  // empty line comment, otherwise they would be read as one list.
+  renderLists (nodes /*: Object[] */, depth /*: number */) /*: string */ {
+    return nodes.map((node, i) => {
+      if (!node.items) {
+        return this.renderLines(node.lines, { join: true })
+      }
+      const separator = i > 0 && nodes[i - 1].items ? '//-\n\n' : ''
+      const start = node.ordered && node.start !== 1 ? `[start=${node.start}]\n` : ''
+      const marker = (node.ordered ? '.' : '*').repeat(depth)
+      return separator + start + node.items.map(item => {
+        const nested = item.lists.length > 0 ? '\n' + this.renderLists(item.lists, depth + 1) : ''
+        return `${marker} ${this.renderLines(item.lines, { join: true })}${nested}`
+      }).join('\n')
+    }).join('\n\n')
+  }
+
+  footnotes (block /*: LineItemBlock */) /*: string */ {
+    return linesToFootnotes(block.items)
+      .map(({ label, content }) => (label ? `[[fn-${label}]]^${label}^ ` : '') + this.renderLines(content, { join: true }))
+      .join('\n\n')
+  }
+
+  code (block /*: LineItemBlock */) /*: string */ {
+    const code = this.codeText(block.items)
+    const language = guessLanguage(code)
+    return (language ? `[source,${language}]\n` : '') + '----\n' + code + '----'
+  }
+
+  math (block /*: LineItemBlock */) /*: string */ {
+    return '[latexmath]\n++++\n' + linesToLatex(block.items) + '\n++++'
+  }
+
+  table (table /*: Table */) /*: string */ {
+    const cols = table.alignments.map(alignment => ALIGNMENT_SPECIFIERS[alignment] || '<').join(',')
+    const rows = table.rows.map(cells => cells.map(words => '|' + this.renderLines([{ words }], { join: true }).replace(/\|/g, '\\|')).join(' '))
+    // The first row is the header if it's followed by a blank line
+    const header = table.headerRows > 0 ? [rows[0], ''] : []
+    return [`[cols="${cols}"]`, '|===', ...header, ...rows.slice(header.length > 0 ? 1 : 0), '|==='].join('\n')
+  }
+
+  renderImage (url /*: ?string */, alt /*: string */, caption /*: ?Object */) /*: string */ {
+    if (url === null) {
+      return caption ? caption.text : ''
+    }
+    const image = `image::${toLinkTarget(url)}["${alt.replace(/"/g, '\\"')}"]`
+    return caption ? this.renderFigure(image, caption) : image
+  }
+
+  // AsciiDoc puts the title of a block above it
+  renderFigure (content /*: string */, caption /*: Object */) /*: string */ {
+    return `.${caption.text}\n${content}`
+  }
+
+  text (string /*: string */) /*: string */ {
+    return string
+  }
+
+  formatWords (format /*: WordFormat */, content /*: string */) /*: string */ {
+    const [start, end] = FORMAT_MARKS[format.name]
+    // The LaTeX of the math format ends with the macro
+    return start + (format.name === 'MATH' ? content.replace(/]/g, '\\]') : content) + end
+  }
+
+  link (url /*: string */, content /*: string */) /*: string */ {
+    const text = content.replace(/]/g, '\\]')
+    return url.startsWith('#') ? `<<${url.substring(1)},${text}>>` : `link:${toLinkTarget(url)}[${text}]`
+  }
+
+  wordType (type /*: WordType */, string /*: string */) /*: string */ {
+    if (type.name === 'FOOTNOTE_LINK') {
+      return `^<<fn-${string},${string}>>^`
+    }
+    if (type.name === 'FOOTNOTE') {
+      return `^${string}^`
+    }
+    return string
+  }
+
+  // The document header, see https://docs.asciidoctor.org/asciidoc/latest/document/header/
+  renderFrontMatter (metadata /*: Object */) /*: string */ {
+    const attributes = [
+      ['author', metadata.author],
+      ['description', metadata.subject],
+      ['keywords', metadata.keywords.length > 0 ? metadata.keywords.join(', ') : null],
+      ['revdate', metadata.modificationDate || metadata.creationDate],
+    ]
+    const lines = attributes.filter(([, value]) => value).map(([name, value]) => `:${name}: ${value.replace(/\s+/g, ' ')}`)
+    const header = [...(metadata.title ? [`= ${metadata.title}`] : []), ...lines]
+    return header.length > 0 ? header.join('\n') + '\n\n' : ''
+  }
+}
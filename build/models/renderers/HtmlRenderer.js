@@ -0,0 +1,159 @@
+// @flow
+
+/*::
+import LineItemBlock from '../LineItemBlock'
+import Table from '../Table'
+import WordFormat from '../markdown/WordFormat'
+import WordType from '../markdown/WordType'
+*/
+
+const Renderer = require('./Renderer')
+const { linesToFootnotes, readLists } = require('../../util/word-functions')
+const { linesToLatex } = require('../../util/math')
+const { guessLanguage } = require('../../util/code')
+const { escapeHtml } = require('../../util/string-functions')
+
+// The elements of the word formats, outermost first. Math is left to MathJax or KaTeX, in their delimiters.
+const FORMAT_TAGS = {
+  BOLD: ['strong'],
+  OBLIQUE: ['em'],
+  BOLD_OBLIQUE: ['strong', 'em'],
+  STRIKETHROUGH: ['del'],
+  INLINE_CODE: ['code'],
+  SUPERSCRIPT: ['sup'],
+  SUBSCRIPT: ['sub'],
+  UNDERLINE: ['u'],
+  INSERTION: ['ins'],
+}
+
+// Renders semantic HTML: a fragment per page, with the ids of the headlines being the anchors of the links within
+// the document
+module.exports = class HtmlRenderer extends Renderer {
+  constructor () {
+    super('html', 'html', { figures: true })
+  }
+
+  heading (block /*: LineItemBlock */, level /*: number */) /*: string */ {
+    const id = block.anchor ? ` id="${escapeHtml(block.anchor)}"` : ''
+    return `<h${level}${id}>${this.renderLines(block.items, { join: true })}</h${level}>`
+  }
+
+  paragraph (block /*: LineItemBlock */) /*: string */ {
+    return `<p>${this.renderLines(block.items, { join: true })}</p>`
+  }
+
+  list (block /*: LineItemBlock */) /*: string */ {
+    return this.renderLists(readLists(block.items))
+  }
+
+  toc (block /*: LineItemBlock */) /*: string */ {
+    return `<nav>\n${this.renderLists(readLists(block.items))}\n</nav>`
+  }
+
+  renderLists (nodes /*: Object[] */) /*: string */ {
+    return nodes.map(node => {
+      if (!node.items) {
+        return `<p>${this.renderLines(node.lines, { join: true })}</p>`
+      }
+      const tag = node.ordered ? 'ol' : 'ul'
+      const start = node.ordered && node.start !== 1 ? ` start="${node.start}"` : ''
+      const items = node.items.map(item => {
+        const nested = item.lists.length > 0 ? '\n' + this.renderLists(item.lists) + '\n' : ''
+        return `<li>${this.renderLines(item.lines, { join: true })}${nested}</li>`
+      })
+      return [`<${tag}${start}>`, ...items, `</${tag}>`].join('\n')
+    }).join('\n')
+  }
+
+  footnotes (block /*: LineItemBlock */) /*: string */ {
+    const footnotes = linesToFootnotes(block.items).map(({ label, content }) => {
+      const text = this.renderLines(content, { join: true })
+      return label ? `<p id="fn-${escapeHtml(label)}"><sup>${escapeHtml(label)}</sup> ${text}</p>` : `<p>${text}</p>`
+    })
+    return ['<section class="footnotes">', ...footnotes, '</section>'].join('\n')
+  }
+
+  code (block /*: LineItemBlock */) /*: string */ {
+    const code = this.codeText(block.items)
+    const language = guessLanguage(code)
+    return `<pre><code${language ? ` class="language-${language}"` : ''}>${escapeHtml(code.replace(/\n$/, ''))}</code></pre>`
+  }
+
+  math (block /*: LineItemBlock */) /*: string */ {
+    return `<div class="math">\\[${escapeHtml(linesToLatex(block.items))}\\]</div>`
+  }
+
+  // All header rows are put into the <thead>
+  table (table /*: Table */) /*: string */ {
+    const cell = (tag, words, alignment) => {
+      const style = alignment === 'center' || alignment === 'right' ? ` style="text-align: ${alignment}"` : ''
+      return `<${tag}${style}>${this.renderLines([{ words }], { join: true })}</${tag}>`
+    }
+    const row = (tag, cells) => '<tr>' + cells.map((words, i) => cell(tag, words, table.alignments[i])).join('') + '</tr>'
+    const header = table.rows.slice(0, table.headerRows)
+    const body = table.rows.slice(table.headerRows)
+    return [
+      '<table>',
+      ...(header.length > 0 ? ['<thead>', ...header.map(cells => row('th', cells)), '</thead>'] : []),
+      '<tbody>',
+      ...body.map(cells => row('td', cells)),
+      '</tbody>',
+      '</table>',
+    ].join('\n')
+  }
+
+  renderImage (url /*: ?string */, alt /*: string */, caption /*: ?Object */) /*: string */ {
+    if (url === null) {
+      return caption ? `<p>${escapeHtml(caption.text)}</p>` : ''
+    }
+    const img = `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}">`
+    return caption ? this.renderFigure(img, caption) : `<p>${img}</p>`
+  }
+
+  renderFigure (content /*: string */, caption /*: Object */) /*: string */ {
+    const figcaption = `<figcaption>${escapeHtml(caption.text)}</figcaption>`
+    return ['<figure>', ...(caption.position === 'above' ? [figcaption, content] : [content, figcaption]), '</figure>'].join('\n')
+  }
+
+  text (string /*: string */) /*: string */ {
+    return escapeHtml(string)
+  }
+
+  formatWords (format /*: WordFormat */, content /*: string */) /*: string */ {
+    if (format.name === 'MATH') {
+      return `<span class="math">\\(${content}\\)</span>`
+    }
+    const tags = FORMAT_TAGS[format.name]
+    return tags.map(tag => `<${tag}>`).join('') + content + [...tags].reverse().map(tag => `</${tag}>`).join('')
+  }
+
+  link (url /*: string */, content /*: string */) /*: string */ {
+    return `<a href="${escapeHtml(url)}">${content}</a>`
+  }
+
+  wordType (type /*: WordType */, string /*: string */) /*: string */ {
+    if (type.name === 'LINK') {
+      return `<a href="${escapeHtml(string)}">${escapeHtml(string)}</a>`
+    }
+    if (type.name === 'FOOTNOTE_LINK') {
+      return `<sup><a href="#fn-${escapeHtml(string)}">${escapeHtml(string)}</a></sup>`
+    }
+    return `<sup>${escapeHtml(string)}</sup>`
+  }
+
+  // The document information as <header> of the fragment, the creation date (or the modification date) as <time>
+  renderFrontMatter (metadata /*: Object */) /*: string */ {
+    const date = metadata.creationDate || metadata.modificationDate
+    const fields = [
+      ['title', metadata.title],
+      ['author', metadata.author],
+      ['subject', metadata.subject],
+      ['keywords', metadata.keywords.length > 0 ? metadata.keywords.join(', ') : null],
+    ]
+    const lines = fields.filter(([, value]) => value).map(([name, value]) => `<p class="${name}">${escapeHtml(value)}</p>`)
+    if (date) {
+      lines.push(`<p class="date"><time datetime="${escapeHtml(date)}">${escapeHtml(date.slice(0, 10))}</time></p>`)
+    }
+    return lines.length > 0 ? `<header>\n${lines.join('\n')}\n</header>\n\n` : ''
+  }
+}
@@ -0,0 +1,161 @@
+// @flow
+
+/*::
+import LineItemBlock from '../LineItemBlock'
+import Table from '../Table'
+import WordFormat from '../markdown/WordFormat'
+import WordType from '../markdown/WordType'
+*/
+
+const Renderer = require('./Renderer')
+const { linesToFootnotes, startsListItem } = require('../../util/word-functions')
+const { linesToLatex } = require('../../util/math')
+const { guessLanguage, codeFence } = require('../../util/code')
+const { imageMarkdown } = require('../../util/image-handler')
+const { escapeHtml } = require('../../util/string-functions')
+
+// The blocks keeping the line breaks of their text, and the ones keeping '- ' (otherwise removed to join the words
+// hyphenated at the end of a line again)
+const KEEP_LINE_BREAKS = ['TOC', 'TABLE', 'FOOTNOTES', 'MATH', 'CODE']
+const KEEP_HYPHENS = ['LIST', 'TABLE', 'MATH', 'CODE']
+
+const ALIGNMENT_SEPARATORS = {
+  left: '---',
+  center: ':---:',
+  right: '---:',
+}
+
+// Escapes the characters ending a link destination
+function toLinkDestination (url) {
+  return url.replace(/[\s()<>]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'))
+}
+
+// Joins the lines of the text of a block of the given type to one, unless they are meaningful
+function joinLines (typeName, text) {
+  var joined = KEEP_LINE_BREAKS.includes(typeName) ? text : text.replace(/(\r\n|\n|\r)/gm, ' ')
+  if (!KEEP_HYPHENS.includes(typeName)) {
+    joined = joined.split('- ').join('')
+  }
+  return joined
+}
+
+// Splits the lines of a list into its items, each starting with a list marker
+function listItemLines (lineItems) {
+  const items = []
+  lineItems.forEach(line => {
+    if (items.length === 0 || startsListItem(line)) {
+      items.push([line])
+    } else {
+      items[items.length - 1].push(line)
+    }
+  })
+  return items
+}
+
+// Renders GitHub flavored Markdown, the default format
+module.exports = class MarkdownRenderer extends Renderer {
+  // htmlFigures renders the images and tables with a caption as HTML <figure> with <figcaption>. Otherwise the
+  // caption stays a paragraph and becomes the alt text and title of the image.
+  constructor ({ htmlFigures = false } /*: Object */ = {}) {
+    super('markdown', 'md', { figures: htmlFigures })
+  }
+
+  renderBlock (block /*: LineItemBlock */) /*: string */ {
+    const typeName = block.type ? block.type.name : null
+    if (typeName === 'LIST') {
+      // Each list item is a paragraph of its own
+      return listItemLines(block.items).map(items => joinLines(typeName, this.blockText({ type: block.type, items }))).join('\n\n')
+    }
+    return joinLines(typeName, this.blockText(block))
+  }
+
+  // The Markdown of a block with the line breaks of the PDF, see BlockType.blockToText()
+  blockText (block /*: LineItemBlock */) /*: string */ {
+    return super.renderBlock(block)
+  }
+
+  heading (block /*: LineItemBlock */, level /*: number */) /*: string */ {
+    // Allow inline formats (bold/italic) in headers
+    // Markdown allows: ### **Bold Title** and ### *Italic Title*
+    return '#'.repeat(level) + ' ' + this.renderLines(block.items)
+  }
+
+  paragraph (block /*: LineItemBlock */) /*: string */ {
+    return this.renderLines(block.items)
+  }
+
+  list (block /*: LineItemBlock */) /*: string */ {
+    return this.renderLines(block.items)
+  }
+
+  toc (block /*: LineItemBlock */) /*: string */ {
+    return this.renderLines(block.items, { plain: true })
+  }
+
+  footnotes (block /*: LineItemBlock */) /*: string */ {
+    // One footnote definition per line
+    return linesToFootnotes(block.items)
+      .map(footnote => this.renderLines(footnote.lines).replace(/\n/g, ' ').trim())
+      .join('\n')
+  }
+
+  code (block /*: LineItemBlock */) /*: string */ {
+    const code = this.codeText(block.items)
+    const fence = codeFence(code)
+    return fence + (guessLanguage(code) || '') + '\n' + code + fence
+  }
+
+  math (block /*: LineItemBlock */) /*: string */ {
+    return '$$\n' + linesToLatex(block.items) + '\n$$'
+  }
+
+  // Only the first header row can be a real header
+  table (table /*: Table */) /*: string */ {
+    const cellToText = words => this.renderLines([{ words }]).trim().replace(/\|/g, '\\|')
+    const rowToText = cells => '| ' + cells.map(cellToText).join(' | ') + ' |'
+    const header = table.headerRows > 0 ? table.rows[0] : table.alignments.map(() => [])
+    const body = table.headerRows > 0 ? table.rows.slice(1) : table.rows
+    return [
+      rowToText(header),
+      '| ' + table.alignments.map(alignment => ALIGNMENT_SEPARATORS[alignment] || '---').join(' | ') + ' |',
+      ...body.map(rowToText),
+    ].join('\n')
+  }
+
+  // Without url only a caption that isn't rendered on its own remains
+  renderImage (url /*: ?string */, alt /*: string */, caption /*: ?Object */) /*: string */ {
+    if (!caption || !this.figures) {
+      return url === null ? '' : imageMarkdown(url, alt, caption ? caption.text : null)
+    }
+    if (url === null) {
+      return escapeHtml(caption.text)
+    }
+    const img = `<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}">`
+    const figcaption = `<figcaption>${escapeHtml(caption.text)}</figcaption>`
+    return ['<figure>', ...(caption.position === 'above' ? [figcaption, img] : [img, figcaption]), '</figure>'].join('\n')
+  }
+
+  renderFigure (content /*: string */, caption /*: Object */) /*: string */ {
+    // The blank lines end the HTML blocks, so the table in between is still read as Markdown
+    const figcaption = `<figcaption>${escapeHtml(caption.text)}</figcaption>`
+    return caption.position === 'above'
+      ? `<figure>\n${figcaption}\n\n${content}\n\n</figure>`
+      : `<figure>\n\n${content}\n\n${figcaption}\n</figure>`
+  }
+
+  text (string /*: string */) /*: string */ {
+    return string
+  }
+
+  formatWords (format /*: WordFormat */, content /*: string */) /*: string */ {
+    return format.startSymbol + content + format.endSymbol
+  }
+
+  link (url /*: string */, content /*: string */) /*: string */ {
+    return `[${content}](${toLinkDestination(url)})`
+  }
+
+  wordType (type /*: WordType */, string /*: string */) /*: string */ {
+    return type.toText(string)
+  }
+}
@@ -0,0 +1,241 @@
+// @flow
+
+/*::
+import LineItemBlock from '../LineItemBlock'
+import LineItem from '../LineItem'
+import Table from '../Table'
+import WordFormat from '../markdown/WordFormat'
+import WordType from '../markdown/WordType'
+*/
+
+const { isAttached, isPunctationCharacter, linkUrl } = require('../../util/word-functions')
+const { toFrontMatter } = require('../../util/metadata')
+
+function firstFormat (lineItem) {
+  if (lineItem.words.length === 0) {
+    return null
+  }
+  return lineItem.words[0].format
+}
+
+function firstLinkUrl (lineItem) {
+  return lineItem.words.length > 0 ? linkUrl(lineItem.words[0]) : null
+}
+
+// Renders the typed blocks and words of the pipeline in an output format (see util/renderers). ToTextBlocks
+// renders each block with renderBlock(), ToMarkdown the images and figures, pdf2md() the front matter.
+//
+// This class walks the blocks, lines and words, the renderers of the formats implement the methods writing their
+// syntax: a method per block type receiving the LineItemBlock, and the inline methods text(), formatWords(), link()
+// and wordType() receiving the words. renderLines() renders the words of lines with the inline methods.
+class Renderer {
+  constructor (format /*: string */, extension /*: string */, { figures = false } /*: Object */ = {}) {
+    if (this.constructor === Renderer) {
+      throw new TypeError('Can not construct abstract class.')
+    }
+    // The name of the format and the extension of its files, e.g. 'markdown' and 'md'
+    this.format = format
+    this.extension = extension
+    // Whether images and tables with a caption are rendered as figures holding the caption (see renderImage() and
+    // renderFigure()), otherwise the caption block is rendered on its own, see DetectCaptions
+    this.figures = figures
+  }
+
+  renderBlock (block /*: LineItemBlock */) /*: string */ {
+    const type = block.type
+    if (type && type.headline) {
+      return this.heading(block, type.headlineLevel)
+    }
+    switch (type ? type.name : null) {
+      case 'TOC':
+        return this.toc(block)
+      case 'FOOTNOTES':
+        return this.footnotes(block)
+      case 'CODE':
+        return this.code(block)
+      case 'MATH':
+        return this.math(block)
+      case 'LIST':
+        return this.list(block)
+      case 'TABLE':
+        // Each item holds one table detected by DetectTables
+        return block.items.map(item => item.table ? this.table(item.table) : this.paragraph({ items: [item] }).trim()).join('\n\n')
+      default:
+        // Paragraphs, captions and blocks without type
+        return this.paragraph(block)
+    }
+  }
+
+  // Renders the words of the lines with the inline methods, the formats nested within the links. Each line ends
+  // with a newline, unless they are `join`ed to one line (with the words hyphenated at the end of a line joined
+  // again). `plain` renders the words as they are, without formats and links (for code).
+  renderLines (lineItems /*: LineItem[] */, { plain = false, join = false } /*: Object */ = {}) /*: string */ {
+    var text = ''
+    var openFormat = null
+    var formatted = '' // the text of the words in the open format
+    var openLinkUrl = null
+    var linked = '' // the text of the words of the open link
+
+    const write = string => {
+      if (openFormat) {
+        formatted += string
+      } else if (openLinkUrl) {
+        linked += string
+      } else {
+        text += string
+      }
+    }
+    const closeFormat = () => {
+      const format = openFormat
+      openFormat = null
+      write(this.formatWords(format, formatted))
+      formatted = ''
+    }
+    // Formats are nested within links, so a link closes the open format first
+    const closeLink = () => {
+      if (openFormat) {
+        closeFormat()
+      }
+      const url = openLinkUrl
+      openLinkUrl = null
+      write(this.link(url, linked))
+      linked = ''
+    }
+
+    lineItems.forEach((line, lineIndex) => {
+      const isLastLine = lineIndex === lineItems.length - 1
+      var hyphenated = false
+      line.words.forEach((word, i) => {
+        const wordType = word.type
+        const wordFormat = plain ? null : word.format
+        const wordLinkUrl = plain ? null : linkUrl(word)
+        if (openFormat && (!wordFormat || wordFormat !== openFormat)) {
+          closeFormat()
+        }
+        if (openLinkUrl && wordLinkUrl !== openLinkUrl) {
+          closeLink()
+        }
+
+        if (i > 0 && !isAttached(word, line.words[i - 1]) && !isPunctationCharacter(word.string)) {
+          write(' ')
+        }
+
+        if (wordLinkUrl && !openLinkUrl) {
+          if (openFormat) {
+            closeFormat()
+          }
+          openLinkUrl = wordLinkUrl
+        }
+        if (wordFormat && !openFormat) {
+          openFormat = wordFormat
+        }
+
+        var string = word.string
+        if (join && !isLastLine && i === line.words.length - 1 && string.length > 1 && string.endsWith('-')) {
+          string = string.substring(0, string.length - 1)
+          hyphenated = true
+        }
+        if (wordLinkUrl) {
+          write(this.text(string))
+        } else if (wordType && (!plain || wordType.plainTextFormat)) {
+          write(this.wordType(wordType, string))
+        } else {
+          write(plain ? string : this.text(string))
+        }
+      })
+      if (openLinkUrl && (isLastLine || firstLinkUrl(lineItems[lineIndex + 1]) !== openLinkUrl)) {
+        closeLink()
+      }
+      if (openFormat && (isLastLine || firstFormat(lineItems[lineIndex + 1]) !== openFormat)) {
+        closeFormat()
+      }
+      if (!join) {
+        write('\n')
+      } else if (!isLastLine && !hyphenated) {
+        write(' ')
+      }
+    })
+    return text
+  }
+
+  // The text of a code block, each line with its indentation (see DetectCodeQuoteBlocks) and ending with a newline
+  codeText (lineItems /*: LineItem[] */) /*: string */ {
+    return lineItems.map(line => ' '.repeat(line.indent || 0) + this.renderLines([line], { plain: true })).join('')
+  }
+
+  // The front matter of the frontMatter option, YAML by default (see util/metadata)
+  renderFrontMatter (metadata /*: Object */) /*: string */ {
+    return toFrontMatter(metadata)
+  }
+
+  // The methods of the formats
+
+  // A headline of the level 1 to 6
+  heading (block /*: LineItemBlock */, level /*: number */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'heading()'.")
+  }
+
+  paragraph (block /*: LineItemBlock */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'paragraph()'.")
+  }
+
+  // A list, or a run of list items (see ToTextBlocks). util/word-functions reads the nested lists of the lines.
+  list (block /*: LineItemBlock */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'list()'.")
+  }
+
+  // A table of contents, its entries being list lines (see DetectTOC)
+  toc (block /*: LineItemBlock */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'toc()'.")
+  }
+
+  footnotes (block /*: LineItemBlock */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'footnotes()'.")
+  }
+
+  code (block /*: LineItemBlock */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'code()'.")
+  }
+
+  // A display equation, see DetectMath and util/math
+  math (block /*: LineItemBlock */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'math()'.")
+  }
+
+  table (table /*: Table */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'table()'.")
+  }
+
+  // An image, url being null if the image handler left it out. caption is the { text, position } of its caption
+  // or null, see DetectCaptions.
+  renderImage (url /*: ?string */, alt /*: string */, caption /*: ?Object */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'renderImage()'.")
+  }
+
+  // A rendered table with its caption, when rendering figures
+  renderFigure (content /*: string */, caption /*: Object */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'renderFigure()'.")
+  }
+
+  // Text outside of links, formats and typed words
+  text (string /*: string */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'text()'.")
+  }
+
+  // The rendered words in the format, e.g. bold
+  formatWords (format /*: WordFormat */, content /*: string */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'formatWords()'.")
+  }
+
+  // The rendered words covered by a link annotation. Links within the document point to the `anchor` of a headline.
+  link (url /*: string */, content /*: string */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'link()'.")
+  }
+
+  // A typed word: a URL (LINK), a footnote reference (FOOTNOTE_LINK) or the label of a footnote (FOOTNOTE)
+  wordType (type /*: WordType */, string /*: string */) /*: string */ { // eslint-disable-line no-unused-vars
+    throw new TypeError("Please implement abstract method 'wordType()'.")
+  }
+}
+
+module.exports = Renderer
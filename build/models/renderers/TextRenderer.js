@@ -0,0 +1,107 @@
+// @flow
+
+/*::
+import LineItemBlock from '../LineItemBlock'
+import Table from '../Table'
+import WordFormat from '../markdown/WordFormat'
+import WordType from '../markdown/WordType'
+*/
+
+const Renderer = require('./Renderer')
+const { linesToFootnotes, readLists } = require('../../util/word-functions')
+const { linesToLatex } = require('../../util/math')
+
+// Renders plain text without any markup, e.g. for search indexing: a paragraph per line, the cells of a table
+// separated by tabs. Images are left out, footnote references too.
+module.exports = class TextRenderer extends Renderer {
+  constructor () {
+    super('text', 'txt')
+  }
+
+  heading (block /*: LineItemBlock */) /*: string */ {
+    return this.renderLines(block.items, { join: true })
+  }
+
+  paragraph (block /*: LineItemBlock */) /*: string */ {
+    return this.renderLines(block.items, { join: true })
+  }
+
+  list (block /*: LineItemBlock */) /*: string */ {
+    return this.renderLists(readLists(block.items), 0)
+  }
+
+  toc (block /*: LineItemBlock */) /*: string */ {
+    return this.renderLists(readLists(block.items), 0)
+  }
+
+  // An item per line, indented by its level
+  renderLists (nodes /*: Object[] */, level /*: number */) /*: string */ {
+    const indentation = '  '.repeat(level)
+    return nodes.map(node => {
+      if (!node.items) {
+        return indentation + this.renderLines(node.lines, { join: true })
+      }
+      return node.items.map((item, i) => {
+        const marker = node.ordered ? `${node.start + i}.` : '-'
+        const nested = item.lists.length > 0 ? '\n' + this.renderLists(item.lists, level + 1) : ''
+        return `${indentation}${marker} ${this.renderLines(item.lines, { join: true })}${nested}`
+      }).join('\n')
+    }).join('\n')
+  }
+
+  footnotes (block /*: LineItemBlock */) /*: string */ {
+    return linesToFootnotes(block.items)
+      .map(({ label, content }) => (label ? label + ' ' : '') + this.renderLines(content, { join: true }))
+      .join('\n')
+  }
+
+  code (block /*: LineItemBlock */) /*: string */ {
+    return this.codeText(block.items).replace(/\n$/, '')
+  }
+
+  math (block /*: LineItemBlock */) /*: string */ {
+    return linesToLatex(block.items)
+  }
+
+  table (table /*: Table */) /*: string */ {
+    return table.rows.map(cells => cells.map(words => this.renderLines([{ words }], { join: true })).join('\t')).join('\n')
+  }
+
+  renderImage () /*: string */ {
+    return ''
+  }
+
+  renderFigure (content /*: string */, caption /*: Object */) /*: string */ {
+    return caption.position === 'above' ? `${caption.text}\n\n${content}` : `${content}\n\n${caption.text}`
+  }
+
+  text (string /*: string */) /*: string */ {
+    return string
+  }
+
+  formatWords (format /*: WordFormat */, content /*: string */) /*: string */ {
+    return content
+  }
+
+  link (url /*: string */, content /*: string */) /*: string */ {
+    return content
+  }
+
+  wordType (type /*: WordType */, string /*: string */) /*: string */ {
+    return type.name === 'FOOTNOTE_LINK' ? '' : string
+  }
+
+  // The document information as plain lines: the title, then the other values with their names
+  renderFrontMatter (metadata /*: Object */) /*: string */ {
+    const date = metadata.creationDate || metadata.modificationDate
+    const fields = [
+      ['Author', metadata.author],
+      ['Subject', metadata.subject],
+      ['Keywords', metadata.keywords.length > 0 ? metadata.keywords.join(', ') : null],
+      ['Date', date ? date.slice(0, 10) : null],
+    ]
+    const lines = fields.filter(([, value]) => value).map(([name, value]) => `${name}: ${value}`)
+    const header = [...(metadata.title ? [metadata.title] : []), ...lines]
+    return header.length > 0 ? header.join('\n') + '\n\n' : ''
+  }
+}
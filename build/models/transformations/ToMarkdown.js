@@ -5,21 +5,32 @@ const ParseResult = require('../ParseResult')
 const ImageItem = require('../ImageItem')
 const fs = require('fs')
 const path = require('path')
+const crypto = require('crypto')
+const MarkdownRenderer = require('../renderers/MarkdownRenderer')
 
+// Assembles the text blocks and images of each page to its text in the output format, Markdown unless the
+// renderer option says otherwise (see util/renderers), and the mdast tree of the document
 module.exports = class ToMarkdown extends Transformation {
   constructor (imageOptions = {}) {
     super('To Markdown', 'String')
     this.imageMode = imageOptions.imageMode || 'none'
     this.imageSavePath = imageOptions.imageSavePath || null
     this.pdfTitle = imageOptions.pdfTitle || 'pdf'
+    this.imageHandler = imageOptions.imageHandler || null
+    this.renderer = imageOptions.renderer || new MarkdownRenderer({ htmlFigures: imageOptions.htmlFigures === true })
     this.imageCounter = 0
+    // The references of the images converted so far by content hash, so an image shown
+    // on many pages (like a logo) is written once and referenced from each of them
+    this.imageReferences = new Map()
     this.images = new Map()
   }
 
   transform (parseResult /*: ParseResult */) /*: ParseResult */ {
-    // Reset image counter for each document
-    this.imageCounter = 0
+    // The images written by this transform, i.e. of the current page when streaming
     this.images = new Map()
+    this.pendingImages = []
+    this.logger = parseResult.logger
+    const mdast = { type: 'root', children: [] }
     
     // Ensure image save directory exists if needed
     if (this.imageMode === 'save' && this.imageSavePath) {
@@ -31,6 +42,8 @@ module.exports = class ToMarkdown extends Transformation {
     parseResult.pages.forEach(page => {
       var text = ''
       const pageItems = []
+      // The captions rendered within a <figure> instead of on their own
+      const figureCaptions = new Set()
       let imageCount = 0
       let detectedImages = 0
       
@@ -45,23 +58,12 @@ module.exports = class ToMarkdown extends Transformation {
       })
       if (itemsWithImages.length > 0) {
         detectedImages = itemsWithImages.length
-        console.log(`ToMarkdown: Page ${page.index + 1} has ${detectedImages} ImageItems before processing`)
-        // Debug: log first image item structure
-        if (itemsWithImages.length > 0) {
-          const firstImg = itemsWithImages[0]
-          console.log(`  First ImageItem: constructor=${firstImg.constructor?.name}, has imageData=${!!firstImg.imageData}, has imageName=${!!firstImg.imageName}`)
-        }
+        const firstImg = itemsWithImages[0]
+        this.logger.debug(`ToMarkdown: Page ${page.index + 1} has ${detectedImages} ImageItems before processing, the first one: constructor=${firstImg.constructor?.name}, has imageData=${!!firstImg.imageData}, has imageName=${!!firstImg.imageName}`)
       }
       
-      // IMPORTANT: Don't re-sort items here!
-      // The items are already in the correct order from the PDF parsing and transformations.
-      // Re-sorting based on position information can cause images to appear in wrong places
-      // because:
-      // 1. Text items and image items may use different coordinate systems
-      // 2. Position information may be lost or inaccurate after transformations
-      // 3. The original order from GatherBlocks already maintains correct relative positions
-      // 
-      // Instead, we'll use the items in their original order, which should already be correct
+      // Don't re-sort items here, GatherBlocks already placed the images between
+      // the blocks by their position (see insertImagesByPosition())
       const sortedItems = page.items
       
       // Separate blocks and images (now in sorted order)
@@ -87,16 +89,38 @@ module.exports = class ToMarkdown extends Transformation {
           imageCount++
           // Handle image item
           try {
-            const imageMarkdown = this.processImage(item, page.index)
-            if (imageMarkdown) {
-              pageItems.push({ type: 'image', content: imageMarkdown })
+            const image = this.processImage(item, page.index)
+            if (image) {
+              const caption = item.caption || null
+              const alt = typeof image.alt === 'string' ? image.alt : (caption ? caption.text : image.name)
+              const node = { type: 'image', url: image.url, title: caption ? caption.text : null, alt }
+              let content
+              if (image.pending) {
+                // Filled in once the image handler resolved the URL, see util/image-handler
+                const use = {
+                  token: `<!--pdf2md-image-${image.index}.${image.uses.length + 1}-->`,
+                  node,
+                  render: (url, resolvedAlt) => this.imageContent(url, resolvedAlt, image.name, caption),
+                }
+                image.uses.push(use)
+                content = use.token
+              } else {
+                content = this.imageContent(image.url, image.alt, image.name, caption)
+              }
+              if (caption && this.renderer.figures) {
+                figureCaptions.add(caption)
+              }
+              pageItems.push({ type: 'image', content, node })
             }
           } catch (err) {
             // Log error but continue
-            // console.warn(`Failed to process image on page ${page.index + 1}:`, err.message)
+            this.logger.warn(`ToMarkdown: Failed to process image on page ${page.index + 1}: ${err.message}`)
           }
         } else {
           // Handle text block
+          if (item.category === 'TABLE' && item.caption && this.renderer.figures) {
+            figureCaptions.add(item.caption)
+          }
           pageItems.push({ type: 'block', content: item })
         }
       })
@@ -104,42 +128,48 @@ module.exports = class ToMarkdown extends Transformation {
       // Process items in order
       pageItems.forEach(item => {
         if (item.type === 'image') {
-          text += item.content + '\n\n'
+          // Formats without images render them as nothing
+          if (item.content !== '') {
+            text += item.content + '\n\n'
+          }
+          mdast.children.push({ type: 'paragraph', children: [item.node], data: { page: page.index + 1 } })
         } else {
           const block = item.content
-          // Concatenate all words in the same block, unless it's a Table of Contents block
-          let concatText
-          if (block.category === 'TOC') {
-            concatText = block.text
-          } else {
-            concatText = block.text.replace(/(\r\n|\n|\r)/gm, ' ')
-          }
-
-          // Concatenate words that were previously broken up by newline
-          if (block.category !== 'LIST') {
-            concatText = concatText.split('- ').join('')
+          const nodes = block.nodes || [{ type: 'paragraph', children: [{ type: 'text', value: block.text }] }]
+          nodes.forEach(node => {
+            // Each list item is a block of its own, join them to one list again
+            const previous = mdast.children[mdast.children.length - 1]
+            if (node.type === 'list' && previous && previous.type === 'list' && previous.ordered === node.ordered &&
+              previous.data.page === page.index + 1) {
+              previous.children.push(...node.children)
+            } else {
+              mdast.children.push({ ...node, data: { ...node.data, page: page.index + 1 } })
+            }
+          })
+          if (block.category === 'CAPTION' && figureCaptions.has(block.caption)) {
+            // Part of the figure of its image or table
+            return
           }
-
-          // Assume there are no code blocks in our documents
-          if (block.category === 'CODE') {
-            concatText = concatText.split('`').join('')
+          if (block.category === 'TABLE' && figureCaptions.has(block.caption)) {
+            text += this.renderer.renderFigure(block.text, block.caption) + '\n\n'
+          } else {
+            text += block.text + '\n\n'
           }
-
-          text += concatText + '\n\n'
         }
       })
 
       page.items = [text]
       
-      // Debug output (can be removed later)
       if (detectedImages > 0 && imageCount === 0) {
-        // console.warn(`Page ${page.index + 1}: Detected ${detectedImages} ImageItems but processed ${imageCount}`)
+        this.logger.warn(`ToMarkdown: Page ${page.index + 1} - Detected ${detectedImages} ImageItems but processed ${imageCount}`)
       }
     })
     
     return new ParseResult({
       ...parseResult,
-      images: this.images
+      images: this.images,
+      mdast,
+      pendingImages: this.pendingImages,
     })
   }
   
@@ -173,8 +203,16 @@ module.exports = class ToMarkdown extends Transformation {
     return isPNG || isJPEG
   }
 
+  // The image rendered in the output format, see Renderer.renderImage(). The alt text defaults (alt being null)
+  // to the caption or the name of the image. Without url the image handler left the image out.
+  imageContent (url, alt, name, caption) {
+    const altText = typeof alt === 'string' ? alt : (caption ? caption.text : name)
+    return this.renderer.renderImage(url, altText, caption)
+  }
+
+  // Returns the { name, url, alt? } to reference the image with, or null to skip it
   processImage (imageItem, pageIndex) {
-    if (this.imageMode === 'none') {
+    if (this.imageMode === 'none' && !this.imageHandler) {
       return null // Skip images
     }
     
@@ -183,6 +221,22 @@ module.exports = class ToMarkdown extends Transformation {
       return null
     }
     
+    const hash = imageItem.hash || crypto.createHash('sha1').update(imageItem.imageData).digest('hex')
+    if (this.imageReferences.has(hash)) {
+      const reference = this.imageReferences.get(hash)
+      // The image handler might have left the image out
+      return reference.pending || reference.url ? reference : null
+    }
+    const reference = this.writeImage(imageItem, pageIndex, hash)
+    if (reference) {
+      this.imageReferences.set(hash, reference)
+    }
+    return reference
+  }
+
+  // Writes the image as demanded by the image mode, returns the { name, url } to reference it with or null.
+  // With an image handler, the url is only known later and the reference is `pending` until then.
+  writeImage (imageItem, pageIndex, hash) {
     this.imageCounter++
     const imageFormat = imageItem.imageFormat || 'png'
     const imageName = `${this.pdfTitle}_image${this.imageCounter}_p${pageIndex + 1}.${imageFormat}`
@@ -219,28 +273,44 @@ module.exports = class ToMarkdown extends Transformation {
         return null
       }
       
-      if (this.imageMode === 'base64') {
+      if (this.imageHandler) {
+        const reference = { name: finalImageName, url: null, pending: true, index: this.imageCounter, uses: [] }
+        this.pendingImages.push({
+          reference,
+          imageData,
+          info: {
+            page: pageIndex + 1,
+            index: this.imageCounter,
+            name: finalImageName,
+            format: detectedFormat,
+            width: imageItem.pixelWidth,
+            height: imageItem.pixelHeight,
+            bbox: { x: imageItem.x, y: imageItem.y - imageItem.height / 2, width: imageItem.width, height: imageItem.height },
+            hash,
+          },
+        })
+        return reference
+      } else if (this.imageMode === 'base64') {
         // Convert image to base64
         const base64 = imageData.toString('base64')
         const mimeType = detectedFormat === 'jpg' || detectedFormat === 'jpeg' ? 'image/jpeg' : 'image/png'
-        return `![${finalImageName}](data:${mimeType};base64,${base64})`
+        return { name: finalImageName, url: `data:${mimeType};base64,${base64}` }
       } else if (this.imageMode === 'relative') {
         // Store image in map and return relative reference
         // Make sure to create a copy of the buffer to avoid issues
         const imageBuffer = Buffer.from(imageData)
         this.images.set(finalImageName, imageBuffer)
-        return `![${finalImageName}](./${finalImageName})`
+        return { name: finalImageName, url: `./${finalImageName}` }
       } else if (this.imageMode === 'save' && this.imageSavePath) {
         // Save image to disk
         const imagePath = path.join(this.imageSavePath, finalImageName)
         fs.writeFileSync(imagePath, imageData)
         // Return reference to saved image (use relative path from imageSavePath)
         const relativePath = finalImageName
-        return `![${finalImageName}](${relativePath})`
+        return { name: finalImageName, url: relativePath }
       }
     } catch (err) {
-      // Log error for debugging
-      // console.warn(`Failed to process image: ${err.message}`)
+      this.logger.warn(`ToMarkdown: Failed to process image: ${err.message}`)
       return null
     }
     
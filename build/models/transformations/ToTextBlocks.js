@@ -1,19 +1,31 @@
 const Transformation = require('./Transformation')
 const ParseResult = require('../ParseResult')
 const ImageItem = require('../ImageItem')
-const { blockToText } = require('../markdown/BlockType')
+const BlockType = require('../markdown/BlockType')
+const { blockToMdast } = require('../markdown/BlockType')
+const MarkdownRenderer = require('../renderers/MarkdownRenderer')
+const { headingAnchor } = require('../../util/links')
+const { applyScriptMode } = require('../../util/math')
+const { applyUnderlineTag } = require('../../util/decorations')
 
 module.exports = class ToTextBlocks extends Transformation {
-  constructor () {
+  // scriptMode is the output format of super- and subscripts (see util/math), underlineTag the HTML
+  // element of underlined text (see util/decorations), renderer renders the text of the blocks in the output
+  // format (see util/renderers)
+  constructor ({ scriptMode = 'html', underlineTag = 'u', renderer = new MarkdownRenderer() } /*: Object */ = {}) {
     super('To Text Blocks', 'TextBlock')
+    this.scriptMode = scriptMode
+    this.underlineTag = underlineTag
+    this.renderer = renderer
   }
 
   transform (parseResult /*: ParseResult */) /*: ParseResult */ {
+    const { resolved, unresolved } = resolveInternalLinks(parseResult.pages)
     parseResult.pages.forEach(page => {
       const textItems = []
       let imageCount = 0
       
-      page.items.forEach(block => {
+      joinListItems(page.items).forEach(block => {
         // Keep ImageItems as-is - check multiple ways
         let isImage = false
         
@@ -37,13 +49,23 @@ module.exports = class ToTextBlocks extends Transformation {
           imageCount++
           textItems.push(block)
         } else {
+          // Equations render their scripts as LaTeX themselves
+          if (block.items && block.type !== BlockType.MATH) {
+            this.renderWords(block)
+          }
           // TODO category to type (before have no unknowns, have paragraph)
           const category = block.type ? block.type.name : 'Unknown'
           // Preserve position information from the block if available
           // This helps maintain correct order of images and text blocks
           const textBlock = {
             category: category,
-            text: blockToText(block),
+            text: this.renderer.renderBlock(block),
+            // the typed content for the mdast output, see ToMarkdown
+            nodes: block.listItems ? [].concat(...block.listItems.map(blockToMdast)) : blockToMdast(block),
+          }
+          if (block.caption) {
+            // The caption of a table, respectively the caption block itself, see DetectCaptions
+            textBlock.caption = block.caption
           }
           // Try to preserve Y position from the block
           if (block.items && block.items.length > 0) {
@@ -66,11 +88,132 @@ module.exports = class ToTextBlocks extends Transformation {
         item && typeof item === 'object' && (item.imageData || item.constructor?.name === 'ImageItem')
       ).length
       if (imageCount > 0 && finalImageCount !== imageCount) {
-        console.warn(`ToTextBlocks: Page ${page.index + 1} - Lost ImageItems! Had ${imageCount}, now have ${finalImageCount}`)
+        parseResult.logger.warn(`ToTextBlocks: Page ${page.index + 1} - Lost ImageItems! Had ${imageCount}, now have ${finalImageCount}`)
       }
     })
     return new ParseResult({
       ...parseResult,
+      messages: [
+        'Resolved ' + resolved + ' links within the document to headlines',
+        ...(unresolved > 0 ? ['Left ' + unresolved + ' links without headline at their destination as plain text'] : []),
+      ],
     })
   }
+
+  // Renders the super- and subscripts and the underlines of the lines and table cells of a block
+  // in the script mode respectively with the underline tag
+  renderWords (block /*: LineItemBlock */) {
+    const render = words => applyUnderlineTag(applyScriptMode(words, this.scriptMode), this.underlineTag)
+    block.items.forEach(line => {
+      line.words = render(line.words || [])
+      if (line.table) {
+        line.table.rows = line.table.rows.map(row => row.map(render))
+      }
+    })
+  }
+}
+
+// Joins the blocks of consecutive list items (each LIST block holds one item and its continuation lines) to one
+// block, so the renderers can nest the items. The mdast keeps the nodes of each item, see BlockType.
+function joinListItems (items) {
+  const joined = []
+  items.forEach(block => {
+    const previous = joined[joined.length - 1]
+    if (block.type !== BlockType.LIST || block.caption) {
+      joined.push(block)
+    } else if (previous && previous.listItems) {
+      previous.items.push(...block.items)
+      previous.listItems.push(block)
+    } else {
+      joined.push({ type: BlockType.LIST, items: [...block.items], listItems: [block] })
+    }
+  })
+  return joined
+}
+
+function wordsOfBlock (block) {
+  if (!block.items) {
+    return []
+  }
+  return [].concat(...block.items.map(line => {
+    if (line.table) {
+      return [].concat(...line.table.rows.map(row => [].concat(...row)))
+    }
+    return line.words || []
+  }))
+}
+
+// Finds the headline a link destination { pageIndex, y } points to. texts are the positions { pageIndex, y } of the
+// other blocks, pageIndexes the indexes of the converted pages: a destination on another page (not selected, or
+// not the page being streamed) has no headline.
+function findHeadline (headlines, texts, pageIndexes, destination) {
+  const { pageIndex, y } = destination
+  if (!pageIndexes.has(pageIndex)) {
+    return undefined
+  }
+  const onPage = headlines.filter(headline => headline.pageIndex === pageIndex)
+  const before = headlines.filter(headline => headline.pageIndex < pageIndex)
+  if (y === null) {
+    return onPage[0] || before[before.length - 1]
+  }
+  // Destinations usually point to the top of the headline, whose y is its baseline
+  const atDestination = onPage.find(headline => headline.y <= y + 1 && y - headline.y <= headline.height * 2)
+  if (atDestination) {
+    return atDestination
+  }
+  // Some producers set the destination further above the headline (pdf.js about 37pt for TeX documents): it still
+  // points to the next headline below, unless there is text in between
+  const below = onPage.filter(headline => headline.y <= y + 1).sort((a, b) => b.y - a.y)[0]
+  if (below && !texts.some(text => text.pageIndex === pageIndex && text.y < y + 1 && text.y > below.y)) {
+    return below
+  }
+  // Otherwise the destination lies within the section of the preceding headline
+  const above = onPage.filter(headline => headline.y > y)
+  return above[above.length - 1] || before[before.length - 1]
+}
+
+// Points the links to positions within the document to the anchor of the headline there.
+// Returns the numbers of resolved and unresolved links, the latter are rendered as plain text.
+function resolveInternalLinks (pages) {
+  const headlines = []
+  const texts = []
+  const usedAnchors = new Map()
+  pages.forEach(page => {
+    page.items.forEach(block => {
+      if (block.type && block.type.headline && block.items && block.items.length > 0) {
+        const text = block.items.map(line => line.words.map(word => word.string).join(' ')).join(' ')
+        const anchor = headingAnchor(text, usedAnchors)
+        // The id of the headline in the output formats having one, see models/renderers
+        block.anchor = anchor
+        headlines.push({
+          pageIndex: page.index,
+          y: block.items[0].y,
+          height: block.items[0].height || 0,
+          anchor,
+        })
+      } else if (block.items && block.items.length > 0 && typeof block.items[0].y === 'number') {
+        texts.push({ pageIndex: page.index, y: block.items[0].y })
+      }
+    })
+  })
+
+  const pageIndexes = new Set(pages.map(page => page.index))
+  var resolved = 0
+  var unresolved = 0
+  pages.forEach(page => {
+    page.items.forEach(block => {
+      wordsOfBlock(block).forEach(word => {
+        if (word.link && word.link.destination && !word.link.url) {
+          const headline = findHeadline(headlines, texts, pageIndexes, word.link.destination)
+          if (headline) {
+            word.link.url = '#' + headline.anchor
+            resolved++
+          } else {
+            unresolved++
+          }
+        }
+      })
+    })
+  })
+  return { resolved, unresolved }
 }
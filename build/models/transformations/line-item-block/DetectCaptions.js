@@ -0,0 +1,110 @@
+// @flow
+
+const ToLineItemBlockTransformation = require('../ToLineItemBlockTransformation')
+const ParseResult = require('../../ParseResult')
+const ImageItem = require('../../ImageItem')
+const { DETECTED_ANNOTATION } = require('../../Annotation')
+const BlockType = require('../../markdown/BlockType')
+
+// "Figure 3: System overview", "Fig. 2.1 - Setup", "Table 2 – Results", "Tabelle 4." or "Figure 5" alone
+const CAPTION_REGEX = /^(figure|fig\.|abbildung|abb\.|table|tab\.|tabelle)\s*(\d+(?:\.\d+)*[a-z]?)(?:\s*[:.–—-]\s*|\s*$)(.*)$/i
+// "图 3 系统概览", "表2：结果"
+const CJK_CAPTION_REGEX = /^(图|表)\s*(\d+(?:\.\d+)*)(?:\s*[:：.．、]\s*|\s+|$)(.*)$/
+const TABLE_LABELS = ['table', 'tab.', 'tabelle', '表']
+// Captions are short, longer blocks mentioning a figure are body text
+const MAX_CAPTION_LINES = 4
+
+// Parses the text of a block as caption, returns null if it isn't one
+function parseCaption (text /*: string */) /*: ?Object */ {
+  const match = text.match(CAPTION_REGEX) || text.match(CJK_CAPTION_REGEX)
+  if (!match) {
+    return null
+  }
+  const [, name, number, title] = match
+  return {
+    type: TABLE_LABELS.includes(name.toLowerCase()) ? 'table' : 'figure',
+    label: `${name} ${number}`,
+    number,
+    title: title.trim(),
+    text,
+  }
+}
+
+function textOf (block) {
+  return block.items.map(line => line.words.map(word => word.string).join(' ')).join(' ').trim()
+}
+
+// The vertical extent of an image (y being its center) respectively of a block (y being the baselines)
+function extentOf (item) {
+  if (item instanceof ImageItem) {
+    return { top: item.y + item.height / 2, bottom: item.y - item.height / 2 }
+  }
+  return {
+    top: Math.max(...item.items.map(line => line.y + (line.height || 0))),
+    bottom: Math.min(...item.items.map(line => line.y)),
+  }
+}
+
+function verticalGap (a, b) {
+  const extentA = extentOf(a)
+  const extentB = extentOf(b)
+  return Math.max(extentA.bottom - extentB.top, extentB.bottom - extentA.top, 0)
+}
+
+function isTableBlock (item) {
+  return !(item instanceof ImageItem) && item.type === BlockType.TABLE
+}
+
+// Detects captions like "Figure 3: System overview" directly above or below an image or table and links them
+// to it: the caption (see parseCaption()) is set as `caption` on the block, the image respectively table and
+// collected in the `figures` of the ParseResult
+module.exports = class DetectCaptions extends ToLineItemBlockTransformation {
+  constructor () {
+    super('Detect Captions')
+  }
+
+  transform (parseResult /*: ParseResult */) /*: ParseResult */ {
+    const { mostUsedHeight } = parseResult.globals
+    const maxGap = (mostUsedHeight || 10) * 3
+    var foundCaptions = 0
+    parseResult.pages.forEach(page => {
+      page.items.forEach((block, i) => {
+        if (block instanceof ImageItem || !block.items || block.items.length === 0 || block.items.length > MAX_CAPTION_LINES ||
+          (block.type && !block.type.headline && block.type !== BlockType.PARAGRAPH)) {
+          return
+        }
+        const caption = parseCaption(textOf(block))
+        if (!caption) {
+          return
+        }
+        const isTarget = item => item && !item.caption && (item instanceof ImageItem || isTableBlock(item)) &&
+          verticalGap(block, item) <= maxGap
+        // A table caption belongs to a table rather than an image (of the table) and vice versa
+        const matchesType = item => (caption.type === 'table') === isTableBlock(item)
+        const neighbours = [page.items[i - 1], page.items[i + 1]].filter(isTarget)
+          .sort((a, b) => (matchesType(b) - matchesType(a)) || (verticalGap(block, a) - verticalGap(block, b)))
+        if (neighbours.length === 0) {
+          return
+        }
+        const target = neighbours[0]
+        caption.page = page.index + 1
+        caption.position = page.items.indexOf(target) > i ? 'above' : 'below'
+        target.caption = caption
+        block.caption = caption
+        block.type = BlockType.CAPTION
+        block.annotation = DETECTED_ANNOTATION
+        parseResult.figures.push(caption)
+        foundCaptions++
+      })
+    })
+
+    return new ParseResult({
+      ...parseResult,
+      messages: [
+        'Detected ' + foundCaptions + ' captions',
+      ],
+    })
+  }
+}
+
+module.exports.parseCaption = parseCaption
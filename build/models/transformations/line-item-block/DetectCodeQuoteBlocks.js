@@ -2,57 +2,107 @@
 
 const ToLineItemBlockTransformation = require('../ToLineItemBlockTransformation')
 const ParseResult = require('../../ParseResult')
+const LineItem = require('../../LineItem')
 const ImageItem = require('../../ImageItem')
 const { DETECTED_ANNOTATION } = require('../../Annotation')
 const BlockType = require('../../markdown/BlockType')
-const { minXFromBlocks } = require('../../../util/page-item-functions')
+const WordFormat = require('../../markdown/WordFormat')
+const { resolveDetection } = require('../../../util/detection')
 
-// Detect items which are code/quote blocks
+// Consecutive code blocks farther apart than this many line distances are separate listings
+const MAX_CODE_GAP_LINES = 3
+
+// Detects code blocks: blocks set in monospace fonts (see CalculateGlobalStats), which are formatted as inline
+// code by LineConverter. Code blocks split by blank lines are joined again and the indentation of their lines is kept.
 module.exports = class DetectCodeQuoteBlocks extends ToLineItemBlockTransformation {
-  constructor () {
+  constructor (detection /*: Object */ = resolveDetection()) {
     super('$1')
+    this.detection = detection
   }
 
   transform (parseResult /*: ParseResult */) /*: ParseResult */ {
-    const { mostUsedHeight } = parseResult.globals
+    const { mostUsedDistance } = parseResult.globals
+    const { minBlockShare } = this.detection.code
     var foundCodeItems = 0
     parseResult.pages.forEach(page => {
-      // Filter out ImageItems - only process LineItemBlocks
-      const blocks = page.items.filter(item => 
-        !(item instanceof ImageItem || (item.constructor && item.constructor.name === 'ImageItem') ||
-          (item && typeof item === 'object' && item.imageData))
-      )
-      
-      var minX = minXFromBlocks(blocks)
-      blocks.forEach(block => {
-        if (!block.type && block.items && looksLikeCodeBlock(minX, block.items, mostUsedHeight)) {
+      page.items.forEach(block => {
+        if (!isImage(block) && !block.type && block.items && looksLikeCodeBlock(block.items, minBlockShare)) {
           block.annotation = DETECTED_ANNOTATION
           block.type = BlockType.CODE
           foundCodeItems++
         }
       })
+      page.items = joinCodeBlocks(page.items, mostUsedDistance)
+      page.items.forEach(block => {
+        if (block.type === BlockType.CODE) {
+          indentLines(block.items)
+        }
+      })
     })
 
     return new ParseResult({
       ...parseResult,
       messages: [
-        'Detected ' + foundCodeItems + ' code/quote items.',
+        'Detected ' + foundCodeItems + ' code items.',
       ],
     })
   }
 }
 
-function looksLikeCodeBlock (minX, items, mostUsedHeight) {
-  if (items.length === 0) {
-    return false
-  }
-  if (items.length === 1) {
-    return items[0].x > minX && items[0].height <= mostUsedHeight + 1
-  }
-  for (var item of items) {
-    if (item.x === minX) {
-      return false
+function isImage (item) {
+  return item instanceof ImageItem || (item.constructor && item.constructor.name === 'ImageItem') ||
+    (item && typeof item === 'object' && item.imageData)
+}
+
+// Whether most characters of the lines are set in a monospace font
+function looksLikeCodeBlock (items, minBlockShare) {
+  var codeLength = 0
+  var length = 0
+  items.forEach(item => {
+    item.words.forEach(word => {
+      length += word.string.length
+      if (word.format === WordFormat.INLINE_CODE) {
+        codeLength += word.string.length
+      }
+    })
+  })
+  return length > 0 && codeLength >= length * minBlockShare
+}
+
+// Joins code blocks following each other with a blank line in between
+function joinCodeBlocks (blocks, mostUsedDistance) {
+  const joined = []
+  blocks.forEach(block => {
+    const previous = joined[joined.length - 1]
+    if (previous && previous.type === BlockType.CODE && block.type === BlockType.CODE) {
+      const lastLine = previous.items[previous.items.length - 1]
+      const distance = lastLine.y - block.items[0].y
+      if (lastLine.region === block.items[0].region && distance > 0 && distance <= mostUsedDistance * MAX_CODE_GAP_LINES) {
+        previous.items.push(new LineItem({ x: lastLine.x, y: lastLine.y - mostUsedDistance, height: lastLine.height, words: [] }))
+        previous.items.push(...block.items)
+        return
+      }
     }
+    joined.push(block)
+  })
+  return joined
+}
+
+// Sets the indentation of the lines of a code block, in characters relative to its leftmost line
+function indentLines (lines) {
+  const textLines = lines.filter(line => line.words.length > 0)
+  if (textLines.length === 0) {
+    return
   }
-  return true
+  const minX = Math.min(...textLines.map(line => line.x))
+  var width = 0
+  var chars = 0
+  textLines.forEach(line => {
+    width += line.width || 0
+    chars += line.words.reduce((sum, word) => sum + word.string.length + 1, -1)
+  })
+  const charWidth = chars > 0 ? width / chars : 0
+  lines.forEach(line => {
+    line.indent = charWidth > 0 && line.words.length > 0 ? Math.round((line.x - minX) / charWidth) : 0
+  })
 }
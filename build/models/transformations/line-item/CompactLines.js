@@ -6,17 +6,19 @@ const LineItem = require('../../LineItem')
 const ImageItem = require('../../ImageItem')
 const TextItemLineGrouper = require('../../TextItemLineGrouper')
 const LineConverter = require('../../LineConverter')
-const BlockType = require('../../markdown/BlockType')
 const { REMOVED_ANNOTATION, ADDED_ANNOTATION } = require('../../Annotation')
+const { compareRegions, insertImagesByPosition } = require('../../../util/page-item-functions')
+const { resolveDetection } = require('../../../util/detection')
 
 // gathers text items on the same y line to one line item
 module.exports = class CompactLines extends ToLineItemTransformation {
-  constructor () {
+  constructor (detection /*: Object */ = resolveDetection()) {
     super('Compact To Lines')
+    this.detection = detection
   }
 
   transform (parseResult /*: ParseResult */) /*: ParseResult */ {
-    const { mostUsedDistance, fontToFormats } = parseResult.globals
+    const { mostUsedDistance, fontToFormats, mathFonts } = parseResult.globals
     const foundFootnotes = []
     const foundFootnoteLinks = []
     var linkCount = 0
@@ -25,7 +27,7 @@ module.exports = class CompactLines extends ToLineItemTransformation {
     const lineGrouper = new TextItemLineGrouper({
       mostUsedDistance: mostUsedDistance,
     })
-    const lineCompactor = new LineConverter(fontToFormats)
+    const lineCompactor = new LineConverter(fontToFormats, { mathFonts, math: this.detection.math })
 
     parseResult.pages.forEach(page => {
       if (page.items.length > 0) {
@@ -40,7 +42,7 @@ module.exports = class CompactLines extends ToLineItemTransformation {
         
         const textItemsGroupedByLine = lineGrouper.group(textItems)
         textItemsGroupedByLine.forEach(lineTextItems => {
-          const lineItem = lineCompactor.compact(lineTextItems)
+          const lineItem = lineCompactor.compact(lineTextItems, page.links, page.rulings)
           if (lineTextItems.length > 1) {
             lineItem.annotation = ADDED_ANNOTATION
             lineTextItems.forEach(item => {
@@ -66,17 +68,12 @@ module.exports = class CompactLines extends ToLineItemTransformation {
             foundFootnoteLinks.push.apply(foundFootnoteLinks, footnoteLinks)
           }
           if (lineItem.parsedElements.footnotes.length > 0) {
-            lineItem.type = BlockType.FOOTNOTES
             const footnotes = lineItem.parsedElements.footnotes.map(footnote => ({ footnote, page: page.index + 1 }))
             foundFootnotes.push.apply(foundFootnotes, footnotes)
           }
         })
         
-        // Re-insert image items in their original positions
-        // Sort all items (lineItems + imageItems) by Y position with improved accuracy
-        const allItems = []
-        
-        // Create array with position info including height for accurate sorting
+        // Sort the lines by position, then place the images between them
         const itemsWithPos = []
         
         // Add line items with height information
@@ -94,31 +91,18 @@ module.exports = class CompactLines extends ToLineItemTransformation {
             bottomY: bottomY,
             height: itemHeight,
             x: item.x || 0,
-            isImage: false
-          })
-        })
-        
-        // Add image items with height information
-        imageItems.forEach(imageItem => {
-          const imgCenterY = imageItem.y || 0 // Already center Y from pdf.js
-          const imgHeight = imageItem.height || 0
-          // Image Y is center Y, calculate top and bottom
-          const topY = imgCenterY + imgHeight / 2
-          const bottomY = imgCenterY - imgHeight / 2
-          
-          itemsWithPos.push({
-            item: imageItem,
-            y: imgCenterY,
-            topY: topY,
-            bottomY: bottomY,
-            height: imgHeight,
-            x: imageItem.x || 0,
-            isImage: true
+            region: item.region,
           })
         })
         
         // Improved sorting: consider height ranges and overlaps
         itemsWithPos.sort((a, b) => {
+          // Items of different layout regions (columns) are in reading order
+          const regionOrder = compareRegions(a, b)
+          if (regionOrder !== 0) {
+            return regionOrder
+          }
+
           const aY = (a && typeof a.y === 'number') ? a.y : 0
           const bY = (b && typeof b.y === 'number') ? b.y : 0
           const aX = (a && typeof a.x === 'number') ? a.x : 0
@@ -148,15 +132,14 @@ module.exports = class CompactLines extends ToLineItemTransformation {
           return aX - bX
         })
         
-        // Extract items in sorted order
-        page.items = itemsWithPos.map(i => i.item)
+        page.items = insertImagesByPosition(itemsWithPos.map(i => i.item), imageItems)
         
         // Debug: verify ImageItems are preserved
         const finalImageCount = page.items.filter(item => 
           item && typeof item === 'object' && (item.imageData || item.constructor?.name === 'ImageItem')
         ).length
         if (imageItems.length > 0 && finalImageCount !== imageItems.length) {
-          console.warn(`CompactLines: Page ${page.index + 1} - Lost ImageItems! Had ${imageItems.length}, now have ${finalImageCount}`)
+          parseResult.logger.warn(`CompactLines: Page ${page.index + 1} - Lost ImageItems! Had ${imageItems.length}, now have ${finalImageCount}`)
         }
       }
     })
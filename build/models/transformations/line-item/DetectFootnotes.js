@@ -0,0 +1,121 @@
+// @flow
+
+const ToLineItemTransformation = require('../ToLineItemTransformation')
+const ParseResult = require('../../ParseResult')
+const Word = require('../../Word')
+const ImageItem = require('../../ImageItem')
+const BlockType = require('../../markdown/BlockType')
+const WordType = require('../../markdown/WordType')
+const WordFormat = require('../../markdown/WordFormat')
+const { DETECTED_ANNOTATION } = require('../../Annotation')
+const { isNumber } = require('../../../util/string-functions')
+
+// Pairs the footnote markers in the text (see LineConverter) with the footnotes in smaller font
+// at the bottom of the same page. Paired markers become footnote references, the footnotes
+// footnote definitions, both with a label unique within the document. Markers without footnote, like the
+// '2' of 'x²' or references to endnotes, stay superscripts.
+module.exports = class DetectFootnotes extends ToLineItemTransformation {
+  constructor () {
+    super('Detect Footnotes')
+    // The labels of the document: stream() transforms one page after the other with the same pipeline
+    this.usedLabels = new Set()
+  }
+
+  transform (parseResult /*: ParseResult */) /*: ParseResult */ {
+    const { mostUsedHeight } = parseResult.globals
+    const usedLabels = this.usedLabels
+    var pairedFootnotes = 0
+    var unpairedMarkers = 0
+
+    parseResult.pages.forEach(page => {
+      const lines = page.items.filter(item =>
+        !(item instanceof ImageItem || (item.constructor && item.constructor.name === 'ImageItem') ||
+          (item && typeof item === 'object' && item.imageData)) && item.words
+      )
+      const footnoteArea = findFootnoteArea(lines, mostUsedHeight)
+      const references = new Map() // marker => reference words
+      lines.filter(line => !footnoteArea.includes(line)).forEach(line => {
+        line.words.forEach(word => {
+          if (word.type === WordType.FOOTNOTE_LINK) {
+            references.set(word.string, (references.get(word.string) || []).concat(word))
+          }
+        })
+      })
+
+      // Each footnote starts with the marker of a reference, following lines continue it
+      var inFootnote = false
+      footnoteArea.forEach(line => {
+        const marker = line.words[0].string
+        if (references.has(marker)) {
+          const label = uniqueLabel(marker, usedLabels)
+          references.get(marker).forEach(word => {
+            word.string = label
+          })
+          references.delete(marker)
+          line.words = [new Word({ string: label, type: WordType.FOOTNOTE })].concat(line.words.slice(1))
+          inFootnote = true
+          pairedFootnotes++
+        } else if (line.words[0].type === WordType.FOOTNOTE) {
+          inFootnote = false // a footnote without reference on this page
+        }
+        if (inFootnote) {
+          line.type = BlockType.FOOTNOTES
+          line.annotation = DETECTED_ANNOTATION
+        }
+      })
+
+      // Markers without footnote stay raised
+      references.forEach(words => words.forEach(word => {
+        word.type = null
+        word.format = WordFormat.SUPERSCRIPT
+        unpairedMarkers++
+      }))
+      lines.filter(line => line.type !== BlockType.FOOTNOTES).forEach(line => {
+        line.words.forEach(word => {
+          if (word.type === WordType.FOOTNOTE) {
+            word.type = null
+          }
+        })
+      })
+    })
+
+    return new ParseResult({
+      ...parseResult,
+      messages: [
+        'Detected ' + pairedFootnotes + ' footnotes',
+        'Footnote markers without footnote: ' + unpairedMarkers,
+      ],
+    })
+  }
+}
+
+function isPageNumber (line) {
+  return line.words.length === 1 && isNumber(line.words[0].string)
+}
+
+// The lines in smaller font at the bottom of a page, ignoring a page number below them
+function findFootnoteArea (lines, mostUsedHeight) {
+  const area = []
+  for (var i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i]
+    if (area.length === 0 && (line.words.length === 0 || isPageNumber(line))) {
+      continue
+    }
+    if (line.type || line.words.length === 0 || !(line.height < mostUsedHeight)) {
+      break
+    }
+    area.unshift(line)
+  }
+  return area
+}
+
+// Numeric markers keep their number if it's still free ('1', '1-2', ...), symbols are labeled 'note', 'note-2', ...
+function uniqueLabel (marker, usedLabels) {
+  const base = isNumber(marker) ? marker : 'note'
+  var label = base
+  for (var count = 2; usedLabels.has(label); count++) {
+    label = `${base}-${count}`
+  }
+  usedLabels.add(label)
+  return label
+}
@@ -8,7 +8,7 @@ const BlockType = require('../../markdown/BlockType')
 const { headlineByLevel } = require('../../markdown/BlockType')
 const { isListItem } = require('../../../util/string-functions')
 const HeaderScore = require('../../HeaderScore')
-const config = require('../../../util/style-detection-config')
+const { resolveDetection } = require('../../../util/detection')
 
 /**
  * Multi-feature header detection using weighted scoring.
@@ -17,8 +17,9 @@ const config = require('../../../util/style-detection-config')
  * that considers: fontSize ratio, vertical spacing, position, repetition patterns, etc.
  */
 module.exports = class DetectHeaders extends ToLineItemTransformation {
-  constructor () {
+  constructor (detection /*: Object */ = resolveDetection()) {
     super('Detect Headers')
+    this.detection = detection
   }
 
   transform (parseResult /*: ParseResult */) /*: ParseResult */ {
@@ -30,6 +31,14 @@ module.exports = class DetectHeaders extends ToLineItemTransformation {
       mostUsedFont,
       maxHeight 
     } = parseResult.globals
+    const config = this.detection.headerDetection
+    if (parseResult.globals.headlinesFromOutline) {
+      // The outline has been used as the source of the headlines, see DetectOutlineHeaders
+      return new ParseResult({
+        ...parseResult,
+        messages: ['Skipped, the headlines have been detected from the PDF outline'],
+      })
+    }
     const hasToc = tocPages && tocPages.length > 0
     var detectedHeaders = 0
 
@@ -63,14 +72,15 @@ module.exports = class DetectHeaders extends ToLineItemTransformation {
         mostUsedFont,
         pageDimensions,
         fontSizeToOccurrence,
-        candidates
+        candidates,
+        config
       )
       return { item, page, score }
     })
 
     // Filter by minimum score threshold
     const headerCandidates = scoredCandidates.filter(
-      c => c.score.score >= config.headerDetection.minScore
+      c => c.score.score >= config.minScore
     )
 
     // Handle TOC-based detection (if available) - higher priority
@@ -91,7 +101,7 @@ module.exports = class DetectHeaders extends ToLineItemTransformation {
     const fontSizeToLevel = clusterHeadersByFontSize(
       headerCandidates.filter(c => !c.item.type),
       mostUsedHeight,
-      config.headerDetection.maxLevel
+      config
     )
 
     // Assign header types based on clustering
@@ -139,13 +149,13 @@ module.exports = class DetectHeaders extends ToLineItemTransformation {
 /**
  * Calculate HeaderScore for a LineItem using multiple features.
  */
-function calculateHeaderScore (item, page, mostUsedHeight, mostUsedDistance, mostUsedFont, pageDimensions, fontSizeToOccurrence, allCandidates) {
+function calculateHeaderScore (item, page, mostUsedHeight, mostUsedDistance, mostUsedFont, pageDimensions, fontSizeToOccurrence, allCandidates, config) {
   const fontSize = item.height
   const fontSizeRatio = fontSize / mostUsedHeight
 
   // Feature 1: fontSizeRatio (most important)
   // Only consider if significantly larger than body
-  if (fontSizeRatio < config.headerDetection.fontSizeRatioThreshold) {
+  if (fontSizeRatio < config.fontSizeRatioThreshold) {
     return new HeaderScore(0, { fontSizeRatio, reason: 'fontSize too small' })
   }
 
@@ -174,7 +184,7 @@ function calculateHeaderScore (item, page, mostUsedHeight, mostUsedDistance, mos
 
   return HeaderScore.create({
     fontSizeRatio,
-    verticalSpacing: verticalSpacing / (mostUsedDistance * config.headerDetection.verticalSpacingMultiplier),
+    verticalSpacing: verticalSpacing / (mostUsedDistance * config.verticalSpacingMultiplier),
     isStandalone,
     positionOnPage,
     repetitionPattern,
@@ -188,7 +198,7 @@ function calculateHeaderScore (item, page, mostUsedHeight, mostUsedDistance, mos
  */
 function calculateVerticalSpacing (item, page, allCandidates, mostUsedDistance) {
   const pageCandidates = allCandidates
-    .filter(c => c.page.index === page.index)
+    .filter(c => c.page.index === page.index && inSameColumn(c.item, item))
     .map(c => c.item)
     .sort((a, b) => b.y - a.y) // Top to bottom
 
@@ -217,7 +227,7 @@ function calculateVerticalSpacing (item, page, allCandidates, mostUsedDistance)
  */
 function isLineStandalone (item, page, allCandidates) {
   const pageCandidates = allCandidates
-    .filter(c => c.page.index === page.index && c.item !== item)
+    .filter(c => c.page.index === page.index && c.item !== item && inSameColumn(c.item, item))
     .map(c => c.item)
 
   // Check if any other item is on a similar Y coordinate (within threshold)
@@ -229,6 +239,17 @@ function isLineStandalone (item, page, allCandidates) {
   return !hasAdjacentText
 }
 
+/**
+ * Whether two items can be neighbours: on pages with columns (see DetectColumns) they need
+ * to be in the same region or overlap horizontally, like a title above the columns.
+ */
+function inSameColumn (item, other) {
+  if (item.region === other.region) {
+    return true
+  }
+  return item.x < other.x + other.width && other.x < item.x + item.width
+}
+
 /**
  * Calculate page dimensions for position scoring.
  */
@@ -266,10 +287,10 @@ function calculateFontSizeOccurrence (candidates, mostUsedHeight) {
 }
 
 /**
- * Cluster headers by fontSize and assign levels (H1-H4 max).
+ * Cluster headers by fontSize and assign levels (up to config.maxLevel).
  * Uses fontSize ratio to determine hierarchy.
  */
-function clusterHeadersByFontSize (candidates, mostUsedHeight, maxLevel) {
+function clusterHeadersByFontSize (candidates, mostUsedHeight, config) {
   if (candidates.length === 0) return new Map()
 
   // Group by fontSize (with tolerance)
@@ -293,13 +314,13 @@ function clusterHeadersByFontSize (candidates, mostUsedHeight, maxLevel) {
   // Sort fontSizes by ratio (largest first)
   const sortedSizes = Array.from(fontSizeGroups.keys())
     .map(size => ({ size, ratio: size / mostUsedHeight }))
-    .filter(({ ratio }) => ratio >= config.headerDetection.fontSizeRatioThreshold)
+    .filter(({ ratio }) => ratio >= config.fontSizeRatioThreshold)
     .sort((a, b) => b.ratio - a.ratio)
 
-  // Assign levels (H1-H4 max)
+  // Assign levels, the smallest sizes share the maximum level
   const fontSizeToLevel = new Map()
   sortedSizes.forEach(({ size }, index) => {
-    const level = Math.min(index + 1, maxLevel)
+    const level = Math.min(index + 1, config.maxLevel)
     fontSizeToLevel.set(size, level)
   })
 
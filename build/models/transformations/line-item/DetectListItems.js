@@ -7,7 +7,9 @@ const LineItem = require('../../LineItem')
 const Word = require('../../Word')
 const { REMOVED_ANNOTATION, ADDED_ANNOTATION, DETECTED_ANNOTATION } = require('../../Annotation')
 const BlockType = require('../../markdown/BlockType')
+const WordFormat = require('../../markdown/WordFormat')
 const { isListItemCharacter, isNumberedListItem } = require('../../../util/string-functions')
+const { compareRegions } = require('../../../util/page-item-functions')
 
 // Detect items starting with -, •, etc...
 module.exports = class DetectListItems extends ToLineItemTransformation {
@@ -32,7 +34,7 @@ module.exports = class DetectListItems extends ToLineItemTransformation {
       const newItems = []
       lineItems.forEach(item => {
         newItems.push(item)
-        if (!item.type) {
+        if (!item.type && !startsWithCode(item)) {
           var text = item.text()
           if (item.words && item.words.length > 0 && isListItemCharacter(item.words[0].string)) {
             foundListItems++
@@ -73,7 +75,8 @@ module.exports = class DetectListItems extends ToLineItemTransformation {
           topY: itemY,
           bottomY: itemY - itemHeight,
           height: itemHeight,
-          x: item.x || 0
+          x: item.x || 0,
+          region: item.region
         })
       })
       
@@ -87,12 +90,19 @@ module.exports = class DetectListItems extends ToLineItemTransformation {
           topY: imgCenterY + imgHeight / 2,
           bottomY: imgCenterY - imgHeight / 2,
           height: imgHeight,
-          x: imageItem.x || 0
+          x: imageItem.x || 0,
+          region: imageItem.region
         })
       })
       
       // Improved sorting with overlap detection
       const allItems = allItemsWithPos.sort((a, b) => {
+        // Items of different layout regions (columns) are in reading order
+        const regionOrder = compareRegions(a, b)
+        if (regionOrder !== 0) {
+          return regionOrder
+        }
+
         const aY = a.y || 0
         const bY = b.y || 0
         const aX = a.x || 0
@@ -131,3 +141,8 @@ module.exports = class DetectListItems extends ToLineItemTransformation {
     })
   }
 }
+
+// Lines of code like '- name: value' of YAML aren't list items
+function startsWithCode (lineItem) {
+  return Boolean(lineItem.words && lineItem.words.length > 0 && lineItem.words[0].format === WordFormat.INLINE_CODE)
+}
@@ -0,0 +1,41 @@
+// @flow
+
+const ToLineItemTransformation = require('../ToLineItemTransformation')
+const ParseResult = require('../../ParseResult')
+const ImageItem = require('../../ImageItem')
+const { DETECTED_ANNOTATION } = require('../../Annotation')
+const BlockType = require('../../markdown/BlockType')
+const { resolveDetection } = require('../../../util/detection')
+const { linesToLatex } = require('../../../util/math')
+
+// Detects display equations: lines set in math fonts like CMMI/CMSY of TeX or Cambria Math rather
+// than in the text font (see LineConverter). They are gathered to MATH blocks rendered as LaTeX, lines without
+// any LaTeX aren't equations.
+module.exports = class DetectMath extends ToLineItemTransformation {
+  constructor (detection /*: Object */ = resolveDetection()) {
+    super('Detect Math')
+    this.detection = detection
+  }
+
+  transform (parseResult /*: ParseResult */) /*: ParseResult */ {
+    const { minMathShare } = this.detection.math
+    var foundLines = 0
+    parseResult.pages.forEach(page => {
+      page.items.forEach(item => {
+        if (item instanceof ImageItem || item.type || !item.words || item.words.length === 0) {
+          return
+        }
+        if (item.mathShare >= minMathShare && linesToLatex([item]).trim().length > 0) {
+          item.type = BlockType.MATH
+          item.annotation = DETECTED_ANNOTATION
+          foundLines++
+        }
+      })
+    })
+
+    return new ParseResult({
+      ...parseResult,
+      messages: ['Detected ' + foundLines + ' equation lines'],
+    })
+  }
+}
@@ -0,0 +1,101 @@
+// @flow
+
+const ToLineItemTransformation = require('../ToLineItemTransformation')
+const ParseResult = require('../../ParseResult')
+const LineItem = require('../../LineItem')
+const ImageItem = require('../../ImageItem')
+const HeadlineFinder = require('../../HeadlineFinder')
+const { REMOVED_ANNOTATION, ADDED_ANNOTATION } = require('../../Annotation')
+const { headlineByLevel } = require('../../markdown/BlockType')
+const { wordMatch } = require('../../../util/string-functions')
+
+// Detect headlines from the outline (bookmarks) of the PDF. When headlines have been found from the outline on the
+// pages (the selected ones, respectively the page when streaming), DetectTOC and DetectHeaders leave them alone.
+module.exports = class DetectOutlineHeaders extends ToLineItemTransformation {
+  constructor () {
+    super('Detect Outline Headers')
+  }
+
+  transform (parseResult /*: ParseResult */) /*: ParseResult */ {
+    const outline = (parseResult.globals.outline || []).filter(entry => entry.destination && entry.title.length > 0)
+    const pagesByIndex = new Map(parseResult.pages.map(page => [page.index, page]))
+    var foundHeadlines = 0
+    const notFoundHeadlines = []
+
+    outline.forEach(entry => {
+      const page = pagesByIndex.get(entry.destination.pageIndex)
+      if (!page) {
+        return // not among the selected pages
+      }
+      const found = findHeadlineItems(page, entry)
+      if (!found) {
+        notFoundHeadlines.push(entry.title)
+        return
+      }
+      found.headlineItems.forEach(item => (item.annotation = REMOVED_ANNOTATION))
+      page.items.splice(found.lineIndex + 1, 0, new LineItem({
+        ...found.headlineItems[0],
+        words: [].concat(...found.headlineItems.map(item => item.words)),
+        height: found.headlineItems.reduce((max, item) => Math.max(max, item.height), 0),
+        type: headlineByLevel(Math.min(entry.level + 1, 6)),
+        annotation: ADDED_ANNOTATION,
+      }))
+      foundHeadlines++
+    })
+
+    const messages = ['Detected ' + foundHeadlines + ' headlines from ' + outline.length + ' outline entries']
+    if (notFoundHeadlines.length > 0) {
+      messages.push('Missing outline headlines: ' + notFoundHeadlines.join(', '))
+      parseResult.warnings.push('Found no headline for the outline entries: ' + notFoundHeadlines.join(', '))
+    }
+    return new ParseResult({
+      ...parseResult,
+      globals: {
+        ...parseResult.globals,
+        headlinesFromOutline: foundHeadlines > 0,
+      },
+      messages,
+    })
+  }
+}
+
+function isTextLine (line) {
+  return line && typeof line.text === 'function' && !line.type &&
+    !(line instanceof ImageItem || (line.constructor && line.constructor.name === 'ImageItem') || line.imageData)
+}
+
+// Finds the lines of the outline entry's headline, preferring the lines at its destination
+function findHeadlineItems (page, entry) {
+  const { y } = entry.destination
+  const candidates = page.items
+    .map((line, lineIndex) => ({ line, lineIndex }))
+    .filter(({ line }) => isTextLine(line) && line.annotation !== REMOVED_ANNOTATION)
+  // The destination points to the top of the headline, the y of a line is its baseline
+  const atDestination = y === null ? candidates : candidates.filter(({ line }) => line.y <= y + 1)
+
+  return findByText(atDestination, entry.title) ||
+    findByText(candidates, entry.title) ||
+    findByWords(atDestination, entry.title)
+}
+
+// Finds consecutive lines with exactly the text of the headline (ignoring whitespace, dots and case)
+function findByText (candidates, headline) {
+  const headlineFinder = new HeadlineFinder({ headline })
+  for (const { line, lineIndex } of candidates) {
+    const headlineItems = headlineFinder.consume(line)
+    if (headlineItems) {
+      return { lineIndex, headlineItems }
+    }
+  }
+  return null
+}
+
+// Accepts the first line at the destination if it shares most words with the headline,
+// e.g. when the outline omits the numbering of a chapter
+function findByWords (candidates, headline) {
+  if (candidates.length === 0) {
+    return null
+  }
+  const { line, lineIndex } = candidates[0]
+  return wordMatch(headline, line.text()) >= 0.5 ? { lineIndex, headlineItems: [line] } : null
+}
@@ -8,18 +8,22 @@ const Word = require('../../Word')
 const HeadlineFinder = require('../../HeadlineFinder')
 const { REMOVED_ANNOTATION, ADDED_ANNOTATION } = require('../../Annotation')
 const BlockType = require('../../markdown/BlockType')
-const { headlineByLevel } = require('../../markdown/BlockType')
+const { headlineByLevel, isHeadline } = require('../../markdown/BlockType')
 const { isDigit, isNumber, wordMatch, hasOnly } = require('../../../util/string-functions')
+const { resolveDetection } = require('../../../util/detection')
 
 // Detect table of contents pages plus linked headlines
 module.exports = class DetectTOC extends ToLineItemTransformation {
-  constructor () {
+  constructor (detection /*: Object */ = resolveDetection()) {
     super('Detect TOC')
+    this.detection = detection
   }
 
   transform (parseResult /*: ParseResult */) /*: ParseResult */ {
     const tocPages = []
-    const maxPagesToEvaluate = Math.min(20, parseResult.pages.length)
+    // With a PDF outline, the TOC is only rendered as list and the headlines are left to DetectOutlineHeaders
+    const detectHeadlines = !parseResult.globals.headlinesFromOutline
+    const maxPagesToEvaluate = Math.min(this.detection.toc.maxPages, parseResult.pages.length)
     const linkLeveler = new LinkLeveler()
 
     var tocLinks = []
@@ -88,11 +92,13 @@ module.exports = class DetectTOC extends ToLineItemTransformation {
 
         const newBlocks = []
         page.items.forEach((line) => {
-          if (!unknownLines.has(line)) {
+          // Without headline detection, the headline of the page stays as it is
+          const keepLine = unknownLines.has(line) || (!detectHeadlines && (line === headlineItem || isHeadline(line.type)))
+          if (!keepLine) {
             line.annotation = REMOVED_ANNOTATION
           }
           newBlocks.push(line)
-          if (line === headlineItem) {
+          if (line === headlineItem && detectHeadlines) {
             newBlocks.push(new LineItem({
               ...line,
               type: BlockType.H2,
@@ -123,16 +129,20 @@ module.exports = class DetectTOC extends ToLineItemTransformation {
           annotation: ADDED_ANNOTATION,
         }))
       })
+    }
 
+    if (tocPages.length > 0 && detectHeadlines) {
       // Add linked headers
+      // Look up pages by their index, the pages option might have selected only some of them
+      const pagesByIndex = new Map(parseResult.pages.map(page => [page.index, page]))
       const pageMapping = detectPageMappingNumber(parseResult.pages.filter(page => page.index > lastTocPage.index), tocLinks)
       tocLinks.forEach(tocLink => {
-        var linkedPage = parseResult.pages[tocLink.pageNumber + pageMapping]
+        var linkedPage = pagesByIndex.get(tocLink.pageNumber + pageMapping)
         var foundHealineItems
         if (linkedPage) {
           foundHealineItems = findHeadlineItems(linkedPage, tocLink.lineItem.text())
           if (!foundHealineItems) { // pages are off by 1 ?
-            linkedPage = parseResult.pages[tocLink.pageNumber + pageMapping + 1]
+            linkedPage = pagesByIndex.get(tocLink.pageNumber + pageMapping + 1)
             if (linkedPage) {
               foundHealineItems = findHeadlineItems(linkedPage, tocLink.lineItem.text())
             }
@@ -154,9 +164,9 @@ module.exports = class DetectTOC extends ToLineItemTransformation {
             const headlineType = headlineByLevel(notFoundTocLink.level + 2)
             const heightRange = headlineTypeToHeightRange[headlineType.name]
             if (heightRange) {
-              const [pageIndex, lineIndex] = findPageAndLineFromHeadline(parseResult.pages, notFoundTocLink, heightRange, fromPage, currentPageNumber)
+              const [pageIndex, lineIndex] = findPageAndLineFromHeadline(pagesByIndex, notFoundTocLink, heightRange, fromPage, currentPageNumber)
               if (lineIndex > -1) {
-                const page = parseResult.pages[pageIndex]
+                const page = pagesByIndex.get(pageIndex)
                 page.items[lineIndex].annotation = REMOVED_ANNOTATION
                 page.items.splice(lineIndex + 1, 0, new LineItem({
                   ...notFoundTocLink.lineItem,
@@ -180,14 +190,14 @@ module.exports = class DetectTOC extends ToLineItemTransformation {
           }
         })
         if (lastNotFound.length > 0) {
-          rollupLastNotFound(parseResult.pages.length)
+          rollupLastNotFound(parseResult.pages[parseResult.pages.length - 1].index + 1)
         }
       }
     }
 
     const messages = []
     messages.push('Detected ' + tocPages.length + ' table of content pages')
-    if (tocPages.length > 0) {
+    if (tocPages.length > 0 && detectHeadlines) {
       messages.push('TOC headline heights: ' + JSON.stringify(headlineTypeToHeightRange))
       messages.push('Found TOC headlines: ' + (foundHeadlines - notFoundHeadlines.length + foundBySize.length) + '/' + foundHeadlines)
     }
@@ -271,10 +281,10 @@ function addHeadlineItems (page, tocLink, foundItems, headlineTypeToHeightRange)
   }
 }
 
-function findPageAndLineFromHeadline (pages, tocLink, heightRange, fromPage, toPage) {
+function findPageAndLineFromHeadline (pagesByIndex, tocLink, heightRange, fromPage, toPage) {
   const linkText = tocLink.lineItem.text().toUpperCase()
   for (var i = fromPage; i <= toPage; i++) {
-    const page = pages[i - 1]
+    const page = pagesByIndex.get(i - 1)
     if (page) {
       const lineIndex = page.items.findIndex(line => {
         // Filter out ImageItems and other items that don't have a text() method
@@ -0,0 +1,337 @@
+// @flow
+
+const ToLineItemTransformation = require('../ToLineItemTransformation')
+const ParseResult = require('../../ParseResult')
+const ImageItem = require('../../ImageItem')
+const LineItem = require('../../LineItem')
+const Table = require('../../Table')
+const { REMOVED_ANNOTATION, ADDED_ANNOTATION } = require('../../Annotation')
+const BlockType = require('../../markdown/BlockType')
+const WordFormat = require('../../markdown/WordFormat')
+const { isListItemCharacter } = require('../../../util/string-functions')
+
+// Single-segment lines (e.g. wrapped cell text) allowed between two rows of a table
+const MAX_LINES_BETWEEN_ROWS = 2
+// Tables without rulings whose cells hold more words than this on average are rather text columns
+const MAX_WORDS_PER_CELL = 6
+// Tolerance (in PDF units) when comparing edges of cells
+const ALIGNMENT_TOLERANCE = 1.5
+// Lines with more of their characters in a monospace font are code, whose aligned gaps aren't columns
+const MAX_CODE_SHARE = 0.5
+
+// Detect tables from the positions of the text items: lines which are split into segments by wide gaps
+// (see LineConverter) and whose segments line up in columns. Ruling lines drawn around or between the
+// cells confirm a table, separate its columns and group wrapped lines into rows.
+module.exports = class DetectTables extends ToLineItemTransformation {
+  constructor () {
+    super('Detect Tables')
+  }
+
+  transform (parseResult /*: ParseResult */) /*: ParseResult */ {
+    const { mostUsedDistance } = parseResult.globals
+    var foundTables = 0
+    var foundRows = 0
+    parseResult.pages.forEach(page => {
+      const lineItems = page.items.filter(item =>
+        !(item instanceof ImageItem || (item.constructor && item.constructor.name === 'ImageItem') ||
+          (item && typeof item === 'object' && item.imageData))
+      )
+
+      const tableByLastLine = new Map()
+      const tableLines = new Set()
+      findCandidateRuns(lineItems, mostUsedDistance * 3).forEach(run => {
+        const table = toTable(run, page.rulings || [])
+        if (table) {
+          tableByLastLine.set(run[run.length - 1], newTableItem(run, table))
+          run.forEach(line => tableLines.add(line))
+          foundTables++
+          foundRows += table.rows.length
+        }
+      })
+      if (tableLines.size === 0) {
+        return
+      }
+
+      // Keep images and all other items in place
+      const newItems = []
+      page.items.forEach(item => {
+        newItems.push(item)
+        if (tableLines.has(item)) {
+          item.annotation = REMOVED_ANNOTATION
+        }
+        if (tableByLastLine.has(item)) {
+          newItems.push(tableByLastLine.get(item))
+        }
+      })
+      page.items = newItems
+    })
+
+    return new ParseResult({
+      ...parseResult,
+      messages: [
+        'Detected ' + foundTables + ' tables with ' + foundRows + ' rows.',
+      ],
+    })
+  }
+}
+
+// Runs of consecutive, untyped lines containing at least two lines with multiple segments. Lines of code
+// end a run, they are left to DetectCodeQuoteBlocks.
+function findCandidateRuns (lineItems, maxDistance) {
+  const runs = []
+  var run = []
+  var pending = []
+  const flush = () => {
+    // Wrapped text of the last row, but not a paragraph following the table
+    const lastRow = run[run.length - 1]
+    const trailing = pending.findIndex(line => !fitsIntoOneColumn(line, lastRow) || overlapsFirstColumn(line, lastRow))
+    run.push(...pending.slice(0, trailing < 0 ? pending.length : trailing))
+    if (run.filter(line => line.segments).length >= 2) {
+      runs.push(run)
+    }
+    run = []
+    pending = []
+  }
+
+  lineItems.forEach(line => {
+    if (line.type || isCode(line)) {
+      flush()
+      return
+    }
+    const lastLine = pending.length > 0 ? pending[pending.length - 1] : run[run.length - 1]
+    const distance = lastLine ? lastLine.y - line.y : 0
+    const isClose = lastLine && distance > 0 && distance <= maxDistance
+    if (line.segments) {
+      if (run.length > 0 && isClose && pending.every(pendingLine => fitsIntoOneColumn(pendingLine, run[run.length - 1]))) {
+        run.push(...pending, line)
+        pending = []
+      } else {
+        flush()
+        run.push(line)
+      }
+    } else if (run.length > 0 && isClose && pending.length < MAX_LINES_BETWEEN_ROWS) {
+      pending.push(line)
+    } else {
+      flush()
+    }
+  })
+  flush()
+  return runs
+}
+
+// Whether most characters of a line are set in a monospace font
+function isCode (line) {
+  var codeLength = 0
+  var length = 0
+  line.words.forEach(word => {
+    length += word.string.length
+    if (word.format === WordFormat.INLINE_CODE) {
+      codeLength += word.string.length
+    }
+  })
+  return length > 0 && codeLength > length * MAX_CODE_SHARE
+}
+
+// A line between two rows of a table is wrapped cell text, not a paragraph spanning the columns
+function fitsIntoOneColumn (line, row) {
+  return row.segments.filter(segment => overlap(segment.x, segment.x + segment.width, line.x, line.x + line.width) > 0).length <= 1
+}
+
+function overlapsFirstColumn (line, row) {
+  const segment = row.segments[0]
+  return overlap(segment.x, segment.x + segment.width, line.x, line.x + line.width) > 0
+}
+
+function segmentsOfLine (line) {
+  if (line.segments) {
+    return line.segments
+  }
+  return [{ x: line.x, width: line.width, words: line.words }]
+}
+
+function toTable (lines, rulings) {
+  const multiSegmentLines = lines.filter(line => line.segments)
+  const segments = [].concat(...multiSegmentLines.map(line => line.segments))
+
+  const top = lines[0].y + lines[0].height
+  const bottom = lines[lines.length - 1].y - lines[lines.length - 1].height / 2
+  const left = Math.min(...segments.map(segment => segment.x))
+  const right = Math.max(...segments.map(segment => segment.x + segment.width))
+
+  const verticalRulings = rulings.filter(ruling => !ruling.horizontal &&
+    ruling.x1 >= left - ALIGNMENT_TOLERANCE && ruling.x1 <= right + ALIGNMENT_TOLERANCE &&
+    overlap(ruling.y1, ruling.y2, bottom, top) >= (top - bottom) / 2)
+  const horizontalRulings = rulings.filter(ruling => ruling.horizontal &&
+    ruling.y1 >= bottom - lines[0].height && ruling.y1 <= top + lines[0].height &&
+    overlap(ruling.x1, ruling.x2, left, right) >= (right - left) / 2)
+  const ruled = verticalRulings.length >= 2 || uniqueValues(horizontalRulings.map(ruling => ruling.y1)).length >= 2
+
+  const columns = findColumns(segments, verticalRulings.map(ruling => ruling.x1))
+  if (columns.length < 2) {
+    return null
+  }
+
+  var rows = lines.map(line => {
+    const cells = columns.map(() => ({ words: [], left: null, right: null }))
+    segmentsOfLine(line).forEach(segment => {
+      const cell = cells[columnOfSegment(columns, segment)]
+      cell.words = cell.words.concat(segment.words)
+      cell.left = cell.left === null ? segment.x : Math.min(cell.left, segment.x)
+      cell.right = cell.right === null ? segment.x + segment.width : Math.max(cell.right, segment.x + segment.width)
+    })
+    return { line, cells }
+  })
+
+  // Text columns and indented lists are no tables
+  const filledCells = [].concat(...rows.filter(row => row.line.segments).map(row => row.cells.filter(cell => cell.words.length > 0)))
+  const wordsPerCell = filledCells.reduce((sum, cell) => sum + cell.words.length, 0) / filledCells.length
+  if (!ruled && wordsPerCell > MAX_WORDS_PER_CELL) {
+    return null
+  }
+  if (!ruled && columns.length === 2 && rows.every(row => row.cells[0].words.length === 0 || isListMarker(row.cells[0].words))) {
+    return null
+  }
+
+  rows = mergeContinuationRows(rows, uniqueValues(horizontalRulings.map(ruling => ruling.y1)))
+  if (rows.length < 2) {
+    return null
+  }
+
+  return new Table({
+    rows: rows.map(row => row.cells.map(cell => cell.words)),
+    alignments: columns.map((column, index) => detectAlignment(rows.slice(1).map(row => row.cells[index]))),
+    headerRows: 1,
+  })
+}
+
+// Columns are the x ranges covered by segments, separated by whitespace gaps or vertical rulings
+function findColumns (segments, rulingXs) {
+  const sorted = segments
+    .map(segment => ({ start: segment.x, end: segment.x + segment.width }))
+    .sort((a, b) => a.start - b.start)
+  const columns = []
+  sorted.forEach(range => {
+    const column = columns[columns.length - 1]
+    const separatedByRuling = column && rulingXs.some(x => x >= column.end - ALIGNMENT_TOLERANCE && x <= range.start + ALIGNMENT_TOLERANCE)
+    if (column && range.start < column.end && !separatedByRuling) {
+      column.end = Math.max(column.end, range.end)
+    } else {
+      columns.push({ ...range })
+    }
+  })
+  return columns
+}
+
+function columnOfSegment (columns, segment) {
+  var bestIndex = 0
+  var bestOverlap = -Infinity
+  columns.forEach((column, index) => {
+    var columnOverlap = overlap(column.start, column.end, segment.x, segment.x + segment.width)
+    if (columnOverlap <= 0) {
+      // no overlap, prefer the closest column
+      columnOverlap = -Math.min(Math.abs(column.start - segment.x), Math.abs(column.end - segment.x - segment.width))
+    }
+    if (columnOverlap > bestOverlap) {
+      bestOverlap = columnOverlap
+      bestIndex = index
+    }
+  })
+  return bestIndex
+}
+
+// A line continues the cells of the previous row unless a horizontal ruling separates the two. If rulings
+// separate (most of) the rows, this is all there is to it. Otherwise the line needs an empty first cell
+// and has to be closer to the previous line than rows are to each other.
+function mergeContinuationRows (rows, rulingYs) {
+  const isSeparated = (upper, lower) => rulingYs.some(y => y < upper.line.y && y > lower.line.y + lower.line.height / 2)
+  const pairs = rows.slice(1).map((row, index) => [rows[index], row])
+  const rowPairs = pairs.filter(([upper, lower]) => upper.line.segments && lower.line.segments)
+  const isGrid = rowPairs.length > 0 && rowPairs.filter(([upper, lower]) => isSeparated(upper, lower)).length * 2 >= rowPairs.length
+  const distances = pairs.map(([upper, lower]) => upper.line.y - lower.line.y)
+  const rowDistance = median(distances)
+
+  const merged = [rows[0]]
+  pairs.forEach(([upper, lower], index) => {
+    const isContinuation = !isSeparated(upper, lower) &&
+      (isGrid || (lower.cells[0].words.length === 0 && distances[index] < rowDistance * 0.8))
+    if (isContinuation) {
+      mergeRow(merged[merged.length - 1], lower)
+    } else {
+      merged.push(lower)
+    }
+  })
+  return merged
+}
+
+function mergeRow (row, continuation) {
+  continuation.cells.forEach((cell, index) => {
+    const target = row.cells[index]
+    target.words = target.words.concat(cell.words)
+    if (cell.left !== null) {
+      target.left = target.left === null ? cell.left : Math.min(target.left, cell.left)
+      target.right = target.right === null ? cell.right : Math.max(target.right, cell.right)
+    }
+  })
+}
+
+// Compares how well the left edges, right edges and centers of the cells of a column line up
+function detectAlignment (cells) {
+  const filled = cells.filter(cell => cell.words.length > 0)
+  if (filled.length < 2) {
+    return 'left'
+  }
+  const spread = values => Math.max(...values) - Math.min(...values)
+  const leftSpread = spread(filled.map(cell => cell.left))
+  const rightSpread = spread(filled.map(cell => cell.right))
+  const centerSpread = spread(filled.map(cell => (cell.left + cell.right) / 2))
+  if (leftSpread <= ALIGNMENT_TOLERANCE) {
+    return 'left'
+  }
+  if (rightSpread <= ALIGNMENT_TOLERANCE || (rightSpread < centerSpread && rightSpread + ALIGNMENT_TOLERANCE < leftSpread)) {
+    return 'right'
+  }
+  if (centerSpread + ALIGNMENT_TOLERANCE < leftSpread) {
+    return 'center'
+  }
+  return 'left'
+}
+
+// The table spans all its lines: y is the baseline of the last one, height reaches up to the top of the first
+function newTableItem (lines, table) {
+  const lastLine = lines[lines.length - 1]
+  const x = Math.min(...lines.map(line => line.x))
+  return new LineItem({
+    x,
+    y: lastLine.y,
+    region: lines[0].region,
+    width: Math.max(...lines.map(line => line.x + line.width)) - x,
+    height: lines[0].y + lines[0].height - lastLine.y,
+    words: [].concat(...table.rows.map(row => [].concat(...row))),
+    type: BlockType.TABLE,
+    annotation: ADDED_ANNOTATION,
+    table,
+  })
+}
+
+function isListMarker (words) {
+  const text = words.map(word => word.string).join(' ')
+  return isListItemCharacter(text) || /^\(?[0-9a-zA-Z]{1,3}[.)]$/.test(text)
+}
+
+function overlap (start1, end1, start2, end2) {
+  return Math.min(end1, end2) - Math.max(start1, start2)
+}
+
+function uniqueValues (values) {
+  return values
+    .sort((a, b) => a - b)
+    .filter((value, index, sorted) => index === 0 || value - sorted[index - 1] > ALIGNMENT_TOLERANCE)
+}
+
+function median (values) {
+  if (values.length === 0) {
+    return 0
+  }
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
@@ -0,0 +1,82 @@
+// @flow
+
+const ToLineItemTransformation = require('../ToLineItemTransformation')
+const ParseResult = require('../../ParseResult')
+const ImageItem = require('../../ImageItem')
+const { REMOVED_ANNOTATION } = require('../../Annotation')
+const { resolveDetection } = require('../../../util/detection')
+
+// Remove images which are page furniture rather than content: tiny ones like bullets, thin ones like
+// rules and spacers, and those repeated in the header or footer of the pages like a company logo
+module.exports = class RemoveDecorativeImages extends ToLineItemTransformation {
+  constructor (detection /*: Object */ = resolveDetection()) {
+    super('Remove Decorative Images')
+    this.detection = detection
+  }
+
+  // Repeated images are found like repeated headers and footers (see RemoveRepetitiveElements), by the
+  // share of pages showing the same image (by content hash) in their top or bottom margin
+  transform (parseResult /*: ParseResult */) /*: ParseResult */ {
+    const { images, repetitiveElements } = this.detection
+    // When streaming, the repetitions were counted over all pages beforehand
+    const precomputed = parseResult.globals && parseResult.globals.imageHashRepetitions
+    const { imageHashRepetitions, pageCount } = precomputed || RemoveDecorativeImages.countImageHashes(parseResult.pages, images)
+    const minRepetitions = Math.max(repetitiveElements.minPages, pageCount * repetitiveElements.minPageShare)
+
+    var removedSmall = 0
+    var removedRepeated = 0
+    parseResult.pages.forEach(page => {
+      page.items.forEach(item => {
+        if (!(item instanceof ImageItem)) {
+          return
+        }
+        if (RemoveDecorativeImages.isDecorationSized(item, images)) {
+          item.annotation = REMOVED_ANNOTATION
+          removedSmall++
+        } else if (RemoveDecorativeImages.isInMargin(item, page.height, images) && imageHashRepetitions[item.hash] >= minRepetitions) {
+          item.annotation = REMOVED_ANNOTATION
+          removedRepeated++
+        }
+      })
+    })
+
+    return new ParseResult({
+      ...parseResult,
+      messages: [
+        'Removed small or thin images: ' + removedSmall,
+        'Removed repeated images: ' + removedRepeated,
+      ],
+    })
+  }
+
+  // Whether an image is too small or too thin to be content
+  static isDecorationSized (box /*: Object */, images /*: Object */) /*: boolean */ {
+    const { width, height } = box
+    return width < images.minWidth || height < images.minHeight ||
+      Math.max(width, height) > Math.min(width, height) * images.maxAspectRatio
+  }
+
+  // Whether the center of an image lies in the top or bottom margin of its page
+  static isInMargin (box /*: Object */, pageHeight /*: ?number */, images /*: Object */) /*: boolean */ {
+    if (!pageHeight) {
+      return false
+    }
+    const margin = pageHeight * images.marginShare
+    return box.y <= margin || box.y >= pageHeight - margin
+  }
+
+  // Counts on how many pages each image (by content hash) is shown in the top or bottom margin
+  static countImageHashes (pages /*: Page[] */, images /*: Object */, counts = { imageHashRepetitions: {}, pageCount: 0 }) {
+    pages.forEach(page => {
+      const hashes = new Set(page.items
+        .filter(item => item instanceof ImageItem && item.hash && !RemoveDecorativeImages.isDecorationSized(item, images) &&
+          RemoveDecorativeImages.isInMargin(item, page.height, images))
+        .map(item => item.hash))
+      hashes.forEach(hash => {
+        counts.imageHashRepetitions[hash] = (counts.imageHashRepetitions[hash] || 0) + 1
+      })
+      counts.pageCount++
+    })
+    return counts
+  }
+}
@@ -4,6 +4,7 @@ const ToLineItemTransformation = require('../ToLineItemTransformation')
 const ParseResult = require('../../ParseResult')
 const ImageItem = require('../../ImageItem')
 const { REMOVED_ANNOTATION } = require('../../Annotation')
+const { resolveDetection } = require('../../../util/detection')
 
 const { isDigit } = require('../../../util/string-functions')
 
@@ -22,80 +23,35 @@ function hashCodeIgnoringSpacesAndNumbers (string) {
 
 // Remove elements with similar content on same page positions, like page numbers, licenes information, etc...
 module.exports = class RemoveRepetitiveElements extends ToLineItemTransformation {
-  constructor () {
+  constructor (detection /*: Object */ = resolveDetection()) {
     super('Remove Repetitive Elements')
+    this.detection = detection
   }
 
   // The idea is the following:
   // - For each page, collect all items of the first, and all items of the last line
   // - Calculate how often these items occur accros all pages (hash ignoring numbers, whitespace, upper/lowercase)
-  // - Delete items occuring on more then 2/3 of all pages
+  // - Delete items occuring on at least the configured share of all pages (2/3 by default)
   transform (parseResult /*: ParseResult */) /*: ParseResult */ {
     // find first and last lines per page
-    const pageStore = []
-    const minLineHashRepetitions = {}
-    const maxLineHashRepetitions = {}
-    parseResult.pages.forEach(page => {
-      // Filter out ImageItems before processing
-      const textItems = page.items.filter(item => 
-        !(item instanceof ImageItem || (item.constructor && item.constructor.name === 'ImageItem') ||
-          (item && typeof item === 'object' && item.imageData))
-      )
-      
-      const minMaxItems = textItems.reduce((itemStore, item) => {
-        if (item.y < itemStore.minY) {
-          itemStore.minElements = [item]
-          itemStore.minY = item.y
-        } else if (item.y === itemStore.minY) {
-          itemStore.minElements.push(item)
-        }
-        if (item.y > itemStore.maxY) {
-          itemStore.maxElements = [item]
-          itemStore.maxY = item.y
-        } else if (item.y === itemStore.maxY) {
-          itemStore.maxElements.push(item)
-        }
-        return itemStore
-      }, {
-        minY: 999,
-        maxY: 0,
-        minElements: [],
-        maxElements: [],
-      })
-
-      const minLineHash = minMaxItems.minElements.length > 0
-        ? hashCodeIgnoringSpacesAndNumbers(minMaxItems.minElements.reduce((combinedString, item) => {
-            const text = item.text ? (typeof item.text === 'function' ? item.text() : item.text) : ''
-            return combinedString + text.toUpperCase()
-          }, ''))
-        : 0
-      const maxLineHash = minMaxItems.maxElements.length > 0
-        ? hashCodeIgnoringSpacesAndNumbers(minMaxItems.maxElements.reduce((combinedString, item) => {
-            const text = item.text ? (typeof item.text === 'function' ? item.text() : item.text) : ''
-            return combinedString + text.toUpperCase()
-          }, ''))
-        : 0
-      pageStore.push({
-        minElements: minMaxItems.minElements,
-        maxElements: minMaxItems.maxElements,
-        minLineHash: minLineHash,
-        maxLineHash: maxLineHash,
-      })
-      minLineHashRepetitions[minLineHash] = minLineHashRepetitions[minLineHash] ? minLineHashRepetitions[minLineHash] + 1 : 1
-      maxLineHashRepetitions[maxLineHash] = maxLineHashRepetitions[maxLineHash] ? maxLineHashRepetitions[maxLineHash] + 1 : 1
-    })
+    const pageStore = parseResult.pages.map(page => RemoveRepetitiveElements.lineHashes(page))
+    // When streaming, the repetitions were counted over all pages beforehand
+    const precomputed = parseResult.globals && parseResult.globals.lineHashRepetitions
+    const { minLineHashRepetitions, maxLineHashRepetitions, pageCount } = precomputed || RemoveRepetitiveElements.countLineHashes(pageStore)
+    const { minPages, minPageShare } = this.detection.repetitiveElements
+    const minRepetitions = Math.max(minPages, pageCount * minPageShare)
 
     // now annoate all removed items
     var removedHeader = 0
     var removedFooter = 0
     parseResult.pages.forEach((page, i) => {
-      if (minLineHashRepetitions[pageStore[i].minLineHash] >= Math.max(3, parseResult.pages.length * 2 / 3)) {
+      if (minLineHashRepetitions[pageStore[i].minLineHash] >= minRepetitions) {
         pageStore[i].minElements.forEach(item => {
           item.annotation = REMOVED_ANNOTATION
         })
         removedFooter++
       }
-      if (maxLineHashRepetitions[pageStore[i].maxLineHash] >= Math.max(3, parseResult.pages.length * 2 / 3)) {
+      if (maxLineHashRepetitions[pageStore[i].maxLineHash] >= minRepetitions) {
         pageStore[i].maxElements.forEach(item => {
           item.annotation = REMOVED_ANNOTATION
         })
@@ -111,4 +67,57 @@ module.exports = class RemoveRepetitiveElements extends ToLineItemTransformation
       ],
     })
   }
+
+  // The items of the first and last line of a page together with hashes of their text
+  static lineHashes (page /*: Page */) {
+    // Filter out ImageItems before processing
+    const textItems = page.items.filter(item => 
+      !(item instanceof ImageItem || (item.constructor && item.constructor.name === 'ImageItem') ||
+        (item && typeof item === 'object' && item.imageData))
+    )
+    
+    const minMaxItems = textItems.reduce((itemStore, item) => {
+      if (item.y < itemStore.minY) {
+        itemStore.minElements = [item]
+        itemStore.minY = item.y
+      } else if (item.y === itemStore.minY) {
+        itemStore.minElements.push(item)
+      }
+      if (item.y > itemStore.maxY) {
+        itemStore.maxElements = [item]
+        itemStore.maxY = item.y
+      } else if (item.y === itemStore.maxY) {
+        itemStore.maxElements.push(item)
+      }
+      return itemStore
+    }, {
+      minY: 999,
+      maxY: 0,
+      minElements: [],
+      maxElements: [],
+    })
+
+    const lineHash = elements => elements.length > 0
+      ? hashCodeIgnoringSpacesAndNumbers(elements.reduce((combinedString, item) => {
+          const text = item.text ? (typeof item.text === 'function' ? item.text() : item.text) : ''
+          return combinedString + text.toUpperCase()
+        }, ''))
+      : 0
+    return {
+      minElements: minMaxItems.minElements,
+      maxElements: minMaxItems.maxElements,
+      minLineHash: lineHash(minMaxItems.minElements),
+      maxLineHash: lineHash(minMaxItems.maxElements),
+    }
+  }
+
+  // Counts how many pages share the same first respectively last line
+  static countLineHashes (lineHashes /*: Object[] */, counts = { minLineHashRepetitions: {}, maxLineHashRepetitions: {}, pageCount: 0 }) {
+    lineHashes.forEach(({ minLineHash, maxLineHash }) => {
+      counts.minLineHashRepetitions[minLineHash] = counts.minLineHashRepetitions[minLineHash] ? counts.minLineHashRepetitions[minLineHash] + 1 : 1
+      counts.maxLineHashRepetitions[maxLineHash] = counts.maxLineHashRepetitions[maxLineHash] ? counts.maxLineHashRepetitions[maxLineHash] + 1 : 1
+      counts.pageCount++
+    })
+    return counts
+  }
 }
@@ -6,6 +6,7 @@ const LineItem = require('../../LineItem')
 const ImageItem = require('../../ImageItem')
 const StashingStream = require('../../StashingStream')
 const { REMOVED_ANNOTATION, ADDED_ANNOTATION } = require('../../Annotation')
+const { compareRegions } = require('../../../util/page-item-functions')
 
 // Converts vertical text to horizontal
 module.exports = class VerticalToHorizontal extends ToLineItemTransformation {
@@ -44,7 +45,8 @@ module.exports = class VerticalToHorizontal extends ToLineItemTransformation {
           topY: itemY,
           bottomY: itemY - itemHeight,
           height: itemHeight,
-          x: item.x || 0
+          x: item.x || 0,
+          region: item.region
         })
       })
       
@@ -58,12 +60,19 @@ module.exports = class VerticalToHorizontal extends ToLineItemTransformation {
           topY: imgCenterY + imgHeight / 2,
           bottomY: imgCenterY - imgHeight / 2,
           height: imgHeight,
-          x: imageItem.x || 0
+          x: imageItem.x || 0,
+          region: imageItem.region
         })
       })
       
       // Improved sorting with overlap detection
       const allItems = allItemsWithPos.sort((a, b) => {
+        // Items of different layout regions (columns) are in reading order
+        const regionOrder = compareRegions(a, b)
+        if (regionOrder !== 0) {
+          return regionOrder
+        }
+
         const aY = a.y || 0
         const bY = b.y || 0
         const aX = a.x || 0
@@ -4,71 +4,51 @@ const ToTextItemTransformation = require('../ToTextItemTransformation')
 const ParseResult = require('../../ParseResult')
 const WordFormat = require('../../markdown/WordFormat')
 const StyleConfidence = require('../../StyleConfidence')
-const config = require('../../../util/style-detection-config')
+const GlobalStatsCollector = require('../../GlobalStatsCollector')
+const { resolveDetection } = require('../../../util/detection')
+const { isMathFont } = require('../../../util/math')
+const { isMonospaceFont } = require('../../../util/code')
 
 module.exports = class CalculateGlobalStats extends ToTextItemTransformation {
-  constructor (fontMap) {
+  constructor (fontMap, detection /*: Object */ = resolveDetection()) {
     super('$1')
     this.fontMap = fontMap
+    this.detection = detection
   }
 
   transform (parseResult /*: ParseResult */) /*: ParseResult */ {
-    // Parse heights
-    const heightToOccurrence = {}
-    const fontToOccurrence = {}
-    var maxHeight = 0
-    var maxHeightFont
+    // The stats are precomputed when streaming, otherwise gathered from all pages
+    const globals = parseResult.globals || {}
+    const documentStats = globals.documentStats || GlobalStatsCollector.ofPages(parseResult.pages).summarize()
+    const {
+      heightToOccurrence,
+      fontToOccurrence,
+      distanceToOccurrence,
+      mostUsedHeight,
+      mostUsedFont,
+      maxHeight,
+      maxHeightFont,
+      fontToWidthStats,
+      fontToGlyphWidths = {},
+    } = documentStats
     const ImageItem = require('../../ImageItem')
-    parseResult.pages.forEach(page => {
-      page.items.forEach(item => {
-        // Skip ImageItems when calculating stats
-        if (item instanceof ImageItem || (item.constructor && item.constructor.name === 'ImageItem') ||
-            (item && typeof item === 'object' && item.imageData)) {
-          return
-        }
-        if (!item.height) return
-        heightToOccurrence[item.height] = heightToOccurrence[item.height] ? heightToOccurrence[item.height] + 1 : 1
-        fontToOccurrence[item.font] = fontToOccurrence[item.font] ? fontToOccurrence[item.font] + 1 : 1
-        if (item.height > maxHeight) {
-          maxHeight = item.height
-          maxHeightFont = item.font
-        }
-      })
-    })
-    const mostUsedHeight = parseInt(getMostUsedKey(heightToOccurrence))
-    const mostUsedFont = getMostUsedKey(fontToOccurrence)
+    const { styleConfidence, fontStyleWeights, widthComparison, code } = this.detection
 
-    // Parse line distances
-    const distanceToOccurrence = {}
-    parseResult.pages.forEach(page => {
-      var lastItemOfMostUsedHeight
-      page.items.forEach(item => {
-        if (item.height === mostUsedHeight && item.text.trim().length > 0) {
-          if (lastItemOfMostUsedHeight && item.y !== lastItemOfMostUsedHeight.y) {
-            const distance = lastItemOfMostUsedHeight.y - item.y
-            if (distance > 0) {
-              distanceToOccurrence[distance] = distanceToOccurrence[distance] ? distanceToOccurrence[distance] + 1 : 1
-            }
-          }
-          lastItemOfMostUsedHeight = item
-        } else {
-          lastItemOfMostUsedHeight = null
-        }
-      })
-    })
-    const mostUsedDistance = parseInt(getMostUsedKey(distanceToOccurrence))
-    
-    // Calculate average character width per font (for width-based bold detection)
-    const fontToWidthStats = calculateFontWidthStats(parseResult.pages, mostUsedFont, mostUsedHeight)
+    // A few selected pages (see the pages option) might not contain two consecutive body lines
+    const mostUsedDistance = parseInt(getMostUsedKey(distanceToOccurrence)) || Math.round(mostUsedHeight * 1.2)
     const bodyAvgWidthPerChar = fontToWidthStats.get(mostUsedFont)?.avgWidthPerChar || 0
     
     // Multi-feature style detection
     const fontIdToName = []
     const fontToFormats = new Map() // Backward compatibility: still output format names
     const fontToStyleProfile = new Map() // New: stores StyleConfidence for explainability
+    const mathFonts = new Set() // The fonts of equations, see LineConverter
     
     this.fontMap.forEach(function (value, key) {
       fontIdToName.push(key + ' = ' + value.name)
+      if (isMathFont(value.name)) {
+        mathFonts.add(key)
+      }
       
       // Skip body font (no special formatting)
       if (key === mostUsedFont) {
@@ -76,6 +56,13 @@ module.exports = class CalculateGlobalStats extends ToTextItemTransformation {
         return
       }
       
+      // Text in a monospace font is code, unless the whole document is set in it
+      if (isMonospaceFont(value) || hasUniformGlyphWidths(fontToGlyphWidths[key], code)) {
+        fontToStyleProfile.set(key, new StyleConfidence(0, 0))
+        fontToFormats.set(key, WordFormat.INLINE_CODE.name)
+        return
+      }
+
       // Multi-feature style confidence scoring
       const confidence = calculateStyleConfidence(
         value,
@@ -83,13 +70,15 @@ module.exports = class CalculateGlobalStats extends ToTextItemTransformation {
         mostUsedFont,
         maxHeightFont,
         fontToWidthStats,
-        bodyAvgWidthPerChar
+        bodyAvgWidthPerChar,
+        fontStyleWeights,
+        widthComparison
       )
       
       fontToStyleProfile.set(key, confidence)
       
       // Convert to WordFormat for backward compatibility
-      const format = confidence.toWordFormat(config.styleConfidence.boldThreshold)
+      const format = confidence.toWordFormat(styleConfidence.boldThreshold, styleConfidence.italicThreshold)
       if (format) {
         fontToFormats.set(key, format.name)
       }
@@ -114,6 +103,7 @@ module.exports = class CalculateGlobalStats extends ToTextItemTransformation {
       ...parseResult,
       pages: newPages,
       globals: {
+        ...globals,
         mostUsedHeight,
         mostUsedFont,
         mostUsedDistance,
@@ -121,6 +111,7 @@ module.exports = class CalculateGlobalStats extends ToTextItemTransformation {
         maxHeightFont,
         fontToFormats, // Backward compatibility
         fontToStyleProfile, // New: StyleConfidence map for explainability
+        mathFonts,
         bodyAvgWidthPerChar, // For width-based detection
       },
       messages: [
@@ -133,6 +124,16 @@ module.exports = class CalculateGlobalStats extends ToTextItemTransformation {
   }
 }
 
+// Whether all text of a font has the same width per character, measured on enough distinct letters of different texts
+// (see GlobalStatsCollector). A single text, like a heading in a font of its own repeated on every page, has nothing to
+// compare its width with.
+function hasUniformGlyphWidths (glyphWidths, { maxWidthSpread, minLetters }) {
+  if (!glyphWidths || glyphWidths.texts.size < 2 || glyphWidths.letters.size < minLetters) {
+    return false
+  }
+  return glyphWidths.maxWidthPerChar <= glyphWidths.minWidthPerChar * (1 + maxWidthSpread)
+}
+
 function getMostUsedKey (keyToOccurrence) {
   var maxOccurence = 0
   var maxKey
@@ -145,58 +146,6 @@ function getMostUsedKey (keyToOccurrence) {
   return maxKey
 }
 
-/**
- * Calculate average character width statistics per font.
- * This enables width-based bold detection (bold text is typically 10-20% wider).
- */
-function calculateFontWidthStats (pages, mostUsedFont, mostUsedHeight) {
-  const fontToWidthStats = new Map()
-  const ImageItem = require('../../ImageItem')
-  
-  pages.forEach(page => {
-    page.items.forEach(item => {
-      // Skip ImageItems
-      if (item instanceof ImageItem || (item.constructor && item.constructor.name === 'ImageItem') ||
-          (item && typeof item === 'object' && item.imageData)) {
-        return
-      }
-      
-      if (!item.font || !item.text || !item.width || !item.height) return
-      
-      // Only consider items with body height (to compare same-size fonts)
-      if (Math.abs(item.height - mostUsedHeight) > 0.5) return
-      
-      const textLength = item.text.trim().length
-      if (textLength === 0) return
-      
-      const widthPerChar = item.width / textLength
-      
-      if (!fontToWidthStats.has(item.font)) {
-        fontToWidthStats.set(item.font, {
-          totalWidth: 0,
-          totalChars: 0,
-          samples: []
-        })
-      }
-      
-      const stats = fontToWidthStats.get(item.font)
-      stats.totalWidth += item.width
-      stats.totalChars += textLength
-      stats.samples.push({ width: item.width, chars: textLength, widthPerChar })
-    })
-  })
-  
-  // Calculate averages
-  fontToWidthStats.forEach((stats, font) => {
-    if (stats.totalChars > 0) {
-      stats.avgWidthPerChar = stats.totalWidth / stats.totalChars
-      stats.sampleCount = stats.samples.length
-    }
-  })
-  
-  return fontToWidthStats
-}
-
 /**
  * Multi-feature style confidence scoring.
  * 
@@ -212,10 +161,11 @@ function calculateFontWidthStats (pages, mostUsedFont, mostUsedHeight) {
  * @param {string} maxHeightFont - Font used for max height text
  * @param {Map} fontToWidthStats - Width statistics per font
  * @param {number} bodyAvgWidthPerChar - Average width per character for body font
+ * @param {Object} weights - The fontStyleWeights of the detection configuration
+ * @param {Object} widthComparison - The widthComparison thresholds of the detection configuration
  * @returns {StyleConfidence}
  */
-function calculateStyleConfidence (fontObj, fontId, mostUsedFont, maxHeightFont, fontToWidthStats, bodyAvgWidthPerChar) {
-  const weights = config.fontStyleWeights
+function calculateStyleConfidence (fontObj, fontId, mostUsedFont, maxHeightFont, fontToWidthStats, bodyAvgWidthPerChar, weights, widthComparison) {
   let boldScore = 0
   let italicScore = 0
   
@@ -238,9 +188,9 @@ function calculateStyleConfidence (fontObj, fontId, mostUsedFont, maxHeightFont,
   
   // Feature 2: Width comparison (compare with same fontFamily variants)
   const currentWidthStats = fontToWidthStats.get(fontId)
-  if (currentWidthStats && bodyAvgWidthPerChar > 0 && currentWidthStats.sampleCount >= config.widthComparison.minSamples) {
+  if (currentWidthStats && bodyAvgWidthPerChar > 0 && currentWidthStats.sampleCount >= widthComparison.minSamples) {
     const widthRatio = currentWidthStats.avgWidthPerChar / bodyAvgWidthPerChar
-    if (widthRatio >= config.widthComparison.widthRatioThreshold) {
+    if (widthRatio >= widthComparison.widthRatioThreshold) {
       // Bold text is typically 10-20% wider
       const widthScore = Math.min(1, (widthRatio - 1) / 0.2) // Normalize: 1.0 -> 0, 1.2 -> 1
       boldScore += widthScore * weights.widthComparison
@@ -0,0 +1,82 @@
+// @flow
+
+const ToTextItemTransformation = require('../ToTextItemTransformation')
+const ParseResult = require('../../ParseResult')
+const ImageItem = require('../../ImageItem')
+const { findRegions } = require('../../../util/layout')
+
+// Detects multi-column layouts and brings the items of such pages into reading order, so CompactLines
+// doesn't join the lines of neighbouring columns. Each item gets the index of its region (a column or
+// the content between the columns, like a full-width title) in reading order.
+module.exports = class DetectColumns extends ToTextItemTransformation {
+  constructor () {
+    super('Detect Columns')
+  }
+
+  transform (parseResult /*: ParseResult */) /*: ParseResult */ {
+    const { mostUsedHeight, mostUsedDistance } = parseResult.globals
+    const options = {
+      minColumnGap: mostUsedHeight,
+      minColumnWidth: mostUsedHeight * 10,
+      minColumnHeight: mostUsedDistance * 3,
+      maxRowGap: mostUsedDistance * 3,
+    }
+    var multiColumnPages = 0
+
+    parseResult.pages.forEach(page => {
+      const boxes = page.items.filter(item => !isBlank(item)).map(item => ({ ...boxOf(item), item }))
+      // Horizontal rulings, e.g. of a table, separate the content above and below them
+      page.rulings.filter(ruling => ruling.horizontal).forEach(ruling => {
+        boxes.push({ left: ruling.x1, right: ruling.x2, bottom: ruling.y1, top: ruling.y2 })
+      })
+      const regions = findRegions(boxes, options)
+      if (regions.length < 2) {
+        return
+      }
+      regions.forEach((region, index) => region.forEach(box => {
+        if (box.item) {
+          box.item.region = index
+        }
+      }))
+      // Blank items belong to the nearest text on their line
+      page.items.forEach((item, index) => {
+        if (typeof item.region !== 'number') {
+          item.region = nearestRegion(page.items, index)
+        }
+      })
+      page.items.sort((a, b) => a.region - b.region)
+      multiColumnPages++
+    })
+
+    return new ParseResult({
+      ...parseResult,
+      messages: ['Detected columns on ' + multiColumnPages + ' pages'],
+    })
+  }
+}
+
+function isImage (item) {
+  return item instanceof ImageItem || (item.constructor && item.constructor.name === 'ImageItem') ||
+    (item && typeof item === 'object' && item.imageData)
+}
+
+function isBlank (item) {
+  return !isImage(item) && (!item.text || item.text.trim().length === 0)
+}
+
+// The y of a text item is its baseline, the y of an image its center
+function boxOf (item) {
+  const height = item.height || 0
+  const bottom = isImage(item) ? item.y - height / 2 : item.y
+  return { left: item.x, right: item.x + (item.width || 0), bottom, top: bottom + height }
+}
+
+function nearestRegion (items, index) {
+  const item = items[index]
+  const sameLine = items.filter(other => typeof other.region === 'number' && Math.abs(other.y - item.y) < 1)
+  if (sameLine.length > 0) {
+    return sameLine.reduce((nearest, other) => (Math.abs(other.x - item.x) < Math.abs(nearest.x - item.x) ? other : nearest)).region
+  }
+  const before = items.slice(0, index).reverse().find(other => typeof other.region === 'number')
+  return (before || items.find(other => typeof other.region === 'number')).region
+}
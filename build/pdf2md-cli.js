@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+
+const { run } = require('./util/cli')
+
+run(process.argv.slice(2))
+    .then(exitCode => {
+        process.exitCode = exitCode
+    })
+    .catch(err => {
+        console.error(err)
+        process.exitCode = 1
+    })
@@ -1,11 +1,219 @@
 /** @format */
 
-const { parse } = require('./util/pdf')
-const { makeTransformations, transform } = require('./util/transformations')
+const { parse, loadDocument, findFirstNumberedPage, extractPages } = require('./util/pdf')
+const { makeTransformations, customizeTransformations, transform, transformationName } = require('./util/transformations')
+const { parsePageRanges, selectPageNumbers } = require('./util/page-ranges')
+const { gatherDocumentStats } = require('./util/document-stats')
+const { readOutline } = require('./util/outline')
+const { recordStage, renderReport } = require('./util/debug-report')
+const { resolveDetection } = require('./util/detection')
+const { readMetadata } = require('./util/metadata')
+const { resolveImages } = require('./util/image-handler')
+const { SCRIPT_MODES } = require('./util/math')
+const { UNDERLINE_TAGS } = require('./util/decorations')
+const { makeRenderer } = require('./util/renderers')
+const errors = require('./util/errors')
+const { watchCancellation, NO_CANCELLATION } = require('./util/cancellation')
+const { makeLogger, SILENT_LOGGER } = require('./util/logger')
+const { convertMany: runInWorkers } = require('./util/convert-many')
+const Transformation = require('./models/transformations/Transformation')
+const ToTextItemTransformation = require('./models/transformations/ToTextItemTransformation')
+const ToLineItemTransformation = require('./models/transformations/ToLineItemTransformation')
+const ToLineItemBlockTransformation = require('./models/transformations/ToLineItemBlockTransformation')
+const ParseResult = require('./models/ParseResult')
+const Renderer = require('./models/renderers/Renderer')
+const MarkdownRenderer = require('./models/renderers/MarkdownRenderer')
+const HtmlRenderer = require('./models/renderers/HtmlRenderer')
+const TextRenderer = require('./models/renderers/TextRenderer')
+const AsciiDocRenderer = require('./models/renderers/AsciiDocRenderer')
 if (typeof document === 'undefined') {
     require('./util/dom-stubs').setStubs(global)
 }
 
+/**
+ * Reads the options of pdf2md() and pdf2md.stream(), which also accept legacy callbacks
+ * as second parameter
+ *
+ * @param {Object} options
+ * @returns {Object}
+ */
+function normalizeOptions(options) {
+    const normalized = {
+        callbacks: options,
+        imageMode: 'none',
+        imageSavePath: null,
+        imageHandler: null,
+        pdfTitle: null,
+        customTransformations: null,
+        withMdast: false,
+        pageRanges: null,
+        debug: false,
+        detection: resolveDetection(),
+        detailed: false,
+        frontMatter: false,
+        renderer: makeRenderer(),
+        scriptMode: 'html',
+        underlineTag: 'u',
+        password: undefined,
+        onPassword: null,
+        pageErrors: 'throw',
+        signal: null,
+        timeoutMs: null,
+        pageTimeoutMs: null,
+        partialResult: false,
+        logger: SILENT_LOGGER,
+        onProgress: null
+    }
+    if (options && typeof options === 'object' && !options.callbacks && (options.metadataParsed || options.pageParsed || options.fontParsed || options.documentParsed)) {
+        // Legacy format: second parameter is callbacks
+        return normalized
+    }
+    if (options && typeof options === 'object') {
+        // New format: options object
+        normalized.callbacks = options.callbacks || {}
+        normalized.imageMode = options.imageMode || 'none'
+        normalized.imageSavePath = options.imageSavePath || null
+        normalized.imageHandler = options.imageHandler || null
+        if (normalized.imageHandler !== null && typeof normalized.imageHandler !== 'function') {
+            throw new TypeError('The imageHandler option must be a function')
+        }
+        normalized.pdfTitle = options.pdfTitle || null
+        normalized.customTransformations = options.transformations || null
+        normalized.withMdast = options.mdast === true
+        normalized.debug = options.debug === true
+        normalized.detection = resolveDetection(options.detection)
+        normalized.detailed = options.detailed === true
+        normalized.frontMatter = options.frontMatter === true
+        normalized.renderer = makeRenderer(options.format || 'markdown', { htmlFigures: options.htmlFigures === true })
+        normalized.scriptMode = options.scriptMode || 'html'
+        if (!SCRIPT_MODES.includes(normalized.scriptMode)) {
+            throw new TypeError(`Unknown scriptMode '${normalized.scriptMode}', expected one of: ${SCRIPT_MODES.join(', ')}`)
+        }
+        normalized.underlineTag = options.underlineTag || 'u'
+        if (!UNDERLINE_TAGS.includes(normalized.underlineTag)) {
+            throw new TypeError(`Unknown underlineTag '${normalized.underlineTag}', expected one of: ${UNDERLINE_TAGS.join(', ')}`)
+        }
+        if (options.pages !== undefined && options.pages !== null) {
+            normalized.pageRanges = parsePageRanges(options.pages)
+        }
+        normalized.password = options.password
+        if (normalized.password !== undefined && typeof normalized.password !== 'string') {
+            throw new TypeError('The password option must be a string')
+        }
+        normalized.onPassword = options.onPassword || null
+        if (normalized.onPassword !== null && typeof normalized.onPassword !== 'function') {
+            throw new TypeError('The onPassword option must be a function')
+        }
+        normalized.pageErrors = options.pageErrors || 'throw'
+        if (!errors.PAGE_ERRORS.includes(normalized.pageErrors)) {
+            throw new TypeError(`Unknown pageErrors '${normalized.pageErrors}', expected one of: ${errors.PAGE_ERRORS.join(', ')}`)
+        }
+        normalized.signal = options.signal || null
+        if (normalized.signal !== null && (typeof normalized.signal.aborted !== 'boolean' || typeof normalized.signal.addEventListener !== 'function')) {
+            throw new TypeError('The signal option must be an AbortSignal')
+        }
+        ;['timeoutMs', 'pageTimeoutMs'].forEach(key => {
+            if (options[key] !== undefined && options[key] !== null) {
+                if (typeof options[key] !== 'number' || !(options[key] > 0)) {
+                    throw new RangeError(`Invalid ${key} ${options[key]}, expected a positive number of milliseconds`)
+                }
+                normalized[key] = options[key]
+            }
+        })
+        normalized.partialResult = options.partialResult === true
+        normalized.logger = makeLogger(options.logger)
+        normalized.onProgress = options.onProgress || null
+        if (normalized.onProgress !== null && typeof normalized.onProgress !== 'function') {
+            throw new TypeError('The onProgress option must be a function')
+        }
+    }
+    return normalized
+}
+
+/**
+ * Returns the prefix for image names, derived from the PDF title if not provided
+ *
+ * @param {string|null} pdfTitle
+ * @param {Object} metadata
+ * @returns {string}
+ */
+function imageNamePrefix(pdfTitle, metadata) {
+    if (!pdfTitle && metadata && metadata.info && metadata.info.Title) {
+        pdfTitle = metadata.info.Title
+            .replace(/[^a-zA-Z0-9\u4e00-\u9fa5]/g, '_')
+            .substring(0, 50)
+    }
+    return pdfTitle || 'pdf'
+}
+
+/**
+ * Collects the problems of a conversion the caller should know about
+ *
+ * @param {Page[]} pages - The parsed pages, before the transformations
+ * @returns {string[]} The warnings of the extraction and of pages without text
+ */
+function pageWarnings(pages) {
+    const warnings = []
+    pages.forEach(page => {
+        page.warnings.forEach(warning => warnings.push(`Page ${page.index + 1}: ${warning}`))
+        if (!page.error && !page.items.some(item => typeof item.text === 'string' && item.text.trim().length > 0)) {
+            warnings.push(`Page ${page.index + 1}: No text found, the page might be a scanned image`)
+        }
+    })
+    return warnings
+}
+
+/**
+ * Counts the nodes of the given type in an mdast tree
+ *
+ * @param {Object|null} node - null if the pipeline didn't produce a tree
+ * @param {string} type
+ * @returns {number}
+ */
+function countNodes(node, type) {
+    if (!node) {
+        return 0
+    }
+    return (node.type === type ? 1 : 0) + (node.children || []).reduce((count, child) => count + countNodes(child, type), 0)
+}
+
+/**
+ * Runs the transformations, recording each stage for the debug report if asked to
+ *
+ * @param {Page[]} pages
+ * @param {Transformation[]} transformations
+ * @param {Object} globals
+ * @param {Object} context
+ * @param {boolean} context.debug
+ * @param {string} context.title - The title of the debug report
+ * @param {Object} context.cancellation - Checked between the transformations, see util/cancellation
+ * @param {Object} context.logger - See util/logger
+ * @param {Function|null} context.onProgress - Called with the events 'transformation-started' and
+ * 'transformation-finished' (with the `messages` of the transformation)
+ * @param {number} [context.page] - The page number of the page transformed, when streaming
+ * @returns {Object} { parseResult, debug }, debug is { stages, html } or undefined
+ */
+function runTransformations(pages, transformations, globals, { debug, title, cancellation, logger, onProgress, page }) {
+    cancellation.check()
+    const progress = (type, transformation, details = {}) => onProgress && onProgress({
+        type,
+        name: transformationName(transformation),
+        position: transformations.indexOf(transformation) + 1,
+        total: transformations.length,
+        ...(page !== undefined ? { page } : {}),
+        ...details
+    })
+    const stages = debug ? [recordStage('Parsed PDF', new ParseResult({ pages, messages: [] }))] : null
+    const parseResult = transform(pages, transformations, globals, (transformation, stageResult) => {
+        progress('transformation-finished', transformation, { messages: stageResult.messages || [] })
+        if (debug) {
+            stages.push(recordStage(transformationName(transformation), stageResult))
+        }
+        cancellation.check()
+    }, { onStart: transformation => progress('transformation-started', transformation), logger })
+    return { parseResult, ...(debug ? { debug: { stages, html: renderReport(stages, { title }) } } : {}) }
+}
+
 /**
  * Reads a PDF document and converts it to Markdown
  * @param {string|TypedArray|DocumentInitParameters|PDFDataRangeTransport} pdfBuffer
@@ -26,60 +234,391 @@ if (typeof document === 'undefined') {
  * Path to save images (required when imageMode is 'save')
  * @param {string} [options.pdfTitle]
  * PDF title prefix for image names (used to prevent naming conflicts)
+ * @param {Function} [options.imageHandler]
+ * Optional. Stores the images instead of the imageMode: called with (buffer, { page, index, name, format,
+ * width, height, bbox, hash }) once for each distinct image, resolving to the URL to reference it with,
+ * to { url, alt } or to null to leave it out. `name` is the name the image modes would use, `width` and
+ * `height` are in pixels, `bbox` is { x, y, width, height } of the image on the page in PDF units (x/y
+ * being its lower left corner), `hash` the SHA-1 of the buffer. See util/image-handler.
+ * @param {Function|Object} [options.transformations]
+ * Optional. Customizes the transformation pipeline. Either a function receiving the default
+ * transformations and returning the ones to run, or an object with `remove`, `before` and `after`
+ * keys addressing transformations by class name (e.g. 'DetectTOC')
+ * @param {string|number|Object|Array} [options.pages]
+ * Optional. The pages to convert, e.g. '5-20,33', '10-', 7 or { from: 5, to: 20 }. Other pages are
+ * not loaded at all, the returned page array only contains the selected pages
+ * @param {boolean} [options.mdast=false]
+ * Optional. Also return the document as an mdast tree (https://github.com/syntax-tree/mdast)
+ * @param {boolean} [options.debug=false]
+ * Optional. Record the pages after each transformation and return a debug report of the conversion
+ * @param {string|Object} [options.detection]
+ * Optional. Tunes the detection heuristics for this call: the name of a preset ('academic-paper',
+ * 'slide-deck', 'legal', 'book') or an object overriding sections of the defaults, optionally on top of
+ * a `preset` (see util/detection), e.g. { preset: 'book', headerDetection: { maxLevel: 2 } }
+ * @param {boolean} [options.detailed=false]
+ * Optional. Always return a detailed result object, see below
+ * @param {string|Renderer} [options.format='markdown']
+ * Optional. The output format: 'markdown', 'html' (a fragment of semantic HTML per page), 'text' (plain text
+ * without markup) or 'asciidoc', or a renderer of its own (an instance of a subclass of one of the exported
+ * renderers, see models/renderers/Renderer). The `markdown` fields of the result hold the text in that format.
+ * @param {boolean} [options.frontMatter=false]
+ * Optional. Start the Markdown with YAML front matter holding the title, author, dates, ... of the document
+ * (a <header> in HTML, plain lines in text and the document header in AsciiDoc, see the renderFrontMatter() of the
+ * renderers)
+ * @param {boolean} [options.htmlFigures=false]
+ * Optional. Render the images and tables with a caption (like "Figure 3: System overview") as HTML <figure>
+ * with <figcaption>. Otherwise the caption stays a paragraph and becomes the alt text and title of the image.
+ * Only for the Markdown format, HTML and AsciiDoc always render figures.
+ * @param {string} [options.scriptMode='html']
+ * Optional. How super- and subscripts like 'x²' and 'H₂O' are written: 'html' (x<sup>2</sup>), 'unicode'
+ * (x², HTML for characters without Unicode super- or subscript) or 'latex' ($x^{2}$). Display equations set
+ * in math fonts are written as $$ blocks of LaTeX in any mode.
+ * @param {string} [options.underlineTag='u']
+ * Optional. The HTML element text underlined by a drawn line is wrapped in: 'u' or 'ins' (for the insertions
+ * of redlined documents). Text crossed out by a line is always written as ~~strikethrough~~.
+ * @param {string} [options.password]
+ * Optional. The password to open an encrypted document with
+ * @param {Function} [options.onPassword]
+ * Optional. Asked for the password when it's missing or incorrect, with { reason ('required' or 'incorrect'),
+ * attempt }. Resolves to the password to try (again), or to null to give up.
+ * @param {string} [options.pageErrors='throw']
+ * Optional. What to do with a page failing to load: 'throw' a PageExtractionError, or 'warn' to convert it as
+ * empty page and report it in the warnings of the detailed result
+ * @param {AbortSignal} [options.signal]
+ * Optional. Aborts the conversion with a ConversionAbortedError
+ * @param {number} [options.timeoutMs]
+ * Optional. The time budget of the whole conversion in milliseconds, rejects with a ConversionTimeoutError
+ * @param {number} [options.pageTimeoutMs]
+ * Optional. The time budget of loading each page in milliseconds, a page exceeding it fails like a page that
+ * can't be loaded (see pageErrors)
+ * @param {boolean} [options.partialResult=false]
+ * Optional. When aborted or out of time, convert the pages extracted so far and report the stop in the
+ * warnings of the detailed result instead of rejecting
+ * @param {Object} [options.logger]
+ * Optional. Receives the log messages of the conversion, like warnings about images that couldn't be processed:
+ * console or any object with some of the methods debug, info, warn and error (pino, winston, ...). Nothing is
+ * logged by default.
+ * @param {Function} [options.onProgress]
+ * Optional. Called with the progress events of the conversion as { type, ... }:
+ *   - 'page-loaded', 'page-text-extracted' ({ items }), 'images-extracted' ({ done, count }): with the `page`
+ *     number, its `position` among the pages to convert and their `total`
+ *   - 'transformation-started', 'transformation-finished' ({ messages }): with the `name` of the transformation,
+ *     its `position` and the `total` of transformations (and the `page` when streaming)
  *
- * @returns {Promise<Object>} Object containing:
+ * @throws {PasswordRequiredError|IncorrectPasswordError} When the document is encrypted and the password is
+ * missing or wrong
+ * @throws {InvalidPdfError} When the data isn't a (readable) PDF document
+ * @throws {EmptyDocumentError} When none of the converted pages has any text or images
+ * @throws {PageExtractionError} When a page fails to load (unless pageErrors is 'warn'), with its `page` number
+ * @throws {ConversionAbortedError|ConversionTimeoutError} When the signal is aborted respectively the conversion
+ * takes longer than timeoutMs (unless partialResult is set and pages were extracted)
+ *
+ * @returns {Promise<string[]|Object>} With the detailed option an object containing:
+ *   - markdown: string - The Markdown text of the whole document
+ *   - pages: Object[] - The converted pages as { page, markdown }, page being the (1-based) page number
+ *   - images: Map<string, Buffer> - Map of image names to image buffers (empty unless imageMode is 'relative')
+ *   - metadata: Object - The document information, see util/metadata
+ *   - outline: Object[] - The outline (bookmarks) of the document as { title, level, destination }
+ *   - warnings: string[] - Problems during the conversion, like images that couldn't be extracted
+ *   - figures: Object[] - The captioned figures and tables as { type ('figure' or 'table'), label, number,
+ *     title, text, page }, e.g. { type: 'figure', label: 'Figure 3', number: '3', title: 'System overview', ... }
+ *   - stats: Object - { pageCount, convertedPages, headings, tables, images, durationMs }
+ *   - mdast, debug: As below (only when mdast respectively debug is set)
+ *
+ * Otherwise the Markdown text as page array, or (when imageMode is 'relative', mdast or debug is set)
+ * an object containing:
  *   - markdown: string[] - The Markdown text, page array
  *   - images: Map<string, Buffer> - Map of image names to image buffers (only when imageMode is 'relative')
+ *   - mdast: Object - The mdast Root node of the document, each top-level node has its page number
+ *     in `data.page` (only when mdast is set)
+ *   - debug: Object - The recorded `stages` (see util/debug-report) and the `html` of the report, showing
+ *     the messages, the changes and the annotated items of each transformation (only when debug is set)
  */
 async function pdf2md(pdfBuffer, options = {}) {
-    // Support legacy callbacks parameter
-    let callbacks = options
-    let imageMode = 'none'
-    let imageSavePath = null
-    let pdfTitle = null
-    
-    if (options && typeof options === 'object' && !options.callbacks && (options.metadataParsed || options.pageParsed || options.fontParsed || options.documentParsed)) {
-        // Legacy format: second parameter is callbacks
-        callbacks = options
-    } else if (options && typeof options === 'object') {
-        // New format: options object
-        callbacks = options.callbacks || {}
-        imageMode = options.imageMode || 'none'
-        imageSavePath = options.imageSavePath || null
-        pdfTitle = options.pdfTitle || null
+    const normalized = normalizeOptions(options)
+    const cancellation = watchCancellation(normalized)
+    try {
+        return await convert(pdfBuffer, normalized, cancellation)
+    } finally {
+        cancellation.dispose()
     }
-    
-    const result = await parse(pdfBuffer, callbacks)
-    const { fonts, pages, metadata } = result
-    
-    // Extract PDF title from metadata if not provided
-    if (!pdfTitle && metadata && metadata.info && metadata.info.Title) {
-        pdfTitle = metadata.info.Title
-            .replace(/[^a-zA-Z0-9\u4e00-\u9fa5]/g, '_')
-            .substring(0, 50)
+}
+
+/**
+ * Converts a PDF document to Markdown, see pdf2md()
+ *
+ * @param {string|TypedArray|DocumentInitParameters|PDFDataRangeTransport} pdfBuffer
+ * @param {Object} options - The result of normalizeOptions()
+ * @param {Object} cancellation - See util/cancellation
+ * @returns {Promise<string[]|Object>}
+ */
+async function convert(pdfBuffer, options, cancellation) {
+    const { callbacks, pageRanges, password, onPassword, pageErrors, partialResult, onProgress } = options
+    const startTime = Date.now()
+
+    const result = await parse(pdfBuffer, callbacks, { pageRanges, password, onPassword, pageErrors, cancellation, partialResult, onProgress: onProgress || undefined })
+    try {
+        return await convertPages(result, options, cancellation, startTime)
+    } finally {
+        await result.pdfDocument.destroy()
     }
-    if (!pdfTitle) {
-        pdfTitle = 'pdf'
+}
+
+/**
+ * Transforms the pages of a parsed document, see convert()
+ *
+ * @param {Object} result - The result of parse()
+ * @param {Object} options - The result of normalizeOptions()
+ * @param {Object} cancellation - See util/cancellation
+ * @param {number} startTime - When the conversion started, for the durationMs of the stats
+ * @returns {Promise<string[]|Object>}
+ */
+async function convertPages(result, options, cancellation, startTime) {
+    const { imageMode, imageSavePath, imageHandler, customTransformations, withMdast, debug, detection, detailed, frontMatter, renderer, scriptMode, underlineTag, logger, onProgress, ...settings } = options
+    const { fonts, pages, metadata, outline, pdfDocument, stopped } = result
+    if (!pages.some(page => page.items.length > 0)) {
+        throw new errors.EmptyDocumentError(pages.length)
     }
+    const pdfTitle = imageNamePrefix(settings.pdfTitle, metadata)
+    const warnings = pageWarnings(pages)
+    if (stopped) {
+        warnings.push(`The conversion stopped after ${pages.length} pages: ${stopped.message}`)
+    }
+    // The pages extracted before the conversion stopped are converted without a budget
+    const budget = stopped ? NO_CANCELLATION : cancellation
     
-    const transformations = makeTransformations(fonts.map, {
+    const transformations = customizeTransformations(makeTransformations(fonts.map, {
         imageMode,
         imageSavePath,
-        pdfTitle
-    })
-    const parseResult = transform(pages, transformations)
+        imageHandler,
+        pdfTitle,
+        renderer,
+        scriptMode,
+        underlineTag
+    }, detection), customTransformations)
+    const { parseResult, debug: debugReport } = runTransformations(pages, transformations, { outline }, { debug, title: pdfTitle, cancellation: budget, logger, onProgress })
+    if (imageHandler) {
+        await budget.race(resolveImages(parseResult, imageHandler))
+    }
     
+    const allWarnings = warnings.concat(parseResult.warnings)
+    allWarnings.forEach(warning => logger.warn(warning))
+    logger.info(`Converted ${pages.length} of ${pdfDocument.numPages} pages in ${Date.now() - startTime} ms`)
+
     const markdown = parseResult.pages.map(page => page.items.join('\n'))
     const images = parseResult.images || new Map()
+    const documentInfo = readMetadata(metadata)
+    if (frontMatter && markdown.length > 0) {
+        markdown[0] = renderer.renderFrontMatter(documentInfo) + markdown[0]
+    }
     
-    if (imageMode === 'relative') {
+    if (detailed) {
+        return {
+            markdown: markdown.join('\n'),
+            pages: parseResult.pages.map((page, i) => ({ page: page.index + 1, markdown: markdown[i] })),
+            images,
+            metadata: documentInfo,
+            outline,
+            warnings: allWarnings,
+            figures: parseResult.figures.map(({ type, label, number, title, text, page }) => ({ type, label, number, title, text, page })),
+            stats: {
+                pageCount: pdfDocument.numPages,
+                convertedPages: pages.length,
+                headings: countNodes(parseResult.mdast, 'heading'),
+                tables: countNodes(parseResult.mdast, 'table'),
+                images: countNodes(parseResult.mdast, 'image'),
+                durationMs: Date.now() - startTime
+            },
+            ...(withMdast ? { mdast: parseResult.mdast } : {}),
+            ...(debug ? { debug: debugReport } : {})
+        }
+    }
+    
+    if (withMdast || imageMode === 'relative' || debug) {
         return {
             markdown,
-            images
+            ...(imageMode === 'relative' ? { images } : {}),
+            ...(withMdast ? { mdast: parseResult.mdast } : {}),
+            ...(debug ? { debug: debugReport } : {})
         }
     }
     
     return markdown
 }
 
+/**
+ * Converts a PDF document page by page. A first pass reads only the text of the pages (and, when
+ * images are converted, the images in their margins) to gather the document-wide statistics (most used
+ * font height and line distance, fonts, repeated headers, footers and logos), the second pass converts
+ * and yields one page after the other, so only a single page with its images is held in memory at a time.
+ *
+ * Unlike pdf2md(), the table of contents and the heading levels are detected per page, and links within the
+ * document only point to the headings of their page: links to other pages are rendered as plain text.
+ *
+ * @param {string|TypedArray|DocumentInitParameters|PDFDataRangeTransport} pdfBuffer
+ * Passed to `pdfjs.getDocument()` to read a PDF document for conversion
+ * @param {Object} [options]
+ * The options of pdf2md() except detailed and partialResult. Of the callbacks, only metadataParsed and fontParsed are invoked.
+ * The front matter is added to the first yielded page. Rejects with the errors of pdf2md(), except for the
+ * EmptyDocumentError.
+ *
+ * @returns {AsyncGenerator<Object>} Yields an object per converted page containing:
+ *   - page: number - The (1-based) page number
+ *   - markdown: string - The Markdown text of the page
+ *   - images: Map<string, Buffer> - Map of image names to image buffers (only when imageMode is 'relative').
+ *     An image shown on several pages is only part of the Map of the first page showing it.
+ *   - mdast: Object - The mdast Root node of the page (only when mdast is set)
+ *   - debug: Object - The debug report of the page (only when debug is set)
+ *   - error: PageExtractionError - Why the page is empty (only when pageErrors is 'warn' and the page failed to load)
+ */
+async function * stream(pdfBuffer, options = {}) {
+    const { callbacks, imageMode, imageSavePath, imageHandler, customTransformations, withMdast, pageRanges, debug, detection, frontMatter, renderer, scriptMode, underlineTag, password, onPassword, pageErrors, signal, timeoutMs, pageTimeoutMs, logger, onProgress, ...settings } = normalizeOptions(options)
+    const { metadataParsed = () => {}, fontParsed } = callbacks || {}
+
+    const cancellation = watchCancellation({ signal, timeoutMs, pageTimeoutMs })
+    let pdfDocument
+    try {
+        pdfDocument = await loadDocument(pdfBuffer, { password, onPassword, cancellation })
+    } catch (err) {
+        cancellation.dispose()
+        throw err
+    }
+    try {
+        const metadata = await cancellation.race(pdfDocument.getMetadata())
+        metadataParsed(metadata)
+        const pageNumbers = selectPageNumbers(pageRanges, pdfDocument.numPages)
+        const firstPage = await findFirstNumberedPage(pdfDocument, pageNumbers, pageErrors, cancellation)
+        const globals = {
+            ...(await gatherDocumentStats(pdfDocument, pageNumbers, firstPage, { detection, images: imageMode !== 'none' || imageHandler !== null, pageErrors, cancellation })),
+            outline: await cancellation.race(readOutline(pdfDocument))
+        }
+
+        const fonts = {
+            ids: new Set(),
+            map: new Map()
+        }
+        // Fonts are added to the map while the pages are extracted, before each page is transformed
+        const pdfTitle = imageNamePrefix(settings.pdfTitle, metadata)
+        const transformations = customizeTransformations(makeTransformations(fonts.map, {
+            imageMode,
+            imageSavePath,
+            imageHandler,
+            pdfTitle,
+            renderer,
+            scriptMode,
+            underlineTag
+        }, detection), customTransformations)
+
+        var pendingFrontMatter = frontMatter ? renderer.renderFrontMatter(readMetadata(metadata)) : ''
+        for await (const page of extractPages(pdfDocument, pageNumbers, { firstPage, fonts, fontParsed, pageErrors, cancellation, onProgress: onProgress || undefined })) {
+            const { parseResult, debug: debugReport } = runTransformations([page], transformations, globals, {
+                debug,
+                title: `${pdfTitle}, page ${page.index + 1}`,
+                cancellation,
+                logger,
+                onProgress,
+                page: page.index + 1
+            })
+            if (imageHandler) {
+                await cancellation.race(resolveImages(parseResult, imageHandler))
+            }
+            pageWarnings([page]).concat(parseResult.warnings).forEach(warning => logger.warn(warning))
+            const markdown = pendingFrontMatter + parseResult.pages[0].items.join('\n')
+            pendingFrontMatter = ''
+            yield {
+                page: page.index + 1,
+                markdown,
+                ...(imageMode === 'relative' ? { images: parseResult.images || new Map() } : {}),
+                ...(withMdast ? { mdast: parseResult.mdast } : {}),
+                ...(debug ? { debug: debugReport } : {}),
+                ...(page.error ? { error: page.error } : {})
+            }
+        }
+    } finally {
+        cancellation.dispose()
+        await pdfDocument.destroy()
+    }
+}
+
+/**
+ * Converts many documents in parallel, in a pool of worker threads. The documents are started as the
+ * previous ones are handed over, so a batch of any size only holds `concurrency` results at a time.
+ *
+ * @param {Array<string|Uint8Array|Object>} inputs
+ * The documents: file paths, which the workers read themselves, PDF data, or { source, options } with the
+ * options of this document overriding the shared ones. Documents read from files default the pdfTitle to
+ * the file name.
+ * @param {Object} [options]
+ * The options of pdf2md() shared by the documents, sent to each worker once. Functions can't be sent to
+ * other threads, so callbacks, imageHandler and onPassword aren't supported, transformations only with
+ * `remove` and format only as name. timeoutMs applies to each document, a worker not giving up on its own shortly after is
+ * terminated.
+ * @param {number} [options.concurrency]
+ * Optional. The number of worker threads (default: the number of CPUs)
+ * @param {boolean} [options.isolate=false]
+ * Optional. Convert each document in a new worker, so no document is affected by the ones before
+ * @param {number} [options.memoryLimitMb]
+ * Optional. The heap size limit of each worker in MB, a document exceeding it fails with a WorkerCrashedError
+ * @param {AbortSignal} [options.signal]
+ * Optional. Terminates the workers and rejects with a ConversionAbortedError
+ * @param {Object} [options.logger]
+ * Optional. Logs the messages of the workers, formatted to a single string
+ * @param {Function} [options.onProgress]
+ * Optional. Called with the progress events of the workers, with the `index` of the document added
+ *
+ * @returns {AsyncGenerator<Object>} Yields an object per document, in the order the documents are done:
+ *   - index: number - The index of the document in inputs
+ *   - input: string|Uint8Array|Object - The input of the document
+ *   - result: string[]|Object - What pdf2md() resolved to, when the document was converted
+ *   - error: Error - Why the document couldn't be converted, a WorkerCrashedError when its worker crashed
+ */
+async function * convertMany(inputs, options = {}) {
+    const { concurrency = null, isolate = false, memoryLimitMb = null, signal, logger, onProgress, ...conversionOptions } = options
+    if (!Array.isArray(inputs)) {
+        throw new TypeError('The inputs of convertMany() must be an array')
+    }
+    ;['concurrency', 'memoryLimitMb'].forEach(key => {
+        if (options[key] !== undefined && options[key] !== null && !(Number.isInteger(options[key]) && options[key] > 0)) {
+            throw new RangeError(`Invalid ${key} ${options[key]}, expected a positive integer`)
+        }
+    })
+    Object.keys(conversionOptions).forEach(key => {
+        const value = conversionOptions[key]
+        if (typeof value === 'function' || key === 'callbacks' || (key === 'format' && value && typeof value === 'object') || (key === 'transformations' && value && Object.keys(value).some(name => name !== 'remove'))) {
+            throw new TypeError(`The ${key} option can't be sent to the worker threads of convertMany()`)
+        }
+    })
+    // Invalid options fail the call rather than each document
+    const normalized = normalizeOptions({ ...conversionOptions, signal, logger, onProgress })
+    yield * runInWorkers(inputs, conversionOptions, {
+        concurrency,
+        isolate: isolate === true,
+        memoryLimitMb,
+        signal: normalized.signal,
+        logger: logger ? normalized.logger : null,
+        onProgress: normalized.onProgress
+    })
+}
+
 module.exports = pdf2md
+module.exports.stream = stream
+module.exports.convertMany = convertMany
+module.exports.Transformation = Transformation
+module.exports.ToTextItemTransformation = ToTextItemTransformation
+module.exports.ToLineItemTransformation = ToLineItemTransformation
+module.exports.ToLineItemBlockTransformation = ToLineItemBlockTransformation
+module.exports.ParseResult = ParseResult
+module.exports.Renderer = Renderer
+module.exports.MarkdownRenderer = MarkdownRenderer
+module.exports.HtmlRenderer = HtmlRenderer
+module.exports.TextRenderer = TextRenderer
+module.exports.AsciiDocRenderer = AsciiDocRenderer
+module.exports.Pdf2mdError = errors.Pdf2mdError
+module.exports.PasswordRequiredError = errors.PasswordRequiredError
+module.exports.IncorrectPasswordError = errors.IncorrectPasswordError
+module.exports.InvalidPdfError = errors.InvalidPdfError
+module.exports.EmptyDocumentError = errors.EmptyDocumentError
+module.exports.PageExtractionError = errors.PageExtractionError
+module.exports.ConversionAbortedError = errors.ConversionAbortedError
+module.exports.ConversionTimeoutError = errors.ConversionTimeoutError
+module.exports.WorkerCrashedError = errors.WorkerCrashedError
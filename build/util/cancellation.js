@@ -0,0 +1,130 @@
+const { ConversionAbortedError, ConversionTimeoutError } = require('./errors')
+
+/**
+ * Watches the abort signal and the time budgets of a conversion. The transformations run synchronously,
+ * so check() compares the clock instead of waiting for a timer; the calls to pdf.js, which may never
+ * settle for a broken document, are raced against a timer with race().
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the conversion
+ * @param {number} [options.timeoutMs] - The time budget of the whole conversion
+ * @param {number} [options.pageTimeoutMs] - The time budget of each page, from its startPage() on
+ * @returns {Object} The watcher:
+ *   - check(): throws the ConversionAbortedError or ConversionTimeoutError once the conversion is cancelled
+ *   - race(promise): the promise, rejected with that error instead once the conversion is cancelled
+ *   - checkpoint(): lets timers and I/O run before check(), pdf.js working through its queue of
+ *     promises would not give them a chance to abort the signal
+ *   - startPage(pageNumber): starts the budget of a page, null to stop the budget of the last page
+ *   - dispose(): stops the timer and the listening to the signal
+ */
+function watchCancellation({ signal = null, timeoutMs = null, pageTimeoutMs = null } = {}) {
+    const deadline = timeoutMs !== null ? Date.now() + timeoutMs : Infinity
+    let page = null
+    let pageDeadline = Infinity
+    let timer = null
+    // The rejections of the pending races
+    const pending = new Set()
+
+    const reason = () => {
+        if (signal && signal.aborted) {
+            return new ConversionAbortedError(signal.reason)
+        }
+        const now = Date.now()
+        if (now >= deadline) {
+            return new ConversionTimeoutError(timeoutMs)
+        }
+        if (now >= pageDeadline) {
+            return new ConversionTimeoutError(pageTimeoutMs, page)
+        }
+        return null
+    }
+    const notify = () => {
+        const error = reason()
+        if (error) {
+            pending.forEach(reject => reject(error))
+        } else {
+            schedule()
+        }
+    }
+    const schedule = () => {
+        clearTimeout(timer)
+        const next = Math.min(deadline, pageDeadline)
+        timer = next < Infinity ? setTimeout(notify, Math.max(0, next - Date.now())) : null
+    }
+
+    if (signal) {
+        signal.addEventListener('abort', notify)
+    }
+    schedule()
+
+    return {
+        check() {
+            const error = reason()
+            if (error) {
+                throw error
+            }
+        },
+        async checkpoint() {
+            if (signal || deadline < Infinity) {
+                await new Promise(resolve => setImmediate(resolve))
+            }
+            this.check()
+        },
+        race(promise) {
+            if (!signal && deadline === Infinity && pageDeadline === Infinity) {
+                return promise
+            }
+            let rejectRace
+            const cancelled = new Promise((resolve, reject) => {
+                rejectRace = reject
+            })
+            pending.add(rejectRace)
+            const error = reason()
+            if (error) {
+                rejectRace(error)
+            }
+            return Promise.race([promise, cancelled]).finally(() => pending.delete(rejectRace))
+        },
+        startPage(pageNumber) {
+            page = pageNumber
+            pageDeadline = pageNumber !== null && pageTimeoutMs !== null ? Date.now() + pageTimeoutMs : Infinity
+            schedule()
+        },
+        dispose() {
+            clearTimeout(timer)
+            if (signal) {
+                signal.removeEventListener('abort', notify)
+            }
+        }
+    }
+}
+
+/**
+ * Whether an error is the cancellation of the conversion or of a page
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isCancellation(err) {
+    return err instanceof ConversionAbortedError || err instanceof ConversionTimeoutError
+}
+
+/**
+ * Whether an error cancels the whole conversion, rather than a single page (see the pageErrors option)
+ *
+ * @param {Error} err
+ * @returns {boolean} true for an aborted signal and the timeout of the conversion
+ */
+function stopsConversion(err) {
+    return isCancellation(err) && err.page === undefined
+}
+
+// For the functions reading a page outside of a conversion
+const NO_CANCELLATION = watchCancellation()
+
+module.exports = {
+    watchCancellation,
+    isCancellation,
+    stopsConversion,
+    NO_CANCELLATION
+}
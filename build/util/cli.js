@@ -1,4 +1,39 @@
 const fs = require('fs')
+const path = require('path')
+const { parsePageRanges } = require('./page-ranges')
+const { resolveDetection } = require('./detection')
+const { SCRIPT_MODES } = require('./math')
+const { UNDERLINE_TAGS } = require('./decorations')
+const { FORMATS, makeRenderer } = require('./renderers')
+
+const IMAGE_MODES = ['none', 'base64', 'relative', 'save']
+
+const USAGE = `Usage: pdf2md [options] [<file|folder> ...]
+
+Converts PDF files to Markdown, HTML, plain text or AsciiDoc. Reads a PDF from stdin when no input is given or
+the input is '-'.
+
+Options:
+  -o, --output <dir>          Write one file per PDF into <dir>, e.g. .md or .html by format (default: stdout,
+                              only for a single PDF)
+  -f, --format <format>       Output format: markdown, html, text, asciidoc (default: markdown)
+  -r, --recursive             Descend into sub-folders of folder inputs
+      --image-mode <mode>     Image processing mode: none, base64, relative, save (default: none)
+      --image-save-path <dir> Folder for extracted images (image modes 'relative' and 'save')
+      --pdf-title <title>     Prefix for image names (default: the PDF file name)
+      --pages <pages>         Only convert these pages, e.g. 5-20,33 or 10- (default: all pages)
+      --front-matter          Start the Markdown with YAML front matter of the document's title, author, dates, ...
+      --html-figures          Render captioned images and tables as HTML <figure> with <figcaption>
+      --script-mode <mode>    Super- and subscripts as: html, unicode, latex (default: html)
+      --underline-tag <tag>   HTML element of underlined text: u, ins (default: u)
+      --password <password>   Password of encrypted PDFs
+      --timeout <ms>          Give up on a PDF taking longer than <ms> milliseconds
+      --detection <preset>    Tune the detection for a kind of document: academic-paper, slide-deck, legal, book
+      --debug-report <dir>    Write an HTML report of every conversion stage per PDF into <dir>
+  -h, --help                  Show this help
+  -v, --version               Show the version number`
+
+class UsageError extends Error {}
 
 function getFileAndFolderPaths(folderPath) {
     var filePaths = []
@@ -34,7 +69,339 @@ function getAllFileAndFolderPaths(filePaths, folderPaths, recursive) {
     return [filePaths, folderPaths]
 }
 
+/**
+ * Parses the command line arguments of the `pdf2md` binary
+ *
+ * @param {string[]} argv - process.argv without the node executable and script path
+ *
+ * @returns {object} The parsed options
+ * @throws {UsageError} On unknown flags, missing flag values or invalid combinations
+ */
+function parseArgs(argv) {
+    const options = {
+        inputs: [],
+        output: null,
+        recursive: false,
+        imageMode: 'none',
+        imageSavePath: null,
+        pdfTitle: null,
+        pages: null,
+        format: 'markdown',
+        frontMatter: false,
+        htmlFigures: false,
+        scriptMode: 'html',
+        underlineTag: 'u',
+        password: null,
+        timeout: null,
+        detection: null,
+        debugReport: null,
+        help: false,
+        version: false
+    }
+    // Support --flag=value
+    argv = argv.reduce((args, arg) => {
+        if (arg.startsWith('--') && arg.includes('=')) {
+            const index = arg.indexOf('=')
+            return args.concat(arg.slice(0, index), arg.slice(index + 1))
+        }
+        return args.concat(arg)
+    }, [])
+    const valueOf = (flag, index) => {
+        const value = argv[index + 1]
+        if (value === undefined || (value.startsWith('-') && value !== '-')) {
+            throw new UsageError(`Missing value for ${flag}`)
+        }
+        return value
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i]
+        switch (arg) {
+        case '-o':
+        case '--output':
+            options.output = valueOf(arg, i++)
+            break
+        case '-r':
+        case '--recursive':
+            options.recursive = true
+            break
+        case '--image-mode':
+            options.imageMode = valueOf(arg, i++)
+            break
+        case '--image-save-path':
+            options.imageSavePath = valueOf(arg, i++)
+            break
+        case '--pdf-title':
+            options.pdfTitle = valueOf(arg, i++)
+            break
+        case '--pages':
+            options.pages = valueOf(arg, i++)
+            break
+        case '-f':
+        case '--format':
+            options.format = valueOf(arg, i++)
+            break
+        case '--front-matter':
+            options.frontMatter = true
+            break
+        case '--html-figures':
+            options.htmlFigures = true
+            break
+        case '--script-mode':
+            options.scriptMode = valueOf(arg, i++)
+            break
+        case '--underline-tag':
+            options.underlineTag = valueOf(arg, i++)
+            break
+        case '--password':
+            options.password = valueOf(arg, i++)
+            break
+        case '--timeout':
+            options.timeout = valueOf(arg, i++)
+            break
+        case '--detection':
+            options.detection = valueOf(arg, i++)
+            break
+        case '--debug-report':
+            options.debugReport = valueOf(arg, i++)
+            break
+        case '-h':
+        case '--help':
+            options.help = true
+            break
+        case '-v':
+        case '--version':
+            options.version = true
+            break
+        default:
+            if (arg.startsWith('-') && arg !== '-') {
+                throw new UsageError(`Unknown option: ${arg}`)
+            }
+            options.inputs.push(arg)
+        }
+    }
+
+    if (!IMAGE_MODES.includes(options.imageMode)) {
+        throw new UsageError(`Invalid image mode '${options.imageMode}', expected one of: ${IMAGE_MODES.join(', ')}`)
+    }
+    if (!FORMATS.includes(options.format)) {
+        throw new UsageError(`Invalid format '${options.format}', expected one of: ${FORMATS.join(', ')}`)
+    }
+    if (!SCRIPT_MODES.includes(options.scriptMode)) {
+        throw new UsageError(`Invalid script mode '${options.scriptMode}', expected one of: ${SCRIPT_MODES.join(', ')}`)
+    }
+    if (!UNDERLINE_TAGS.includes(options.underlineTag)) {
+        throw new UsageError(`Invalid underline tag '${options.underlineTag}', expected one of: ${UNDERLINE_TAGS.join(', ')}`)
+    }
+    if (options.timeout !== null) {
+        if (!/^\d+$/.test(options.timeout) || Number(options.timeout) === 0) {
+            throw new UsageError(`Invalid timeout '${options.timeout}', expected a positive number of milliseconds`)
+        }
+        options.timeout = Number(options.timeout)
+    }
+    if (options.imageMode === 'save' && !options.imageSavePath && !options.output) {
+        throw new UsageError('--image-mode save requires --image-save-path or --output')
+    }
+    if (options.imageMode === 'relative' && !options.imageSavePath && !options.output) {
+        throw new UsageError('--image-mode relative requires --image-save-path or --output')
+    }
+    if (options.pages !== null) {
+        try {
+            parsePageRanges(options.pages)
+        } catch (err) {
+            throw new UsageError(err.message)
+        }
+    }
+    if (options.detection !== null) {
+        try {
+            resolveDetection(options.detection)
+        } catch (err) {
+            throw new UsageError(err.message)
+        }
+    }
+    if (options.inputs.length === 0) {
+        options.inputs.push('-')
+    }
+    if (options.inputs.filter(input => input === '-').length > 1) {
+        throw new UsageError('stdin (-) can only be read once')
+    }
+    return options
+}
+
+/**
+ * Expands the command line inputs to a list of conversion jobs
+ *
+ * @param {string[]} inputs - Files, folders or '-' for stdin
+ * @param {boolean} recursive - Whether to descend into sub-folders
+ *
+ * @returns {object[]} Jobs of the form { source, name } where name is the output path without extension
+ */
+function collectJobs(inputs, recursive) {
+    const jobs = []
+    inputs.forEach(input => {
+        if (input === '-') {
+            jobs.push({ source: '-', name: 'stdin' })
+            return
+        }
+        let stats
+        try {
+            stats = fs.statSync(input)
+        } catch (err) {
+            jobs.push({ source: input, name: path.basename(input, path.extname(input)), error: 'No such file or directory' })
+            return
+        }
+        if (!stats.isDirectory()) {
+            jobs.push({ source: input, name: path.basename(input, path.extname(input)) })
+            return
+        }
+        const [filePaths, folderPaths] = getFileAndFolderPaths(input)
+        const [allFilePaths] = getAllFileAndFolderPaths(filePaths, folderPaths, recursive)
+        allFilePaths.forEach(filePath => {
+            const relativePath = path.relative(input, filePath)
+            jobs.push({
+                source: filePath,
+                name: relativePath.slice(0, relativePath.length - path.extname(relativePath).length)
+            })
+        })
+    })
+    return jobs
+}
+
+function readStream(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = []
+        stream.on('data', chunk => chunks.push(chunk))
+        stream.on('end', () => resolve(Buffer.concat(chunks)))
+        stream.on('error', reject)
+    })
+}
+
+async function convertJob(job, options, io) {
+    const buffer = job.source === '-' ? await readStream(io.stdin) : fs.readFileSync(job.source)
+    const extension = makeRenderer(options.format).extension
+    const outputPath = options.output ? path.join(options.output, `${job.name}.${extension}`) : null
+    const imageSavePath = options.imageSavePath || (outputPath && path.dirname(outputPath))
+    const result = await io.pdf2md(buffer, {
+        imageMode: options.imageMode,
+        imageSavePath: options.imageMode === 'save' ? imageSavePath : null,
+        pdfTitle: options.pdfTitle || path.basename(job.name),
+        pages: options.pages,
+        format: options.format,
+        frontMatter: options.frontMatter,
+        htmlFigures: options.htmlFigures,
+        scriptMode: options.scriptMode,
+        underlineTag: options.underlineTag,
+        ...(options.password !== null ? { password: options.password } : {}),
+        ...(options.timeout !== null ? { timeoutMs: options.timeout } : {}),
+        detection: options.detection,
+        debug: options.debugReport !== null
+    })
+    const markdown = Array.isArray(result) ? result : result.markdown
+
+    if (options.debugReport !== null) {
+        const reportPath = path.join(options.debugReport, job.name + '.html')
+        fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+        fs.writeFileSync(reportPath, result.debug.html, 'utf8')
+    }
+
+    if (options.imageMode === 'relative' && result.images && result.images.size > 0) {
+        fs.mkdirSync(imageSavePath, { recursive: true })
+        for (const [imageName, imageBuffer] of result.images.entries()) {
+            fs.writeFileSync(path.join(imageSavePath, imageName), imageBuffer)
+        }
+    }
+
+    const text = markdown.join('\n')
+    if (outputPath) {
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true })
+        fs.writeFileSync(outputPath, text, 'utf8')
+    } else {
+        io.stdout.write(text)
+    }
+    return outputPath
+}
+
+/**
+ * Runs the `pdf2md` command line tool
+ *
+ * @param {string[]} argv - process.argv without the node executable and script path
+ * @param {object} [io] - Streams and converter to use, defaults to the process streams and pdf2md()
+ *
+ * @returns {Promise<number>} The exit code: 0 on success, 1 if a conversion failed, 2 on invalid usage
+ */
+async function run(argv, io = {}) {
+    io = {
+        stdin: process.stdin,
+        stdout: process.stdout,
+        stderr: process.stderr,
+        pdf2md: require('../pdf2md'),
+        ...io
+    }
+
+    let options
+    try {
+        options = parseArgs(argv)
+    } catch (err) {
+        if (!(err instanceof UsageError)) throw err
+        io.stderr.write(`pdf2md: ${err.message}\n\n${USAGE}\n`)
+        return 2
+    }
+    if (options.help) {
+        io.stdout.write(USAGE + '\n')
+        return 0
+    }
+    if (options.version) {
+        io.stdout.write(require('../../package.json').version + '\n')
+        return 0
+    }
+
+    const jobs = collectJobs(options.inputs, options.recursive)
+    if (jobs.length === 0) {
+        io.stderr.write('pdf2md: No PDF files found\n')
+        return 1
+    }
+    // The documents would run into each other on stdout
+    if (jobs.length > 1 && !options.output) {
+        io.stderr.write(`pdf2md: ${jobs.length} PDF files need --output to write them to, stdout takes a single one\n\n${USAGE}\n`)
+        return 2
+    }
+    // Inputs of the same name in different folders would overwrite each other's output
+    const sources = new Map()
+    for (const job of jobs) {
+        if (sources.has(job.name)) {
+            io.stderr.write(`pdf2md: ${sources.get(job.name)} and ${job.source} would both be written to ${job.name}, convert them separately\n`)
+            return 2
+        }
+        sources.set(job.name, job.source)
+    }
+
+    const results = []
+    for (const job of jobs) {
+        const label = job.source === '-' ? 'stdin' : job.source
+        try {
+            if (job.error) {
+                throw new Error(job.error)
+            }
+            const outputPath = await convertJob(job, options, io)
+            results.push({ label, success: true })
+            io.stderr.write(`✓ ${label}${outputPath ? ' -> ' + outputPath : ''}\n`)
+        } catch (err) {
+            results.push({ label, success: false, error: err.message })
+            io.stderr.write(`✗ ${label}: ${err.message}\n`)
+        }
+    }
+
+    const failed = results.filter(result => !result.success).length
+    io.stderr.write(`\n${results.length - failed} succeeded, ${failed} failed\n`)
+    return failed > 0 ? 1 : 0
+}
+
 module.exports = {
     getFileAndFolderPaths,
-    getAllFileAndFolderPaths
+    getAllFileAndFolderPaths,
+    parseArgs,
+    collectJobs,
+    run,
+    UsageError,
+    USAGE
 }
@@ -0,0 +1,49 @@
+// Monospace fonts like Courier, Consolas, Menlo, 'DejaVu Sans Mono' or CMTT of TeX, after the subset prefix of
+// embedded fonts ('ABCDEF+Consolas'). Monotype is a foundry and American Typewriter is proportional.
+const MONOSPACE_FONT_REGEX = /^(?:[A-Z]{6}\+)?(?:.*(?:courier|consol|menlo|monaco|inconsolata|lucida ?console|lucida ?sans ?typewriter|fixedsys|sfmono|andale ?mono|source ?code|fira ?code|jetbrains|cascadia|hack\b|mono(?!type))|CMTT|LMMono)/i
+
+// Languages recognized by their typical lines (see guessLanguage()), the first match wins
+const LANGUAGE_PATTERNS = [
+    ['json', /^\s*[{[]\s*"[^"]*"\s*:/],
+    ['html', /^\s*<(?:!DOCTYPE|html|head|body|div|p|span|a|ul|table)\b/i],
+    ['xml', /^\s*<(?:\?xml|[a-zA-Z][\w:-]*(?:\s[^>]*)?>)/],
+    ['sql', /^\s*(?:SELECT\s.+\sFROM|INSERT\s+INTO|UPDATE\s+\w+\s+SET|CREATE\s+TABLE|DELETE\s+FROM)\b/im],
+    ['python', /^\s*(?:def \w+\(.*\):|class \w+(?:\(.*\))?:|from [\w.]+ import |import \w+$|if __name__ ==)/m],
+    ['javascript', /^\s*(?:const|let|var) \w+ = |=> |\bfunction\s*\w*\(|\bconsole\.log\(|\brequire\(['"]|^\s*import .* from ['"]/m],
+    ['java', /\bpublic (?:static |final )*(?:class|void|int|String)\b|\bSystem\.out\.print/],
+    ['c', /^\s*#include\s*[<"]|\bint main\s*\(/m],
+    ['bash', /^\s*(?:\$ |#!\/bin\/(?:ba)?sh|(?:sudo|npm|npx|yarn|pip|git|cd|mkdir|curl|apt-get|brew|docker) )/m],
+]
+
+/**
+ * Whether a font is a monospace font, by its name or the FixedPitch flag of its descriptor
+ * (only known to pdf.js with the fontExtraProperties option)
+ *
+ * @param {object} font - A font object of pdf.js
+ * @returns {boolean}
+ */
+exports.isMonospaceFont = function isMonospaceFont(font) {
+    return Boolean(font) && (font.isMonospace === true || (typeof font.name === 'string' && MONOSPACE_FONT_REGEX.test(font.name)))
+}
+
+/**
+ * Guesses the language of a code block for the info string of its fence, from lines typical for the language
+ *
+ * @param {string} code
+ * @returns {string|null} Like 'javascript' or 'bash', null if unknown
+ */
+exports.guessLanguage = function guessLanguage(code) {
+    const match = LANGUAGE_PATTERNS.find(([, pattern]) => pattern.test(code))
+    return match ? match[0] : null
+}
+
+/**
+ * The fence of a fenced code block: three backticks, or more than the longest run of backticks in the code
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+exports.codeFence = function codeFence(code) {
+    const longestRun = (code.match(/`+/g) || []).reduce((longest, run) => Math.max(longest, run.length), 0)
+    return '`'.repeat(Math.max(3, longestRun + 1))
+}
@@ -0,0 +1,190 @@
+const os = require('os')
+const path = require('path')
+const { Worker } = require('worker_threads')
+const { WorkerCrashedError, ConversionTimeoutError, deserializeError } = require('./errors')
+const { watchCancellation } = require('./cancellation')
+
+const WORKER_PATH = path.join(__dirname, 'convert-worker.js')
+
+// How much longer than its timeoutMs a worker may take before it is terminated. The transformations
+// are only checked between the stages, the worker then gets the chance to reject on its own.
+const WORKER_GRACE_MS = 1000
+
+/**
+ * Reads the input of a document of convertMany()
+ *
+ * @param {string|Uint8Array|Object} input - A file path, the PDF data or { source, options }
+ * @param {number} index
+ * @returns {Object} { source, options }, the message sent to the worker
+ */
+function toTask(input, index) {
+    if (typeof input === 'string' || input instanceof Uint8Array) {
+        return { source: input, options: {} }
+    }
+    if (input && (typeof input.source === 'string' || input.source instanceof Uint8Array)) {
+        return { source: input.source, options: input.options || {} }
+    }
+    throw new TypeError(`Invalid input at index ${index}, expected a file path, a Buffer or { source, options }`)
+}
+
+/**
+ * Replaces the image buffers of a conversion result with Uint8Arrays owning their ArrayBuffer, which are
+ * moved to the receiving thread instead of being copied. Buffers sharing the memory pool of Node.js are
+ * copied once beforehand.
+ *
+ * @param {string[]|Object} result - The result of pdf2md()
+ * @param {ArrayBuffer[]} transferList - Receives the ArrayBuffers to transfer
+ * @returns {string[]|Object} The result to post
+ */
+function detachImages(result, transferList) {
+    if (!result.images) {
+        return result
+    }
+    const images = new Map()
+    result.images.forEach((buffer, name) => {
+        const owned = buffer.byteOffset === 0 && buffer.byteLength === buffer.buffer.byteLength ? buffer : Uint8Array.from(buffer)
+        images.set(name, new Uint8Array(owned.buffer))
+        transferList.push(owned.buffer)
+    })
+    return { ...result, images }
+}
+
+/**
+ * Turns the images of a result received from a worker back into Buffers, see detachImages()
+ *
+ * @param {string[]|Object} result
+ * @returns {string[]|Object}
+ */
+function attachImages(result) {
+    if (result.images) {
+        result.images.forEach((image, name) => result.images.set(name, Buffer.from(image.buffer, image.byteOffset, image.byteLength)))
+    }
+    return result
+}
+
+function startWorker(options, { memoryLimitMb, logger, onProgress }) {
+    const worker = new Worker(WORKER_PATH, {
+        // The logger and onProgress can't be sent, the worker sends their calls instead (see convertIn())
+        workerData: { options, log: logger !== null, progress: onProgress !== null },
+        ...(memoryLimitMb !== null ? { resourceLimits: { maxOldGenerationSizeMb: memoryLimitMb } } : {})
+    })
+    // A crash is reported by the conversion running in the worker, see convertIn()
+    worker.on('error', () => {})
+    return worker
+}
+
+/**
+ * Converts a document in a worker
+ *
+ * @param {Worker} worker
+ * @param {Object} task - See toTask()
+ * @param {number|null} timeoutMs - The timeoutMs option of the document
+ * @param {Function} onEvent - Called with the messages of the worker logging or reporting progress
+ * @returns {Promise<Object>} Resolves to { result } or { error }, with crashed set when the worker can't be reused
+ */
+function convertIn(worker, task, timeoutMs, onEvent) {
+    return new Promise(resolve => {
+        let timer = null
+        const settle = outcome => {
+            clearTimeout(timer)
+            worker.off('message', onMessage)
+            worker.off('error', onError)
+            worker.off('exit', onExit)
+            resolve(outcome)
+        }
+        const onMessage = message => {
+            if (message.log || message.progress) {
+                try {
+                    onEvent(message)
+                } catch (err) {
+                    // Fails the document like a throwing callback of pdf2md(), the worker is still converting it
+                    settle({ error: err, crashed: true })
+                }
+            } else {
+                settle(message.error ? { error: deserializeError(message.error) } : { result: attachImages(message.result) })
+            }
+        }
+        const onError = err => settle({ error: new WorkerCrashedError(err), crashed: true })
+        const onExit = code => settle({ error: new WorkerCrashedError(new Error(`The worker exited with code ${code}`)), crashed: true })
+        worker.on('message', onMessage)
+        worker.on('error', onError)
+        worker.on('exit', onExit)
+        if (timeoutMs !== null) {
+            timer = setTimeout(() => settle({ error: new ConversionTimeoutError(timeoutMs), crashed: true }), timeoutMs + WORKER_GRACE_MS)
+        }
+        try {
+            worker.postMessage(task)
+        } catch (err) {
+            // Options which can't be cloned
+            settle({ error: err })
+        }
+    })
+}
+
+/**
+ * Converts documents in a pool of worker threads, see pdf2md.convertMany(). The next document is only
+ * started when the conversion of one is handed over, so no more than `concurrency` results are held.
+ *
+ * @param {Array} inputs - See toTask()
+ * @param {Object} options - The options of pdf2md() shared by the documents
+ * @param {Object} pool
+ * @param {number|null} pool.concurrency - The number of workers, defaults to the number of CPUs
+ * @param {boolean} pool.isolate - Convert each document in a new worker
+ * @param {number|null} pool.memoryLimitMb - The heap size limit of the workers
+ * @param {AbortSignal|null} pool.signal - Aborts the remaining conversions
+ * @param {Object|null} pool.logger - Logs the messages of the workers, see util/logger
+ * @param {Function|null} pool.onProgress - Called with the progress events of the workers, with the `index` of
+ * the document added
+ * @returns {AsyncGenerator<Object>} Yields { index, input, result } or { index, input, error } in the order
+ * the documents are done
+ */
+async function * convertMany(inputs, options, { concurrency, isolate, memoryLimitMb, signal, logger, onProgress }) {
+    const tasks = inputs.map(toTask)
+    const size = concurrency || (os.availableParallelism ? os.availableParallelism() : os.cpus().length)
+    const cancellation = watchCancellation({ signal })
+    const idle = []
+    const busy = new Set()
+    // The conversions running, by the index of their input
+    const running = new Map()
+    let next = 0
+
+    const startNext = () => {
+        while (running.size < size && next < tasks.length) {
+            const index = next++
+            const task = tasks[index]
+            const worker = idle.pop() || startWorker(options, { memoryLimitMb, logger, onProgress })
+            busy.add(worker)
+            const timeoutMs = task.options.timeoutMs || options.timeoutMs || null
+            const onEvent = ({ log, progress }) => log ? logger[log.level](log.message) : onProgress({ ...progress, index })
+            running.set(index, convertIn(worker, task, timeoutMs, onEvent).then(outcome => {
+                busy.delete(worker)
+                if (outcome.crashed || isolate) {
+                    worker.terminate()
+                } else {
+                    idle.push(worker)
+                }
+                return { index, ...outcome }
+            }))
+        }
+    }
+
+    try {
+        while (next < tasks.length || running.size > 0) {
+            cancellation.check()
+            startNext()
+            const { index, result, error } = await cancellation.race(Promise.race(running.values()))
+            running.delete(index)
+            startNext()
+            yield error ? { index, input: inputs[index], error } : { index, input: inputs[index], result }
+        }
+    } finally {
+        cancellation.dispose()
+        await Promise.all([...idle, ...busy].map(worker => worker.terminate()))
+    }
+}
+
+module.exports = {
+    convertMany,
+    detachImages,
+    attachImages
+}
@@ -0,0 +1,32 @@
+// The worker threads of convertMany(), converting a document per message
+const fs = require('fs')
+const path = require('path')
+const { format } = require('util')
+const { parentPort, workerData } = require('worker_threads')
+const pdf2md = require('../pdf2md')
+const { serializeError } = require('./errors')
+const { detachImages } = require('./convert-many')
+const { LOG_LEVELS } = require('./logger')
+
+// Sends the calls of the logger and of onProgress to the main thread, see convertMany()
+const forwarding = {
+    ...(workerData.log ? { logger: Object.fromEntries(LOG_LEVELS.map(level => [level, (...args) => parentPort.postMessage({ log: { level, message: format(...args) } })])) } : {}),
+    ...(workerData.progress ? { onProgress: progress => parentPort.postMessage({ progress }) } : {})
+}
+
+parentPort.on('message', async ({ source, options }) => {
+    try {
+        const fromFile = typeof source === 'string'
+        const result = await pdf2md(fromFile ? fs.readFileSync(source) : source, {
+            // Images of documents saved to the same folder don't overwrite each other
+            ...(fromFile ? { pdfTitle: path.basename(source, path.extname(source)) } : {}),
+            ...workerData.options,
+            ...options,
+            ...forwarding
+        })
+        const transferList = []
+        parentPort.postMessage({ result: detachImages(result, transferList) }, transferList)
+    } catch (err) {
+        parentPort.postMessage({ error: serializeError(err) })
+    }
+})
@@ -0,0 +1,249 @@
+// Color of the items without annotation in the report
+const ITEM_COLOR = '#5b6b7f'
+
+// Above this number of compared items a stage diff falls back to comparing counts (without order)
+const MAX_DIFF_CELLS = 1000000
+
+/**
+ * Takes a snapshot of the pages after a transformation, for the debug report. The snapshot is
+ * detached from the pages, which the following transformations change in place.
+ *
+ * @param {string} name - The name of the stage, e.g. the name of the transformation
+ * @param {ParseResult} parseResult - The result of the transformation (before it is completed by the next one)
+ * @returns {Object} { name, messages, globals, pages }, pages of the form { index, width, height, items },
+ * items of the form { kind, text, type, annotation, color, box } with box { x, y, width, height } or null
+ */
+exports.recordStage = function recordStage(name, parseResult) {
+    const globals = parseResult.globals || {}
+    return {
+        name,
+        messages: (parseResult.messages || []).map(String),
+        // Only the values that can be shown as they are
+        globals: Object.keys(globals)
+            .filter(key => ['number', 'string', 'boolean'].includes(typeof globals[key]))
+            .reduce((values, key) => ({ ...values, [key]: globals[key] }), {}),
+        pages: parseResult.pages.map(page => ({
+            index: page.index,
+            width: page.width,
+            height: page.height,
+            items: page.items.map(describeItem)
+        }))
+    }
+}
+
+/**
+ * Compares the items a stage passes on (without the ones it annotated as removed) to the ones the stage before passed on
+ *
+ * @param {Object} previousPage - A page of the previous stage (see recordStage())
+ * @param {Object} page - The same page in the stage
+ * @returns {Object[]} The changes in order of the items, of the form { change: '+'|'-', text }
+ */
+exports.diffPage = function diffPage(previousPage, page) {
+    const before = passedItems(previousPage).map(itemLine)
+    const after = passedItems(page).map(itemLine)
+    if (before.length * after.length > MAX_DIFF_CELLS) {
+        return countDiff(before, after)
+    }
+    // Longest common subsequence, backwards so the changes can be collected from the start
+    const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1))
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+        }
+    }
+    const changes = []
+    let i = 0
+    let j = 0
+    while (i < before.length || j < after.length) {
+        if (i < before.length && j < after.length && before[i] === after[j]) {
+            i++
+            j++
+        } else if (j < after.length && (i === before.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            changes.push({ change: '+', text: after[j++] })
+        } else {
+            changes.push({ change: '-', text: before[i++] })
+        }
+    }
+    return changes
+}
+
+/**
+ * Renders the stages of a conversion as a self-contained HTML page: per stage its messages, the changes
+ * to the items of each page and the items drawn at their position, colored by their annotation
+ *
+ * @param {Object[]} stages - The stages in pipeline order, see recordStage()
+ * @param {Object} [options]
+ *   - title: string - The title of the report
+ * @returns {string} The HTML document
+ */
+exports.renderReport = function renderReport(stages, { title = 'pdf2md debug report' } = {}) {
+    const sections = stages.map((stage, stageIndex) => {
+        const previousStage = stages[stageIndex - 1]
+        const pages = stage.pages.map(page => {
+            const previousPage = previousStage && previousStage.pages.find(other => other.index === page.index)
+            const changes = previousPage ? exports.diffPage(previousPage, page) : []
+            const added = changes.filter(change => change.change === '+').length
+            const removed = changes.length - added
+            return `<div class="page">
+<h3>Page ${page.index + 1} <small>${page.items.length} items${previousPage ? `, +${added} −${removed}` : ''}</small></h3>
+${renderPage(page)}
+${changes.length > 0 ? `<details><summary>Changes</summary><pre class="diff">${changes.map(change => `<span class="${change.change === '+' ? 'add' : 'del'}">${change.change} ${escape(change.text)}</span>`).join('\n')}</pre></details>` : ''}
+</div>`
+        })
+        const globals = Object.keys(stage.globals).map(key => `<code>${escape(key)}: ${escape(String(stage.globals[key]))}</code>`)
+        return `<section id="stage-${stageIndex}">
+<h2>${stageIndex}. ${escape(stage.name)}</h2>
+${stage.messages.length > 0 ? `<ul class="messages">${stage.messages.map(message => `<li>${escape(message)}</li>`).join('')}</ul>` : ''}
+${globals.length > 0 ? `<details><summary>Globals</summary><p class="globals">${globals.join(' ')}</p></details>` : ''}
+<div class="pages">${pages.join('\n')}</div>
+</section>`
+    })
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escape(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 0 2em 2em; color: #222; }
+nav { position: sticky; top: 0; background: #fff; padding: .5em 0; border-bottom: 1px solid #ddd; }
+nav a { margin-right: .8em; white-space: nowrap; }
+section { border-top: 1px solid #ddd; margin-top: 1em; }
+.pages { display: flex; flex-wrap: wrap; gap: 1em; }
+.page { max-width: 620px; }
+.page svg { border: 1px solid #ccc; background: #fff; width: 100%; height: auto; }
+.page svg text { font-family: sans-serif; }
+.diff .add { color: #1a7f37; }
+.diff .del { color: #cf222e; }
+.legend span { margin-right: 1em; }
+small { color: #777; font-weight: normal; }
+pre { white-space: pre-wrap; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<p class="legend"><span style="color: green">■ Added / Detected / Modified</span><span style="color: red">■ Removed</span><span style="color: brown">■ Unchanged</span><span style="color: ${ITEM_COLOR}">■ Not annotated</span></p>
+<nav>${stages.map((stage, stageIndex) => `<a href="#stage-${stageIndex}">${stageIndex}. ${escape(stage.name)}</a>`).join('')}</nav>
+${sections.join('\n')}
+</body>
+</html>
+`
+}
+
+function isImage(item) {
+    return item.constructor.name === 'ImageItem' || Boolean(item.imageData)
+}
+
+function describeItem(item) {
+    if (typeof item === 'string') {
+        return { kind: 'Markdown', text: item, type: null, annotation: null, color: null, box: null }
+    }
+    return {
+        kind: isImage(item) ? 'ImageItem' : item.constructor.name === 'Object' ? 'TextBlock' : item.constructor.name,
+        text: itemText(item),
+        type: item.type ? item.type.name : item.category || null,
+        annotation: item.annotation ? item.annotation.category : null,
+        color: item.annotation ? item.annotation.color : null,
+        box: boxOf(item)
+    }
+}
+
+function itemText(item) {
+    if (isImage(item)) {
+        return `[image ${item.imageName || ''}]`.replace(' ]', ']')
+    }
+    if (typeof item.text === 'function') {
+        return item.text()
+    }
+    if (typeof item.text === 'string') {
+        return item.text
+    }
+    if (Array.isArray(item.items)) {
+        return item.items.map(itemText).join('\n')
+    }
+    return ''
+}
+
+// The box of an item in PDF coordinates, y is the bottom. The y of a text item is its baseline, the y of an image its center.
+function boxOf(item) {
+    if (Array.isArray(item.items) && item.items.length > 0) {
+        const boxes = item.items.map(boxOf).filter(box => box)
+        if (boxes.length === 0) {
+            return null
+        }
+        const x = Math.min(...boxes.map(box => box.x))
+        const y = Math.min(...boxes.map(box => box.y))
+        return {
+            x,
+            y,
+            width: Math.max(...boxes.map(box => box.x + box.width)) - x,
+            height: Math.max(...boxes.map(box => box.y + box.height)) - y
+        }
+    }
+    if (![item.x, item.y, item.width, item.height].every(value => typeof value === 'number' && isFinite(value))) {
+        return null
+    }
+    return {
+        x: item.x,
+        y: isImage(item) ? item.y - item.height / 2 : item.y,
+        width: item.width,
+        height: item.height
+    }
+}
+
+function passedItems(page) {
+    return page.items.filter(item => item.annotation !== 'Removed')
+}
+
+function itemLine(item) {
+    return (item.type ? `[${item.type}] ` : '') + item.text.replace(/\n/g, ' ⏎ ')
+}
+
+function countDiff(before, after) {
+    const counts = new Map()
+    before.forEach(line => counts.set(line, (counts.get(line) || 0) + 1))
+    const changes = []
+    after.forEach(line => {
+        if (counts.get(line) > 0) {
+            counts.set(line, counts.get(line) - 1)
+        } else {
+            changes.push({ change: '+', text: line })
+        }
+    })
+    counts.forEach((count, line) => {
+        for (let i = 0; i < count; i++) {
+            changes.push({ change: '-', text: line })
+        }
+    })
+    return changes
+}
+
+// Draws the items of a page at their position (PDF coordinates have their origin at the bottom left)
+function renderPage(page) {
+    const items = page.items.filter(item => item.box)
+    if (items.length === 0) {
+        return ''
+    }
+    const width = page.width || Math.max(...items.map(item => item.box.x + item.box.width)) + 20
+    const height = page.height || Math.max(...items.map(item => item.box.y + item.box.height)) + 20
+    const shapes = items.map(item => {
+        const { x, y, width: boxWidth, height: boxHeight } = item.box
+        const top = height - y - boxHeight
+        const color = item.color || ITEM_COLOR
+        const tooltip = [item.kind, item.type, item.annotation].filter(value => value).join(' · ') + '\n' + item.text
+        const label = item.text.split('\n')[0]
+        const fontSize = Math.max(2, Math.min(boxHeight, 14) * 0.8)
+        return `<g><title>${escape(tooltip)}</title>` +
+            `<rect x="${round(x)}" y="${round(top)}" width="${round(Math.max(boxWidth, 1))}" height="${round(Math.max(boxHeight, 1))}" fill="${color}" fill-opacity="0.12" stroke="${color}" stroke-width="0.5"/>` +
+            (label ? `<text x="${round(x)}" y="${round(top + Math.min(boxHeight, 14) * 0.8)}" font-size="${round(fontSize)}" fill="${color}" textLength="${round(Math.max(boxWidth, 1))}" lengthAdjust="spacingAndGlyphs">${escape(label)}</text>` : '') +
+            '</g>'
+    })
+    return `<svg viewBox="0 0 ${round(width)} ${round(height)}" width="${round(width)}" height="${round(height)}" xmlns="http://www.w3.org/2000/svg">${shapes.join('')}</svg>`
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10
+}
+
+function escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
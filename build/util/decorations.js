@@ -0,0 +1,83 @@
+const Word = require('../models/Word')
+const WordFormat = require('../models/markdown/WordFormat')
+
+/**
+ * The HTML elements underlined text is written as (see applyUnderlineTag()): <u> for plain underlines,
+ * <ins> for the insertions of redlined documents
+ */
+const UNDERLINE_TAGS = ['u', 'ins']
+
+// Position of a line drawn through text, above its baseline in shares of the font size. Strike-throughs
+// cross the lowercase letters at about a third of the font size.
+const STRIKE_MIN_RISE = 0.15
+const STRIKE_MAX_RISE = 0.6
+// Underlines are drawn on or a bit below the baseline
+const UNDERLINE_MAX_RISE = 0.1
+const UNDERLINE_MAX_DROP = 0.4
+// Thicker lines are bars or borders rather than decorations, in shares of the font size
+const MAX_THICKNESS = 0.2
+
+/**
+ * Finds the horizontal rulings (see util/rulings) drawn through or below a run of text. Rulings reaching
+ * beyond the run by more than the font size, like table borders or separators, aren't decorations.
+ *
+ * @param {object[]} rulings - The rulings of the page
+ * @param {object} run - { x, width, y, height } of text without gaps, y being its baseline
+ * @returns {object[]} { x1, x2, format } with the name of the WordFormat, STRIKETHROUGH or UNDERLINE
+ */
+exports.findDecorations = function findDecorations(rulings, run) {
+    const { x, width, y, height } = run
+    if (!height) {
+        return []
+    }
+    return rulings.filter(ruling => ruling.horizontal && ruling.thickness <= height * MAX_THICKNESS &&
+        ruling.x1 >= x - height && ruling.x2 <= x + width + height && ruling.x2 - ruling.x1 >= height / 2)
+        .map(ruling => {
+            const rise = (ruling.y1 - y) / height
+            if (rise >= STRIKE_MIN_RISE && rise <= STRIKE_MAX_RISE) {
+                return { x1: ruling.x1, x2: ruling.x2, format: 'STRIKETHROUGH' }
+            }
+            if (rise <= UNDERLINE_MAX_RISE && rise >= -UNDERLINE_MAX_DROP) {
+                return { x1: ruling.x1, x2: ruling.x2, format: 'UNDERLINE' }
+            }
+            return null
+        })
+        .filter(decoration => decoration)
+}
+
+/**
+ * Returns the decoration covering most of a horizontal range, if one covers at least half of it
+ *
+ * @param {object[]} decorations - The result of findDecorations()
+ * @param {number} x1
+ * @param {number} x2
+ * @returns {string|undefined} The name of the WordFormat
+ */
+exports.decorationAt = function decorationAt(decorations, x1, x2) {
+    var best
+    var bestCoverage = (x2 - x1) / 2
+    decorations.forEach(decoration => {
+        const coverage = Math.min(x2, decoration.x2) - Math.max(x1, decoration.x1)
+        if (coverage >= bestCoverage) {
+            best = decoration
+            bestCoverage = coverage
+        }
+    })
+    return best ? best.format : undefined
+}
+
+/**
+ * Writes underlined words (see LineConverter) with the given HTML element
+ *
+ * @param {Word[]} words
+ * @param {string} tag - One of UNDERLINE_TAGS
+ * @returns {Word[]}
+ */
+exports.applyUnderlineTag = function applyUnderlineTag(words, tag) {
+    if (tag !== 'ins') {
+        return words
+    }
+    return words.map(word => (word.format === WordFormat.UNDERLINE ? new Word({ ...word, format: WordFormat.INSERTION }) : word))
+}
+
+exports.UNDERLINE_TAGS = UNDERLINE_TAGS
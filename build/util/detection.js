@@ -0,0 +1,176 @@
+/**
+ * The default thresholds and weights of the detection heuristics, tunable per call
+ * through the `detection` option of pdf2md() (see resolveDetection())
+ */
+const DEFAULT_DETECTION = {
+    // Style confidence thresholds (see CalculateGlobalStats)
+    styleConfidence: {
+        boldThreshold: 0.3, // Minimum confidence to mark as bold
+        italicThreshold: 0.3 // Minimum confidence to mark as italic
+    },
+
+    // Font style detection weights
+    fontStyleWeights: {
+        fontDescriptorWeight: 0.40, // FontDescriptor.FontWeight (if available)
+        widthComparison: 0.35, // Character width comparison
+        bodyWidthRatio: 0.20, // Width relative to body text
+        fontNameMatch: 0.05 // Font name string matching (weak)
+    },
+
+    // Character width comparison
+    widthComparison: {
+        minSamples: 3, // Minimum samples needed for width comparison
+        widthRatioThreshold: 1.1 // Bold text is typically 10-20% wider
+    },
+
+    // Header detection (see DetectHeaders)
+    headerDetection: {
+        minScore: 0.4, // Minimum HeaderScore to consider as header
+        maxLevel: 4, // Maximum header level, smaller headers get this level
+        fontSizeRatioThreshold: 1.15, // Minimum fontSize/bodyFontSize to consider
+        verticalSpacingMultiplier: 1.5 // Multiplier for vertical spacing normalization
+    },
+
+    // Header and footer removal (see RemoveRepetitiveElements)
+    repetitiveElements: {
+        minPages: 3, // Minimum number of pages a first or last line has to repeat on
+        minPageShare: 2 / 3 // Minimum share of the pages a first or last line has to repeat on
+    },
+
+    // Decorative image removal (see RemoveDecorativeImages), sizes in PDF units (1/72 inch)
+    images: {
+        minWidth: 8, // Narrower images (bullets, spacers) are dropped
+        minHeight: 8, // Lower images (rules, spacers) are dropped
+        maxAspectRatio: 20, // Images with a longer to shorter side ratio above this are dropped
+        marginShare: 0.12 // Share of the page height at the top and bottom where repeated images are dropped
+    },
+
+    // Super- and subscripts (see LineConverter) and display equations (see DetectMath)
+    math: {
+        scriptHeightRatio: 0.85, // Scripts are set in a font smaller than this share of the line's font size
+        scriptMinOffset: 0.15, // Minimum distance of a script from the baseline, as share of the line's font size
+        minMathShare: 0.5 // Minimum share of math characters (in math fonts) of a line's letters for a display equation
+    },
+
+    // Monospace fonts (see CalculateGlobalStats) and code blocks (see DetectCodeQuoteBlocks)
+    code: {
+        maxWidthSpread: 0.02, // Maximum spread of the character widths of a font's text for a monospace font
+        minLetters: 8, // Minimum number of distinct letters the character widths are measured on
+        minBlockShare: 0.8 // Minimum share of the characters of a block in monospace fonts for a code block
+    },
+
+    // Table of contents detection (see DetectTOC)
+    toc: {
+        maxPages: 20 // Number of pages at the start of the document searched for a TOC
+    }
+}
+
+// The options counting something (samples, pages, letters), which have to be whole numbers
+const COUNT_OPTIONS = ['widthComparison.minSamples', 'headerDetection.maxLevel', 'repetitiveElements.minPages', 'code.minLetters', 'toc.maxPages']
+
+/**
+ * Named sets of overrides of the defaults for common kinds of documents
+ */
+const DETECTION_PRESETS = {
+    // Running heads alternate between the title and the authors, the TOC (if any) is short
+    'academic-paper': {
+        headerDetection: { minScore: 0.45, maxLevel: 3 },
+        repetitiveElements: { minPageShare: 0.4 },
+        toc: { maxPages: 5 }
+    },
+    // Few lines per slide in large fonts, the title of each slide is the only headline
+    'slide-deck': {
+        headerDetection: { minScore: 0.3, maxLevel: 2, fontSizeRatioThreshold: 1.3 },
+        repetitiveElements: { minPageShare: 0.5 },
+        toc: { maxPages: 3 }
+    },
+    // Deeply nested sections, often in body size and set apart by bold type only
+    legal: {
+        styleConfidence: { boldThreshold: 0.25 },
+        headerDetection: { minScore: 0.35, maxLevel: 6, fontSizeRatioThreshold: 1.05 },
+        toc: { maxPages: 10 }
+    },
+    // Running heads alternate between the book and the chapter title, long front matter
+    book: {
+        headerDetection: { maxLevel: 3 },
+        repetitiveElements: { minPages: 5, minPageShare: 0.4 },
+        toc: { maxPages: 40 }
+    }
+}
+
+/**
+ * Resolves the `detection` option of pdf2md() to a complete detection configuration
+ *
+ * @param {string|Object} [detection] - The name of a preset ('academic-paper', 'slide-deck', 'legal',
+ * 'book'), or an object with an optional `preset` key and the sections of DEFAULT_DETECTION to override,
+ * e.g. { preset: 'book', headerDetection: { minScore: 0.5 } }
+ *
+ * @returns {Object} The defaults, overridden by the preset and then by the given values
+ * @throws {TypeError} On unknown presets, sections and keys or values that aren't numbers
+ * @throws {RangeError} If a count (like toc.maxPages) isn't a whole number or headerDetection.maxLevel isn't
+ * a headline level (1-6)
+ */
+exports.resolveDetection = function resolveDetection(detection) {
+    if (detection === undefined || detection === null) {
+        return merge(DEFAULT_DETECTION, {})
+    }
+    if (typeof detection === 'string') {
+        return resolveDetection({ preset: detection })
+    }
+    if (typeof detection !== 'object' || Array.isArray(detection)) {
+        throw new TypeError('The detection option must be a preset name or an object')
+    }
+    const { preset, ...overrides } = detection
+    if (preset !== undefined && !Object.prototype.hasOwnProperty.call(DETECTION_PRESETS, preset)) {
+        throw new TypeError(`Unknown detection preset '${preset}', expected one of: ${Object.keys(DETECTION_PRESETS).join(', ')}`)
+    }
+    validate(overrides)
+    const resolved = merge(merge(DEFAULT_DETECTION, preset === undefined ? {} : DETECTION_PRESETS[preset]), overrides)
+    COUNT_OPTIONS.forEach(option => {
+        const [section, key] = option.split('.')
+        const value = resolved[section][key]
+        if (!Number.isInteger(value) || value < 0) {
+            throw new RangeError(`Invalid detection option ${option} ${value}, expected a whole number`)
+        }
+    })
+    const { maxLevel } = resolved.headerDetection
+    if (maxLevel < 1 || maxLevel > 6) {
+        throw new RangeError(`Invalid detection option headerDetection.maxLevel ${maxLevel}, expected a headline level from 1 to 6`)
+    }
+    return resolved
+}
+
+exports.DEFAULT_DETECTION = DEFAULT_DETECTION
+exports.DETECTION_PRESETS = DETECTION_PRESETS
+
+function validate(overrides) {
+    const unknown = []
+    Object.keys(overrides).forEach(section => {
+        const values = overrides[section]
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_DETECTION, section)) {
+            unknown.push(section)
+            return
+        }
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            throw new TypeError(`Invalid detection option ${section}: expected an object`)
+        }
+        Object.keys(values).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(DEFAULT_DETECTION[section], key)) {
+                unknown.push(`${section}.${key}`)
+            } else if (typeof values[key] !== 'number' || !isFinite(values[key])) {
+                throw new TypeError(`Invalid detection option ${section}.${key}: ${JSON.stringify(values[key])} is not a number`)
+            }
+        })
+    })
+    if (unknown.length > 0) {
+        throw new TypeError(`Unknown detection option(s): ${unknown.join(', ')}`)
+    }
+}
+
+// A copy of the configuration with the values of the overrides, section by section
+function merge(configuration, overrides) {
+    return Object.keys(configuration).reduce((merged, section) => ({
+        ...merged,
+        [section]: { ...configuration[section], ...overrides[section] }
+    }), {})
+}
@@ -0,0 +1,88 @@
+const { readTextItems, readImageItems } = require('./pdf')
+const { transform } = require('./transformations')
+const Page = require('../models/Page')
+const GlobalStatsCollector = require('../models/GlobalStatsCollector')
+const CalculateGlobalStats = require('../models/transformations/text-item/CalculateGlobalStats')
+const CompactLines = require('../models/transformations/line-item/CompactLines')
+const RemoveRepetitiveElements = require('../models/transformations/line-item/RemoveRepetitiveElements')
+const RemoveDecorativeImages = require('../models/transformations/line-item/RemoveDecorativeImages')
+const { resolveDetection } = require('./detection')
+const { PageExtractionError } = require('./errors')
+const { stopsConversion, NO_CANCELLATION } = require('./cancellation')
+
+// How many of the topmost respectively bottommost text rows of a page are kept to find repeated headers and footers
+const EDGE_ROWS = 3
+
+/**
+ * Returns the items of a page lying on its topmost and bottommost text rows
+ *
+ * @param {TextItem[]} items
+ * @returns {TextItem[]}
+ */
+function edgeItems(items) {
+    const ys = [...new Set(items.map(item => item.y))].sort((a, b) => a - b)
+    if (ys.length <= EDGE_ROWS * 2) {
+        return items
+    }
+    const maxBottomY = ys[EDGE_ROWS - 1]
+    const minTopY = ys[ys.length - EDGE_ROWS]
+    return items.filter(item => item.y <= maxBottomY || item.y >= minTopY)
+}
+
+/**
+ * Gathers the document-wide statistics of the pages from their text (the first pass of
+ * streaming). Only occurrence counts and the text of the top and bottom rows of each page are
+ * kept, so memory stays bounded for long documents.
+ *
+ * @param {PDFDocumentProxy} pdfDocument
+ * @param {number[]} pageNumbers - The (1-based) numbers of the pages to convert
+ * @param {Object} [firstPage] - The result of findFirstNumberedPage()
+ * @param {Object} [options]
+ * @param {Object} [options.detection] - The detection configuration, see util/detection
+ * @param {boolean} [options.images=false] - Whether to also count the images repeated in the page
+ * margins. Only these images are decoded, one page at a time.
+ * @param {string} [options.pageErrors='throw'] - 'warn' to leave the pages failing to load out of the statistics
+ * @param {Object} [options.cancellation] - Cancels the reading of the pages, see util/cancellation
+ * @returns {Promise<Object>} Globals to start each page's transformation with:
+ *   - documentStats: the statistics used by CalculateGlobalStats (mostUsedHeight, fonts, ...)
+ *   - lineHashRepetitions: the repetitions of first and last lines used by RemoveRepetitiveElements
+ *   - imageHashRepetitions: the repetitions of images used by RemoveDecorativeImages (only with options.images)
+ */
+exports.gatherDocumentStats = async function gatherDocumentStats(pdfDocument, pageNumbers, firstPage, options = {}) {
+    const { detection = resolveDetection(), images = false, pageErrors = 'throw', cancellation = NO_CANCELLATION } = options
+    const collector = new GlobalStatsCollector()
+    const edgePages = []
+    const imageCounts = { imageHashRepetitions: {}, pageCount: 0 }
+    for (const pageNumber of pageNumbers) {
+        try {
+            await cancellation.checkpoint()
+            cancellation.startPage(pageNumber)
+            const page = await cancellation.race(pdfDocument.getPage(pageNumber))
+            const items = await cancellation.race(readTextItems(page, firstPage))
+            collector.addPage(new Page({ index: page.pageNumber - 1, items }))
+            edgePages.push(new Page({ index: page.pageNumber - 1, items: edgeItems(items) }))
+            if (images) {
+                const { height } = page.getViewport({ scale: 1.0 })
+                const { imageItems } = await readImageItems(pdfDocument, page, await cancellation.race(page.getOperatorList()), box =>
+                    !RemoveDecorativeImages.isDecorationSized(box, detection.images) && RemoveDecorativeImages.isInMargin(box, height, detection.images), cancellation)
+                RemoveDecorativeImages.countImageHashes([new Page({ index: page.pageNumber - 1, items: imageItems, height })], detection.images, imageCounts)
+            }
+            page.cleanup()
+        } catch (err) {
+            if (stopsConversion(err)) {
+                throw err
+            }
+            // The page fails again when it's converted, which reports it
+            if (pageErrors !== 'warn') {
+                throw new PageExtractionError(pageNumber, err)
+            }
+        }
+    }
+    cancellation.startPage(null)
+    const documentStats = collector.summarize()
+
+    // The line grouping needs the line distance, so the edge rows are compacted once the stats are complete
+    const { pages } = transform(edgePages, [new CalculateGlobalStats(new Map(), detection), new CompactLines(detection)], { documentStats })
+    const lineHashRepetitions = RemoveRepetitiveElements.countLineHashes(pages.map(page => RemoveRepetitiveElements.lineHashes(page)))
+    return { documentStats, lineHashRepetitions, ...(images ? { imageHashRepetitions: imageCounts } : {}) }
+}
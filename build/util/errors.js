@@ -0,0 +1,157 @@
+/**
+ * The errors pdf2md() and pdf2md.stream() reject with when a document can't be converted. Each carries
+ * a `code` to tell the reasons apart without instanceof checks, e.g. when the error crossed a process
+ * boundary, and the underlying exception (mostly of pdf.js) as `cause`.
+ */
+class Pdf2mdError extends Error {
+    constructor(message, code, cause) {
+        super(message, cause ? { cause } : undefined)
+        this.name = this.constructor.name
+        this.code = code
+    }
+}
+
+// The document is encrypted and no password was given
+class PasswordRequiredError extends Pdf2mdError {
+    constructor(cause) {
+        super('The PDF is encrypted and needs a password', 'PASSWORD_REQUIRED', cause)
+    }
+}
+
+// The given password doesn't open the document
+class IncorrectPasswordError extends Pdf2mdError {
+    constructor(cause) {
+        super('The password of the PDF is incorrect', 'INCORRECT_PASSWORD', cause)
+    }
+}
+
+// The data isn't a PDF document or too damaged to be read
+class InvalidPdfError extends Pdf2mdError {
+    constructor(cause) {
+        super(`Not a valid PDF: ${cause.message}`, 'INVALID_PDF', cause)
+    }
+}
+
+// None of the converted pages has any text or images
+class EmptyDocumentError extends Pdf2mdError {
+    constructor(pageCount) {
+        super(`The PDF has no text or images on ${pageCount === 1 ? 'its page' : `any of its ${pageCount} pages`}`, 'EMPTY_DOCUMENT')
+        this.pageCount = pageCount
+    }
+}
+
+// A page couldn't be read, `page` is its (1-based) page number
+class PageExtractionError extends Pdf2mdError {
+    constructor(page, cause) {
+        super(`Failed to extract page ${page}: ${cause.message}`, 'PAGE_EXTRACTION_FAILED', cause)
+        this.page = page
+    }
+}
+
+// The signal of the conversion was aborted, `cause` is the reason of the signal
+class ConversionAbortedError extends Pdf2mdError {
+    constructor(cause) {
+        super('The conversion was aborted', 'ABORTED', cause)
+    }
+}
+
+// The conversion took longer than the timeoutMs option, or a page longer than the pageTimeoutMs option
+class ConversionTimeoutError extends Pdf2mdError {
+    constructor(timeoutMs, page) {
+        super(page === undefined ? `The conversion took longer than ${timeoutMs} ms` : `Page ${page} took longer than ${timeoutMs} ms`, 'TIMEOUT')
+        this.timeoutMs = timeoutMs
+        if (page !== undefined) {
+            this.page = page
+        }
+    }
+}
+
+// The worker thread converting the document with convertMany() crashed, e.g. ran out of memory
+class WorkerCrashedError extends Pdf2mdError {
+    constructor(cause) {
+        super(`The worker converting the document crashed: ${cause.message}`, 'WORKER_CRASHED', cause)
+    }
+}
+
+// The values of the pageErrors option: abort the conversion or convert the failed page as empty page with a warning
+const PAGE_ERRORS = ['throw', 'warn']
+
+/**
+ * Translates the exceptions pdf.js rejects the loading of a document with to the errors of pdf2md
+ *
+ * @param {Error} err
+ * @returns {Error} A Pdf2mdError, or err itself if it isn't about the document
+ */
+function fromPdfjsError(err) {
+    if (!err || err instanceof Pdf2mdError) {
+        return err
+    }
+    switch (err.name) {
+    case 'PasswordException':
+        // pdf.js's PasswordResponses: 1 is NEED_PASSWORD, 2 INCORRECT_PASSWORD
+        return err.code === 2 ? new IncorrectPasswordError(err) : new PasswordRequiredError(err)
+    case 'InvalidPDFException':
+    case 'FormatError':
+        return new InvalidPdfError(err)
+    default:
+        return err
+    }
+}
+
+// The properties of the errors kept, besides name, message and stack, when they are sent to another thread
+const ERROR_PROPERTIES = ['code', 'page', 'pageCount', 'timeoutMs']
+
+/**
+ * Turns an error into a plain object to send it to another thread, which would lose the class and the
+ * code of the error otherwise
+ *
+ * @param {Error} err
+ * @returns {Object} { name, message, stack, code, cause, ... }, see deserializeError()
+ */
+function serializeError(err) {
+    if (!(err instanceof Error)) {
+        return { name: 'Error', message: String(err) }
+    }
+    const serialized = { name: err.name, message: err.message, stack: err.stack }
+    ERROR_PROPERTIES.forEach(key => {
+        if (err[key] !== undefined) {
+            serialized[key] = err[key]
+        }
+    })
+    if (err.cause !== undefined) {
+        serialized.cause = serializeError(err.cause)
+    }
+    return serialized
+}
+
+/**
+ * Restores an error sent by serializeError(), as instance of the error class of the same name
+ *
+ * @param {Object} serialized
+ * @returns {Error}
+ */
+function deserializeError({ cause, ...properties }) {
+    const ErrorClass = [...Object.values(module.exports), TypeError, RangeError]
+        .find(value => value.name === properties.name && value.prototype instanceof Error) || Error
+    const err = Object.assign(Object.create(ErrorClass.prototype), properties)
+    if (cause !== undefined) {
+        err.cause = deserializeError(cause)
+    }
+    return err
+}
+
+module.exports = {
+    Pdf2mdError,
+    PasswordRequiredError,
+    IncorrectPasswordError,
+    InvalidPdfError,
+    EmptyDocumentError,
+    PageExtractionError,
+    ConversionAbortedError,
+    ConversionTimeoutError,
+    WorkerCrashedError,
+    PAGE_ERRORS,
+    fromPdfjsError,
+    serializeError,
+    deserializeError
+}
@@ -0,0 +1,67 @@
+/**
+ * Hands the images of a conversion to the imageHandler option of pdf2md() and puts the URLs it
+ * resolves to into the Markdown text and the mdast tree, in place of the placeholders of ToMarkdown
+ *
+ * @param {ParseResult} parseResult - The result of ToMarkdown holding the `pendingImages`
+ * @param {Function} imageHandler - Called with (buffer, { page, index, name, format, width, height, bbox, hash })
+ * for each distinct image, one after the other. Resolves to the URL, to { url, alt } or to null to leave
+ * the image out.
+ * @returns {Promise<void>}
+ * @throws {TypeError} If the handler resolves to anything else; errors of the handler are passed on
+ */
+exports.resolveImages = async function resolveImages(parseResult, imageHandler) {
+    const replacements = []
+    for (const { reference, imageData, info } of parseResult.pendingImages) {
+        const resolved = await imageHandler(imageData, info)
+        reference.pending = false
+        if (resolved === null || resolved === undefined) {
+            reference.uses.forEach(use => {
+                const content = use.render(null, null)
+                // Left out, with the empty line following it
+                replacements.push(content ? [use.token, content] : [use.token + '\n\n', ''])
+            })
+            continue
+        }
+        const { url, alt = null } = typeof resolved === 'string' ? { url: resolved } : resolved
+        if (typeof url !== 'string' || url.length === 0 || (alt !== null && typeof alt !== 'string')) {
+            throw new TypeError(`The imageHandler must resolve to a URL, { url, alt } or null, got ${JSON.stringify(resolved)} for ${info.name}`)
+        }
+        reference.url = url
+        reference.alt = alt
+        reference.uses.forEach(use => {
+            use.node.url = url
+            if (alt !== null) {
+                use.node.alt = alt
+            }
+            const content = use.render(url, alt)
+            // Formats without images render them as nothing
+            replacements.push(content ? [use.token, content] : [use.token + '\n\n', ''])
+        })
+    }
+
+    parseResult.pages.forEach(page => {
+        page.items = page.items.map(item => typeof item === 'string'
+            ? replacements.reduce((text, [token, replacement]) => text.split(token).join(replacement), item)
+            : item)
+    })
+    if (parseResult.mdast) {
+        parseResult.mdast.children = parseResult.mdast.children.filter(node => !(node.type === 'paragraph' &&
+            node.children.length > 0 && node.children.every(child => child.type === 'image' && child.url === null)))
+    }
+    parseResult.pendingImages = []
+}
+
+/**
+ * Returns the Markdown of an image, the alt text and title escaped and the URL in angle brackets if it
+ * contains spaces or parentheses
+ *
+ * @param {string} url
+ * @param {string} alt
+ * @param {string} [title]
+ * @returns {string}
+ */
+exports.imageMarkdown = function imageMarkdown(url, alt, title) {
+    const escapedAlt = alt.replace(/[\\[\]]/g, '\\$&')
+    const escapedTitle = title ? ` "${title.replace(/[\\"]/g, '\\$&')}"` : ''
+    return `![${escapedAlt}](${/[\s()]/.test(url) ? `<${url}>` : url}${escapedTitle})`
+}
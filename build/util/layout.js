@@ -0,0 +1,134 @@
+/**
+ * Splits the content of a page into regions in reading order, a variant of the XY-cut:
+ * The boxes are cut into rows at horizontal whitespace. Consecutive rows sharing a vertical
+ * whitespace (the gutter) form a multi-column band, which is cut into its columns, read one after
+ * the other (and searched for nested columns). Everything outside of the bands - full-width titles,
+ * figures spanning the columns, ... - is read top to bottom.
+ *
+ * @param {Object[]} boxes - Boxes of the form { left, right, bottom, top } in PDF coordinates (y grows upwards)
+ * @param {Object} options
+ *   - minColumnGap: number - Minimum width of the gutter between two columns
+ *   - minColumnWidth: number - Minimum width of a column
+ *   - minColumnHeight: number - Minimum height of a multi-column band
+ *   - maxRowGap: number - Maximum vertical whitespace between the rows of a multi-column band
+ * @returns {Object[][]} The boxes grouped to regions, the regions in reading order. A page without
+ * columns results in a single region.
+ */
+exports.findRegions = function findRegions(boxes, options) {
+    const regions = []
+    var rest = []
+    const flushRest = () => {
+        if (rest.length > 0) {
+            regions.push(rest)
+            rest = []
+        }
+    }
+    gatherBands(splitRows(boxes), options).forEach(band => {
+        const columns = splitColumns(band, options)
+        if (columns) {
+            flushRest()
+            columns.forEach(column => regions.push(...exports.findRegions(column, options)))
+        } else {
+            rest.push(...band.boxes)
+        }
+    })
+    flushRest()
+    return regions
+}
+
+// Cuts the boxes into rows (top to bottom) at the vertical positions no box covers
+function splitRows(boxes) {
+    const rows = []
+    var bottom
+    boxes.slice().sort((a, b) => b.top - a.top).forEach(box => {
+        if (rows.length === 0 || box.top <= bottom) {
+            rows.push([])
+            bottom = box.bottom
+        }
+        rows[rows.length - 1].push(box)
+        bottom = Math.min(bottom, box.bottom)
+    })
+    return rows
+}
+
+// Gathers consecutive rows sharing a horizontal whitespace between their content (a gutter) to bands.
+// A row without content right of the gutter, e.g. when the right column ends earlier, still belongs to the band.
+function gatherBands(rows, { minColumnGap, maxRowGap }) {
+    if (rows.length === 0) {
+        return []
+    }
+    const all = [].concat(...rows)
+    const left = Math.min(...all.map(box => box.left))
+    const right = Math.max(...all.map(box => box.right))
+    const bands = []
+    rows.forEach(row => {
+        const gaps = freeIntervals(row, left, right, minColumnGap)
+        const band = bands[bands.length - 1]
+        const rowTop = Math.max(...row.map(box => box.top))
+        if (band && Math.min(...band.boxes.map(box => box.bottom)) - rowTop <= maxRowGap) {
+            const boxes = band.boxes.concat(row)
+            const contentLeft = Math.min(...boxes.map(box => box.left))
+            const contentRight = Math.max(...boxes.map(box => box.right))
+            const commonGaps = intersectIntervals(band.gaps, gaps, minColumnGap)
+            if (commonGaps.some(gap => gap.start > contentLeft && gap.end < contentRight)) {
+                band.boxes = boxes
+                band.gaps = commonGaps
+                return
+            }
+        }
+        bands.push({ boxes: row.slice(), gaps })
+    })
+    return bands
+}
+
+// The horizontal intervals between left and right not covered by any of the boxes
+function freeIntervals(boxes, left, right, minGap) {
+    const intervals = []
+    var x = left
+    boxes.slice().sort((a, b) => a.left - b.left).forEach(box => {
+        if (box.left - x >= minGap) {
+            intervals.push({ start: x, end: box.left })
+        }
+        x = Math.max(x, box.right)
+    })
+    if (right - x >= minGap) {
+        intervals.push({ start: x, end: right })
+    }
+    return intervals
+}
+
+function intersectIntervals(intervals, otherIntervals, minGap) {
+    const intersections = []
+    intervals.forEach(interval => {
+        otherIntervals.forEach(other => {
+            const start = Math.max(interval.start, other.start)
+            const end = Math.min(interval.end, other.end)
+            if (end - start >= minGap) {
+                intersections.push({ start, end })
+            }
+        })
+    })
+    return intersections
+}
+
+// Cuts a band at its gutters, returns null if the band doesn't look like multi-column text
+function splitColumns(band, { minColumnWidth, minColumnHeight }) {
+    const left = Math.min(...band.boxes.map(box => box.left))
+    const right = Math.max(...band.boxes.map(box => box.right))
+    const gutters = band.gaps.filter(gap => gap.start > left && gap.end < right)
+    if (gutters.length === 0) {
+        return null
+    }
+    const top = Math.max(...band.boxes.map(box => box.top))
+    const bottom = Math.min(...band.boxes.map(box => box.bottom))
+    if (top - bottom < minColumnHeight) {
+        return null
+    }
+    const columns = gutters.map(() => []).concat([[]])
+    band.boxes.forEach(box => {
+        columns[gutters.filter(gutter => gutter.end <= box.left).length].push(box)
+    })
+    const isColumn = column => column.length > 1 &&
+        Math.max(...column.map(box => box.right)) - Math.min(...column.map(box => box.left)) >= minColumnWidth
+    return columns.every(isColumn) ? columns : null
+}
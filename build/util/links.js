@@ -0,0 +1,81 @@
+/**
+ * Resolves the page index and the top of an explicit or named destination
+ *
+ * @param {PDFDocumentProxy} pdfDocument
+ * @param {string|Array} dest - A named destination or an explicit destination like [pageRef, { name: 'XYZ' }, left, top, zoom]
+ * @returns {Promise<Object|null>} { pageIndex, y }, `y` is null if the destination shows the whole page
+ */
+exports.resolveDestination = async function resolveDestination(pdfDocument, dest) {
+    const explicitDest = typeof dest === 'string' ? await pdfDocument.getDestination(dest) : dest
+    if (!Array.isArray(explicitDest) || explicitDest.length === 0) {
+        return null
+    }
+    const [pageRef, fit] = explicitDest
+    const pageIndex = Number.isInteger(pageRef) ? pageRef : await pdfDocument.getPageIndex(pageRef)
+    var y = null
+    if (fit && fit.name === 'XYZ') {
+        y = explicitDest[3]
+    } else if (fit && (fit.name === 'FitH' || fit.name === 'FitBH')) {
+        y = explicitDest[2]
+    }
+    return { pageIndex, y: typeof y === 'number' ? y : null }
+}
+
+/**
+ * Reads the link annotations of a page
+ *
+ * @param {PDFDocumentProxy} pdfDocument
+ * @param {Object[]} annotations - The result of page.getAnnotations()
+ * @returns {Promise<Object[]>} Links of the form { x, y, width, height, url } for links to web pages
+ * and { x, y, width, height, destination: { pageIndex, y } } for links within the document
+ */
+exports.findLinks = async function findLinks(pdfDocument, annotations) {
+    const links = []
+    for (const annotation of annotations) {
+        if (annotation.subtype !== 'Link' || !annotation.rect) {
+            continue
+        }
+        const [x1, y1, x2, y2] = annotation.rect
+        const area = { x: x1, y: y1, width: x2 - x1, height: y2 - y1 }
+        if (annotation.url) {
+            links.push({ ...area, url: annotation.url })
+        } else if (annotation.dest) {
+            try {
+                const destination = await exports.resolveDestination(pdfDocument, annotation.dest)
+                if (destination) {
+                    links.push({ ...area, destination })
+                }
+            } catch (e) {
+                // Broken destinations are ignored, the text stays unlinked
+            }
+        }
+    }
+    return links
+}
+
+/**
+ * Returns the link covering a position
+ *
+ * @param {Object[]} links - The result of findLinks()
+ * @param {number} x
+ * @param {number} y
+ * @returns {Object|undefined}
+ */
+exports.findLinkAt = function findLinkAt(links, x, y) {
+    return links.find(link => x >= link.x && x <= link.x + link.width && y >= link.y && y <= link.y + link.height)
+}
+
+/**
+ * Returns the anchor GitHub generates for a heading, e.g. 'getting-started' for 'Getting Started!'.
+ * Repeated headings get a numbered suffix like GitHub does ('intro', 'intro-1', ...).
+ *
+ * @param {string} text - The text of the heading
+ * @param {Map<string, number>} usedAnchors - The anchors of the headings before, updated by this function
+ * @returns {string}
+ */
+exports.headingAnchor = function headingAnchor(text, usedAnchors) {
+    const anchor = text.trim().toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '').replace(/ /g, '-')
+    const count = usedAnchors.get(anchor) || 0
+    usedAnchors.set(anchor, count + 1)
+    return count === 0 ? anchor : `${anchor}-${count}`
+}
@@ -0,0 +1,35 @@
+// The methods of a logger, from the most to the least verbose
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+const NO_OP = () => {}
+
+// Logs nothing, the default of the logger option
+const SILENT_LOGGER = Object.freeze({ debug: NO_OP, info: NO_OP, warn: NO_OP, error: NO_OP })
+
+/**
+ * Reads the logger option: console or any object with some of the methods debug, info, warn and error, like
+ * the loggers of pino, winston or bunyan. The methods it lacks log nothing.
+ *
+ * @param {Object} [logger]
+ * @returns {Object} A logger with all the methods, SILENT_LOGGER without a logger
+ */
+function makeLogger(logger) {
+    if (logger === undefined || logger === null) {
+        return SILENT_LOGGER
+    }
+    if (typeof logger !== 'object' || !LOG_LEVELS.some(level => typeof logger[level] === 'function')) {
+        throw new TypeError(`The logger option must be an object with any of the methods ${LOG_LEVELS.join(', ')}`)
+    }
+    const complete = {}
+    LOG_LEVELS.forEach(level => {
+        // Called on the logger, pino and winston need their `this`
+        complete[level] = typeof logger[level] === 'function' ? (...args) => logger[level](...args) : NO_OP
+    })
+    return complete
+}
+
+module.exports = {
+    LOG_LEVELS,
+    SILENT_LOGGER,
+    makeLogger
+}
@@ -0,0 +1,194 @@
+const Word = require('../models/Word')
+const WordFormat = require('../models/markdown/WordFormat')
+
+/**
+ * The output formats of super- and subscripts (see applyScriptMode()): HTML <sup>/<sub>, Unicode
+ * characters like '²' (falling back to HTML for characters without Unicode equivalent) or LaTeX like $x^{2}$
+ */
+const SCRIPT_MODES = ['html', 'unicode', 'latex']
+
+// Math fonts of TeX (CMMI, CMSY, CMEX, AMS symbols, Latin Modern) and OpenType math fonts like 'Cambria Math',
+// after the subset prefix of embedded fonts ('ABCDEF+CMMI10')
+const MATH_FONT_REGEX = /^(?:[A-Z]{6}\+)?(?:CMMI|CMSY|CMEX|MSAM|MSBM|LMMath|[\w-]*?[-\s]?Math(?![a-z]))/i
+
+// The characters of text that is set in math without being in a math font: the Mathematical Alphanumeric Symbols
+// (𝑥, 𝐀, 𝔽) and the Mathematical Operators block
+const MATH_CHARACTER_REGEX = /[\u{1D400}-\u{1D7FF}∀-⋿]/u
+
+function characterMap (from, to) {
+    const targets = Array.from(to)
+    return Array.from(from).reduce((map, char, i) => ({ ...map, [char]: targets[i] }), {})
+}
+
+const UNICODE_SCRIPTS = {
+    SUPERSCRIPT: characterMap('0123456789+-−=()abcdefghijklmnoprstuvwxyz', '⁰¹²³⁴⁵⁶⁷⁸⁹⁺⁻⁻⁼⁽⁾ᵃᵇᶜᵈᵉᶠᵍʰⁱʲᵏˡᵐⁿᵒᵖʳˢᵗᵘᵛʷˣʸᶻ'),
+    SUBSCRIPT: characterMap('0123456789+-−=()aehijklmnoprstuvx', '₀₁₂₃₄₅₆₇₈₉₊₋₋₌₍₎ₐₑₕᵢⱼₖₗₘₙₒₚᵣₛₜᵤᵥₓ'),
+}
+
+const LATEX_SCRIPTS = {
+    SUPERSCRIPT: '^',
+    SUBSCRIPT: '_',
+}
+
+const LATEX_SYMBOLS = {
+    α: '\\alpha', β: '\\beta', γ: '\\gamma', δ: '\\delta', ε: '\\varepsilon', ϵ: '\\epsilon', ζ: '\\zeta', η: '\\eta',
+    θ: '\\theta', ϑ: '\\vartheta', ι: '\\iota', κ: '\\kappa', λ: '\\lambda', μ: '\\mu', ν: '\\nu', ξ: '\\xi', π: '\\pi',
+    ρ: '\\rho', σ: '\\sigma', ς: '\\varsigma', τ: '\\tau', υ: '\\upsilon', φ: '\\varphi', ϕ: '\\phi', χ: '\\chi',
+    ψ: '\\psi', ω: '\\omega', Γ: '\\Gamma', Δ: '\\Delta', Θ: '\\Theta', Λ: '\\Lambda', Ξ: '\\Xi', Π: '\\Pi',
+    Σ: '\\Sigma', Υ: '\\Upsilon', Φ: '\\Phi', Ψ: '\\Psi', Ω: '\\Omega',
+    '±': '\\pm', '∓': '\\mp', '×': '\\times', '÷': '\\div', '·': '\\cdot', '⋅': '\\cdot', '∙': '\\cdot', '∘': '\\circ',
+    '−': '-', '∗': '*', '≤': '\\leq', '≥': '\\geq', '≪': '\\ll', '≫': '\\gg', '≠': '\\neq', '≈': '\\approx',
+    '≡': '\\equiv', '∼': '\\sim', '≃': '\\simeq', '≅': '\\cong', '∝': '\\propto', '∞': '\\infty', '∑': '\\sum',
+    '∏': '\\prod', '∫': '\\int', '∬': '\\iint', '∮': '\\oint', '√': '\\sqrt', '∂': '\\partial', '∇': '\\nabla',
+    '∈': '\\in', '∉': '\\notin', '∋': '\\ni', '⊂': '\\subset', '⊆': '\\subseteq', '⊃': '\\supset', '⊇': '\\supseteq',
+    '∪': '\\cup', '∩': '\\cap', '∖': '\\setminus', '∀': '\\forall', '∃': '\\exists', '¬': '\\neg', '∧': '\\wedge',
+    '∨': '\\vee', '⊕': '\\oplus', '⊗': '\\otimes', '→': '\\to', '←': '\\leftarrow', '↔': '\\leftrightarrow',
+    '↦': '\\mapsto', '⇒': '\\Rightarrow', '⇐': '\\Leftarrow', '⇔': '\\Leftrightarrow', '∅': '\\emptyset',
+    ℝ: '\\mathbb{R}', ℕ: '\\mathbb{N}', ℤ: '\\mathbb{Z}', ℚ: '\\mathbb{Q}', ℂ: '\\mathbb{C}', ℓ: '\\ell', ℏ: '\\hbar',
+    '…': '\\ldots', '⋯': '\\cdots', '°': '^{\\circ}', '′': "'", '″': "''", '⟨': '\\langle', '⟩': '\\rangle',
+    '‖': '\\|', '⌊': '\\lfloor', '⌋': '\\rfloor', '⌈': '\\lceil', '⌉': '\\rceil',
+    // Characters with a meaning in LaTeX
+    '{': '\\{', '}': '\\}', '%': '\\%', '#': '\\#', '&': '\\&', $: '\\$', _: '\\_', '\\': '\\backslash', '^': '\\hat{}',
+    '~': '\\sim',
+}
+
+// An equation number like '(3)' or '(2.1a)' at the end of a display equation
+const EQUATION_NUMBER_REGEX = /^\((\d+(?:\.\d+)*[a-z]?)\)$/
+
+/**
+ * Whether the name of a font is the one of a math font like CMMI10 or Cambria Math
+ *
+ * @param {string} fontName
+ * @returns {boolean}
+ */
+exports.isMathFont = function isMathFont(fontName) {
+    return typeof fontName === 'string' && MATH_FONT_REGEX.test(fontName)
+}
+
+/**
+ * Whether a character is a math symbol even in a text font, like '∑' or '𝑥'
+ *
+ * @param {string} char
+ * @returns {boolean}
+ */
+exports.isMathCharacter = function isMathCharacter(char) {
+    return MATH_CHARACTER_REGEX.test(char)
+}
+
+/**
+ * Converts text to LaTeX (best effort): Greek letters and math symbols become commands, the Mathematical
+ * Alphanumeric Symbols ('𝑥') plain letters and the characters with a meaning in LaTeX are escaped
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+exports.toLatex = function toLatex(text) {
+    var latex = ''
+    Array.from(text).forEach(char => {
+        const symbol = LATEX_SYMBOLS[char] || Array.from(char.normalize('NFKC')).map(normalized => LATEX_SYMBOLS[normalized] || normalized).join('')
+        // A command is ended by a space before a letter ('\alpha x')
+        if (/\\[a-zA-Z]+$/.test(latex) && /^[a-zA-Z]/.test(symbol)) {
+            latex += ' '
+        }
+        latex += symbol
+    })
+    return latex
+}
+
+// Groups the words to runs of consecutive words of the same script (see WordFormat), other words being runs of their own
+function scriptRuns(words) {
+    const runs = []
+    words.forEach(word => {
+        const lastRun = runs[runs.length - 1]
+        if (isScript(word) && lastRun && lastRun[0].format === word.format) {
+            lastRun.push(word)
+        } else {
+            runs.push([word])
+        }
+    })
+    return runs
+}
+
+function isScript(word) {
+    return word.format === WordFormat.SUPERSCRIPT || word.format === WordFormat.SUBSCRIPT
+}
+
+// Replaces scripts by their Unicode characters, if all of their characters have one
+function scriptsToUnicode(words) {
+    return [].concat(...scriptRuns(words).map(run => {
+        if (!isScript(run[0])) {
+            return run
+        }
+        const characters = UNICODE_SCRIPTS[run[0].format.name]
+        const strings = run.map(word => Array.from(word.string).map(char => characters[char]))
+        if (strings.some(chars => chars.includes(undefined))) {
+            return run
+        }
+        return run.map((word, i) => new Word({ ...word, string: strings[i].join(''), format: null, attached: true }))
+    }))
+}
+
+// Merges scripts with the word they are attached to into LaTeX words ('x', '2' => 'x^{2}'), the words
+// following chained scripts like x_{i}^{2} into the same word
+function scriptsToLatex(words) {
+    const result = []
+    var math = null // the LaTeX word the last script was added to
+    scriptRuns(words).forEach(run => {
+        const operator = run[0].format && LATEX_SCRIPTS[run[0].format.name]
+        if (!operator) {
+            math = null
+            result.push(...run)
+            return
+        }
+        if (!math) {
+            const base = result.pop()
+            const baseLatex = !base ? '' : base.format === WordFormat.MATH ? base.string : exports.toLatex(base.string)
+            math = new Word({ string: baseLatex, format: WordFormat.MATH, attached: base ? base.attached : false })
+            result.push(math)
+        }
+        math.string += `${operator}{${run.map(word => exports.toLatex(word.string)).join(' ')}}`
+    })
+    return result
+}
+
+/**
+ * Renders the super- and subscripts of words (see LineConverter) in the given mode. In 'html' mode
+ * they stay formatted words rendered as <sup>/<sub>.
+ *
+ * @param {Word[]} words
+ * @param {string} mode - One of SCRIPT_MODES
+ * @returns {Word[]} The words, scripts replaced by Unicode characters or merged into LaTeX words
+ */
+exports.applyScriptMode = function applyScriptMode(words, mode) {
+    if (mode === 'unicode') {
+        return scriptsToUnicode(words)
+    }
+    if (mode === 'latex') {
+        return scriptsToLatex(words)
+    }
+    return words
+}
+
+/**
+ * Converts the lines of a display equation (see DetectMath) to LaTeX, one row per line. An equation
+ * number set apart at the end of a line becomes a \tag.
+ *
+ * @param {LineItem[]} lineItems
+ * @returns {string}
+ */
+exports.linesToLatex = function linesToLatex(lineItems) {
+    return lineItems.map(line => {
+        const words = scriptsToLatex(line.words)
+        var tag = ''
+        const lastSegment = line.segments ? line.segments[line.segments.length - 1] : null
+        const number = words.length > 1 && lastSegment && lastSegment.words.length === 1 && EQUATION_NUMBER_REGEX.exec(words[words.length - 1].string)
+        if (number) {
+            words.pop()
+            tag = ` \\tag{${number[1]}}`
+        }
+        return words.map((word, i) => (i > 0 && !word.attached ? ' ' : '') +
+            (word.format === WordFormat.MATH ? word.string : exports.toLatex(word.string))).join('') + tag
+    }).join(' \\\\\n')
+}
+
+exports.SCRIPT_MODES = SCRIPT_MODES
@@ -0,0 +1,72 @@
+const { PDFDateString } = require('pdfjs-dist')
+
+/**
+ * Reads the document information of a PDF from its info dictionary and XMP metadata, preferring
+ * the XMP values (which are usually the more complete ones) when both are present
+ *
+ * @param {Object} [pdfMetadata] - The result of PDFDocumentProxy.getMetadata(): { info, metadata }
+ * @returns {Object} { title, author, subject, keywords, creator, producer, creationDate, modificationDate,
+ * info, xmp }, missing values are null (keywords an empty array), dates are ISO 8601 strings.
+ * `info` is the raw info dictionary, `xmp` all XMP values by (lowercase) name.
+ */
+exports.readMetadata = function readMetadata(pdfMetadata) {
+    const info = (pdfMetadata && pdfMetadata.info) || {}
+    const xmp = pdfMetadata && pdfMetadata.metadata ? pdfMetadata.metadata.getAll() : {}
+    const text = value => {
+        const joined = Array.isArray(value) ? value.join(', ') : value
+        return typeof joined === 'string' && joined.trim().length > 0 ? joined.trim() : null
+    }
+    const first = (...values) => values.map(text).find(value => value !== null) || null
+    const keywords = Array.isArray(xmp['dc:subject']) && xmp['dc:subject'].length > 0
+        ? xmp['dc:subject']
+        : (first(xmp['pdf:keywords'], info.Keywords) || '').split(/[,;]/)
+
+    return {
+        title: first(xmp['dc:title'], info.Title),
+        author: first(xmp['dc:creator'], info.Author),
+        subject: first(xmp['dc:description'], info.Subject),
+        keywords: keywords.map(keyword => keyword.trim()).filter(keyword => keyword.length > 0),
+        creator: first(xmp['xmp:creatortool'], info.Creator),
+        producer: first(xmp['pdf:producer'], info.Producer),
+        creationDate: toISODate(xmp['xmp:createdate']) || toISODate(info.CreationDate),
+        modificationDate: toISODate(xmp['xmp:modifydate']) || toISODate(info.ModDate),
+        info,
+        xmp
+    }
+}
+
+/**
+ * Renders the document information as YAML front matter, leaving out missing values. The creation
+ * date is written as `date`, the field static site generators sort pages by.
+ *
+ * @param {Object} metadata - The result of readMetadata()
+ * @returns {string} The front matter including the `---` delimiters, followed by an empty line
+ */
+exports.toFrontMatter = function toFrontMatter(metadata) {
+    const fields = [
+        ['title', metadata.title],
+        ['author', metadata.author],
+        ['subject', metadata.subject],
+        ['keywords', metadata.keywords.length > 0 ? metadata.keywords : null],
+        ['date', metadata.creationDate],
+        ['modified', metadata.modificationDate],
+        ['creator', metadata.creator],
+        ['producer', metadata.producer]
+    ]
+    const lines = fields
+        .filter(([, value]) => value !== null)
+        // Double-quoted YAML strings share the escapes of JSON strings
+        .map(([key, value]) => Array.isArray(value)
+            ? `${key}:\n${value.map(item => `  - ${JSON.stringify(item)}`).join('\n')}`
+            : `${key}: ${JSON.stringify(value)}`)
+    return ['---', ...lines, '---', '', ''].join('\n')
+}
+
+// Converts a PDF date string (D:YYYYMMDDHHmmSSOHH'mm') or an XMP date (ISO 8601) to an ISO 8601 string
+function toISODate(value) {
+    if (typeof value !== 'string' || value.trim().length === 0) {
+        return null
+    }
+    const date = value.startsWith('D:') || /^\d{4,14}$/.test(value) ? PDFDateString.toDateObject(value) : new Date(value)
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null
+}
@@ -0,0 +1,29 @@
+const { resolveDestination } = require('./links')
+
+/**
+ * Reads the outline (bookmarks) of a PDF document
+ *
+ * @param {PDFDocumentProxy} pdfDocument
+ * @returns {Promise<Object[]>} The outline entries in document order as { title, level, destination },
+ * `level` is 0 for top-level entries, `destination` is { pageIndex, y } or null if it can't be resolved
+ */
+exports.readOutline = async function readOutline(pdfDocument) {
+    const outline = await pdfDocument.getOutline()
+    const entries = []
+    const addEntries = async (items, level) => {
+        for (const item of items || []) {
+            var destination = null
+            if (item.dest) {
+                try {
+                    destination = await resolveDestination(pdfDocument, item.dest)
+                } catch (e) {
+                    // Broken destinations are ignored, the entry can't be matched to a headline
+                }
+            }
+            entries.push({ title: (item.title || '').trim(), level, destination })
+            await addEntries(item.items, level + 1)
+        }
+    }
+    await addEntries(outline, 0)
+    return entries
+}
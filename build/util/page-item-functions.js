@@ -41,6 +41,51 @@ exports.minXFromPageItems = function minXFromPageItems(items /*: PageItem */) /*
     return minX
 }
 
+/**
+ * Compares the layout regions of two items (see DetectColumns), for sorting items by reading order
+ *
+ * @param {Object} a - An item or an object with the region of an item
+ * @param {Object} b
+ * @returns {number} Negative if a is in an earlier region, 0 if both are in the same region or not in a region
+ */
+exports.compareRegions = function compareRegions(a, b) {
+    if (typeof a.region !== 'number' || typeof b.region !== 'number') {
+        return 0
+    }
+    return a.region - b.region
+}
+
+/**
+ * Places images between the text items at their position: each image comes before the first item
+ * below its vertical center, within the same layout region (see DetectColumns). The y of a text
+ * item is its baseline, the y of an image its center, both in PDF user space.
+ *
+ * @param {Object[]} items - LineItems or LineItemBlocks in reading order
+ * @param {ImageItem[]} imageItems
+ * @returns {Object[]} The items with the images inserted
+ */
+exports.insertImagesByPosition = function insertImagesByPosition(items /*: Object[] */, imageItems /*: Object[] */) /*: Object[] */ {
+    const topOf = item => (Array.isArray(item.items) && item.items.length > 0
+        ? Math.max(...item.items.map(topOf))
+        : (item.y || 0) + (item.height || 0))
+    // Blocks are in the region of their first line
+    const regionOf = item => ({ region: Array.isArray(item.items) && item.items.length > 0 ? item.items[0].region : item.region })
+    const images = new Set(imageItems)
+    const placed = items.slice()
+    // Top to bottom, so images at the same place keep their order
+    imageItems.slice().sort((a, b) => exports.compareRegions(a, b) || b.y - a.y).forEach(image => {
+        const index = placed.findIndex(item => {
+            if (images.has(item)) {
+                return false
+            }
+            const regionOrder = exports.compareRegions(regionOf(item), image)
+            return regionOrder > 0 || (regionOrder === 0 && topOf(item) < image.y)
+        })
+        placed.splice(index === -1 ? placed.length : index, 0, image)
+    })
+    return placed
+}
+
 exports.sortByX = function sortByX(items /*: PageItem */) {
     if (!items || !Array.isArray(items)) {
         return
@@ -0,0 +1,80 @@
+/**
+ * Parses the `pages` option of pdf2md() into ranges of (1-based) page numbers
+ *
+ * @param {string|number|Object|Array} selection - A range string like '5-20,33', '10-' (to the end)
+ * or '-3' (from the start), a page number, an object { from, to } (both optional) or an array of these
+ *
+ * @returns {Object[]} Ranges of the form { from, to }, `to` is Infinity for open ranges
+ * @throws {TypeError} If the selection is malformed
+ */
+exports.parsePageRanges = function parsePageRanges(selection) {
+    const invalid = () => new TypeError(`Invalid page selection: ${JSON.stringify(selection)}`)
+    const toPageNumber = value => {
+        const number = typeof value === 'string' ? Number(value.trim()) : value
+        if (!Number.isInteger(number) || number < 1) {
+            throw invalid()
+        }
+        return number
+    }
+    const toRange = (from, to) => {
+        if (from > to) {
+            throw new TypeError(`Invalid page range ${from}-${to}: the first page is after the last page`)
+        }
+        return { from, to }
+    }
+
+    if (Array.isArray(selection)) {
+        if (selection.length === 0) {
+            throw invalid()
+        }
+        return [].concat(...selection.map(parsePageRanges))
+    }
+    if (typeof selection === 'number') {
+        const page = toPageNumber(selection)
+        return [toRange(page, page)]
+    }
+    if (selection && typeof selection === 'object') {
+        const { from, to, ...unknown } = selection
+        if (Object.keys(unknown).length > 0) {
+            throw new TypeError(`Unknown page selection key(s): ${Object.keys(unknown).join(', ')}`)
+        }
+        return [toRange(from === undefined ? 1 : toPageNumber(from), to === undefined ? Infinity : toPageNumber(to))]
+    }
+    if (typeof selection !== 'string' || selection.trim().length === 0) {
+        throw invalid()
+    }
+    return selection.split(',').map(part => {
+        const match = /^\s*(\d*)\s*(-?)\s*(\d*)\s*$/.exec(part)
+        if (!match || (!match[1] && !match[3])) {
+            throw invalid()
+        }
+        const [, from, dash, to] = match
+        if (!dash) {
+            const page = toPageNumber(from)
+            return toRange(page, page)
+        }
+        return toRange(from ? toPageNumber(from) : 1, to ? toPageNumber(to) : Infinity)
+    })
+}
+
+/**
+ * Returns the page numbers of a document the ranges select
+ *
+ * @param {Object[]|null} ranges - The result of parsePageRanges(), null selects all pages
+ * @param {number} numPages - The number of pages of the document
+ *
+ * @returns {number[]} The selected (1-based) page numbers in ascending order without duplicates
+ * @throws {RangeError} If the ranges select none of the document's pages
+ */
+exports.selectPageNumbers = function selectPageNumbers(ranges, numPages) {
+    const allPageNumbers = [...Array(numPages).keys()].map(index => index + 1)
+    if (!ranges) {
+        return allPageNumbers
+    }
+    const selected = allPageNumbers.filter(pageNumber => ranges.some(range => pageNumber >= range.from && pageNumber <= range.to))
+    if (selected.length === 0) {
+        const describe = range => range.from === range.to ? range.from : `${range.from}-${range.to === Infinity ? '' : range.to}`
+        throw new RangeError(`The page selection ${ranges.map(describe).join(',')} contains none of the document's ${numPages} pages`)
+    }
+    return selected
+}
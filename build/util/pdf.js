@@ -1,4 +1,5 @@
 const path = require('path')
+const crypto = require('crypto')
 const pdfjs = require('pdfjs-dist')
 pdfjs.GlobalWorkerOptions.workerSrc = `pdfjs-dist/legacy/build/pdf.worker`
 
@@ -7,9 +8,23 @@ const TextItem = require('../models/TextItem')
 const ImageItem = require('../models/ImageItem')
 const Page = require('../models/Page')
 const { encodePNG } = require('./png-encoder')
+const { findRulings } = require('./rulings')
+const { findLinks } = require('./links')
+const { readOutline } = require('./outline')
+const { selectPageNumbers } = require('./page-ranges')
+const { PageExtractionError, fromPdfjsError } = require('./errors')
+const { isCancellation, stopsConversion, NO_CANCELLATION } = require('./cancellation')
 
 const NO_OP = () => {}
 
+// The operators painting an image
+const IMAGE_OPS = [pdfjs.OPS.paintImageXObject, pdfjs.OPS.paintJpegXObject, pdfjs.OPS.paintInlineImageXObject]
+
+// The name of the image an operator paints (for inline images the image object itself), or false
+function paintedImage(op, args) {
+    return IMAGE_OPS.includes(op) && Boolean(args) && (Array.isArray(args) ? args[0] : args)
+}
+
 /**
  * Normalize Unicode text using NFKC (Normalization Form Compatibility Composition).
  * 
@@ -36,46 +51,100 @@ function normalizeText(str) {
 }
 
 /**
- * Parses the PDF document contained in the provided buffer and invokes callback functions during the parsing process.
+ * Loads a PDF document with pdf.js
  *
- * @param {Buffer} buffer The buffer containing the PDF document to be parsed. This should be a Buffer type, which represents binary data in memory.
- * @param {Object} [callbacks] An object containing callback functions that are called at various stages of the parsing process. Each callback is optional.
- * @param {Function} [callbacks.metadataParsed] Called when the metadata of the PDF has been parsed. The function should accept a single parameter: an object representing the parsed metadata.
- * @param {Function} [callbacks.pageParsed] Called when a page of the PDF has been parsed. The function should accept a single parameter: an array of objects representing the parsed pages.
- * @param {Function} [callbacks.fontParsed] Called when a font used in the PDF has been parsed. The function should accept a single parameter: an object representing the parsed font.
- * @param {Function} [callbacks.documentParsed] Called when the entire document has been parsed. The function should accept two parameters: the first is an object representing the parsed document, and the second is an array of objects representing all parsed pages.
- * @returns {Promise<void>} A promise that resolves when the parsing process is complete.
+ * @param {Buffer} buffer The buffer containing the PDF document
+ * @param {Object} [options]
+ * @param {string} [options.password] The password to open an encrypted document with
+ * @param {Function} [options.onPassword] Asked for the password when it's missing or incorrect, with
+ * { reason ('required' or 'incorrect'), attempt } (attempt counting from 1). Resolves to the password
+ * to try next, or to null to give up.
+ * @param {Object} [options.cancellation] Cancels the loading, see util/cancellation
+ * @returns {Promise<PDFDocumentProxy>}
+ * @throws {PasswordRequiredError|IncorrectPasswordError|InvalidPdfError} See util/errors
  */
-exports.parse = async function parse(buffer, callbacks) {
-    const { metadataParsed, pageParsed, fontParsed, documentParsed } = {
-        metadataParsed: NO_OP,
-        pageParsed: NO_OP,
-        fontParsed: NO_OP,
-        documentParsed: NO_OP,
-        ...(callbacks || {})
-    }
+async function loadDocument(buffer, { password, onPassword, cancellation = NO_CANCELLATION } = {}) {
     const fontDataPath = path.join(path.resolve(require.resolve('pdfjs-dist'), '../../standard_fonts'), '/')
-    const pdfDocument = await pdfjs.getDocument({
-        data: new Uint8Array(buffer),
-        standardFontDataUrl: fontDataPath
-    }).promise
-    const metadata = await pdfDocument.getMetadata()
-    metadataParsed(metadata)
-
-    const pages = [...Array(pdfDocument.numPages).keys()].map(index => new Page({ index }))
+    for (let attempt = 1; ; attempt++) {
+        const loadingTask = pdfjs.getDocument({
+            data: new Uint8Array(buffer),
+            standardFontDataUrl: fontDataPath,
+            // Keeps isMonospace (the FixedPitch flag) on the fonts, to detect code in fonts with unknown names
+            fontExtraProperties: true,
+            // pdf.js writes its warnings to the console, the problems it recovers from aren't the caller's
+            verbosity: pdfjs.VerbosityLevel.ERRORS,
+            ...(typeof password === 'string' ? { password } : {})
+        })
+        try {
+            return await cancellation.race(loadingTask.promise)
+        } catch (err) {
+            await loadingTask.destroy()
+            const error = fromPdfjsError(err)
+            if (!onPassword || !['PASSWORD_REQUIRED', 'INCORRECT_PASSWORD'].includes(error.code)) {
+                throw error
+            }
+            password = await onPassword({ reason: error.code === 'INCORRECT_PASSWORD' ? 'incorrect' : 'required', attempt })
+            if (typeof password !== 'string') {
+                throw error
+            }
+        }
+    }
+}
 
-    documentParsed(pdfDocument, pages)
+/**
+ * Converts the text content of a page to TextItems
+ *
+ * @param {PDFPageProxy} page
+ * @param {Object} textContent The result of page.getTextContent()
+ * @returns {TextItem[]}
+ */
+function toTextItems(page, textContent) {
+    const scale = 1.0
+    const viewport = page.getViewport({ scale })
+    return textContent.items.map(item => {
+        const tx = pdfjs.Util.transform(viewport.transform, item.transform)
 
-    const fonts = {
-        ids: new Set(),
-        map: new Map()
-    }
+        const fontHeight = Math.sqrt(tx[2] * tx[2] + tx[3] * tx[3])
+        const dividedHeight = item.height / fontHeight
+        return new TextItem({
+            x: Math.round(item.transform[4]),
+            y: Math.round(item.transform[5]),
+            width: Math.round(item.width),
+            height: Math.round(dividedHeight <= 1 ? item.height : dividedHeight),
+            text: normalizeText(item.str), // ★ Unicode normalization at earliest stage
+            font: item.fontName
+        })
+    })
+}
 
+/**
+ * Finds the first page showing a page number, which is used to remove the page numbers from the text
+ *
+ * @param {PDFDocumentProxy} pdfDocument
+ * @param {number[]} pageNumbers The (1-based) numbers of the pages to look at
+ * @param {string} [pageErrors='throw'] 'warn' to skip the pages failing to load, see extractPages()
+ * @param {Object} [cancellation] Cancels the search, see util/cancellation
+ * @returns {Promise<Object|undefined>} For example { pageIndex: 10, pageNum: 3 }
+ */
+async function findFirstNumberedPage(pdfDocument, pageNumbers, pageErrors = 'throw', cancellation = NO_CANCELLATION) {
     let pageIndexNumMap = {}
     let firstPage
-    for (let j = 1; j <= pdfDocument.numPages; j++) {
-        const page = await pdfDocument.getPage(j)
-        const textContent = await page.getTextContent()
+    for (const pageNumber of pageNumbers) {
+        let page, textContent
+        try {
+            await cancellation.checkpoint()
+            cancellation.startPage(pageNumber)
+            page = await cancellation.race(pdfDocument.getPage(pageNumber))
+            textContent = await cancellation.race(page.getTextContent())
+        } catch (err) {
+            if (stopsConversion(err)) {
+                throw err
+            }
+            if (pageErrors === 'warn') {
+                continue
+            }
+            throw new PageExtractionError(pageNumber, err)
+        }
 
         if (Object.keys(pageIndexNumMap).length < 10) {
             pageIndexNumMap = findPageNumbers(pageIndexNumMap, page.pageNumber - 1, textContent.items)
@@ -84,653 +153,844 @@ exports.parse = async function parse(buffer, callbacks) {
             break
         }
     }
+    cancellation.startPage(null)
+    return firstPage
+}
 
-    let pageNum = firstPage ? firstPage.pageNum : 0
-    let imageCounter = 0
-    for (let j = 1; j <= pdfDocument.numPages; j++) {
-        const page = await pdfDocument.getPage(j)
-
-        // Trigger the font retrieval for the page
-        const operatorList = await page.getOperatorList()
-
-        const scale = 1.0
-        const viewport = page.getViewport({ scale })
-        let textContent = await page.getTextContent()
-        if (firstPage && page.pageIndex >= firstPage.pageIndex) {
-            textContent = removePageNumber(textContent, pageNum)
-            pageNum++
-        }
-        const textItems = textContent.items.map(item => {
-            const tx = pdfjs.Util.transform(viewport.transform, item.transform)
-
-            const fontHeight = Math.sqrt(tx[2] * tx[2] + tx[3] * tx[3])
-            const dividedHeight = item.height / fontHeight
-            return new TextItem({
-                x: Math.round(item.transform[4]),
-                y: Math.round(item.transform[5]),
-                width: Math.round(item.width),
-                height: Math.round(dividedHeight <= 1 ? item.height : dividedHeight),
-                text: normalizeText(item.str), // ★ Unicode normalization at earliest stage
-                font: item.fontName
-            })
-        })
+/**
+ * Reads the text items of a page without its page number
+ *
+ * @param {PDFPageProxy} page
+ * @param {Object} [firstPage] The result of findFirstNumberedPage()
+ * @returns {Promise<TextItem[]>}
+ */
+async function readTextItems(page, firstPage) {
+    let textContent = await page.getTextContent()
+    if (firstPage && page.pageIndex >= firstPage.pageIndex) {
+        textContent = removePageNumber(textContent, firstPage.pageNum + page.pageIndex - firstPage.pageIndex)
+    }
+    return toTextItems(page, textContent)
+}
 
-        // Extract images from the page
-        const imageItems = []
-        const processedImages = new Set()
-        
+/**
+ * Returns the bounding box of an image painted with the given transformation matrix
+ *
+ * @param {number[]} ctm - The current transformation matrix when the image is painted
+ * @returns {Object} { x, y, width, height }, y being the center of the image
+ */
+function imageBox(ctm) {
+    // An image fills the unit square of the CTM, its bounding box is
+    // the bounding box of the transformed unit square
+    const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(point => pdfjs.Util.applyTransform(point, ctm))
+    const xs = corners.map(point => point[0])
+    const ys = corners.map(point => point[1])
+    const x = Math.min(...xs)
+    const width = Math.max(...xs) - x
+    const bottomY = Math.min(...ys)
+    const height = Math.max(...ys) - bottomY
+
+    // Like everywhere in the pipeline, the y of an image is its center
+    // (the y of a text item being its baseline)
+    return {
+        x: Math.round(x),
+        y: Math.round(bottomY + height / 2),
+        width: Math.round(width),
+        height: Math.round(height)
+    }
+}
+
+/**
+ * Decodes an image painted by the operator list of a page to PNG or JPEG data
+ *
+ * @param {PDFDocumentProxy} pdfDocument
+ * @param {PDFPageProxy} page
+ * @param {Object} operatorList - The operator list of the page
+ * @param {number} op - The painting operator (paintImageXObject, paintJpegXObject or paintInlineImageXObject)
+ * @param {Array} args - The arguments of the operator
+ * @param {string|Object} imageName - The name of the XObject, the image itself for inline images
+ * @returns {Promise<Object|null>} { imageData, imageFormat, hash, pixelWidth, pixelHeight } or null if the image
+ * couldn't be decoded. The hash is the SHA-1 of the data, equal for the same image painted on different pages.
+ */
+async function decodeImage(pdfDocument, page, operatorList, op, args, imageName) {
+    let imageObj = null
+
+    // For inline images, args[0] is the image object itself
+    if (op === pdfjs.OPS.paintInlineImageXObject) {
+        imageObj = args && (Array.isArray(args) ? args[0] : args)
+    } else {
+        // For XObject images, try multiple methods to get the image object
         try {
-            // Track transform matrices through the operator list
-            let currentTransform = [1, 0, 0, 1, 0, 0]
-            const transformStack = [currentTransform]
-            let imageOpCount = 0
-            
-            for (let i = 0; i < operatorList.fnArray.length; i++) {
-                const op = operatorList.fnArray[i]
-                const args = operatorList.argsArray[i]
-                
-                // Track transform matrices
-                if (op === pdfjs.OPS.transform || op === pdfjs.OPS.concat) {
-                    if (args && Array.isArray(args) && args.length === 6) {
-                        const [a1, b1, c1, d1, e1, f1] = currentTransform
-                        const [a2, b2, c2, d2, e2, f2] = args
-                        currentTransform = [
-                            a1 * a2 + b1 * c2,
-                            a1 * b2 + b1 * d2,
-                            c1 * a2 + d1 * c2,
-                            c1 * b2 + d1 * d2,
-                            e1 + a1 * e2 + b1 * f2,
-                            f1 + c1 * e2 + d1 * f2
-                        ]
-                        transformStack.push([...currentTransform])
-                    }
-                } else if (op === pdfjs.OPS.restoreState) {
-                    if (transformStack.length > 1) {
-                        transformStack.pop()
-                        currentTransform = transformStack[transformStack.length - 1]
-                    }
-                } else if (op === pdfjs.OPS.save) {
-                    transformStack.push([...currentTransform])
-                }
-                
-                // Check for image operations
-                const isImageOp = op === pdfjs.OPS.paintImageXObject || 
-                                 op === pdfjs.OPS.paintJpegXObject || 
-                                 op === pdfjs.OPS.paintInlineImageXObject
-                
-                if (isImageOp) {
-                    imageOpCount++
-                    const imageName = args && (Array.isArray(args) ? args[0] : args)
-                    
-                    if (imageName && !processedImages.has(imageName)) {
-                        processedImages.add(imageName)
-                        try {
-                            let imageObj = null
-                            
-                            // For inline images, args[0] is the image object itself
-                            if (op === pdfjs.OPS.paintInlineImageXObject) {
-                                imageObj = args && (Array.isArray(args) ? args[0] : args)
+            // Method 1: Try page.objs.get with imageName directly. Images used on several pages are
+            // shared by the document (named g_...) and only found in commonObjs, see method 3
+            if (page.objs && typeof page.objs.get === 'function' && !String(imageName).startsWith('g_')) {
+                try {
+                    imageObj = await new Promise((resolve, reject) => {
+                        const timeout = setTimeout(() => reject(new Error('Timeout')), 10000)
+                        page.objs.get(imageName, (obj) => {
+                            clearTimeout(timeout)
+                            if (obj) {
+                                resolve(obj)
                             } else {
-                                // For XObject images, try multiple methods to get the image object
-                                try {
-                                    // Method 1: Try page.objs.get with imageName directly
-                                    if (page.objs && typeof page.objs.get === 'function') {
-                                        try {
-                                            imageObj = await new Promise((resolve, reject) => {
-                                                const timeout = setTimeout(() => reject(new Error('Timeout')), 10000)
-                                                page.objs.get(imageName, (obj) => {
-                                                    clearTimeout(timeout)
-                                                    if (obj) {
-                                                        resolve(obj)
-                                                    } else {
-                                                        reject(new Error('Failed to get image from objs'))
-                                                    }
-                                                })
-                                            })
-                                        } catch (e) {
-                                            // Continue to next method
-                                        }
-                                    }
-                                    
-                                    // Method 2: Try to get XObject reference from operatorList resources
-                                    if (!imageObj && operatorList.resources && operatorList.resources.XObject) {
-                                        try {
-                                            const xObjectDict = operatorList.resources.XObject
-                                            if (xObjectDict && xObjectDict.get) {
-                                                const xObjectRef = xObjectDict.get(imageName)
-                                                if (xObjectRef && page.objs && typeof page.objs.get === 'function') {
-                                                    imageObj = await new Promise((resolve, reject) => {
-                                                        const timeout = setTimeout(() => reject(new Error('Timeout')), 10000)
-                                                        page.objs.get(xObjectRef, (obj) => {
-                                                            clearTimeout(timeout)
-                                                            if (obj) {
-                                                                resolve(obj)
-                                                            } else {
-                                                                reject(new Error('Failed to get image from objs with ref'))
-                                                            }
-                                                        })
-                                                    })
-                                                }
-                                            }
-                                        } catch (e) {
-                                            // Ignore
-                                        }
-                                    }
-                                    
-                                    // Method 3: Try commonObjs as fallback
-                                    if (!imageObj) {
-                                        const transport = pdfDocument.transport || pdfDocument._transport // eslint-disable-line no-underscore-dangle
-                                        if (transport && transport.commonObjs && typeof transport.commonObjs.get === 'function') {
-                                            try {
-                                                imageObj = await new Promise((resolve, reject) => {
-                                                    const timeout = setTimeout(() => reject(new Error('Timeout')), 10000)
-                                                    transport.commonObjs.get(imageName, (obj) => {
-                                                        clearTimeout(timeout)
-                                                        if (obj) {
-                                                            resolve(obj)
-                                                        } else {
-                                                            reject(new Error('Failed to get image from commonObjs'))
-                                                        }
-                                                    })
-                                                })
-                                            } catch (e) {
-                                                // Ignore
-                                            }
-                                        }
-                                    }
-                                } catch (e) {
-                                    // Ignore and try next method
-                                }
+                                reject(new Error('Failed to get image from objs'))
                             }
-                            
-                            if (imageObj) {
-                                // Also try to get the raw XObject stream for JPEG images
-                                // This is important for extracting actual JPEG data from PDF
-                                let xObjectStream = null
-                                if (op === pdfjs.OPS.paintJpegXObject || op === pdfjs.OPS.paintImageXObject) {
-                                    try {
-                                        // Try to get stream from imageObj first
-                                        if (imageObj.stream) {
-                                            xObjectStream = imageObj.stream
-                                        } else if (imageObj.dict) {
-                                            // Try to get stream from dict
-                                            try {
-                                                const stream = await imageObj.dict.get('Stream')
-                                                if (stream) {
-                                                    xObjectStream = stream
-                                                }
-                                            } catch (e) {
-                                                // Ignore
-                                            }
-                                        }
-                                        
-                                        // If still not found, try to get from resources
-                                        if (!xObjectStream) {
-                                            const resources = await page.getResources()
-                                            if (resources && resources.XObject) {
-                                                const xObjectDict = resources.XObject
-                                                if (xObjectDict && xObjectDict.get) {
-                                                    const xObjectRef = await xObjectDict.get(imageName)
-                                                    if (xObjectRef) {
-                                                        // Get the XObject object
-                                                        const xObject = await new Promise((resolve, reject) => {
-                                                            const timeout = setTimeout(() => reject(new Error('Timeout')), 10000)
-                                                            page.objs.get(xObjectRef, (obj) => {
-                                                                clearTimeout(timeout)
-                                                                if (obj) {
-                                                                    resolve(obj)
-                                                                } else {
-                                                                    reject(new Error('Failed to get XObject'))
-                                                                }
-                                                            })
-                                                        })
-                                                        
-                                                        // Try to get the stream from XObject
-                                                        if (xObject && xObject.stream) {
-                                                            xObjectStream = xObject.stream
-                                                        } else if (xObject && xObject.dict) {
-                                                            // Try to get stream from dict
-                                                            try {
-                                                                const stream = await xObject.dict.get('Stream')
-                                                                if (stream) {
-                                                                    xObjectStream = stream
-                                                                }
-                                                            } catch (e) {
-                                                                // Ignore
-                                                            }
-                                                        }
-                                                    }
-                                                }
-                                            }
-                                        }
-                                    } catch (e) {
-                                        // Ignore
-                                    }
-                                }
-                                // Try multiple methods to get image data
-                                let imageData = null
-                                let imageFormat = 'png'
-                                
-                                try {
-                                    // Method 1: Try to get raw JPEG/PNG data from XObject stream
-                                    // This is the most reliable method for JPEG images embedded in PDF
-                                    if (xObjectStream && typeof xObjectStream.getBytes === 'function') {
-                                        try {
-                                            const bytes = await xObjectStream.getBytes()
-                                            if (bytes && bytes.length > 0) {
-                                                const buf = Buffer.from(bytes)
-                                                // Check if it's a valid image format
-                                                if (buf[0] === 0xFF && buf[1] === 0xD8) {
-                                                    // JPEG
-                                                    imageData = buf
-                                                    imageFormat = 'jpg'
-                                                } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
-                                                    // PNG
-                                                    imageData = buf
-                                                    imageFormat = 'png'
-                                                }
-                                            }
-                                        } catch (e) {
-                                            // Ignore
-                                        }
-                                    }
-                                    
-                                    // Method 2: For JPEG XObjects, try to get the raw JPEG stream from imageObj
-                                    if (!imageData && op === pdfjs.OPS.paintJpegXObject && imageObj.stream) {
-                                        try {
-                                            const stream = imageObj.stream
-                                            if (typeof stream.getBytes === 'function') {
-                                                const bytes = await stream.getBytes()
-                                                if (bytes && bytes.length > 0) {
-                                                    const buf = Buffer.from(bytes)
-                                                    // Verify it's JPEG
-                                                    if (buf[0] === 0xFF && buf[1] === 0xD8) {
-                                                        imageData = buf
-                                                        imageFormat = 'jpg'
-                                                    }
-                                                }
-                                            }
-                                        } catch (e) {
-                                            // Ignore
-                                        }
-                                    }
-                                    
-                                    // Method 3: Try to get from XObject's underlying stream/dict
-                                    if (!imageData && imageObj.dict) {
-                                        try {
-                                            const dict = imageObj.dict
-                                            // Try to get the stream from the dictionary
-                                            if (dict.get) {
-                                                const stream = await dict.get('Stream')
-                                                if (stream && typeof stream.getBytes === 'function') {
-                                                    const bytes = await stream.getBytes()
-                                                    if (bytes && bytes.length > 0) {
-                                                        const buf = Buffer.from(bytes)
-                                                        if (buf[0] === 0xFF && buf[1] === 0xD8) {
-                                                            imageData = buf
-                                                            imageFormat = 'jpg'
-                                                        } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
-                                                            imageData = buf
-                                                            imageFormat = 'png'
-                                                        }
-                                                    }
-                                                }
-                                            }
-                                        } catch (e) {
-                                            // Ignore
-                                        }
-                                    }
-                                    
-                                    // Method 3: Try getBytes method (for images that expose raw bytes)
-                                    if (!imageData && typeof imageObj.getBytes === 'function') {
-                                        try {
-                                            const bytes = await imageObj.getBytes()
-                                            if (bytes && bytes.length > 0) {
-                                                const buf = Buffer.from(bytes)
-                                                // Check if it's a valid image format
-                                                if (buf[0] === 0xFF && buf[1] === 0xD8) {
-                                                    imageData = buf
-                                                    imageFormat = 'jpg'
-                                                } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
-                                                    imageData = buf
-                                                    imageFormat = 'png'
-                                                }
-                                            }
-                                        } catch (e) {
-                                            // Ignore
-                                        }
-                                    }
-                                    
-                                    // Method 4: For inline images, data might be in the args
-                                    if (!imageData && op === pdfjs.OPS.paintInlineImageXObject) {
-                                        // Inline images have the data directly in the args
-                                        if (imageObj.data && imageObj.data.length > 0) {
-                                            const buf = Buffer.from(imageObj.data)
-                                            if (buf.length > 0) {
-                                                if (buf[0] === 0xFF && buf[1] === 0xD8) {
-                                                    imageData = buf
-                                                    imageFormat = 'jpg'
-                                                } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
-                                                    imageData = buf
-                                                    imageFormat = 'png'
-                                                }
-                                            }
-                                        }
-                                    }
-                                    
-                                    // Method 5: Try to get from imageObj.image (nested structure)
-                                    if (!imageData && imageObj.image) {
-                                        const img = imageObj.image
-                                        // Try stream first
-                                        if (img.stream && typeof img.stream.getBytes === 'function') {
-                                            try {
-                                                const bytes = await img.stream.getBytes()
-                                                if (bytes && bytes.length > 0) {
-                                                    const buf = Buffer.from(bytes)
-                                                    if (buf[0] === 0xFF && buf[1] === 0xD8) {
-                                                        imageData = buf
-                                                        imageFormat = 'jpg'
-                                                    } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
-                                                        imageData = buf
-                                                        imageFormat = 'png'
-                                                    }
-                                                }
-                                            } catch (e) {
-                                                // Ignore
-                                            }
-                                        }
-                                        // Try getBytes
-                                        if (!imageData && typeof img.getBytes === 'function') {
-                                            try {
-                                                const bytes = await img.getBytes()
-                                                if (bytes && bytes.length > 0) {
-                                                    const buf = Buffer.from(bytes)
-                                                    if (buf[0] === 0xFF && buf[1] === 0xD8) {
-                                                        imageData = buf
-                                                        imageFormat = 'jpg'
-                                                    } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
-                                                        imageData = buf
-                                                        imageFormat = 'png'
-                                                    }
-                                                }
-                                            } catch (e) {
-                                                // Ignore
-                                            }
-                                        }
-                                    }
-                                    
-                                    // Method 6: Last resort - try imageObj.data but verify it's valid
-                                    // Only use this if data looks like a valid image format
-                                    if (!imageData && imageObj.data) {
-                                        const data = imageObj.data
-                                        let buf = null
-                                        
-                                        if (Buffer.isBuffer(data)) {
-                                            buf = data
-                                        } else if (data instanceof Uint8Array) {
-                                            buf = Buffer.from(data)
-                                        }
-                                        
-                                        if (buf && buf.length > 4) {
-                                            // Check magic numbers to verify it's a valid image format
-                                            if (buf[0] === 0xFF && buf[1] === 0xD8) {
-                                                // JPEG
-                                                imageData = buf
-                                                imageFormat = 'jpg'
-                                            } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
-                                                // PNG
-                                                imageData = buf
-                                                imageFormat = 'png'
-                                            }
-                                            // Don't use data if it doesn't have valid magic numbers
-                                            // (it's likely raw pixel data, not encoded image)
-                                        }
-                                    }
-                                } catch (e) {
-                                    // Continue to next method
-                                }
-                                
-                                // Only proceed if we have valid image data with correct format
-                                if (imageData && imageData.length > 0) {
-                                    // Verify the format one more time
-                                    const isValidFormat = (imageFormat === 'jpg' && imageData[0] === 0xFF && imageData[1] === 0xD8) ||
-                                                         (imageFormat === 'png' && imageData[0] === 0x89 && imageData[1] === 0x50 && imageData[2] === 0x4E && imageData[3] === 0x47)
-                                    
-                                    if (!isValidFormat) {
-                                        // Data doesn't match the format, skip this image
-                                        imageData = null
+                        })
+                    })
+                } catch (e) {
+                    // Continue to next method
+                }
+            }
+
+            // Method 2: Try to get XObject reference from operatorList resources
+            if (!imageObj && operatorList.resources && operatorList.resources.XObject) {
+                try {
+                    const xObjectDict = operatorList.resources.XObject
+                    if (xObjectDict && xObjectDict.get) {
+                        const xObjectRef = xObjectDict.get(imageName)
+                        if (xObjectRef && page.objs && typeof page.objs.get === 'function') {
+                            imageObj = await new Promise((resolve, reject) => {
+                                const timeout = setTimeout(() => reject(new Error('Timeout')), 10000)
+                                page.objs.get(xObjectRef, (obj) => {
+                                    clearTimeout(timeout)
+                                    if (obj) {
+                                        resolve(obj)
+                                    } else {
+                                        reject(new Error('Failed to get image from objs with ref'))
                                     }
+                                })
+                            })
+                        }
+                    }
+                } catch (e) {
+                    // Ignore
+                }
+            }
+
+            // Method 3: Try commonObjs as fallback
+            if (!imageObj) {
+                const transport = pdfDocument.transport || pdfDocument._transport // eslint-disable-line no-underscore-dangle
+                if (transport && transport.commonObjs && typeof transport.commonObjs.get === 'function') {
+                    try {
+                        imageObj = await new Promise((resolve, reject) => {
+                            const timeout = setTimeout(() => reject(new Error('Timeout')), 10000)
+                            transport.commonObjs.get(imageName, (obj) => {
+                                clearTimeout(timeout)
+                                if (obj) {
+                                    resolve(obj)
+                                } else {
+                                    reject(new Error('Failed to get image from commonObjs'))
                                 }
-                                
-                                // If we couldn't get valid encoded image data, try to encode raw pixel data as PNG
-                                if (!imageData && imageObj.data && imageObj.width && imageObj.height) {
-                                    try {
-                                        const pixelData = imageObj.data
-                                        const expectedLengthRGB = imageObj.width * imageObj.height * 3
-                                        const expectedLengthRGBA = imageObj.width * imageObj.height * 4
-                                        
-                                        // Detect alpha channel by checking data length and image properties
-                                        let hasAlpha = false
-                                        let shouldProcess = true
-                                        
-                                        // Method 1: Check number of components (most reliable)
-                                        if (imageObj.numComps) {
-                                            // If we have 4 components, it's likely RGBA
-                                            if (imageObj.numComps === 4) {
-                                                hasAlpha = true
-                                            } else if (imageObj.numComps === 3) {
-                                                hasAlpha = false
-                                            }
-                                        }
-                                        
-                                        // Method 2: Check data length (fallback if numComps not available)
-                                        if (pixelData.length === expectedLengthRGBA) {
-                                            hasAlpha = true
-                                        } else if (pixelData.length === expectedLengthRGB) {
-                                            hasAlpha = false
+                            })
+                        })
+                    } catch (e) {
+                        // Ignore
+                    }
+                }
+            }
+        } catch (e) {
+            // Ignore and try next method
+        }
+    }
+
+    if (imageObj) {
+        // Also try to get the raw XObject stream for JPEG images
+        // This is important for extracting actual JPEG data from PDF
+        let xObjectStream = null
+        if (op === pdfjs.OPS.paintJpegXObject || op === pdfjs.OPS.paintImageXObject) {
+            try {
+                // Try to get stream from imageObj first
+                if (imageObj.stream) {
+                    xObjectStream = imageObj.stream
+                } else if (imageObj.dict) {
+                    // Try to get stream from dict
+                    try {
+                        const stream = await imageObj.dict.get('Stream')
+                        if (stream) {
+                            xObjectStream = stream
+                        }
+                    } catch (e) {
+                        // Ignore
+                    }
+                }
+
+                // If still not found, try to get from resources
+                if (!xObjectStream) {
+                    const resources = await page.getResources()
+                    if (resources && resources.XObject) {
+                        const xObjectDict = resources.XObject
+                        if (xObjectDict && xObjectDict.get) {
+                            const xObjectRef = await xObjectDict.get(imageName)
+                            if (xObjectRef) {
+                                // Get the XObject object
+                                const xObject = await new Promise((resolve, reject) => {
+                                    const timeout = setTimeout(() => reject(new Error('Timeout')), 10000)
+                                    page.objs.get(xObjectRef, (obj) => {
+                                        clearTimeout(timeout)
+                                        if (obj) {
+                                            resolve(obj)
                                         } else {
-                                            // Data length doesn't match expected formats, skip
-                                            shouldProcess = false
-                                        }
-                                        
-                                        // Method 3: Check colorSpace if available (additional validation)
-                                        if (imageObj.colorSpace && shouldProcess) {
-                                            const colorSpace = imageObj.colorSpace.name || String(imageObj.colorSpace)
-                                            // DeviceRGB = RGB, DeviceRGBA = RGBA
-                                            if (colorSpace.includes('DeviceRGBA') || colorSpace.includes('RGBA')) {
-                                                hasAlpha = true
-                                            } else if (colorSpace.includes('DeviceRGB') || colorSpace.includes('RGB')) {
-                                                hasAlpha = false
-                                            }
+                                            reject(new Error('Failed to get XObject'))
                                         }
-                                        
-                                        // Encode pixel data as PNG with appropriate format
-                                        if (shouldProcess && (pixelData.length === expectedLengthRGB || pixelData.length === expectedLengthRGBA)) {
-                                            imageData = encodePNG(pixelData, imageObj.width, imageObj.height, hasAlpha)
-                                            imageFormat = 'png'
-                                            // Verify the encoded PNG is valid
-                                            if (imageData && imageData.length > 8) {
-                                                const isValidPNG = imageData[0] === 0x89 && 
-                                                                   imageData[1] === 0x50 && 
-                                                                   imageData[2] === 0x4E && 
-                                                                   imageData[3] === 0x47
-                                                if (!isValidPNG) {
-                                                    // Encoding failed, skip this image
-                                                    imageData = null
-                                                }
-                                            } else {
-                                                imageData = null
-                                            }
+                                    })
+                                })
+
+                                // Try to get the stream from XObject
+                                if (xObject && xObject.stream) {
+                                    xObjectStream = xObject.stream
+                                } else if (xObject && xObject.dict) {
+                                    // Try to get stream from dict
+                                    try {
+                                        const stream = await xObject.dict.get('Stream')
+                                        if (stream) {
+                                            xObjectStream = stream
                                         }
                                     } catch (e) {
-                                        // Failed to encode, skip this image
-                                        imageData = null
+                                        // Ignore
                                     }
                                 }
-                                
-                                if (imageData && imageData.length > 0) {
-                                    // Determine format
-                                    if (imageObj.mimeType) {
-                                        if (imageObj.mimeType.includes('jpeg') || imageObj.mimeType.includes('jpg')) {
-                                            imageFormat = 'jpg'
-                                        } else if (imageObj.mimeType.includes('png')) {
-                                            imageFormat = 'png'
-                                        }
-                                    } else if (imageObj.subtype) {
-                                        const subtype = String(imageObj.subtype).toLowerCase()
-                                        if (subtype.includes('jpeg') || subtype.includes('jpg')) {
-                                            imageFormat = 'jpg'
-                                        } else if (subtype.includes('png')) {
-                                            imageFormat = 'png'
-                                        }
-                                    } else if (imageObj.filter) {
-                                        const filter = Array.isArray(imageObj.filter) ? imageObj.filter[0] : imageObj.filter
-                                        const filterName = (filter && filter.name) ? filter.name : String(filter)
-                                        if (filterName === 'DCTDecode' || filterName === 'DCT') {
-                                            imageFormat = 'jpg'
-                                        }
-                                    } else if (String(imageName).includes('JPX') || String(imageName).includes('jpeg') || String(imageName).includes('JPG')) {
-                                        imageFormat = 'jpg'
-                                    }
-                                    
-                                    // Use current transform matrix
-                                    const [a, b, c, d, e, f] = currentTransform
-                                    const imgWidth = imageObj.width || 100
-                                    const imgHeight = imageObj.height || 100
-                                    
-                                    // Calculate actual dimensions from transform
-                                    const width = Math.sqrt(a * a + c * c) * imgWidth
-                                    const height = Math.sqrt(b * b + d * d) * imgHeight
-                                    const x = e
-                                    
-                                    // CRITICAL: Calculate center Y coordinate for accurate positioning
-                                    // In PDF coordinates, Y increases upward from bottom
-                                    // The transform matrix's f value typically represents the bottom-left corner
-                                    // To ensure accurate sorting with text items, we use the center Y coordinate
-                                    // This provides a stable reference point that accounts for image height
-                                    const bottomY = f
-                                    const centerY = bottomY + height / 2
-                                    
-                                    // Store both center Y (for sorting) and original bottom Y (for reference)
-                                    // We'll use centerY for positioning to match text line centers
-                                    const y = centerY
-                                    
-                                    imageCounter++
-                                    const imageItemName = `image${imageCounter}`
-                                    
-                                    imageItems.push(new ImageItem({
-                                        x: Math.round(x),
-                                        y: Math.round(y),
-                                        width: Math.round(width || imgWidth),
-                                        height: Math.round(height || imgHeight),
-                                        imageData: imageData,
-                                        imageName: imageItemName,
-                                        imageFormat: imageFormat
-                                    }))
+                            }
+                        }
+                    }
+                }
+            } catch (e) {
+                // Ignore
+            }
+        }
+        // Try multiple methods to get image data
+        let imageData = null
+        let imageFormat = 'png'
+
+        try {
+            // Method 1: Try to get raw JPEG/PNG data from XObject stream
+            // This is the most reliable method for JPEG images embedded in PDF
+            if (xObjectStream && typeof xObjectStream.getBytes === 'function') {
+                try {
+                    const bytes = await xObjectStream.getBytes()
+                    if (bytes && bytes.length > 0) {
+                        const buf = Buffer.from(bytes)
+                        // Check if it's a valid image format
+                        if (buf[0] === 0xFF && buf[1] === 0xD8) {
+                            // JPEG
+                            imageData = buf
+                            imageFormat = 'jpg'
+                        } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
+                            // PNG
+                            imageData = buf
+                            imageFormat = 'png'
+                        }
+                    }
+                } catch (e) {
+                    // Ignore
+                }
+            }
+
+            // Method 2: For JPEG XObjects, try to get the raw JPEG stream from imageObj
+            if (!imageData && op === pdfjs.OPS.paintJpegXObject && imageObj.stream) {
+                try {
+                    const stream = imageObj.stream
+                    if (typeof stream.getBytes === 'function') {
+                        const bytes = await stream.getBytes()
+                        if (bytes && bytes.length > 0) {
+                            const buf = Buffer.from(bytes)
+                            // Verify it's JPEG
+                            if (buf[0] === 0xFF && buf[1] === 0xD8) {
+                                imageData = buf
+                                imageFormat = 'jpg'
+                            }
+                        }
+                    }
+                } catch (e) {
+                    // Ignore
+                }
+            }
+
+            // Method 3: Try to get from XObject's underlying stream/dict
+            if (!imageData && imageObj.dict) {
+                try {
+                    const dict = imageObj.dict
+                    // Try to get the stream from the dictionary
+                    if (dict.get) {
+                        const stream = await dict.get('Stream')
+                        if (stream && typeof stream.getBytes === 'function') {
+                            const bytes = await stream.getBytes()
+                            if (bytes && bytes.length > 0) {
+                                const buf = Buffer.from(bytes)
+                                if (buf[0] === 0xFF && buf[1] === 0xD8) {
+                                    imageData = buf
+                                    imageFormat = 'jpg'
+                                } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
+                                    imageData = buf
+                                    imageFormat = 'png'
                                 }
                             }
-                        } catch (err) {
-                            // Ignore image extraction errors for individual images
-                            // Uncomment for debugging:
-                            // console.warn(`Page ${j}, Failed to extract image ${imageName}:`, err.message)
                         }
                     }
+                } catch (e) {
+                    // Ignore
                 }
             }
-        } catch (err) {
-            // Ignore operator list parsing errors
-            // Uncomment for debugging:
-            // console.warn(`Page ${j}, Failed to parse operator list for images:`, err.message)
+
+            // Method 3: Try getBytes method (for images that expose raw bytes)
+            if (!imageData && typeof imageObj.getBytes === 'function') {
+                try {
+                    const bytes = await imageObj.getBytes()
+                    if (bytes && bytes.length > 0) {
+                        const buf = Buffer.from(bytes)
+                        // Check if it's a valid image format
+                        if (buf[0] === 0xFF && buf[1] === 0xD8) {
+                            imageData = buf
+                            imageFormat = 'jpg'
+                        } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
+                            imageData = buf
+                            imageFormat = 'png'
+                        }
+                    }
+                } catch (e) {
+                    // Ignore
+                }
+            }
+
+            // Method 4: For inline images, data might be in the args
+            if (!imageData && op === pdfjs.OPS.paintInlineImageXObject) {
+                // Inline images have the data directly in the args
+                if (imageObj.data && imageObj.data.length > 0) {
+                    const buf = Buffer.from(imageObj.data)
+                    if (buf.length > 0) {
+                        if (buf[0] === 0xFF && buf[1] === 0xD8) {
+                            imageData = buf
+                            imageFormat = 'jpg'
+                        } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
+                            imageData = buf
+                            imageFormat = 'png'
+                        }
+                    }
+                }
+            }
+
+            // Method 5: Try to get from imageObj.image (nested structure)
+            if (!imageData && imageObj.image) {
+                const img = imageObj.image
+                // Try stream first
+                if (img.stream && typeof img.stream.getBytes === 'function') {
+                    try {
+                        const bytes = await img.stream.getBytes()
+                        if (bytes && bytes.length > 0) {
+                            const buf = Buffer.from(bytes)
+                            if (buf[0] === 0xFF && buf[1] === 0xD8) {
+                                imageData = buf
+                                imageFormat = 'jpg'
+                            } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
+                                imageData = buf
+                                imageFormat = 'png'
+                            }
+                        }
+                    } catch (e) {
+                        // Ignore
+                    }
+                }
+                // Try getBytes
+                if (!imageData && typeof img.getBytes === 'function') {
+                    try {
+                        const bytes = await img.getBytes()
+                        if (bytes && bytes.length > 0) {
+                            const buf = Buffer.from(bytes)
+                            if (buf[0] === 0xFF && buf[1] === 0xD8) {
+                                imageData = buf
+                                imageFormat = 'jpg'
+                            } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
+                                imageData = buf
+                                imageFormat = 'png'
+                            }
+                        }
+                    } catch (e) {
+                        // Ignore
+                    }
+                }
+            }
+
+            // Method 6: Last resort - try imageObj.data but verify it's valid
+            // Only use this if data looks like a valid image format
+            if (!imageData && imageObj.data) {
+                const data = imageObj.data
+                let buf = null
+
+                if (Buffer.isBuffer(data)) {
+                    buf = data
+                } else if (data instanceof Uint8Array) {
+                    buf = Buffer.from(data)
+                }
+
+                if (buf && buf.length > 4) {
+                    // Check magic numbers to verify it's a valid image format
+                    if (buf[0] === 0xFF && buf[1] === 0xD8) {
+                        // JPEG
+                        imageData = buf
+                        imageFormat = 'jpg'
+                    } else if (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4E && buf[3] === 0x47) {
+                        // PNG
+                        imageData = buf
+                        imageFormat = 'png'
+                    }
+                    // Don't use data if it doesn't have valid magic numbers
+                    // (it's likely raw pixel data, not encoded image)
+                }
+            }
+        } catch (e) {
+            // Continue to next method
         }
+
+        // Only proceed if we have valid image data with correct format
+        if (imageData && imageData.length > 0) {
+            // Verify the format one more time
+            const isValidFormat = (imageFormat === 'jpg' && imageData[0] === 0xFF && imageData[1] === 0xD8) ||
+                                 (imageFormat === 'png' && imageData[0] === 0x89 && imageData[1] === 0x50 && imageData[2] === 0x4E && imageData[3] === 0x47)
+
+            if (!isValidFormat) {
+                // Data doesn't match the format, skip this image
+                imageData = null
+            }
+        }
+
+        // If we couldn't get valid encoded image data, try to encode raw pixel data as PNG
+        if (!imageData && imageObj.data && imageObj.width && imageObj.height) {
+            try {
+                const pixelData = imageObj.data
+                const expectedLengthRGB = imageObj.width * imageObj.height * 3
+                const expectedLengthRGBA = imageObj.width * imageObj.height * 4
+
+                // Detect alpha channel by checking data length and image properties
+                let hasAlpha = false
+                let shouldProcess = true
+
+                // Method 1: Check number of components (most reliable)
+                if (imageObj.numComps) {
+                    // If we have 4 components, it's likely RGBA
+                    if (imageObj.numComps === 4) {
+                        hasAlpha = true
+                    } else if (imageObj.numComps === 3) {
+                        hasAlpha = false
+                    }
+                }
+
+                // Method 2: Check data length (fallback if numComps not available)
+                if (pixelData.length === expectedLengthRGBA) {
+                    hasAlpha = true
+                } else if (pixelData.length === expectedLengthRGB) {
+                    hasAlpha = false
+                } else {
+                    // Data length doesn't match expected formats, skip
+                    shouldProcess = false
+                }
+
+                // Method 3: Check colorSpace if available (additional validation)
+                if (imageObj.colorSpace && shouldProcess) {
+                    const colorSpace = imageObj.colorSpace.name || String(imageObj.colorSpace)
+                    // DeviceRGB = RGB, DeviceRGBA = RGBA
+                    if (colorSpace.includes('DeviceRGBA') || colorSpace.includes('RGBA')) {
+                        hasAlpha = true
+                    } else if (colorSpace.includes('DeviceRGB') || colorSpace.includes('RGB')) {
+                        hasAlpha = false
+                    }
+                }
+
+                // Encode pixel data as PNG with appropriate format
+                if (shouldProcess && (pixelData.length === expectedLengthRGB || pixelData.length === expectedLengthRGBA)) {
+                    imageData = encodePNG(pixelData, imageObj.width, imageObj.height, hasAlpha)
+                    imageFormat = 'png'
+                    // Verify the encoded PNG is valid
+                    if (imageData && imageData.length > 8) {
+                        const isValidPNG = imageData[0] === 0x89 && 
+                                           imageData[1] === 0x50 && 
+                                           imageData[2] === 0x4E && 
+                                           imageData[3] === 0x47
+                        if (!isValidPNG) {
+                            // Encoding failed, skip this image
+                            imageData = null
+                        }
+                    } else {
+                        imageData = null
+                    }
+                }
+            } catch (e) {
+                // Failed to encode, skip this image
+                imageData = null
+            }
+        }
+
+        if (imageData && imageData.length > 0) {
+            // Determine format
+            if (imageObj.mimeType) {
+                if (imageObj.mimeType.includes('jpeg') || imageObj.mimeType.includes('jpg')) {
+                    imageFormat = 'jpg'
+                } else if (imageObj.mimeType.includes('png')) {
+                    imageFormat = 'png'
+                }
+            } else if (imageObj.subtype) {
+                const subtype = String(imageObj.subtype).toLowerCase()
+                if (subtype.includes('jpeg') || subtype.includes('jpg')) {
+                    imageFormat = 'jpg'
+                } else if (subtype.includes('png')) {
+                    imageFormat = 'png'
+                }
+            } else if (imageObj.filter) {
+                const filter = Array.isArray(imageObj.filter) ? imageObj.filter[0] : imageObj.filter
+                const filterName = (filter && filter.name) ? filter.name : String(filter)
+                if (filterName === 'DCTDecode' || filterName === 'DCT') {
+                    imageFormat = 'jpg'
+                }
+            } else if (String(imageName).includes('JPX') || String(imageName).includes('jpeg') || String(imageName).includes('JPG')) {
+                imageFormat = 'jpg'
+            }
+
+            return {
+                imageData,
+                imageFormat,
+                hash: crypto.createHash('sha1').update(imageData).digest('hex'),
+                pixelWidth: imageObj.width,
+                pixelHeight: imageObj.height
+            }
+        }
+    }
+    return null
+}
+
+/**
+ * Reads the images painted on a page
+ *
+ * @param {PDFDocumentProxy} pdfDocument
+ * @param {PDFPageProxy} page
+ * @param {Object} operatorList - The operator list of the page
+ * @param {Function} [accept] - Called with the bounding box (see imageBox()) of each painted image,
+ * only the images it returns true for are decoded
+ * @param {Object} [cancellation] Stops the decoding, see util/cancellation
+ * @param {Function} [onDecoded] Called with (done, count) after each image, count being the number of
+ * (distinct) images painted on the page
+ * @returns {Promise<Object>} { imageItems, warnings }: the ImageItems in painting order (without
+ * imageName) and the problems while decoding them
+ */
+async function readImageItems(pdfDocument, page, operatorList, accept = () => true, cancellation = NO_CANCELLATION, onDecoded = NO_OP) {
+    const imageItems = []
+    const warnings = []
+    // An image painted several times on the page is decoded once
+    const decodedImages = new Map()
+    const imageCount = new Set(operatorList.fnArray.map((op, i) => paintedImage(op, operatorList.argsArray[i])).filter(Boolean)).size
+
+    try {
+        // Track the current transformation matrix (CTM) through the operator list. The operator list
+        // starts in PDF user space, the space of the x/y of the TextItems.
+        let ctm = [1, 0, 0, 1, 0, 0]
+        const ctmStack = []
+
+        for (let i = 0; i < operatorList.fnArray.length; i++) {
+            const op = operatorList.fnArray[i]
+            const args = operatorList.argsArray[i]
+
+            if (op === pdfjs.OPS.save) {
+                ctmStack.push(ctm)
+            } else if (op === pdfjs.OPS.restore) {
+                if (ctmStack.length > 0) {
+                    ctm = ctmStack.pop()
+                }
+            } else if (op === pdfjs.OPS.transform) {
+                ctm = pdfjs.Util.transform(ctm, args)
+            } else if (op === pdfjs.OPS.paintFormXObjectBegin) {
+                // Form XObjects (e.g. a figure embedded as form) bring their own matrix
+                ctmStack.push(ctm)
+                if (args && Array.isArray(args[0]) && args[0].length === 6) {
+                    ctm = pdfjs.Util.transform(ctm, args[0])
+                }
+            } else if (op === pdfjs.OPS.paintFormXObjectEnd) {
+                if (ctmStack.length > 0) {
+                    ctm = ctmStack.pop()
+                }
+            }
+
+            const imageName = paintedImage(op, args)
+            const box = imageName ? imageBox(ctm) : null
+            if (box && accept(box)) {
+                try {
+                    if (!decodedImages.has(imageName)) {
+                        cancellation.check()
+                        // Marked first, an image failing to decode isn't tried again
+                        decodedImages.set(imageName, null)
+                        decodedImages.set(imageName, await cancellation.race(decodeImage(pdfDocument, page, operatorList, op, args, imageName)))
+                        onDecoded(decodedImages.size, imageCount)
+                    }
+                    const decoded = decodedImages.get(imageName)
+                    if (decoded) {
+                        imageItems.push(new ImageItem({ ...box, ...decoded }))
+                    }
+                } catch (err) {
+                    if (isCancellation(err)) {
+                        throw err
+                    }
+                    // The other images of the page are still extracted
+                    warnings.push(`Failed to extract image ${typeof imageName === 'string' ? imageName : '(inline)'}: ${err.message}`)
+                }
+            }
+        }
+    } catch (err) {
+        if (isCancellation(err)) {
+            throw err
+        }
+        // The text of the page is still converted
+        warnings.push(`Failed to read the images: ${err.message}`)
+    }
+    return { imageItems, warnings }
+}
+
+/**
+ * Extracts the text, images and rulings of a page. Fonts used by the page are added to `fonts`.
+ *
+ * @param {PDFDocumentProxy} pdfDocument
+ * @param {PDFPageProxy} page
+ * @param {Object} context See extractPages()
+ * @param {Function} context.nameImage Returns the name of the next image of the document
+ * @param {Function} context.progress Called with the type and the details of the progress events of the page
+ * @returns {Promise<Page>}
+ */
+async function readPage(pdfDocument, page, { firstPage, fonts, fontParsed, nameImage, cancellation, progress }) {
+    // Trigger the font retrieval for the page
+    const operatorList = await page.getOperatorList()
+
+    const scale = 1.0
+    const viewport = page.getViewport({ scale })
+    const textItems = await readTextItems(page, firstPage)
+    progress('page-text-extracted', { items: textItems.length })
+
+    // Extract images from the page
+    const { imageItems, warnings } = await readImageItems(pdfDocument, page, operatorList, undefined, cancellation,
+        (done, count) => progress('images-extracted', { done, count }))
+    imageItems.forEach(imageItem => {
+        imageItem.imageName = nameImage()
+    })
+    
+    // Combine text items and image items, sort by Y position with improved accuracy
+    // Create array with position info including height for accurate sorting
+    const itemsWithPos = []
+    
+    // Add text items with height info
+    textItems.forEach(item => {
+        const itemY = item.y || 0
+        const itemHeight = item.height || 0
+        // Text Y is typically baseline, calculate top and bottom
+        const topY = itemY // Text top is near baseline
+        const bottomY = itemY - itemHeight // Text bottom is below baseline
         
-        // Combine text items and image items, sort by Y position with improved accuracy
-        // Create array with position info including height for accurate sorting
-        const itemsWithPos = []
-        
-        // Add text items with height info
-        textItems.forEach(item => {
-            const itemY = item.y || 0
-            const itemHeight = item.height || 0
-            // Text Y is typically baseline, calculate top and bottom
-            const topY = itemY // Text top is near baseline
-            const bottomY = itemY - itemHeight // Text bottom is below baseline
-            
-            itemsWithPos.push({
-                item: item,
-                y: itemY,
-                topY: topY,
-                bottomY: bottomY,
-                height: itemHeight,
-                x: item.x || 0
-            })
+        itemsWithPos.push({
+            item: item,
+            y: itemY,
+            topY: topY,
+            bottomY: bottomY,
+            height: itemHeight,
+            x: item.x || 0
         })
+    })
+    
+    // Add image items with height info
+    imageItems.forEach(imageItem => {
+        const imgCenterY = imageItem.y || 0 // Already center Y from above
+        const imgHeight = imageItem.height || 0
+        // Image Y is center Y, calculate top and bottom
+        const topY = imgCenterY + imgHeight / 2
+        const bottomY = imgCenterY - imgHeight / 2
         
-        // Add image items with height info
-        imageItems.forEach(imageItem => {
-            const imgCenterY = imageItem.y || 0 // Already center Y from above
-            const imgHeight = imageItem.height || 0
-            // Image Y is center Y, calculate top and bottom
-            const topY = imgCenterY + imgHeight / 2
-            const bottomY = imgCenterY - imgHeight / 2
-            
-            itemsWithPos.push({
-                item: imageItem,
-                y: imgCenterY,
-                topY: topY,
-                bottomY: bottomY,
-                height: imgHeight,
-                x: imageItem.x || 0
-            })
+        itemsWithPos.push({
+            item: imageItem,
+            y: imgCenterY,
+            topY: topY,
+            bottomY: bottomY,
+            height: imgHeight,
+            x: imageItem.x || 0
         })
+    })
+    
+    // Improved sorting: consider height ranges and overlaps
+    const allItems = itemsWithPos.sort((a, b) => {
+        // Check for vertical overlap
+        const overlapTop = Math.min(a.topY, b.topY)
+        const overlapBottom = Math.max(a.bottomY, b.bottomY)
+        const verticalOverlap = overlapTop - overlapBottom
         
-        // Improved sorting: consider height ranges and overlaps
-        const allItems = itemsWithPos.sort((a, b) => {
-            // Check for vertical overlap
-            const overlapTop = Math.min(a.topY, b.topY)
-            const overlapBottom = Math.max(a.bottomY, b.bottomY)
-            const verticalOverlap = overlapTop - overlapBottom
-            
-            // Use dynamic threshold based on item heights
-            const avgHeight = ((a.height || 0) + (b.height || 0)) / 2
-            const overlapThreshold = avgHeight * 0.2
-            
-            if (verticalOverlap > overlapThreshold) {
-                // Items overlap, sort by X
-                return a.x - b.x
-            }
-            
-            // No significant overlap, sort by Y with dynamic threshold
-            const heightBasedThreshold = Math.min(a.height || 5, b.height || 5) * 0.1
-            const separationThreshold = Math.max(heightBasedThreshold, 1)
-            
-            if (Math.abs(a.y - b.y) > separationThreshold) {
-                return b.y - a.y // Higher Y value is higher on page
-            }
-            
-            // Very close Y positions, sort by X
+        // Use dynamic threshold based on item heights
+        const avgHeight = ((a.height || 0) + (b.height || 0)) / 2
+        const overlapThreshold = avgHeight * 0.2
+        
+        if (verticalOverlap > overlapThreshold) {
+            // Items overlap, sort by X
             return a.x - b.x
-        }).map(i => i.item)
+        }
         
-        pages[page.pageNumber - 1].items = allItems
-        pageParsed(pages)
-
-        const fontIds = new Set(textItems.map(t => t.font))
-        for (const fontId of fontIds) {
-            if (!fonts.ids.has(fontId) && fontId.startsWith('g_d')) {
-                // Depending on which build of pdfjs-dist is used, the
-                // WorkerTransport containing the font objects is either transport or _transport
-                const transport = pdfDocument.transport || pdfDocument._transport // eslint-disable-line no-underscore-dangle
-                const font = await new Promise(resolve => transport.commonObjs.get(fontId, resolve))
-                fonts.ids.add(fontId)
-                fonts.map.set(fontId, font)
-                fontParsed(fonts)
+        // No significant overlap, sort by Y with dynamic threshold
+        const heightBasedThreshold = Math.min(a.height || 5, b.height || 5) * 0.1
+        const separationThreshold = Math.max(heightBasedThreshold, 1)
+        
+        if (Math.abs(a.y - b.y) > separationThreshold) {
+            return b.y - a.y // Higher Y value is higher on page
+        }
+        
+        // Very close Y positions, sort by X
+        return a.x - b.x
+    }).map(i => i.item)
+    
+    const extractedPage = new Page({
+        index: page.pageNumber - 1,
+        width: viewport.width,
+        height: viewport.height,
+        items: allItems,
+        rulings: findRulings(operatorList),
+        links: await findLinks(pdfDocument, await page.getAnnotations()),
+        warnings
+    })
+
+    const fontIds = new Set(textItems.map(t => t.font))
+    for (const fontId of fontIds) {
+        if (!fonts.ids.has(fontId) && fontId.startsWith('g_d')) {
+            // Depending on which build of pdfjs-dist is used, the
+            // WorkerTransport containing the font objects is either transport or _transport
+            const transport = pdfDocument.transport || pdfDocument._transport // eslint-disable-line no-underscore-dangle
+            const font = await new Promise(resolve => transport.commonObjs.get(fontId, resolve))
+            fonts.ids.add(fontId)
+            fonts.map.set(fontId, font)
+            fontParsed(fonts)
+        }
+    }
+    return extractedPage
+}
+
+/**
+ * Extracts the text, images and rulings of the pages one by one. Fonts used by a page are
+ * added to `fonts` before the page is yielded.
+ *
+ * @param {PDFDocumentProxy} pdfDocument
+ * @param {number[]} pageNumbers The (1-based) numbers of the pages to extract
+ * @param {Object} context
+ * @param {Object} [context.firstPage] The result of findFirstNumberedPage()
+ * @param {Object} context.fonts { ids: Set<string>, map: Map<string, Object> } of the fonts loaded so far
+ * @param {Function} [context.fontParsed] Called with `fonts` when a font has been loaded
+ * @param {string} [context.pageErrors='throw'] What to do with a page that fails to load: 'throw' a
+ * PageExtractionError, or 'warn' to yield it as empty page holding the error and a warning. A page taking
+ * longer than its budget fails with a ConversionTimeoutError as cause.
+ * @param {Object} [context.cancellation] Cancels the extraction, see util/cancellation
+ * @param {Function} [context.onProgress] Called with the events 'page-loaded', 'page-text-extracted' (with the
+ * number of text `items`) and 'images-extracted' (after each image, `done` of `count`), each with the `page`
+ * number and its `position` (1-based) among the `total` pages to extract
+ * @returns {AsyncGenerator<Page>}
+ */
+async function * extractPages(pdfDocument, pageNumbers, { firstPage, fonts, fontParsed = NO_OP, pageErrors = 'throw', cancellation = NO_CANCELLATION, onProgress = NO_OP }) {
+    let imageCounter = 0
+    const nameImage = () => `image${++imageCounter}`
+    for (const [i, pageNumber] of pageNumbers.entries()) {
+        const progress = (type, details = {}) => onProgress({ type, page: pageNumber, position: i + 1, total: pageNumbers.length, ...details })
+        let page = null
+        let extractedPage
+        try {
+            await cancellation.checkpoint()
+            cancellation.startPage(pageNumber)
+            page = await cancellation.race(pdfDocument.getPage(pageNumber))
+            progress('page-loaded')
+            extractedPage = await cancellation.race(readPage(pdfDocument, page, { firstPage, fonts, fontParsed, nameImage, cancellation, progress }))
+        } catch (err) {
+            if (stopsConversion(err)) {
+                throw err
+            }
+            const error = new PageExtractionError(pageNumber, err)
+            if (pageErrors !== 'warn') {
+                throw error
             }
+            extractedPage = new Page({ index: pageNumber - 1, error, warnings: [`Failed to extract the page: ${err.message}`] })
+        }
+        // The budget of a page is for loading it, the transformations only have the one of the conversion
+        cancellation.startPage(null)
+        yield extractedPage
+        if (page) {
+            page.cleanup()
         }
     }
-    return {
-        fonts,
-        metadata,
-        pages,
-        pdfDocument
+}
+
+/**
+ * Parses the PDF document contained in the provided buffer and invokes callback functions during the parsing process.
+ *
+ * @param {Buffer} buffer The buffer containing the PDF document to be parsed. This should be a Buffer type, which represents binary data in memory.
+ * @param {Object} [callbacks] An object containing callback functions that are called at various stages of the parsing process. Each callback is optional.
+ * @param {Function} [callbacks.metadataParsed] Called when the metadata of the PDF has been parsed. The function should accept a single parameter: an object representing the parsed metadata.
+ * @param {Function} [callbacks.pageParsed] Called when a page of the PDF has been parsed. The function should accept a single parameter: an array of objects representing the parsed pages.
+ * @param {Function} [callbacks.fontParsed] Called when a font used in the PDF has been parsed. The function should accept a single parameter: an object representing the parsed font.
+ * @param {Function} [callbacks.documentParsed] Called when the entire document has been parsed. The function should accept two parameters: the first is an object representing the parsed document, and the second is an array of objects representing all parsed pages.
+ * @param {Object} [options]
+ * @param {Object[]} [options.pageRanges] The pages to load (see page-ranges.parsePageRanges()), all pages if not given. Only the selected pages are part of the returned pages, each keeping the index of the page within the document.
+ * @param {string} [options.password] The password of an encrypted document, see loadDocument()
+ * @param {Function} [options.onPassword] Asked for the password of an encrypted document, see loadDocument()
+ * @param {string} [options.pageErrors='throw'] 'warn' to keep a page failing to load as empty page with a warning, see extractPages()
+ * @param {Object} [options.cancellation] Cancels the parsing, see util/cancellation. The document is destroyed when the parsing fails or is cancelled.
+ * @param {boolean} [options.partialResult=false] When the parsing is cancelled while the pages are extracted, return the pages extracted so far, with the error as `stopped`
+ * @param {Function} [options.onProgress] Called with the progress events of the pages, see extractPages()
+ * @returns {Promise<Object>} { fonts, metadata, outline, pages, pdfDocument, stopped }: the fonts as { ids, map }, the
+ * metadata of pdf.js, the outline (see util/outline), the parsed pages, the document, which the caller destroys when done
+ * with it, and the error the parsing stopped with (see options.partialResult), null if it didn't stop
+ */
+exports.parse = async function parse(buffer, callbacks, options = {}) {
+    const { metadataParsed, pageParsed, fontParsed, documentParsed } = {
+        metadataParsed: NO_OP,
+        pageParsed: NO_OP,
+        fontParsed: NO_OP,
+        documentParsed: NO_OP,
+        ...(callbacks || {})
+    }
+    const { password, onPassword, pageErrors = 'throw', cancellation = NO_CANCELLATION, partialResult = false, onProgress = NO_OP } = options
+    const pdfDocument = await loadDocument(buffer, { password, onPassword, cancellation })
+    try {
+        const metadata = await cancellation.race(pdfDocument.getMetadata())
+        metadataParsed(metadata)
+
+        const pageNumbers = selectPageNumbers(options.pageRanges || null, pdfDocument.numPages)
+        const pages = pageNumbers.map(pageNumber => new Page({ index: pageNumber - 1 }))
+
+        documentParsed(pdfDocument, pages)
+
+        const fonts = {
+            ids: new Set(),
+            map: new Map()
+        }
+
+        const firstPage = await findFirstNumberedPage(pdfDocument, pageNumbers, pageErrors, cancellation)
+        let pageArrayIndex = 0
+        let stopped = null
+        try {
+            for await (const extractedPage of extractPages(pdfDocument, pageNumbers, { firstPage, fonts, fontParsed, pageErrors, cancellation, onProgress })) {
+                pages[pageArrayIndex].items = extractedPage.items
+                pages[pageArrayIndex].rulings = extractedPage.rulings
+                pages[pageArrayIndex].links = extractedPage.links
+                pages[pageArrayIndex].width = extractedPage.width
+                pages[pageArrayIndex].height = extractedPage.height
+                pages[pageArrayIndex].warnings = extractedPage.warnings
+                pages[pageArrayIndex].error = extractedPage.error
+                pageArrayIndex++
+                pageParsed(pages)
+            }
+        } catch (err) {
+            if (!partialResult || !stopsConversion(err) || pageArrayIndex === 0) {
+                throw err
+            }
+            stopped = err
+            pages.splice(pageArrayIndex)
+        }
+        return {
+            fonts,
+            metadata,
+            outline: stopped ? [] : await cancellation.race(readOutline(pdfDocument)),
+            pages,
+            pdfDocument,
+            stopped
+        }
+    } catch (err) {
+        await pdfDocument.destroy()
+        throw err
     }
 }
+
+exports.loadDocument = loadDocument
+exports.findFirstNumberedPage = findFirstNumberedPage
+exports.readTextItems = readTextItems
+exports.extractPages = extractPages
+exports.readImageItems = readImageItems
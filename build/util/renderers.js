@@ -0,0 +1,45 @@
+const MarkdownRenderer = require('../models/renderers/MarkdownRenderer')
+const HtmlRenderer = require('../models/renderers/HtmlRenderer')
+const TextRenderer = require('../models/renderers/TextRenderer')
+const AsciiDocRenderer = require('../models/renderers/AsciiDocRenderer')
+
+// The renderers of the format option by name
+const RENDERERS = {
+    markdown: MarkdownRenderer,
+    html: HtmlRenderer,
+    text: TextRenderer,
+    asciidoc: AsciiDocRenderer
+}
+
+const FORMATS = Object.keys(RENDERERS)
+
+// The methods ToTextBlocks, ToMarkdown and pdf2md() call on a renderer, see models/renderers/Renderer
+const RENDERER_METHODS = ['renderBlock', 'renderImage', 'renderFigure', 'renderFrontMatter']
+
+/**
+ * Reads the format option: the name of a format, or a renderer like an instance of a subclass of one of the
+ * renderers in models/renderers
+ *
+ * @param {string|Object} [format='markdown']
+ * @param {Object} [options]
+ * @param {boolean} [options.htmlFigures=false] - See MarkdownRenderer
+ * @returns {Renderer}
+ * @throws {TypeError} For unknown formats and objects lacking a method of the renderers
+ */
+function makeRenderer(format = 'markdown', { htmlFigures = false } = {}) {
+    if (typeof format === 'string') {
+        if (!FORMATS.includes(format)) {
+            throw new TypeError(`Unknown format '${format}', expected one of: ${FORMATS.join(', ')}`)
+        }
+        return format === 'markdown' ? new MarkdownRenderer({ htmlFigures }) : new RENDERERS[format]()
+    }
+    if (!format || typeof format !== 'object' || RENDERER_METHODS.some(method => typeof format[method] !== 'function')) {
+        throw new TypeError(`The format option must be one of ${FORMATS.join(', ')} or a renderer with the methods ${RENDERER_METHODS.join(', ')}`)
+    }
+    return format
+}
+
+module.exports = {
+    FORMATS,
+    makeRenderer
+}
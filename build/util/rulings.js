@@ -0,0 +1,172 @@
+const pdfjs = require('pdfjs-dist')
+
+const { OPS, Util } = pdfjs
+
+// Maximum thickness of a filled rectangle or stroked line to be considered a ruling
+const MAX_RULING_THICKNESS = 3
+
+// Painting operators which make a constructed path visible
+const PAINT_OPS = new Set([
+    OPS.stroke,
+    OPS.closeStroke,
+    OPS.fill,
+    OPS.eoFill,
+    OPS.fillStroke,
+    OPS.eoFillStroke,
+    OPS.closeFillStroke,
+    OPS.closeEOFillStroke
+])
+
+/**
+ * Creates a ruling from two points in page space, if the segment is horizontal or vertical
+ *
+ * @param {number[]} from - [x, y]
+ * @param {number[]} to - [x, y]
+ * @param {number} thickness
+ *
+ * @returns {object|null} { x1, y1, x2, y2, thickness, horizontal } with x1 <= x2 and y1 <= y2
+ */
+function toRuling(from, to, thickness) {
+    const x1 = Math.min(from[0], to[0])
+    const x2 = Math.max(from[0], to[0])
+    const y1 = Math.min(from[1], to[1])
+    const y2 = Math.max(from[1], to[1])
+    const horizontal = y2 - y1 <= 0.5 && x2 - x1 > MAX_RULING_THICKNESS
+    const vertical = x2 - x1 <= 0.5 && y2 - y1 > MAX_RULING_THICKNESS
+    if (!horizontal && !vertical) {
+        return null
+    }
+    return { x1, y1, x2, y2, thickness, horizontal }
+}
+
+/**
+ * Creates a ruling from a rectangle in page space, if the rectangle is a thin bar
+ *
+ * @returns {object|null} see toRuling()
+ */
+function rectangleToRuling(corners, stroked, lineWidth) {
+    const xs = corners.map(point => point[0])
+    const ys = corners.map(point => point[1])
+    const x1 = Math.min(...xs)
+    const x2 = Math.max(...xs)
+    const y1 = Math.min(...ys)
+    const y2 = Math.max(...ys)
+    const width = x2 - x1
+    const height = y2 - y1
+    if (height <= MAX_RULING_THICKNESS && width > height) {
+        const y = (y1 + y2) / 2
+        return { x1, y1: y, x2, y2: y, thickness: stroked ? height + lineWidth : Math.max(height, 0.1), horizontal: true }
+    }
+    if (width <= MAX_RULING_THICKNESS && height > width) {
+        const x = (x1 + x2) / 2
+        return { x1: x, y1, x2: x, y2, thickness: stroked ? width + lineWidth : Math.max(width, 0.1), horizontal: false }
+    }
+    return null
+}
+
+/**
+ * Collects the horizontal and vertical lines drawn on a page (table borders, underlines, strike-throughs, ...).
+ * Coordinates are in the same PDF user space as the x/y of the page's TextItems.
+ *
+ * @param {object} operatorList - The result of page.getOperatorList()
+ *
+ * @returns {object[]} Rulings of the form { x1, y1, x2, y2, thickness, horizontal }
+ */
+exports.findRulings = function findRulings(operatorList) {
+    const rulings = []
+    const stateStack = []
+    let ctm = [1, 0, 0, 1, 0, 0]
+    let lineWidth = 1
+    let pendingPaths = []
+
+    for (let i = 0; i < operatorList.fnArray.length; i++) {
+        const op = operatorList.fnArray[i]
+        const args = operatorList.argsArray[i]
+
+        if (op === OPS.save) {
+            stateStack.push({ ctm, lineWidth })
+        } else if (op === OPS.restore) {
+            if (stateStack.length > 0) {
+                ({ ctm, lineWidth } = stateStack.pop())
+            }
+        } else if (op === OPS.paintFormXObjectBegin) {
+            stateStack.push({ ctm, lineWidth })
+            if (Array.isArray(args[0]) && args[0].length === 6) {
+                ctm = Util.transform(ctm, args[0])
+            }
+        } else if (op === OPS.paintFormXObjectEnd) {
+            if (stateStack.length > 0) {
+                ({ ctm, lineWidth } = stateStack.pop())
+            }
+        } else if (op === OPS.transform) {
+            ctm = Util.transform(ctm, args)
+        } else if (op === OPS.setLineWidth) {
+            lineWidth = args[0]
+        } else if (op === OPS.constructPath) {
+            const [pathOps, pathArgs] = args
+            const toPage = (x, y) => Util.applyTransform([x, y], ctm)
+            const scaledLineWidth = lineWidth * Math.sqrt(Math.abs(ctm[0] * ctm[3] - ctm[1] * ctm[2]))
+            let argIndex = 0
+            let current = null
+            let start = null
+            pathOps.forEach(pathOp => {
+                if (pathOp === OPS.moveTo) {
+                    current = start = toPage(pathArgs[argIndex], pathArgs[argIndex + 1])
+                    argIndex += 2
+                } else if (pathOp === OPS.lineTo) {
+                    const next = toPage(pathArgs[argIndex], pathArgs[argIndex + 1])
+                    argIndex += 2
+                    if (current) {
+                        pendingPaths.push({ type: 'line', from: current, to: next, lineWidth: scaledLineWidth })
+                    }
+                    current = next
+                } else if (pathOp === OPS.rectangle) {
+                    const [x, y, width, height] = pathArgs.slice(argIndex, argIndex + 4)
+                    argIndex += 4
+                    const corners = [toPage(x, y), toPage(x + width, y), toPage(x + width, y + height), toPage(x, y + height)]
+                    pendingPaths.push({ type: 'rectangle', corners, lineWidth: scaledLineWidth })
+                    current = start = corners[0]
+                } else if (pathOp === OPS.curveTo) {
+                    current = toPage(pathArgs[argIndex + 4], pathArgs[argIndex + 5])
+                    argIndex += 6
+                } else if (pathOp === OPS.curveTo2 || pathOp === OPS.curveTo3) {
+                    current = toPage(pathArgs[argIndex + 2], pathArgs[argIndex + 3])
+                    argIndex += 4
+                } else if (pathOp === OPS.closePath) {
+                    if (current && start && current !== start) {
+                        pendingPaths.push({ type: 'line', from: current, to: start, lineWidth: scaledLineWidth })
+                    }
+                    current = start
+                }
+            })
+        } else if (PAINT_OPS.has(op) || op === OPS.endPath) {
+            if (op !== OPS.endPath) {
+                const stroked = op !== OPS.fill && op !== OPS.eoFill
+                pendingPaths.forEach(path => {
+                    if (path.type === 'line') {
+                        const ruling = stroked && toRuling(path.from, path.to, path.lineWidth)
+                        if (ruling) {
+                            rulings.push(ruling)
+                        }
+                        return
+                    }
+                    const ruling = rectangleToRuling(path.corners, stroked, path.lineWidth)
+                    if (ruling) {
+                        rulings.push(ruling)
+                    } else if (stroked) {
+                        // The border of a box, e.g. a table cell
+                        path.corners.forEach((corner, index) => {
+                            const edge = toRuling(corner, path.corners[(index + 1) % 4], path.lineWidth)
+                            if (edge) {
+                                rulings.push(edge)
+                            }
+                        })
+                    }
+                })
+            }
+            // endPath (used for clipping paths) discards the path without painting it
+            pendingPaths = []
+        }
+    }
+    return rulings
+}
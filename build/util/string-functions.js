@@ -122,3 +122,7 @@ exports.wordMatch = function wordMatch(string1, string2) {
     const intersection = new Set([...words1].filter(x => words2.has(x)))
     return intersection.size / Math.max(words1.size, words2.size)
 }
+
+exports.escapeHtml = function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
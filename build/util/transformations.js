@@ -1,45 +1,156 @@
 const CalculateGlobalStats = require('../models/transformations/text-item/CalculateGlobalStats')
+const DetectColumns = require('../models/transformations/text-item/DetectColumns')
 
 const CompactLines = require('../models/transformations/line-item/CompactLines')
 const RemoveRepetitiveElements = require('../models/transformations/line-item/RemoveRepetitiveElements')
+const RemoveDecorativeImages = require('../models/transformations/line-item/RemoveDecorativeImages')
 const VerticalToHorizontal = require('../models/transformations/line-item/VerticalToHorizontal')
+const DetectFootnotes = require('../models/transformations/line-item/DetectFootnotes')
+const DetectMath = require('../models/transformations/line-item/DetectMath')
+const DetectOutlineHeaders = require('../models/transformations/line-item/DetectOutlineHeaders')
 const DetectTOC = require('../models/transformations/line-item/DetectTOC')
 const DetectListItems = require('../models/transformations/line-item/DetectListItems')
+const DetectTables = require('../models/transformations/line-item/DetectTables')
 const DetectHeaders = require('../models/transformations/line-item/DetectHeaders')
 
 const GatherBlocks = require('../models/transformations/line-item-block/GatherBlocks')
 const DetectCodeQuoteBlocks = require('../models/transformations/line-item-block/DetectCodeQuoteBlocks')
 const DetectListLevels = require('../models/transformations/line-item-block/DetectListLevels')
+const DetectCaptions = require('../models/transformations/line-item-block/DetectCaptions')
 const ToTextBlocks = require('../models/transformations/ToTextBlocks')
 const ToMarkdown = require('../models/transformations/ToMarkdown')
 
+const Transformation = require('../models/transformations/Transformation')
 const ParseResult = require('../models/ParseResult')
+const { resolveDetection } = require('./detection')
 
-exports.makeTransformations = (fontMap, imageOptions = {}) => [
-    new CalculateGlobalStats(fontMap),
-    new CompactLines(),
-    new RemoveRepetitiveElements(),
+/**
+ * Creates the default pipeline
+ *
+ * @param {Map} fontMap - The fonts of the document, filled while the pages are parsed
+ * @param {Object} [outputOptions] - The image options of pdf2md() and htmlFigures (see ToMarkdown),
+ * scriptMode and underlineTag (see ToTextBlocks) and the renderer of the output format (see util/renderers)
+ * @param {Object} [detection] - The detection configuration, see util/detection
+ * @returns {Transformation[]}
+ */
+exports.makeTransformations = (fontMap, outputOptions = {}, detection = resolveDetection()) => [
+    new CalculateGlobalStats(fontMap, detection),
+    new DetectColumns(),
+    new CompactLines(detection),
+    new RemoveRepetitiveElements(detection),
+    new RemoveDecorativeImages(detection),
     new VerticalToHorizontal(),
-    new DetectTOC(),
-    new DetectHeaders(),
+    new DetectFootnotes(),
+    new DetectMath(detection),
+    new DetectOutlineHeaders(),
+    new DetectTOC(detection),
+    new DetectTables(),
+    new DetectHeaders(detection),
     new DetectListItems(),
 
     new GatherBlocks(),
-    new DetectCodeQuoteBlocks(),
+    new DetectCodeQuoteBlocks(detection),
     new DetectListLevels(),
+    new DetectCaptions(),
 
-    new ToTextBlocks(),
-    new ToMarkdown(imageOptions)
+    new ToTextBlocks(outputOptions),
+    new ToMarkdown(outputOptions)
 ]
 
-exports.transform = (pages, transformations) => {
-    var parseResult = new ParseResult({ pages })
+/**
+ * Returns the name a transformation is addressed by when customizing the pipeline,
+ * i.e. its class name ('DetectTOC', 'GatherBlocks', ...)
+ *
+ * @param {Transformation} transformation
+ * @returns {string}
+ */
+exports.transformationName = transformation => transformation.constructor.name
+
+/**
+ * Applies the `transformations` option of pdf2md() to the default pipeline
+ *
+ * @param {Transformation[]} transformations - The default pipeline from makeTransformations()
+ * @param {Function|Object} [customization] - Either a function receiving a copy of the default
+ * pipeline and returning the pipeline to run, or an object with the optional keys:
+ *   - remove: string[] - Names of transformations to drop
+ *   - before: { [name]: Transformation|Transformation[] } - Transformations to insert before the named one
+ *   - after: { [name]: Transformation|Transformation[] } - Transformations to insert after the named one
+ * @returns {Transformation[]} The pipeline to run
+ */
+exports.customizeTransformations = (transformations, customization) => {
+    if (!customization) {
+        return transformations
+    }
+    let customized
+    if (typeof customization === 'function') {
+        customized = customization([...transformations])
+        if (!Array.isArray(customized)) {
+            throw new TypeError('The transformations function must return an array of transformations')
+        }
+    } else if (typeof customization === 'object') {
+        const { remove = [], before = {}, after = {}, ...unknown } = customization
+        if (Object.keys(unknown).length > 0) {
+            throw new TypeError(`Unknown transformations option(s): ${Object.keys(unknown).join(', ')}`)
+        }
+        const names = transformations.map(exports.transformationName)
+        const assertKnown = name => {
+            if (!names.includes(name)) {
+                throw new TypeError(`Unknown transformation '${name}', expected one of: ${names.join(', ')}`)
+            }
+        }
+        remove.forEach(assertKnown)
+        Object.keys(before).forEach(assertKnown)
+        Object.keys(after).forEach(assertKnown)
+
+        customized = []
+        transformations.forEach(transformation => {
+            const name = exports.transformationName(transformation)
+            customized.push(...[].concat(before[name] || []))
+            if (!remove.includes(name)) {
+                customized.push(transformation)
+            }
+            customized.push(...[].concat(after[name] || []))
+        })
+    } else {
+        throw new TypeError('The transformations option must be a function or an object')
+    }
+
+    customized.forEach(transformation => {
+        if (!(transformation instanceof Transformation)) {
+            throw new TypeError(`Not a Transformation: ${transformation}`)
+        }
+    })
+    return customized
+}
+
+/**
+ * Runs the transformations on the pages
+ *
+ * @param {Page[]} pages
+ * @param {Transformation[]} transformations
+ * @param {Object} [globals] - Precomputed document-wide statistics the transformations start with
+ * (e.g. `documentStats` when converting page by page)
+ * @param {Function} [onStage] - Called with (transformation, parseResult) after each transformation, before
+ * the next one completes it, i.e. while the items still carry their annotations (see util/debug-report)
+ * @param {Object} [context]
+ * @param {Function} [context.onStart] - Called with the transformation before it runs
+ * @param {Object} [context.logger] - The logger of the transformations, see util/logger
+ * @returns {ParseResult} The result of the last transformation
+ */
+exports.transform = (pages, transformations, globals, onStage, { onStart, logger } = {}) => {
+    var parseResult = new ParseResult({ pages, globals, logger })
     let lastTransformation
     transformations.forEach(transformation => {
         if (lastTransformation) {
             parseResult = lastTransformation.completeTransform(parseResult)
         }
+        if (onStart) {
+            onStart(transformation)
+        }
         parseResult = transformation.transform(parseResult)
+        if (onStage) {
+            onStage(transformation, parseResult)
+        }
         lastTransformation = transformation
     })
     return parseResult
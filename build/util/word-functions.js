@@ -0,0 +1,111 @@
+// @flow
+
+/*::
+import LineItem from '../models/LineItem'
+import Word from '../models/Word'
+*/
+
+// The number of spaces DetectListLevels and DetectTOC indent a list item per level
+const LIST_LEVEL_INDENT = 3
+
+// Whether a word follows the previous one without whitespace: words attached by LineConverter (like the 'O' of
+// 'H₂O'), footnote references and the first word of a super- or subscript
+exports.isAttached = function isAttached(word /*: Word */, previousWord /*: ?Word */) /*: boolean */ {
+    return Boolean(word.attached || (word.type && word.type.attachWithoutWhitespace) ||
+        (word.format && word.format.attachWithoutWhitespace && previousWord && previousWord.format !== word.format))
+}
+
+exports.isPunctationCharacter = function isPunctationCharacter(string /*: string */) /*: boolean */ {
+    if (string.length !== 1) {
+        return false
+    }
+    return string[0] === '.' || string[0] === '!' || string[0] === '?'
+}
+
+// The target of the link annotation covering a word, if it's resolved (see ToTextBlocks for links within the document)
+exports.linkUrl = function linkUrl(word /*: ?Word */) /*: ?string */ {
+    return word && word.link && word.link.url ? word.link.url : null
+}
+
+// Splits the lines of a footnotes block into the footnotes, each starting with its FOOTNOTE word (see DetectFootnotes).
+// Returns { label, lines, content }, content being the lines without the FOOTNOTE word. label is null for leading
+// lines without footnote marker.
+exports.linesToFootnotes = function linesToFootnotes(lineItems /*: LineItem[] */) /*: Object[] */ {
+    const footnotes = []
+    lineItems.forEach(line => {
+        const first = line.words[0]
+        if (first && first.type && first.type.name === 'FOOTNOTE') {
+            footnotes.push({ label: first.string, lines: [line] })
+        } else if (footnotes.length > 0) {
+            footnotes[footnotes.length - 1].lines.push(line)
+        } else {
+            footnotes.push({ label: null, lines: [line] })
+        }
+    })
+    return footnotes.map(({ label, lines }) => {
+        const [firstLine, ...otherLines] = lines
+        return { label, lines, content: label ? [{ ...firstLine, words: firstLine.words.slice(1) }, ...otherLines] : lines }
+    })
+}
+
+function isListMarker(string) {
+    return string === '-' || /^[0-9]+\.$/.test(string)
+}
+
+// Whether the line starts a list item, i.e. its first word is a list marker ('-' or '1.')
+exports.startsListItem = function startsListItem(line /*: LineItem */) /*: boolean */ {
+    const first = line.words.find(word => word.string.trim().length > 0)
+    return Boolean(first) && isListMarker(first.string.trim())
+}
+
+// Reads list lines ('-' or '1.' followed by the text, indented by whitespace) as nested lists. Lines without a
+// list marker continue the previous list item. Returns the lists as { ordered, start, items } with the items as
+// { lines, lists }, and leading lines without list marker as { lines }. The lines are { words } without the
+// indentation and the marker.
+exports.readLists = function readLists(lineItems /*: LineItem[] */) /*: Object[] */ {
+    const nodes = []
+    const stack = [] // { list, level }
+    const lastItemOf = list => list.items[list.items.length - 1]
+
+    lineItems.forEach(line => {
+        const words = [...line.words]
+        var indentation = 0
+        while (words.length > 0 && words[0].string.trim().length === 0) {
+            indentation += words.shift().string.length
+        }
+        const marker = words.length > 0 ? words[0].string.trim() : ''
+        if (!isListMarker(marker)) {
+            if (stack.length > 0) {
+                lastItemOf(stack[stack.length - 1].list).lines.push({ words })
+            } else {
+                nodes.push({ lines: [{ words }] })
+            }
+            return
+        }
+        const ordered = marker !== '-'
+        // DetectTOC puts the indentation and the marker into one word
+        indentation += words[0].string.length - words[0].string.trimStart().length
+        const level = Math.round(indentation / LIST_LEVEL_INDENT)
+
+        while (stack.length > 0 && stack[stack.length - 1].level > level) {
+            stack.pop()
+        }
+        var current = stack[stack.length - 1]
+        if (current && current.level === level && current.list.ordered !== ordered) {
+            stack.pop()
+            current = stack[stack.length - 1]
+        }
+        if (!current || current.level < level) {
+            const list = { ordered, start: ordered ? parseInt(marker) : null, items: [] }
+            if (current) {
+                lastItemOf(current.list).lists.push(list)
+            } else {
+                nodes.push(list)
+            }
+            current = { list, level }
+            stack.push(current)
+        }
+        current.list.items.push({ lines: [{ words: words.slice(1) }], lists: [] })
+    })
+    return nodes
+}
@@ -0,0 +1,122 @@
+const { expect } = require('chai')
+
+const BlockType = require('../../build/models/markdown/BlockType')
+const WordFormat = require('../../build/models/markdown/WordFormat')
+const WordType = require('../../build/models/markdown/WordType')
+const LineItemBlock = require('../../build/models/LineItemBlock')
+const LineItem = require('../../build/models/LineItem')
+const Word = require('../../build/models/Word')
+const Table = require('../../build/models/Table')
+
+const { blockToText, blockToMdast } = BlockType
+
+const words = (...strings) => strings.map(string => new Word({ string }))
+
+describe('functions: blockToMdast', () => {
+  it('converts headlines with inline formats', () => {
+    const block = new LineItemBlock({
+      type: BlockType.H2,
+      items: [new LineItem({ words: [new Word({ string: 'Big', format: WordFormat.BOLD_OBLIQUE }), ...words('News')] })],
+    })
+    expect(blockToMdast(block)).to.eql([{
+      type: 'heading',
+      depth: 2,
+      children: [
+        { type: 'strong', children: [{ type: 'emphasis', children: [{ type: 'text', value: 'Big' }] }] },
+        { type: 'text', value: ' News' },
+      ],
+    }])
+  })
+
+  it('joins lines, hyphenated words and links of a paragraph', () => {
+    const block = new LineItemBlock({
+      items: [
+        new LineItem({ words: words('A', 'hyphen-') }),
+        new LineItem({ words: [...words('ated', 'link:'), new Word({ string: 'https://example.com', type: WordType.LINK })] }),
+      ],
+    })
+    expect(blockToMdast(block)).to.eql([{
+      type: 'paragraph',
+      children: [
+        { type: 'text', value: 'A hyphenated link: ' },
+        { type: 'link', url: 'https://example.com', title: null, children: [{ type: 'text', value: 'https://example.com' }] },
+      ],
+    }])
+  })
+
+  it('wraps words covered by the same link annotation in one link', () => {
+    const link = { url: 'https://example.com/a b' }
+    const block = new LineItemBlock({
+      items: [
+        new LineItem({ words: [...words('Please'), new Word({ string: 'click', link, format: WordFormat.BOLD })] }),
+        new LineItem({ words: [new Word({ string: 'here', link }), ...words('now.')] }),
+      ],
+    })
+    expect(blockToText(block)).to.equal('Please [**click**\nhere](https://example.com/a%20b) now.\n')
+    expect(blockToMdast(block)).to.eql([{
+      type: 'paragraph',
+      children: [
+        { type: 'text', value: 'Please ' },
+        {
+          type: 'link',
+          url: 'https://example.com/a b',
+          title: null,
+          children: [{ type: 'strong', children: [{ type: 'text', value: 'click' }] }, { type: 'text', value: ' here' }],
+        },
+        { type: 'text', value: ' now.' },
+      ],
+    }])
+  })
+
+  it('nests list items by their indentation', () => {
+    const block = new LineItemBlock({
+      type: BlockType.LIST,
+      items: [
+        new LineItem({ words: words('-', 'one') }),
+        new LineItem({ words: words('   ', '1.', 'sub') }),
+        new LineItem({ words: words('continued') }),
+        new LineItem({ words: words('-', 'two') }),
+      ],
+    })
+    const item = (text, ...children) => ({
+      type: 'listItem',
+      spread: false,
+      checked: null,
+      children: [{ type: 'paragraph', children: [{ type: 'text', value: text }] }, ...children],
+    })
+    expect(blockToMdast(block)).to.eql([{
+      type: 'list',
+      ordered: false,
+      start: null,
+      spread: false,
+      children: [
+        item('one', { type: 'list', ordered: true, start: 1, spread: false, children: [item('sub continued')] }),
+        item('two'),
+      ],
+    }])
+  })
+
+  it('converts tables and code', () => {
+    const table = new LineItemBlock({
+      type: BlockType.TABLE,
+      items: [new LineItem({
+        words: words('a', 'b'),
+        table: new Table({ rows: [[words('a'), []]], alignments: ['left', 'right'] }),
+      })],
+    })
+    expect(blockToMdast(table)).to.eql([{
+      type: 'table',
+      align: ['left', 'right'],
+      children: [{
+        type: 'tableRow',
+        children: [{ type: 'tableCell', children: [{ type: 'text', value: 'a' }] }, { type: 'tableCell', children: [] }],
+      }],
+    }])
+
+    const code = new LineItemBlock({
+      type: BlockType.CODE,
+      items: [new LineItem({ words: words('let', 'a') }), new LineItem({ words: words('a++') })],
+    })
+    expect(blockToMdast(code)).to.eql([{ type: 'code', lang: null, meta: null, value: 'let a\na++' }])
+  })
+})
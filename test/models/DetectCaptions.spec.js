@@ -0,0 +1,90 @@
+const { expect } = require('chai')
+
+const DetectCaptions = require('../../build/models/transformations/line-item-block/DetectCaptions')
+const DetectTables = require('../../build/models/transformations/line-item/DetectTables')
+const ToTextBlocks = require('../../build/models/transformations/ToTextBlocks')
+const ToMarkdown = require('../../build/models/transformations/ToMarkdown')
+const ParseResult = require('../../build/models/ParseResult')
+const Page = require('../../build/models/Page')
+const LineItem = require('../../build/models/LineItem')
+const LineItemBlock = require('../../build/models/LineItemBlock')
+const ImageItem = require('../../build/models/ImageItem')
+const Word = require('../../build/models/Word')
+const BlockType = require('../../build/models/markdown/BlockType')
+
+const { parseCaption } = DetectCaptions
+
+// A block of single line paragraphs, starting at the given baseline 14 units apart
+const block = (y, ...texts) => new LineItemBlock({ items: texts.map((text, i) => new LineItem({ x: 72, y: y - i * 14, height: 10, text })) })
+// y is the center of an image
+const image = (y, height = 100) => new ImageItem({ x: 72, y, width: 200, height, imageName: 'image', imageData: Buffer.from([0x89, 0x50, 0x4E, 0x47]), imageFormat: 'png' })
+
+function detect (items) {
+  return new DetectCaptions().transform(new ParseResult({
+    pages: [new Page({ index: 0, items })],
+    globals: { mostUsedHeight: 10 },
+  }))
+}
+
+describe('DetectCaptions', () => {
+  it('parses captions', () => {
+    expect(parseCaption('Figure 3: System overview')).to.include({ type: 'figure', label: 'Figure 3', number: '3', title: 'System overview' })
+    expect(parseCaption('Table 2.1 – Results')).to.include({ type: 'table', label: 'Table 2.1', title: 'Results' })
+    expect(parseCaption('Fig. 4')).to.include({ type: 'figure', label: 'Fig. 4', title: '' })
+    expect(parseCaption('图 3 系统概览')).to.include({ type: 'figure', label: '图 3', title: '系统概览' })
+    expect(parseCaption('表2：结果')).to.include({ type: 'table', title: '结果' })
+    expect(parseCaption('Figure 3 shows the setup')).to.equal(null)
+    expect(parseCaption('The Figure 3: overview')).to.equal(null)
+  })
+
+  it('links captions to the adjacent image or table', () => {
+    const figureCaption = block(380, 'Figure 1: Overview')
+    const tableCaption = block(250, 'Table 1: Results')
+    const table = block(230, 'Name Value')
+    table.type = BlockType.TABLE
+    const parseResult = detect([block(600, 'Some text'), image(450), figureCaption, tableCaption, table])
+
+    const [, imageItem] = parseResult.pages[0].items
+    expect(imageItem.caption).to.include({ label: 'Figure 1', position: 'below', page: 1 })
+    expect(table.caption).to.include({ label: 'Table 1', position: 'above' })
+    expect([figureCaption.type, tableCaption.type]).to.eql([BlockType.CAPTION, BlockType.CAPTION])
+    expect(parseResult.figures.map(figure => figure.label)).to.eql(['Figure 1', 'Table 1'])
+  })
+
+  it('links captions below tables of many rows', () => {
+    // Rows of two cells, as split by LineConverter
+    const row = (y, left, right) => new LineItem({
+      x: 72,
+      y,
+      height: 10,
+      width: 160,
+      words: [new Word({ string: left }), new Word({ string: right })],
+      segments: [{ x: 72, width: 36, words: [new Word({ string: left })] }, { x: 200, width: 30, words: [new Word({ string: right })] }],
+    })
+    const rows = [row(680, 'Fruit', 'Price'), row(665, 'Apple', '1.50'), row(650, 'Banana', '0.25'), row(635, 'Cherry', '3.00')]
+    const tableItem = new DetectTables().transform(new ParseResult({
+      pages: [new Page({ index: 0, items: rows })],
+      globals: { mostUsedDistance: 15 },
+    })).pages[0].items.find(item => item.type === BlockType.TABLE)
+    const table = new LineItemBlock({ type: BlockType.TABLE, items: [tableItem] })
+    const parseResult = detect([block(720, 'Some text'), table, block(615, 'Table 1: Fruit prices')])
+
+    expect(table.caption).to.include({ label: 'Table 1', position: 'below' })
+    expect(parseResult.figures.map(figure => figure.label)).to.eql(['Table 1'])
+  })
+
+  it('ignores captions far from images and long blocks', () => {
+    const parseResult = detect([image(600), block(400, 'Figure 1: Far away'), image(250), block(190, 'Figure 2: One', 'two', 'three', 'four', 'five')])
+    expect(parseResult.figures).to.eql([])
+    expect(parseResult.pages[0].items.filter(item => item.caption)).to.eql([])
+  })
+
+  it('uses the caption as alt text and title of the image', () => {
+    const toMarkdown = options => new ToMarkdown({ imageMode: 'relative', pdfTitle: 'doc', ...options })
+      .transform(new ToTextBlocks().transform(detect([image(450), block(380, 'Figure 1: A "big" <b>')]))).pages[0].items[0]
+
+    expect(toMarkdown()).to.equal('![Figure 1: A "big" <b>](./doc_image1_p1.png "Figure 1: A \\"big\\" <b>")\n\nFigure 1: A "big" <b> \n\n')
+    expect(toMarkdown({ htmlFigures: true })).to.equal('<figure>\n<img src="./doc_image1_p1.png" alt="Figure 1: A &quot;big&quot; &lt;b&gt;">\n' +
+      '<figcaption>Figure 1: A &quot;big&quot; &lt;b&gt;</figcaption>\n</figure>\n\n')
+  })
+})
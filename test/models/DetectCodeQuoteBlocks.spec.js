@@ -0,0 +1,81 @@
+const { expect } = require('chai')
+
+const DetectCodeQuoteBlocks = require('../../build/models/transformations/line-item-block/DetectCodeQuoteBlocks')
+const CalculateGlobalStats = require('../../build/models/transformations/text-item/CalculateGlobalStats')
+const ToTextBlocks = require('../../build/models/transformations/ToTextBlocks')
+const ToMarkdown = require('../../build/models/transformations/ToMarkdown')
+const ParseResult = require('../../build/models/ParseResult')
+const Page = require('../../build/models/Page')
+const TextItem = require('../../build/models/TextItem')
+const LineItem = require('../../build/models/LineItem')
+const LineItemBlock = require('../../build/models/LineItemBlock')
+const Word = require('../../build/models/Word')
+const WordFormat = require('../../build/models/markdown/WordFormat')
+const BlockType = require('../../build/models/markdown/BlockType')
+
+describe('CalculateGlobalStats: monospace fonts', () => {
+  // Items of a font with the given width per character
+  const items = (font, widthPerChar, ...texts) => texts.map((text, i) => new TextItem({ x: 72, y: 700 - i * 12, width: text.length * widthPerChar, height: 10, text, font }))
+  const formatsOf = (fontMap, pageItems) => new CalculateGlobalStats(fontMap)
+    .transform(new ParseResult({ pages: [new Page({ index: 0, items: pageItems })] })).globals.fontToFormats
+
+  it('formats text in monospace fonts as inline code', () => {
+    const body = items('body', 5, 'Some body text', 'more body text', 'and even more', 'of the body')
+    const fontMap = new Map([['body', { name: 'Helvetica' }], ['courier', { name: 'Courier' }], ['uniform', { name: 'F3' }], ['proportional', { name: 'F4' }], ['heading', { name: 'F5' }]])
+    const fontToFormats = formatsOf(fontMap, [
+      ...body,
+      ...items('courier', 6, 'x = 1'),
+      ...items('uniform', 6, 'function main', 'return value', 'break; }'),
+      // Proportional text with similar widths and only a few letters
+      ...items('proportional', 5.5, 'Page 12', 'Page 13', 'Page 14'),
+      // A heading in a font of its own
+      ...items('heading', 7, 'Document history'),
+    ])
+    expect(fontToFormats.get('courier')).to.equal('INLINE_CODE')
+    expect(fontToFormats.get('uniform')).to.equal('INLINE_CODE')
+    expect(fontToFormats.has('proportional')).to.equal(false)
+    expect(fontToFormats.get('heading')).to.not.equal('INLINE_CODE')
+    expect(fontToFormats.has('body')).to.equal(false)
+  })
+
+  it('does not take a heading repeated on every page as monospace', () => {
+    const fontMap = new Map([['body', { name: 'Helvetica' }], ['heading', { name: 'Helvetica-Bold' }]])
+    const pages = [1, 2, 3, 4].map(number => new Page({
+      index: number - 1,
+      items: [...items('heading', 7, `Chapter ${number} Overview`), ...items('body', 5, 'Some body text', 'more body text', 'and even more')],
+    }))
+    const fontToFormats = new CalculateGlobalStats(fontMap).transform(new ParseResult({ pages })).globals.fontToFormats
+    expect(fontToFormats.get('heading')).to.not.equal('INLINE_CODE')
+  })
+})
+
+describe('DetectCodeQuoteBlocks', () => {
+  const code = string => new Word({ string, format: WordFormat.INLINE_CODE })
+  // A line of code words at the given indentation, 6 units per character
+  const line = (y, indent, ...strings) => new LineItem({
+    x: 72 + indent * 6, y, height: 10, width: (strings.join(' ').length) * 6, words: strings.map(code),
+  })
+  const detect = blocks => new DetectCodeQuoteBlocks().transform(new ParseResult({
+    pages: [new Page({ index: 0, items: blocks })],
+    globals: { mostUsedDistance: 12 },
+  }))
+
+  it('detects, joins and indents code blocks', () => {
+    const text = new LineItemBlock({ items: [new LineItem({ x: 72, y: 720, height: 10, words: [new Word({ string: 'Text' }), code('a()')] })] })
+    const first = new LineItemBlock({ items: [line(700, 0, 'if', '(a)', '{'), line(688, 2, 'b()'), line(676, 0, '}')] })
+    const second = new LineItemBlock({ items: [line(652, 0, 'c(`x`)')] })
+    const parseResult = detect([text, first, second])
+
+    const blocks = parseResult.pages[0].items
+    expect(blocks.map(block => block.type)).to.eql([undefined, BlockType.CODE])
+    expect(blocks[1].items.map(item => item.indent)).to.eql([0, 2, 0, 0, 0])
+    expect(BlockType.blockToText(blocks[1])).to.equal('```\nif (a) {\n  b()\n}\n\nc(`x`)\n```')
+  })
+
+  it('keeps the code in the Markdown', () => {
+    const parseResult = detect([new LineItemBlock({ items: [line(700, 0, 'const', 'a', '=', 'b', '-', 'c'), line(688, 2, '`d`')] })])
+    const markdown = new ToMarkdown().transform(new ToTextBlocks().transform(parseResult))
+    expect(markdown.pages[0].items[0]).to.equal('```javascript\nconst a = b - c\n  `d`\n```\n\n')
+    expect(markdown.mdast.children[0]).to.include({ type: 'code', lang: 'javascript', value: 'const a = b - c\n  `d`' })
+  })
+})
@@ -0,0 +1,124 @@
+const { expect } = require('chai')
+
+const pdf2md = require('../../build/pdf2md')
+const DetectFootnotes = require('../../build/models/transformations/line-item/DetectFootnotes')
+const LineConverter = require('../../build/models/LineConverter')
+const ParseResult = require('../../build/models/ParseResult')
+const Page = require('../../build/models/Page')
+const LineItem = require('../../build/models/LineItem')
+const TextItem = require('../../build/models/TextItem')
+const Word = require('../../build/models/Word')
+const BlockType = require('../../build/models/markdown/BlockType')
+const WordType = require('../../build/models/markdown/WordType')
+
+const marker = string => new Word({ string, type: WordType.FOOTNOTE_LINK })
+const line = (y, words, height = 10) => new LineItem({
+  x: 72,
+  y,
+  height,
+  words: words.map(word => typeof word === 'string' ? new Word({ string: word }) : word),
+})
+
+function detect (...pages) {
+  const parseResult = new ParseResult({
+    pages: pages.map((items, index) => new Page({ index, items })),
+    globals: { mostUsedHeight: 10 },
+  })
+  return new DetectFootnotes().transform(parseResult).pages
+}
+
+const text = items => items.map(item => (item.type ? item.type.name + ': ' : '') + BlockType.blockToText({ type: item.type, items: [item] }).trim())
+
+// A PDF document with a page per content stream, the text in Helvetica
+function pdfOf (contents) {
+  const pageIds = contents.map((content, index) => 4 + index * 2)
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${contents.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ]
+  contents.forEach((content, index) => {
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${pageIds[index] + 1} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`)
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`)
+  })
+  var pdf = '%PDF-1.4\n'
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+  const xref = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` + offsets.map(offset => String(offset).padStart(10, '0') + ' 00000 n \n').join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`
+  return Buffer.from(pdf, 'latin1')
+}
+
+const show = (x, y, size, string) => `BT /F1 ${size} Tf ${x} ${y} Td (${string}) Tj ET`
+const pageWithFootnote = number => [
+  show(72, 700, 12, `Page ${number} makes a claim`), show(205, 705, 7, '1'),
+  show(72, 685, 12, 'and goes on with more body text'),
+  show(72, 670, 12, 'and even more body text here'),
+  show(72, 655, 12, 'until the end of the paragraph'),
+  show(72, 90, 8, `1 The footnote of page ${number}`),
+].join('\n')
+
+describe('LineConverter', () => {
+  it('detects raised footnote markers in smaller font', () => {
+    const lineItem = new LineConverter(new Map()).compact([
+      new TextItem({ x: 72, y: 600, width: 60, height: 10, text: 'A claim' }),
+      new TextItem({ x: 132, y: 604, width: 4, height: 6, text: '1' }),
+      new TextItem({ x: 136, y: 604, width: 2, height: 0, text: ' ' }),
+      new TextItem({ x: 140, y: 600, width: 30, height: 10, text: 'and 2 more' }),
+    ])
+    expect(lineItem.words.map(word => [word.string, word.type ? word.type.name : null])).to.eql([
+      ['A', null], ['claim', null], ['1', 'FOOTNOTE_LINK'], ['and', null], ['2', null], ['more', null],
+    ])
+  })
+})
+
+describe('DetectFootnotes', () => {
+  it('pairs markers with the footnotes at the bottom of the page', () => {
+    const [page] = detect([
+      line(700, ['A', 'claim', marker('1'), 'and', 'another', marker('*'), '.']),
+      line(100, ['1', 'The', 'source.'], 8),
+      line(90, ['*', 'A', 'symbol', 'footnote'], 8),
+      line(80, ['continued.'], 8),
+      line(40, ['12']),
+    ])
+    expect(text(page.items)).to.eql([
+      'A claim[^1] and another[^note].',
+      'FOOTNOTES: [^1]: The source.',
+      'FOOTNOTES: [^note]: A symbol footnote',
+      'FOOTNOTES: continued.',
+      '12',
+    ])
+  })
+
+  it('keeps labels unique and unpaired markers raised', () => {
+    const pages = detect(
+      [line(700, ['First', marker('1')]), line(100, ['1', 'One.'], 8)],
+      [line(700, ['Second', marker('1'), 'and', marker('2')]), line(100, ['1', 'Two.'], 8)],
+    )
+    expect(text(pages[0].items)).to.eql(['First[^1]', 'FOOTNOTES: [^1]: One.'])
+    expect(text(pages[1].items)).to.eql(['Second[^1-2] and<sup>2</sup>', 'FOOTNOTES: [^1-2]: Two.'])
+  })
+
+  it('renders footnote definitions as mdast', () => {
+    const [page] = detect([line(700, ['Claim', marker('1')]), line(100, ['1', 'The'], 8), line(90, ['source.'], 8)])
+    expect(BlockType.blockToMdast({ type: BlockType.FOOTNOTES, items: page.items.slice(1) })).to.eql([{
+      type: 'footnoteDefinition',
+      identifier: '1',
+      label: '1',
+      children: [{ type: 'paragraph', children: [{ type: 'text', value: 'The source.' }] }],
+    }])
+  })
+
+  it('keeps labels unique across the pages of stream()', async () => {
+    const pages = []
+    for await (const { markdown } of pdf2md.stream(pdfOf([pageWithFootnote(1), pageWithFootnote(2)]))) {
+      pages.push(markdown)
+    }
+    expect(pages[0]).to.include('claim[^1]').and.to.include('[^1]: The footnote of page 1')
+    expect(pages[1]).to.include('claim[^1-2]').and.to.include('[^1-2]: The footnote of page 2')
+  })
+})
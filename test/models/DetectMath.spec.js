@@ -0,0 +1,76 @@
+const { expect } = require('chai')
+
+const DetectMath = require('../../build/models/transformations/line-item/DetectMath')
+const LineConverter = require('../../build/models/LineConverter')
+const TextItemLineGrouper = require('../../build/models/TextItemLineGrouper')
+const ParseResult = require('../../build/models/ParseResult')
+const Page = require('../../build/models/Page')
+const LineItem = require('../../build/models/LineItem')
+const TextItem = require('../../build/models/TextItem')
+const Word = require('../../build/models/Word')
+const BlockType = require('../../build/models/markdown/BlockType')
+
+// Items 6 units per character, the scripts in a smaller font
+const item = (x, y, text, height = 10, font = 'body') => new TextItem({ x, y, width: text.length * 6, height, text, font })
+const text = lineItem => BlockType.blockToText({ type: lineItem.type, items: [lineItem] }).trim()
+
+describe('LineConverter', () => {
+  it('detects raised and lowered text in smaller font', () => {
+    // 'Water is H₂O and xᵢⁿ⁺¹ here'
+    const items = [
+      item(72, 600, 'Water is H'), item(132, 597, '2', 7), item(136, 600, 'O and x'),
+      item(178, 597, 'i', 7), item(182, 604, 'n+1', 7), item(200, 600, ' here'),
+    ]
+    const [line] = new TextItemLineGrouper({ mostUsedDistance: 12 }).group(items)
+    const lineItem = new LineConverter(new Map()).compact(line)
+    expect(text(lineItem)).to.equal('Water is H<sub>2</sub>O and x<sub>i</sub><sup>n+1</sup> here')
+  })
+
+  it('ignores smaller text making up most of the line', () => {
+    const lineItem = new LineConverter(new Map()).compact([item(72, 600, 'W', 30), item(100, 590, 'ater flows down the hill', 10)])
+    expect(text(lineItem)).to.equal('W ater flows down the hill')
+  })
+
+  it('measures the share of math characters', () => {
+    const mathFonts = new Set(['cmmi'])
+    const converter = new LineConverter(new Map(), { mathFonts })
+    const equation = converter.compact([item(200, 600, 'f', 10, 'cmmi'), item(206, 600, '(x) = sin(', 10), item(266, 600, 'x', 10, 'cmmi'), item(272, 600, ')', 10)])
+    expect(equation.mathShare).to.equal(2 / 6) // f and x in the math font, the letters of '(x) = sin('
+    expect(converter.compact([item(72, 600, 'The sum ∑ of all')]).mathShare).to.equal(1 / 12)
+    expect(converter.compact([item(72, 600, 'Only text')]).mathShare).to.equal(0)
+  })
+
+  it('ignores punctuation and dot leaders in math fonts', () => {
+    const converter = new LineConverter(new Map(), { mathFonts: new Set(['cmmi']) })
+    const indexLine = converter.compact([item(72, 600, 'asn1_create_element'), item(186, 600, ' . . . . . . . . . .', 10, 'cmmi'), item(300, 600, '12')])
+    expect(indexLine.mathShare).to.equal(0)
+    expect(converter.compact([item(72, 600, 'x', 10, 'cmmi'), item(78, 600, ',', 10, 'cmmi'), item(84, 600, 'y', 10, 'cmmi')]).mathShare).to.equal(1)
+  })
+})
+
+describe('DetectMath', () => {
+  it('types lines mostly in math fonts as equations', () => {
+    const line = (y, string, mathShare, type) => new LineItem({ x: 72, y, height: 10, text: string, mathShare, type })
+    const parseResult = new DetectMath().transform(new ParseResult({
+      pages: [new Page({ index: 0, items: [line(700, 'The equation', 0), line(680, 'E = mc', 1), line(660, 'x ∈ A', 0.5), line(640, 'x y', 1, BlockType.H2)] })],
+      globals: {},
+    }))
+    expect(parseResult.pages[0].items.map(lineItem => lineItem.type && lineItem.type.name)).to.eql([undefined, 'MATH', 'MATH', 'H2'])
+  })
+
+  it('does not type lines without LaTeX as equations', () => {
+    const parseResult = new DetectMath().transform(new ParseResult({
+      pages: [new Page({ index: 0, items: [new LineItem({ x: 72, y: 700, height: 10, words: [new Word({ string: '' })], mathShare: 1 })] })],
+      globals: {},
+    }))
+    expect(parseResult.pages[0].items[0].type).to.equal(undefined)
+  })
+
+  it('renders equations as LaTeX', () => {
+    const lineItem = new LineConverter(new Map(), { mathFonts: new Set(['cmmi']) })
+      .compact([item(200, 600, 'α', 10, 'cmmi'), item(206, 604, '2', 7), item(214, 600, '≤ ∑', 10), item(400, 600, '(1)', 10)])
+    const block = { type: BlockType.MATH, items: [lineItem] }
+    expect(BlockType.blockToText(block)).to.equal('$$\n\\alpha^{2}\\leq \\sum \\tag{1}\n$$')
+    expect(BlockType.blockToMdast(block)).to.eql([{ type: 'math', meta: null, value: '\\alpha^{2}\\leq \\sum \\tag{1}' }])
+  })
+})
@@ -0,0 +1,70 @@
+const { expect } = require('chai')
+
+const DetectOutlineHeaders = require('../../build/models/transformations/line-item/DetectOutlineHeaders')
+const DetectHeaders = require('../../build/models/transformations/line-item/DetectHeaders')
+const ParseResult = require('../../build/models/ParseResult')
+const Page = require('../../build/models/Page')
+const LineItem = require('../../build/models/LineItem')
+const Word = require('../../build/models/Word')
+const { REMOVED_ANNOTATION, ADDED_ANNOTATION } = require('../../build/models/Annotation')
+
+const line = (y, text, height = 10) => new LineItem({
+  x: 72,
+  y,
+  height,
+  width: text.length * 6,
+  words: text.split(' ').map(string => new Word({ string })),
+})
+
+function detect (items, outline) {
+  const parseResult = new ParseResult({
+    pages: [new Page({ index: 0, items })],
+    globals: { outline, mostUsedHeight: 10, mostUsedDistance: 12 },
+  })
+  return new DetectOutlineHeaders().transform(parseResult)
+}
+
+const headlines = items => items
+  .filter(item => item.annotation === ADDED_ANNOTATION)
+  .map(item => [item.type.name, item.text()])
+
+describe('DetectOutlineHeaders', () => {
+  it('types the lines at the destinations by outline level', () => {
+    const items = [line(700, 'Introduction', 16), line(680, 'Some text about the Scope'), line(600, 'The', 12), line(588, 'Scope', 12), line(570, 'More text')]
+    const result = detect(items, [
+      { title: 'Introduction', level: 0, destination: { pageIndex: 0, y: 720 } },
+      { title: 'The Scope', level: 1, destination: { pageIndex: 0, y: 615 } },
+    ])
+    expect(headlines(result.pages[0].items)).to.eql([['H1', 'Introduction'], ['H2', 'The Scope']])
+    expect(items.filter(item => item.annotation === REMOVED_ANNOTATION).map(item => item.text())).to.eql(['Introduction', 'The', 'Scope'])
+    expect(result.globals.headlinesFromOutline).to.equal(true)
+  })
+
+  it('accepts headlines differing in numbering', () => {
+    const result = detect([line(700, '2.1 Results'), line(680, 'Text')], [{ title: 'Results', level: 2, destination: { pageIndex: 0, y: 712 } }])
+    expect(headlines(result.pages[0].items)).to.eql([['H3', '2.1 Results']])
+  })
+
+  it('ignores entries of other pages and leaves the headlines to the heuristics without outline', () => {
+    const result = detect([line(700, 'Results')], [{ title: 'Results', level: 0, destination: { pageIndex: 3, y: 712 } }])
+    expect(headlines(result.pages[0].items)).to.eql([])
+    expect(result.globals.headlinesFromOutline).to.equal(false)
+    expect(detect([line(700, 'Results')], []).globals.headlinesFromOutline).to.equal(false)
+  })
+
+  it('leaves the headlines to the heuristics when no outline entry is found', () => {
+    const result = detect([line(700, 'Results'), line(680, 'Text')], [{ title: 'Unrelated Chapter', level: 0, destination: { pageIndex: 0, y: 712 } }])
+    expect(headlines(result.pages[0].items)).to.eql([])
+    expect(result.globals.headlinesFromOutline).to.equal(false)
+  })
+
+  it('makes DetectHeaders skip the headline detection', () => {
+    const title = line(700, 'Big Title', 30)
+    const parseResult = new ParseResult({
+      pages: [new Page({ index: 0, items: [title, line(680, 'Text')] })],
+      globals: { headlinesFromOutline: true, mostUsedHeight: 10, mostUsedDistance: 12, maxHeight: 30 },
+    })
+    new DetectHeaders().transform(parseResult)
+    expect(title.type).to.equal(undefined)
+  })
+})
@@ -0,0 +1,106 @@
+const { expect } = require('chai')
+
+const DetectTables = require('../../build/models/transformations/line-item/DetectTables')
+const ParseResult = require('../../build/models/ParseResult')
+const Page = require('../../build/models/Page')
+const LineItem = require('../../build/models/LineItem')
+const Word = require('../../build/models/Word')
+const WordFormat = require('../../build/models/markdown/WordFormat')
+const BlockType = require('../../build/models/markdown/BlockType')
+const { REMOVED_ANNOTATION } = require('../../build/models/Annotation')
+
+// A line of cells at the given x positions, 6 units per character
+function row (y, cells, format) {
+  const segments = cells.map(([x, text]) => ({
+    x,
+    width: text.length * 6,
+    words: text.split(' ').map(string => new Word({ string, format })),
+  }))
+  return new LineItem({
+    x: segments[0].x,
+    y,
+    height: 10,
+    width: segments[segments.length - 1].x + segments[segments.length - 1].width - segments[0].x,
+    words: [].concat(...segments.map(segment => segment.words)),
+    segments: segments.length > 1 ? segments : undefined,
+  })
+}
+
+function detect (items, rulings = []) {
+  const parseResult = new ParseResult({
+    pages: [new Page({ index: 0, items, rulings })],
+    globals: { mostUsedDistance: 12 },
+  })
+  return new DetectTables().transform(parseResult).pages[0].items
+}
+
+const tableOf = items => items.find(item => item.type === BlockType.TABLE)
+const textOf = table => table.rows.map(cells => cells.map(words => words.map(word => word.string).join(' ')))
+
+describe('DetectTables', () => {
+  it('detects columns and right aligned cells', () => {
+    const items = detect([
+      row(700, [[72, 'Some text before the table']]),
+      row(680, [[72, 'Name'], [200, 'Price']]),
+      row(665, [[72, 'Apple'], [206, '1.50']]),
+      row(650, [[72, 'Banana'], [200, '10.25']]),
+      row(620, [[72, 'Some text after the table']]),
+    ])
+    const table = tableOf(items)
+    expect(textOf(table.table)).to.eql([['Name', 'Price'], ['Apple', '1.50'], ['Banana', '10.25']])
+    expect(table.table.alignments).to.eql(['left', 'right'])
+    expect(items.filter(item => item.annotation === REMOVED_ANNOTATION)).to.have.lengthOf(3)
+    expect(items.indexOf(table)).to.equal(4)
+  })
+
+  it('spans the table over all its lines', () => {
+    const table = tableOf(detect([
+      row(680, [[72, 'Qty'], [200, 'Item']]),
+      row(665, [[84, '10'], [200, 'Apples and pears']]),
+      row(650, [[78, '250'], [200, 'Plums']]),
+    ]))
+    expect([table.x, table.y, table.width, table.height]).to.eql([72, 650, 224, 40])
+  })
+
+  it('merges wrapped cell text into the row', () => {
+    const table = tableOf(detect([
+      row(680, [[72, 'Key'], [200, 'Description']]),
+      row(665, [[72, 'a'], [200, 'First']]),
+      row(650, [[72, 'b'], [200, 'Second wraps']]),
+      row(642, [[200, 'onto the next line']]),
+    ]))
+    expect(textOf(table.table)).to.eql([['Key', 'Description'], ['a', 'First'], ['b', 'Second wraps onto the next line']])
+  })
+
+  it('uses rulings to separate rows', () => {
+    const horizontal = y => ({ x1: 70, y1: y, x2: 300, y2: y, thickness: 0.5, horizontal: true })
+    const table = tableOf(detect([
+      row(680, [[72, 'Key'], [200, 'Description']]),
+      row(660, [[72, 'a'], [200, 'First']]),
+      row(652, [[200, 'Second']]),
+    ], [horizontal(692), horizontal(672), horizontal(658), horizontal(644)]))
+    expect(textOf(table.table)).to.eql([['Key', 'Description'], ['a', 'First'], ['', 'Second']])
+  })
+
+  it('ignores lists and text columns', () => {
+    const list = detect([
+      row(680, [[72, '1.'], [100, 'First item']]),
+      row(665, [[72, '2.'], [100, 'Second item']]),
+    ])
+    const columns = detect([
+      row(640, [[72, 'a column of text with many words'], [300, 'and another column of text with words']]),
+      row(628, [[72, 'which goes on and on for a while'], [300, 'while the other column does the same']]),
+    ])
+    expect(tableOf(list)).to.equal(undefined)
+    expect(tableOf(columns)).to.equal(undefined)
+  })
+  it('leaves lines of code to the code blocks', () => {
+    const code = detect([
+      row(680, [[72, 'Name'], [200, '::= SEQUENCE {']], WordFormat.INLINE_CODE),
+      row(665, [[84, 'id'], [200, 'INTEGER,']], WordFormat.INLINE_CODE),
+      row(650, [[84, 'value'], [200, 'OCTET STRING']], WordFormat.INLINE_CODE),
+      row(635, [[72, '}']], WordFormat.INLINE_CODE),
+    ])
+    expect(tableOf(code)).to.equal(undefined)
+  })
+})
@@ -0,0 +1,37 @@
+const { expect } = require('chai')
+
+const GlobalStatsCollector = require('../../build/models/GlobalStatsCollector')
+const CalculateGlobalStats = require('../../build/models/transformations/text-item/CalculateGlobalStats')
+const Page = require('../../build/models/Page')
+const TextItem = require('../../build/models/TextItem')
+const ParseResult = require('../../build/models/ParseResult')
+
+const item = (y, text, height = 10, font = 'body') => new TextItem({ x: 0, y, width: text.length * 5, height, text, font })
+
+describe('GlobalStatsCollector', () => {
+  const pages = [
+    new Page({ index: 0, items: [item(700, 'Title', 20, 'bold'), item(660, 'one'), item(648, 'two'), item(636, ' '), item(624, 'three')] }),
+    new Page({ index: 1, items: [item(700, 'four'), item(688, 'five')] }),
+  ]
+
+  it('gathers the stats page by page', () => {
+    const collector = new GlobalStatsCollector()
+    pages.forEach(page => collector.addPage(page))
+    const stats = collector.summarize()
+    expect(stats.mostUsedHeight).to.equal(10)
+    expect(stats.mostUsedFont).to.equal('body')
+    expect(stats.maxHeight).to.equal(20)
+    expect(stats.maxHeightFont).to.equal('bold')
+    // blank items and page breaks interrupt the line distances
+    expect(stats.distanceToOccurrence).to.eql({ 12: 2 })
+    expect(stats.fontToWidthStats.get('body')).to.include({ totalChars: 19, sampleCount: 5, avgWidthPerChar: 5 })
+    expect(stats.fontToWidthStats.has('bold')).to.equal(false)
+  })
+
+  it('lets CalculateGlobalStats use precomputed stats', () => {
+    const documentStats = GlobalStatsCollector.ofPages(pages).summarize()
+    const parseResult = new CalculateGlobalStats(new Map()).transform(new ParseResult({ pages: [pages[1]], globals: { documentStats } }))
+    expect(parseResult.globals).to.include({ mostUsedHeight: 10, mostUsedDistance: 12, maxHeight: 20, maxHeightFont: 'bold' })
+    expect(parseResult.globals.documentStats).to.equal(documentStats)
+  })
+})
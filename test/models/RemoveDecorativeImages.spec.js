@@ -0,0 +1,41 @@
+const { expect } = require('chai')
+
+const RemoveDecorativeImages = require('../../build/models/transformations/line-item/RemoveDecorativeImages')
+const ParseResult = require('../../build/models/ParseResult')
+const Page = require('../../build/models/Page')
+const LineItem = require('../../build/models/LineItem')
+const ImageItem = require('../../build/models/ImageItem')
+const { REMOVED_ANNOTATION } = require('../../build/models/Annotation')
+const { resolveDetection } = require('../../build/util/detection')
+
+// y is the center of an image, the pages are 792 high
+const image = (hash, y, width = 100, height = 60) => new ImageItem({ x: 72, y, width, height, hash, imageName: hash })
+const line = y => new LineItem({ x: 72, y, height: 10, words: [] })
+
+function removed (pages, detection, globals) {
+  const parseResult = new ParseResult({
+    pages: pages.map((items, index) => new Page({ index, items, height: 792 })),
+    globals,
+  })
+  new RemoveDecorativeImages(detection).transform(parseResult)
+  return parseResult.pages.map(page => page.items.filter(item => item.annotation === REMOVED_ANNOTATION).map(item => item.imageName))
+}
+
+describe('RemoveDecorativeImages', () => {
+  it('removes images repeated in the page margins', () => {
+    const page = i => [image('logo', 760), line(700), image('figure', 400), image(`photo${i}`, 40)]
+    expect(removed([page(1), page(2), page(3)])).to.eql([['logo'], ['logo'], ['logo']])
+    expect(removed([page(1), page(2)])).to.eql([[], []])
+  })
+
+  it('removes small and thin images', () => {
+    const items = () => [image('bullet', 400, 5, 5), image('rule', 300, 400, 2), image('banner', 200, 500, 20), image('figure', 100)]
+    expect(removed([items()])).to.eql([['bullet', 'rule', 'banner']])
+    expect(removed([items()], resolveDetection({ images: { minWidth: 2, minHeight: 2, maxAspectRatio: 30 } }))).to.eql([['rule']])
+  })
+
+  it('uses the precomputed repetitions when streaming', () => {
+    const imageHashRepetitions = { imageHashRepetitions: { logo: 10 }, pageCount: 12 }
+    expect(removed([[image('logo', 760)]], undefined, { imageHashRepetitions })).to.eql([['logo']])
+  })
+})
@@ -0,0 +1,146 @@
+const { expect } = require('chai')
+
+const BlockType = require('../../build/models/markdown/BlockType')
+const WordFormat = require('../../build/models/markdown/WordFormat')
+const WordType = require('../../build/models/markdown/WordType')
+const LineItemBlock = require('../../build/models/LineItemBlock')
+const LineItem = require('../../build/models/LineItem')
+const Word = require('../../build/models/Word')
+const Table = require('../../build/models/Table')
+const Renderer = require('../../build/models/renderers/Renderer')
+const MarkdownRenderer = require('../../build/models/renderers/MarkdownRenderer')
+const HtmlRenderer = require('../../build/models/renderers/HtmlRenderer')
+const TextRenderer = require('../../build/models/renderers/TextRenderer')
+const AsciiDocRenderer = require('../../build/models/renderers/AsciiDocRenderer')
+
+const words = (...strings) => strings.map(string => new Word({ string }))
+
+const headline = () => {
+  const block = new LineItemBlock({
+    type: BlockType.H2,
+    items: [new LineItem({ words: [new Word({ string: 'Big', format: WordFormat.BOLD }), ...words('News', '<now>')] })],
+  })
+  block.anchor = 'big-news-now'
+  return block
+}
+
+const paragraph = () => new LineItemBlock({
+  items: [
+    new LineItem({ words: [...words('A', 'hyphen-')] }),
+    new LineItem({ words: [...words('ated'), new Word({ string: 'link', link: { url: 'https://example.com/a b' } }), ...words('here.')] }),
+  ],
+})
+
+// A run of list items, as joined by ToTextBlocks: the second item has a nested item, then an ordered list follows
+const list = () => ({
+  type: BlockType.LIST,
+  items: [
+    new LineItem({ words: words('-', 'One') }),
+    new LineItem({ words: words('-', 'Two') }),
+    new LineItem({ words: words('   ', '-', 'Nested') }),
+    new LineItem({ words: words('3.', 'Three') }),
+  ],
+})
+
+const table = () => new LineItemBlock({
+  type: BlockType.TABLE,
+  items: [new LineItem({
+    words: [],
+    table: new Table({ rows: [[words('Name'), words('Price')], [words('Apple'), words('1.50')]], alignments: ['left', 'right'] }),
+  })],
+})
+
+const code = () => new LineItemBlock({
+  type: BlockType.CODE,
+  items: [new LineItem({ words: words('if', '(a', '<', 'b)', '{') }), new LineItem({ words: words('}') })],
+})
+
+describe('models: Renderer', () => {
+  it('can not be constructed itself', () => {
+    expect(() => new Renderer('x', 'x')).to.throw(TypeError, 'abstract class')
+  })
+
+  it('renders the blocks as Markdown', () => {
+    const renderer = new MarkdownRenderer()
+    expect(renderer.renderBlock(headline())).to.equal('## **Big** News <now> ')
+    expect(renderer.renderBlock(paragraph())).to.equal('A hyphenated [link](https://example.com/a%20b) here. ')
+    // Each list item is a paragraph of its own, as before list items were joined
+    expect(renderer.renderBlock(list())).to.equal('- One \n\n- Two \n\n    - Nested \n\n3. Three ')
+    expect(renderer.renderBlock(table())).to.equal('| Name | Price |\n| --- | ---: |\n| Apple | 1.50 |')
+    expect(renderer.renderBlock(code())).to.equal('```\nif (a < b) {\n}\n```')
+  })
+
+  it('renders the blocks as HTML', () => {
+    const renderer = new HtmlRenderer()
+    expect(renderer.renderBlock(headline())).to.equal('<h2 id="big-news-now"><strong>Big</strong> News &lt;now&gt;</h2>')
+    expect(renderer.renderBlock(paragraph())).to.equal('<p>A hyphenated <a href="https://example.com/a b">link</a> here.</p>')
+    expect(renderer.renderBlock(list())).to.equal([
+      '<ul>', '<li>One</li>', '<li>Two', '<ul>', '<li>Nested</li>', '</ul>', '</li>', '</ul>',
+      '<ol start="3">', '<li>Three</li>', '</ol>',
+    ].join('\n'))
+    expect(renderer.renderBlock(table())).to.equal([
+      '<table>',
+      '<thead>', '<tr><th>Name</th><th style="text-align: right">Price</th></tr>', '</thead>',
+      '<tbody>', '<tr><td>Apple</td><td style="text-align: right">1.50</td></tr>', '</tbody>',
+      '</table>',
+    ].join('\n'))
+    expect(renderer.renderBlock(code())).to.equal('<pre><code>if (a &lt; b) {\n}</code></pre>')
+    expect(renderer.renderImage('a.png', 'A', { text: 'Figure 1: A', position: 'below' }))
+      .to.equal('<figure>\n<img src="a.png" alt="A">\n<figcaption>Figure 1: A</figcaption>\n</figure>')
+  })
+
+  it('renders the blocks as plain text', () => {
+    const renderer = new TextRenderer()
+    expect(renderer.renderBlock(headline())).to.equal('Big News <now>')
+    expect(renderer.renderBlock(paragraph())).to.equal('A hyphenated link here.')
+    expect(renderer.renderBlock(list())).to.equal('- One\n- Two\n  - Nested\n3. Three')
+    expect(renderer.renderBlock(table())).to.equal('Name\tPrice\nApple\t1.50')
+    expect(renderer.renderBlock(code())).to.equal('if (a < b) {\n}')
+    expect(renderer.renderImage('a.png', 'A', null)).to.equal('')
+  })
+
+  it('renders the front matter of each format', () => {
+    const metadata = { title: 'Q&A Report', author: 'Jane Doe', subject: null, keywords: ['pdf', 'test'], creationDate: '2024-03-01T10:00:00.000Z', modificationDate: null, creator: null, producer: null }
+    expect(new MarkdownRenderer().renderFrontMatter(metadata)).to.match(/^---\ntitle: "Q&A Report"\n/)
+    expect(new HtmlRenderer().renderFrontMatter(metadata)).to.equal([
+      '<header>',
+      '<p class="title">Q&amp;A Report</p>',
+      '<p class="author">Jane Doe</p>',
+      '<p class="keywords">pdf, test</p>',
+      '<p class="date"><time datetime="2024-03-01T10:00:00.000Z">2024-03-01</time></p>',
+      '</header>',
+      '', '',
+    ].join('\n'))
+    expect(new TextRenderer().renderFrontMatter(metadata)).to.equal('Q&A Report\nAuthor: Jane Doe\nKeywords: pdf, test\nDate: 2024-03-01\n\n')
+    const empty = { title: null, author: null, subject: null, keywords: [], creationDate: null, modificationDate: null, creator: null, producer: null }
+    expect(new HtmlRenderer().renderFrontMatter(empty)).to.equal('')
+    expect(new TextRenderer().renderFrontMatter(empty)).to.equal('')
+  })
+
+  it('renders the blocks as AsciiDoc', () => {
+    const renderer = new AsciiDocRenderer()
+    expect(renderer.renderBlock(headline())).to.equal('[#big-news-now]\n=== **Big** News <now>')
+    expect(renderer.renderBlock(paragraph())).to.equal('A hyphenated link:https://example.com/a%20b[link] here.')
+    expect(renderer.renderBlock(list())).to.equal('* One\n* Two\n** Nested\n\n//-\n\n[start=3]\n. Three')
+    expect(renderer.renderBlock(table())).to.equal('[cols="<,>"]\n|===\n|Name |Price\n\n|Apple |1.50\n|===')
+    expect(renderer.renderBlock(code())).to.equal('----\nif (a < b) {\n}\n----')
+    expect(renderer.renderFrontMatter({ title: 'Report', author: 'Jane Doe', subject: null, keywords: [], creationDate: null, modificationDate: null }))
+      .to.equal('= Report\n:author: Jane Doe\n\n')
+  })
+
+  it('renders the footnote references of each format', () => {
+    const block = new LineItemBlock({ items: [new LineItem({ words: [...words('Text'), new Word({ string: '1', type: WordType.FOOTNOTE_LINK })] })] })
+    expect(new MarkdownRenderer().renderBlock(block)).to.equal('Text[^1] ')
+    expect(new HtmlRenderer().renderBlock(block)).to.equal('<p>Text<sup><a href="#fn-1">1</a></sup></p>')
+    expect(new TextRenderer().renderBlock(block)).to.equal('Text')
+  })
+
+  it('lets subclasses override single methods', () => {
+    class ShoutingRenderer extends TextRenderer {
+      heading (block) {
+        return super.heading(block).toUpperCase()
+      }
+    }
+    expect(new ShoutingRenderer().renderBlock(headline())).to.equal('BIG NEWS <NOW>')
+  })
+})
@@ -0,0 +1,66 @@
+const { expect } = require('chai')
+
+const ToTextBlocks = require('../../build/models/transformations/ToTextBlocks')
+const ParseResult = require('../../build/models/ParseResult')
+const Page = require('../../build/models/Page')
+const LineItem = require('../../build/models/LineItem')
+const LineItemBlock = require('../../build/models/LineItemBlock')
+const Word = require('../../build/models/Word')
+const BlockType = require('../../build/models/markdown/BlockType')
+
+const block = (y, text, type) => new LineItemBlock({
+  type,
+  items: [new LineItem({ x: 72, y, height: 12, words: text.split(' ').map(string => new Word({ string })) })],
+})
+// A paragraph linking to the position y of the page
+const linkTo = (pageIndex, y) => new LineItemBlock({
+  items: [new LineItem({ x: 72, y: 100, height: 10, words: [new Word({ string: 'See' }), new Word({ string: 'here', link: { destination: { pageIndex, y } } })] })],
+})
+
+function transform (...pages) {
+  return transformPages(pages.map((items, index) => new Page({ index, items })))
+}
+
+function transformPages (pages) {
+  const parseResult = new ToTextBlocks().transform(new ParseResult({ pages, globals: {} }))
+  return { texts: parseResult.pages.map(page => page.items.map(item => item.text.trim())), messages: parseResult.messages }
+}
+
+describe('ToTextBlocks', () => {
+  it('links to the headline at the destination', () => {
+    const { texts } = transform([block(700, 'Introduction', BlockType.H1), block(500, 'Scope', BlockType.H2), linkTo(0, 510)])
+    expect(texts[0][2]).to.equal('See [here](#scope)')
+  })
+
+  it('links to the next headline below a destination high above it', () => {
+    const { texts } = transform(
+      [block(700, 'Introduction', BlockType.H1), linkTo(1, 621.8), linkTo(1, 400)],
+      [block(650, 'Text of the introduction'), block(575, 'Scope', BlockType.H2), block(450, 'Results', BlockType.H2), block(420, 'Text')],
+    )
+    expect(texts[0][1]).to.equal('See [here](#scope)')
+    // A destination below the last headline lies within its section
+    expect(texts[0][2]).to.equal('See [here](#results)')
+  })
+
+  it('keeps the preceding headline when text lies between the destination and the next headline', () => {
+    const { texts } = transform([block(700, 'Introduction', BlockType.H1), block(640, 'Text'), block(575, 'Scope', BlockType.H2), linkTo(0, 660)])
+    expect(texts[0][3]).to.equal('See [here](#introduction)')
+  })
+
+  it('reports links without headline at their destination', () => {
+    const { texts, messages } = transform([linkTo(1, 500)], [block(400, 'Text')])
+    expect(texts[0][0]).to.equal('See here')
+    expect(messages).to.include('Left 1 links without headline at their destination as plain text')
+  })
+  it('leaves links to pages which are not converted as plain text', () => {
+    // Page 3 streamed on its own, respectively the pages 1 and 3 selected, the link pointing to page 10
+    const streamed = transformPages([new Page({ index: 2, items: [block(700, 'Intro', BlockType.H1), linkTo(9, 500)] })])
+    expect(streamed.texts[0][1]).to.equal('See here')
+    expect(streamed.messages).to.include('Left 1 links without headline at their destination as plain text')
+    const selected = transformPages([
+      new Page({ index: 0, items: [block(700, 'Intro', BlockType.H1), linkTo(1, 500), linkTo(2, 500)] }),
+      new Page({ index: 2, items: [block(700, 'Usage', BlockType.H1)] }),
+    ])
+    expect(selected.texts[0].slice(1)).to.eql(['See here', 'See [here](#usage)'])
+  })
+})
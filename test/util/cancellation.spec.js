@@ -0,0 +1,91 @@
+const { expect } = require('chai')
+
+const pdf2md = require('../../build/pdf2md')
+const { watchCancellation, isCancellation, stopsConversion } = require('../../build/util/cancellation')
+const { ConversionAbortedError, ConversionTimeoutError } = require('../../build/util/errors')
+
+const never = () => new Promise(() => {})
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// A PDF document of one page showing the text in Helvetica
+function minimalPdf (text) {
+  const content = `BT /F1 12 Tf 72 700 Td (${text}) Tj ET`
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ]
+  var pdf = '%PDF-1.4\n'
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+  const xref = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` + offsets.map(offset => String(offset).padStart(10, '0') + ' 00000 n \n').join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`
+  return Buffer.from(pdf, 'latin1')
+}
+
+describe('functions: watchCancellation', () => {
+  it('aborts with the signal', async () => {
+    const controller = new AbortController()
+    const cancellation = watchCancellation({ signal: controller.signal })
+    try {
+      expect(await cancellation.race(Promise.resolve('page'))).to.equal('page')
+      const raced = cancellation.race(never()).catch(err => err)
+      controller.abort(new Error('Shutting down'))
+      const error = await raced
+      expect(error).to.be.an.instanceof(ConversionAbortedError)
+      expect(error.cause.message).to.equal('Shutting down')
+      expect(() => cancellation.check()).to.throw(ConversionAbortedError)
+    } finally {
+      cancellation.dispose()
+    }
+  })
+
+  it('times out the conversion and the pages', async () => {
+    const cancellation = watchCancellation({ timeoutMs: 60, pageTimeoutMs: 20 })
+    try {
+      cancellation.startPage(3)
+      const pageError = await cancellation.race(never()).catch(err => err)
+      expect(pageError).to.include({ code: 'TIMEOUT', page: 3, message: 'Page 3 took longer than 20 ms' })
+      cancellation.startPage(null)
+      cancellation.check()
+      await sleep(60)
+      expect(() => cancellation.check()).to.throw(ConversionTimeoutError, 'The conversion took longer than 60 ms')
+    } finally {
+      cancellation.dispose()
+    }
+  })
+
+  it('tells the cancellation of the conversion from the one of a page', () => {
+    expect(stopsConversion(new ConversionAbortedError())).to.equal(true)
+    expect(stopsConversion(new ConversionTimeoutError(100))).to.equal(true)
+    expect(stopsConversion(new ConversionTimeoutError(100, 2))).to.equal(false)
+    expect(isCancellation(new ConversionTimeoutError(100, 2))).to.equal(true)
+    expect(isCancellation(new Error('Bad XRef entry'))).to.equal(false)
+  })
+})
+
+describe('pdf2md: cancellation', () => {
+  it('rejects with an aborted signal', async () => {
+    const error = await pdf2md(Buffer.from('%PDF-1.4'), { signal: AbortSignal.abort() }).catch(err => err)
+    expect(error).to.be.an.instanceof(pdf2md.ConversionAbortedError)
+  })
+
+  it('destroys the document after the conversion', async () => {
+    var pdfDocument
+    const markdown = await pdf2md(minimalPdf('Hello world'), { callbacks: { documentParsed: document => (pdfDocument = document) } })
+    expect(markdown.join('')).to.contain('Hello world')
+    expect(pdfDocument.loadingTask.destroyed).to.equal(true)
+  })
+
+  it('validates the options', async () => {
+    const reasons = await Promise.all([{ signal: {} }, { timeoutMs: 0 }, { pageTimeoutMs: '5s' }]
+      .map(options => pdf2md(Buffer.from('%PDF-1.4'), options).catch(err => err)))
+    expect(reasons.map(reason => reason.constructor)).to.eql([TypeError, RangeError, RangeError])
+  })
+})
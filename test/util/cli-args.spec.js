@@ -0,0 +1,156 @@
+const { expect } = require('chai')
+
+const mock = require('mock-fs')
+const { parseArgs, collectJobs, run, UsageError } = require('../../build/util/cli')
+
+describe('functions: parseArgs', () => {
+  it('defaults to stdin and no images', () => {
+    const options = parseArgs([])
+    expect(options.inputs).to.eql(['-'])
+    expect(options.imageMode).to.equal('none')
+    expect(options.output).to.equal(null)
+    expect(options.recursive).to.equal(false)
+    expect(options.format).to.equal('markdown')
+  })
+
+  it('parses flags with separate and inline values', () => {
+    const options = parseArgs(['-r', 'docs', '--output', 'out', '--image-mode=save', '--pdf-title', 'manual', '--pages', '5-20', '--detection', 'book', '-f', 'html', '--front-matter', '--html-figures', '--script-mode=latex', '--underline-tag', 'ins', '--password', 'secret', '--timeout=30000', 'a.pdf'])
+    expect(options.inputs).to.eql(['docs', 'a.pdf'])
+    expect(options.output).to.equal('out')
+    expect(options.recursive).to.equal(true)
+    expect(options.imageMode).to.equal('save')
+    expect(options.pdfTitle).to.equal('manual')
+    expect(options.pages).to.equal('5-20')
+    expect(options.detection).to.equal('book')
+    expect(options.format).to.equal('html')
+    expect(options.frontMatter).to.equal(true)
+    expect(options.htmlFigures).to.equal(true)
+    expect(options.scriptMode).to.equal('latex')
+    expect(options.underlineTag).to.equal('ins')
+    expect(options.password).to.equal('secret')
+    expect(options.timeout).to.equal(30000)
+  })
+
+  it('rejects unknown flags, missing values and invalid image modes', () => {
+    expect(() => parseArgs(['--foo'])).to.throw(UsageError)
+    expect(() => parseArgs(['--output'])).to.throw(UsageError, 'Missing value')
+    expect(() => parseArgs(['--image-mode', 'png'])).to.throw(UsageError, 'Invalid image mode')
+    expect(() => parseArgs(['--image-mode', 'save', 'a.pdf'])).to.throw(UsageError)
+    expect(() => parseArgs(['--pages', 'ten', 'a.pdf'])).to.throw(UsageError, 'Invalid page selection')
+    expect(() => parseArgs(['--detection', 'novel', 'a.pdf'])).to.throw(UsageError, 'Unknown detection preset')
+    expect(() => parseArgs(['--format', 'docx', 'a.pdf'])).to.throw(UsageError, 'Invalid format')
+    expect(() => parseArgs(['--script-mode', 'mathml', 'a.pdf'])).to.throw(UsageError, 'Invalid script mode')
+    expect(() => parseArgs(['--underline-tag', 'span', 'a.pdf'])).to.throw(UsageError, 'Invalid underline tag')
+    expect(() => parseArgs(['--timeout', '10s', 'a.pdf'])).to.throw(UsageError, 'Invalid timeout')
+  })
+})
+
+describe('functions: collectJobs', () => {
+  afterEach(() => mock.restore())
+
+  it('keeps the folder structure of folder inputs', () => {
+    mock({
+      root: {
+        'a.pdf': '',
+        'notes.txt': '',
+        sub: { 'b.PDF': '' },
+      },
+    })
+    expect(collectJobs(['root'], false).map(job => job.name)).to.have.members(['a'])
+    expect(collectJobs(['root'], true).map(job => job.name)).to.have.members(['a', 'sub/b'])
+  })
+
+  it('marks missing inputs as failed jobs', () => {
+    mock({})
+    const [job] = collectJobs(['missing.pdf'], false)
+    expect(job.error).to.equal('No such file or directory')
+  })
+})
+
+describe('functions: run', () => {
+  const sink = () => {
+    const stream = { data: '', write: chunk => (stream.data += chunk) }
+    return stream
+  }
+
+  afterEach(() => mock.restore())
+
+  it('returns 2 on invalid usage', async () => {
+    const stderr = sink()
+    expect(await run(['--nope'], { stderr })).to.equal(2)
+    expect(stderr.data).to.contain('Unknown option: --nope')
+  })
+
+  it('converts to stdout and reports failures with exit code 1', async () => {
+    mock({ 'good.pdf': 'good', 'bad.pdf': 'bad' })
+    const pdf2md = async buffer => {
+      if (buffer.toString() === 'bad') throw new Error('Invalid PDF structure.')
+      return ['# Page 1\n', 'Page 2\n']
+    }
+    const stdout = sink()
+    const stderr = sink()
+    expect(await run(['good.pdf'], { stdout, stderr, pdf2md })).to.equal(0)
+    expect(stdout.data).to.equal('# Page 1\n\nPage 2\n')
+    expect(stderr.data).to.contain('✓ good.pdf')
+    expect(await run(['bad.pdf'], { stdout: sink(), stderr, pdf2md })).to.equal(1)
+    expect(stderr.data).to.contain('✗ bad.pdf: Invalid PDF structure.')
+    expect(stderr.data).to.contain('0 succeeded, 1 failed')
+  })
+
+  it('requires an output folder for several PDFs', async () => {
+    mock({ 'a.pdf': 'a', 'b.pdf': 'b' })
+    const converted = []
+    const pdf2md = async buffer => {
+      converted.push(buffer.toString())
+      throw new Error('Invalid PDF structure.')
+    }
+    const stdout = sink()
+    const stderr = sink()
+    expect(await run(['a.pdf', 'b.pdf'], { stdout, stderr, pdf2md })).to.equal(2)
+    expect(stderr.data).to.contain('2 PDF files need --output')
+    expect(stdout.data).to.equal('')
+    expect(converted).to.eql([])
+
+    expect(await run(['a.pdf', 'b.pdf', '-o', 'out'], { stdout, stderr, pdf2md })).to.equal(1)
+    expect(converted).to.eql(['a', 'b'])
+    expect(stderr.data).to.contain('0 succeeded, 2 failed')
+  })
+
+  it('rejects inputs which would be written to the same file', async () => {
+    mock({ x: { 'a.pdf': 'x' }, y: { 'a.pdf': 'y' } })
+    const converted = []
+    const pdf2md = async buffer => converted.push(buffer.toString())
+    const stderr = sink()
+    expect(await run(['x/a.pdf', 'y/a.pdf', '-o', 'out'], { stdout: sink(), stderr, pdf2md })).to.equal(2)
+    expect(stderr.data).to.contain('x/a.pdf and y/a.pdf would both be written to a')
+    expect(converted).to.eql([])
+  })
+
+  it('writes a debug report per PDF', async () => {
+    const fs = require('fs')
+    const path = require('path')
+    const folder = fs.mkdtempSync(path.join(require('os').tmpdir(), 'pdf2md-'))
+    fs.writeFileSync(path.join(folder, 'a.pdf'), 'a')
+    const pdf2md = async (buffer, options) => ({ markdown: ['text'], debug: options.debug ? { html: '<html></html>' } : undefined })
+    try {
+      expect(await run([path.join(folder, 'a.pdf'), '--debug-report', path.join(folder, 'reports')], { stdout: sink(), stderr: sink(), pdf2md })).to.equal(0)
+      expect(fs.readFileSync(path.join(folder, 'reports', 'a.html'), 'utf8')).to.equal('<html></html>')
+    } finally {
+      fs.rmSync(folder, { recursive: true })
+    }
+  })
+
+  it('writes the files with the extension of the format', async () => {
+    const fs = require('fs')
+    const path = require('path')
+    const folder = fs.mkdtempSync(path.join(require('os').tmpdir(), 'pdf2md-'))
+    fs.writeFileSync(path.join(folder, 'a.pdf'), 'a')
+    const pdf2md = async (buffer, options) => [`<p>${options.format}</p>\n`]
+    try {
+      expect(await run([path.join(folder, 'a.pdf'), '--format', 'html', '-o', path.join(folder, 'out')], { stdout: sink(), stderr: sink(), pdf2md })).to.equal(0)
+      expect(fs.readFileSync(path.join(folder, 'out', 'a.html'), 'utf8')).to.equal('<p>html</p>\n')
+    } finally {
+      fs.rmSync(folder, { recursive: true })
+    }
+  })
+})
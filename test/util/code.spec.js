@@ -0,0 +1,66 @@
+const { expect } = require('chai')
+
+const { isMonospaceFont, guessLanguage, codeFence } = require('../../build/util/code')
+const { parse } = require('../../build/util/pdf')
+
+// A one page PDF document in a font named Plain, monospace only by the FixedPitch flag (1) of its descriptor
+function fixedPitchPdf (text) {
+  const content = `BT /F1 12 Tf 72 700 Td (${text}) Tj ET`
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    `<< /Type /Font /Subtype /Type1 /BaseFont /Plain /FirstChar 32 /LastChar 126 /Widths [${Array(95).fill(600).join(' ')}] /FontDescriptor 6 0 R >>`,
+    '<< /Type /FontDescriptor /FontName /Plain /Flags 33 /FontBBox [0 -200 600 800] /ItalicAngle 0 /Ascent 800 /Descent -200 /CapHeight 700 /StemV 80 >>',
+  ]
+  var pdf = '%PDF-1.4\n'
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+  const xref = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` + offsets.map(offset => String(offset).padStart(10, '0') + ' 00000 n \n').join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`
+  return Buffer.from(pdf, 'latin1')
+}
+
+describe('functions: isMonospaceFont', () => {
+  it('recognizes monospace fonts by name and flag', () => {
+    expect(['Courier-Bold', 'ABCDEF+Consolas', 'Menlo-Regular', 'DejaVuSansMono', 'CMTT10', 'SourceCodePro-Regular'].map(name => isMonospaceFont({ name })))
+      .to.eql([true, true, true, true, true, true])
+    expect(['Helvetica', 'Monotype Corsiva', 'AmericanTypewriter', 'CMR10'].map(name => isMonospaceFont({ name }))).to.eql([false, false, false, false])
+    expect(isMonospaceFont({ name: 'F1', isMonospace: true })).to.equal(true)
+  })
+
+  it('recognizes a parsed font by its FixedPitch flag', async () => {
+    const { fonts, pdfDocument } = await parse(fixedPitchPdf('x = 1'))
+    try {
+      const [font] = fonts.map.values()
+      expect(font.name).to.equal('Plain')
+      expect(isMonospaceFont(font)).to.equal(true)
+    } finally {
+      await pdfDocument.destroy()
+    }
+  })
+})
+
+describe('functions: guessLanguage', () => {
+  it('guesses the language from typical lines', () => {
+    expect(guessLanguage('const a = require(\'a\')\na()')).to.equal('javascript')
+    expect(guessLanguage('def main():\n    print(1)')).to.equal('python')
+    expect(guessLanguage('$ npm install pdf2md')).to.equal('bash')
+    expect(guessLanguage('{\n  "name": "pdf2md"\n}')).to.equal('json')
+    expect(guessLanguage('SELECT id FROM users')).to.equal('sql')
+    expect(guessLanguage('#include <stdio.h>')).to.equal('c')
+    expect(guessLanguage('let a\na++')).to.equal(null)
+  })
+})
+
+describe('functions: codeFence', () => {
+  it('is longer than the backtick runs of the code', () => {
+    expect(codeFence('a = 1')).to.equal('```')
+    expect(codeFence('Use ``` to fence')).to.equal('````')
+  })
+})
@@ -0,0 +1,64 @@
+const { expect } = require('chai')
+
+const pdf2md = require('../../build/pdf2md')
+const { detachImages, attachImages } = require('../../build/util/convert-many')
+const { serializeError, deserializeError, PageExtractionError, ConversionTimeoutError } = require('../../build/util/errors')
+
+describe('functions: serializeError', () => {
+  it('restores the class, code and cause of errors', () => {
+    const error = deserializeError(serializeError(new PageExtractionError(4, new ConversionTimeoutError(500, 4))))
+    expect(error).to.be.an.instanceof(PageExtractionError)
+    expect(error).to.include({ name: 'PageExtractionError', code: 'PAGE_EXTRACTION_FAILED', page: 4, message: 'Failed to extract page 4: Page 4 took longer than 500 ms' })
+    expect(error.cause).to.be.an.instanceof(ConversionTimeoutError)
+    expect(error.cause).to.include({ timeoutMs: 500, page: 4 })
+    expect(deserializeError(serializeError(new TypeError('Not a buffer')))).to.be.an.instanceof(TypeError)
+    expect(deserializeError(serializeError(Object.assign(new Error('No such file'), { code: 'ENOENT' })))).to.include({ name: 'Error', code: 'ENOENT' })
+  })
+})
+
+describe('functions: detachImages', () => {
+  it('transfers the image buffers', () => {
+    const owned = Buffer.alloc(64, 1)
+    // Small buffers share the memory pool of Node.js
+    const pooled = Buffer.from([1, 2, 3])
+    const transferList = []
+    const posted = detachImages({ markdown: [], images: new Map([['a.png', owned], ['b.png', pooled]]) }, transferList)
+    expect(transferList).to.have.lengthOf(2)
+    expect(transferList[0]).to.equal(owned.buffer)
+    expect(transferList[1].byteLength).to.equal(3)
+    const received = attachImages(posted)
+    expect(Buffer.isBuffer(received.images.get('b.png'))).to.equal(true)
+    expect([...received.images.get('b.png')]).to.eql([1, 2, 3])
+    expect(detachImages(['# Page'], transferList)).to.eql(['# Page'])
+  })
+})
+
+describe('pdf2md: convertMany', () => {
+  it('converts the documents in worker threads', async function () {
+    this.timeout(20000)
+    const outcomes = []
+    for await (const outcome of pdf2md.convertMany([Buffer.from('Hello'), 'no/such/file.pdf', Buffer.from('World')], { concurrency: 2 })) {
+      outcomes.push(outcome)
+    }
+    outcomes.sort((a, b) => a.index - b.index)
+    expect(outcomes.map(outcome => outcome.index)).to.eql([0, 1, 2])
+    expect(outcomes[0].error).to.be.an.instanceof(pdf2md.InvalidPdfError)
+    expect(outcomes[1].input).to.equal('no/such/file.pdf')
+    expect(outcomes[1].error.code).to.equal('ENOENT')
+    expect(outcomes[2].error.code).to.equal('INVALID_PDF')
+  })
+
+  it('validates the options', async () => {
+    const reasons = await Promise.all([
+      [Buffer.from('%PDF-1.4')],
+      [[42]],
+      [[], { concurrency: 0 }],
+      [[], { imageHandler: () => null }],
+      [[], { transformations: { before: {} } }],
+      [[], { scriptMode: 'mathml' }],
+      [[], { format: new pdf2md.HtmlRenderer() }],
+      [[], { format: 'docx' }],
+    ].map(([inputs, options]) => pdf2md.convertMany(inputs, options).next().catch(err => err)))
+    expect(reasons.map(reason => reason.constructor)).to.eql([TypeError, TypeError, RangeError, TypeError, TypeError, TypeError, TypeError, TypeError])
+  })
+})
@@ -0,0 +1,87 @@
+const { expect } = require('chai')
+
+const { recordStage, diffPage, renderReport } = require('../../build/util/debug-report')
+const { transform } = require('../../build/util/transformations')
+const ToLineItemTransformation = require('../../build/models/transformations/ToLineItemTransformation')
+const ParseResult = require('../../build/models/ParseResult')
+const Page = require('../../build/models/Page')
+const LineItem = require('../../build/models/LineItem')
+const BlockType = require('../../build/models/markdown/BlockType')
+const { REMOVED_ANNOTATION, DETECTED_ANNOTATION } = require('../../build/models/Annotation')
+
+// Types the first line as headline and removes the last one
+class MarkLines extends ToLineItemTransformation {
+  constructor () {
+    super('Mark Lines')
+  }
+
+  transform (parseResult) {
+    parseResult.pages.forEach(page => {
+      page.items[0].type = BlockType.H1
+      page.items[0].annotation = DETECTED_ANNOTATION
+      page.items[page.items.length - 1].annotation = REMOVED_ANNOTATION
+    })
+    return new ParseResult({ ...parseResult, messages: ['Marked lines'] })
+  }
+}
+
+const page = () => new Page({
+  index: 0,
+  width: 612,
+  height: 792,
+  items: [
+    new LineItem({ x: 72, y: 700, width: 100, height: 20, text: 'Title' }),
+    new LineItem({ x: 72, y: 660, width: 300, height: 10, text: 'Some <body> & text' }),
+    new LineItem({ x: 300, y: 40, width: 10, height: 10, text: '1' }),
+  ],
+})
+
+describe('functions: recordStage', () => {
+  it('snapshots the annotated items of each stage', () => {
+    const stages = []
+    transform([page()], [new MarkLines(), new MarkLines()], {}, (transformation, parseResult) => {
+      stages.push(recordStage(transformation.name, parseResult))
+    })
+    expect(stages).to.have.lengthOf(2)
+    expect(stages[0].messages).to.eql(['Marked lines'])
+    expect(stages[0].pages[0].items.map(item => [item.text, item.type, item.annotation])).to.eql([
+      ['Title', 'H1', 'Detected'],
+      ['Some <body> & text', null, null],
+      ['1', null, 'Removed'],
+    ])
+    expect(stages[0].pages[0].items[0].box).to.eql({ x: 72, y: 700, width: 100, height: 20 })
+    // The second stage completed the first one
+    expect(stages[1].pages[0].items.map(item => item.text)).to.eql(['Title', 'Some <body> & text'])
+  })
+})
+
+describe('functions: diffPage', () => {
+  const line = (text, annotation = null) => ({ text, type: null, annotation })
+
+  it('lists the items added and removed by a stage', () => {
+    const before = { items: [line('a'), line('b'), line('c'), line('gone', 'Removed')] }
+    const after = { items: [line('a'), line('x'), line('c'), line('d', 'Removed')] }
+    expect(diffPage(before, after)).to.eql([
+      { change: '+', text: 'x' },
+      { change: '-', text: 'b' },
+    ])
+  })
+})
+
+describe('functions: renderReport', () => {
+  it('renders the stages as self-contained HTML', () => {
+    const stages = [recordStage('Parsed PDF', new ParseResult({ pages: [page()], messages: [] }))]
+    transform([page()], [new MarkLines()], {}, (transformation, parseResult) => {
+      stages.push(recordStage('MarkLines', parseResult))
+    })
+    const html = renderReport(stages, { title: 'Report <test>' })
+    expect(html).to.match(/^<!DOCTYPE html>/)
+    expect(html).to.contain('<title>Report &lt;test&gt;</title>')
+    expect(html).to.contain('<li>Marked lines</li>')
+    expect(html).to.contain('Some &lt;body&gt; &amp; text')
+    expect(html).to.contain('<span class="add">+ [H1] Title</span>')
+    expect(html).to.contain('<span class="del">- 1</span>')
+    expect(html).to.contain('fill="red"')
+    expect(html).not.to.match(/<(script|link)\b/)
+  })
+})
@@ -0,0 +1,72 @@
+const { expect } = require('chai')
+
+const { findDecorations, decorationAt, applyUnderlineTag } = require('../../build/util/decorations')
+const LineConverter = require('../../build/models/LineConverter')
+const TextItem = require('../../build/models/TextItem')
+const Word = require('../../build/models/Word')
+const WordFormat = require('../../build/models/markdown/WordFormat')
+const BlockType = require('../../build/models/markdown/BlockType')
+
+const ruling = (x1, x2, y, thickness = 0.5) => ({ x1, y1: y, x2, y2: y, thickness, horizontal: true })
+
+describe('functions: findDecorations', () => {
+  // 'Some text' at the baseline 600 in a 10 point font
+  const run = { x: 100, width: 54, y: 600, height: 10 }
+
+  it('finds lines through and below the text', () => {
+    expect(findDecorations([ruling(100, 124, 603), ruling(130, 154, 598.5), ruling(100, 154, 620)], run)).to.eql([
+      { x1: 100, x2: 124, format: 'STRIKETHROUGH' },
+      { x1: 130, x2: 154, format: 'UNDERLINE' },
+    ])
+  })
+
+  it('ignores borders reaching beyond the text and thick bars', () => {
+    const border = ruling(50, 300, 598)
+    const bar = ruling(100, 154, 603, 4)
+    const vertical = { x1: 100, y1: 590, x2: 100, y2: 610, thickness: 0.5, horizontal: false }
+    expect(findDecorations([border, bar, vertical], run)).to.eql([])
+  })
+})
+
+describe('functions: decorationAt', () => {
+  const decorations = [{ x1: 100, x2: 124, format: 'STRIKETHROUGH' }]
+
+  it('finds the decoration covering most of a range', () => {
+    expect(decorationAt(decorations, 100, 118)).to.equal('STRIKETHROUGH')
+    expect(decorationAt(decorations, 118, 142)).to.equal(undefined)
+    expect(decorationAt([...decorations, { x1: 110, x2: 160, format: 'UNDERLINE' }], 118, 142)).to.equal('UNDERLINE')
+  })
+})
+
+describe('functions: applyUnderlineTag', () => {
+  it('writes underlines as insertions', () => {
+    const words = [new Word({ string: 'new', format: WordFormat.UNDERLINE }), new Word({ string: 'old', format: WordFormat.STRIKETHROUGH })]
+    expect(applyUnderlineTag(words, 'u')).to.equal(words)
+    expect(applyUnderlineTag(words, 'ins').map(word => word.format)).to.eql([WordFormat.INSERTION, WordFormat.STRIKETHROUGH])
+  })
+})
+
+describe('LineConverter: decorations', () => {
+  // 6 units per character
+  const item = (x, text, font = 'regular') => new TextItem({ x, y: 600, width: text.length * 6, height: 10, text, font })
+  const lineText = lineItem => BlockType.blockToText({ type: BlockType.PARAGRAPH, items: [lineItem] }).trim()
+
+  it('strikes through and underlines the ruled words', () => {
+    const converter = new LineConverter(new Map())
+    // 'The buyer shall not pay within 30 days', 'not' struck, 'within 30' underlined
+    const lineItem = converter.compact([item(100, 'The buyer shall not pay within 30 days')],
+      [], [ruling(196, 214, 603), ruling(244, 298, 599)])
+    expect(lineText(lineItem)).to.equal('The buyer shall ~~not~~ pay <u>within 30</u> days')
+    expect(BlockType.blockToMdast({ type: BlockType.PARAGRAPH, items: [lineItem] })[0].children.slice(1, 4)).to.eql([
+      { type: 'delete', children: [{ type: 'text', value: 'not' }] },
+      { type: 'text', value: ' pay ' },
+      { type: 'html', value: '<u>within 30</u>' },
+    ])
+  })
+
+  it('leaves the underlines of links out', () => {
+    const link = { x: 100, y: 598, width: 48, height: 14, url: 'https://example.com' }
+    const lineItem = new LineConverter(new Map()).compact([item(100, 'Example site')], [link], [ruling(100, 172, 599)])
+    expect(lineText(lineItem)).to.equal('[Example](https://example.com) <u>site</u>')
+  })
+})
@@ -0,0 +1,52 @@
+const { expect } = require('chai')
+
+const { resolveDetection, DEFAULT_DETECTION } = require('../../build/util/detection')
+const { makeTransformations } = require('../../build/util/transformations')
+
+describe('functions: resolveDetection', () => {
+  it('defaults to a copy of the default configuration', () => {
+    const detection = resolveDetection()
+    expect(detection).to.eql(DEFAULT_DETECTION)
+    detection.toc.maxPages = 3
+    expect(DEFAULT_DETECTION.toc.maxPages).to.equal(20)
+  })
+
+  it('keeps exporting the defaults from the deprecated style-detection-config', () => {
+    const config = require('../../build/util/style-detection-config')
+    expect(config.styleConfidence).to.eql(DEFAULT_DETECTION.styleConfidence)
+    expect(config.headerDetection.minScore).to.equal(DEFAULT_DETECTION.headerDetection.minScore)
+    config.headerDetection.minScore = 0.9
+    expect(DEFAULT_DETECTION.headerDetection.minScore).to.equal(0.4)
+  })
+
+  it('applies a preset and then the given values', () => {
+    expect(resolveDetection('book').toc.maxPages).to.equal(40)
+    const detection = resolveDetection({ preset: 'book', headerDetection: { minScore: 0.5 } })
+    expect(detection.headerDetection).to.eql({ ...DEFAULT_DETECTION.headerDetection, maxLevel: 3, minScore: 0.5 })
+    expect(detection.repetitiveElements).to.eql({ minPages: 5, minPageShare: 0.4 })
+    expect(resolveDetection({ toc: { maxPages: 2 } }).toc.maxPages).to.equal(2)
+  })
+
+  it('rejects unknown presets, keys and invalid values', () => {
+    expect(() => resolveDetection('novel')).to.throw(TypeError, "Unknown detection preset 'novel'")
+    expect(() => resolveDetection({ headers: {}, toc: { pages: 2 } })).to.throw(TypeError, 'Unknown detection option(s): headers, toc.pages')
+    expect(() => resolveDetection({ toc: { maxPages: '2' } })).to.throw(TypeError, 'toc.maxPages: "2" is not a number')
+    expect(() => resolveDetection({ headerDetection: { maxLevel: 7 } })).to.throw(RangeError, 'headerDetection.maxLevel 7')
+    expect(() => resolveDetection({ headerDetection: { maxLevel: 2.5 } })).to.throw(RangeError, 'headerDetection.maxLevel 2.5')
+    expect(() => resolveDetection({ toc: { maxPages: 2.5 } })).to.throw(RangeError, 'toc.maxPages 2.5, expected a whole number')
+    expect(() => resolveDetection({ repetitiveElements: { minPages: -1 } })).to.throw(RangeError, 'repetitiveElements.minPages -1')
+    expect(() => resolveDetection({ widthComparison: { minSamples: 1.5 } })).to.throw(RangeError, 'widthComparison.minSamples 1.5')
+    expect(() => resolveDetection({ code: { minLetters: 0.5 } })).to.throw(RangeError, 'code.minLetters 0.5')
+    expect(() => resolveDetection(3)).to.throw(TypeError)
+  })
+
+  it('configures each pipeline separately', () => {
+    const byName = transformations => new Map(transformations.map(transformation => [transformation.constructor.name, transformation]))
+    const slides = byName(makeTransformations(new Map(), {}, resolveDetection('slide-deck')))
+    const defaults = byName(makeTransformations(new Map()))
+    expect(slides.get('DetectTOC').detection.toc.maxPages).to.equal(3)
+    expect(slides.get('DetectHeaders').detection.headerDetection.maxLevel).to.equal(2)
+    expect(defaults.get('DetectTOC').detection.toc.maxPages).to.equal(20)
+    expect(defaults.get('RemoveRepetitiveElements').detection.repetitiveElements.minPageShare).to.equal(2 / 3)
+  })
+})
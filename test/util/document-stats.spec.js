@@ -0,0 +1,60 @@
+const { expect } = require('chai')
+
+const { gatherDocumentStats } = require('../../build/util/document-stats')
+const { loadDocument } = require('../../build/util/pdf')
+const { resolveDetection } = require('../../build/util/detection')
+const CalculateGlobalStats = require('../../build/models/transformations/text-item/CalculateGlobalStats')
+const CompactLines = require('../../build/models/transformations/line-item/CompactLines')
+
+function minimalPdf (text) {
+  const content = `BT /F1 12 Tf 72 700 Td (${text}) Tj ET`
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ]
+  var pdf = '%PDF-1.4\n'
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+  const xref = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` + offsets.map(offset => String(offset).padStart(10, '0') + ' 00000 n \n').join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`
+  return Buffer.from(pdf, 'latin1')
+}
+
+// Records the detection configuration of the transformations while running fn
+async function detectionsUsedBy (fn) {
+  const detections = []
+  const transforms = [CalculateGlobalStats, CompactLines].map(Transformation => Transformation.prototype.transform)
+  ;[CalculateGlobalStats, CompactLines].forEach((Transformation, index) => {
+    Transformation.prototype.transform = function (...args) {
+      detections.push(this.detection)
+      return transforms[index].apply(this, args)
+    }
+  })
+  try {
+    await fn()
+  } finally {
+    ;[CalculateGlobalStats, CompactLines].forEach((Transformation, index) => (Transformation.prototype.transform = transforms[index]))
+  }
+  return detections
+}
+
+describe('functions: gatherDocumentStats', () => {
+  it('compacts the edge rows with the detection configuration', async () => {
+    const detection = resolveDetection({ math: { minMathShare: 0.9 }, widthComparison: { minSamples: 7 } })
+    const pdfDocument = await loadDocument(minimalPdf('Hello world'))
+    try {
+      const detections = await detectionsUsedBy(() => gatherDocumentStats(pdfDocument, [1], null, { detection }))
+      expect(detections).to.have.lengthOf(2)
+      detections.forEach(used => expect(used).to.equal(detection))
+    } finally {
+      await pdfDocument.destroy()
+    }
+  })
+})
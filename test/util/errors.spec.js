@@ -0,0 +1,50 @@
+const { expect } = require('chai')
+
+const pdf2md = require('../../build/pdf2md')
+const { fromPdfjsError, Pdf2mdError, PasswordRequiredError, IncorrectPasswordError, InvalidPdfError, PageExtractionError } = require('../../build/util/errors')
+
+// The exceptions of pdf.js are told apart by their name (and code), the classes aren't exported
+function pdfjsException(name, message, code) {
+  return Object.assign(new Error(message), { name, code })
+}
+
+describe('functions: fromPdfjsError', () => {
+  it('translates the exceptions of pdf.js', () => {
+    const required = fromPdfjsError(pdfjsException('PasswordException', 'No password given', 1))
+    expect(required).to.be.an.instanceof(PasswordRequiredError)
+    expect(required).to.include({ name: 'PasswordRequiredError', code: 'PASSWORD_REQUIRED' })
+    expect(fromPdfjsError(pdfjsException('PasswordException', 'Incorrect Password', 2))).to.be.an.instanceof(IncorrectPasswordError)
+    const cause = pdfjsException('InvalidPDFException', 'Invalid PDF structure.')
+    const invalid = fromPdfjsError(cause)
+    expect(invalid).to.be.an.instanceof(InvalidPdfError)
+    expect(invalid.message).to.equal('Not a valid PDF: Invalid PDF structure.')
+    expect(invalid.cause).to.equal(cause)
+  })
+
+  it('keeps other errors', () => {
+    const error = new TypeError('Not a buffer')
+    expect(fromPdfjsError(error)).to.equal(error)
+  })
+})
+
+describe('errors: PageExtractionError', () => {
+  it('names the page', () => {
+    const error = new PageExtractionError(3, new Error('Bad XRef entry'))
+    expect(error).to.be.an.instanceof(Pdf2mdError)
+    expect(error).to.include({ page: 3, code: 'PAGE_EXTRACTION_FAILED', message: 'Failed to extract page 3: Bad XRef entry' })
+  })
+})
+
+describe('pdf2md: errors', () => {
+  it('rejects data which is no PDF', async () => {
+    const error = await pdf2md(Buffer.from('Hello world')).catch(err => err)
+    expect(error).to.be.an.instanceof(pdf2md.InvalidPdfError)
+    expect(error.code).to.equal('INVALID_PDF')
+  })
+
+  it('validates the options', async () => {
+    const reasons = await Promise.all([{ password: 1234 }, { onPassword: 'secret' }, { pageErrors: 'skip' }]
+      .map(options => pdf2md(Buffer.from('%PDF-1.4'), options).catch(err => err)))
+    expect(reasons.map(reason => reason.constructor)).to.eql([TypeError, TypeError, TypeError])
+  })
+})
@@ -0,0 +1,61 @@
+const { expect } = require('chai')
+
+const { resolveImages, imageMarkdown } = require('../../build/util/image-handler')
+const ToMarkdown = require('../../build/models/transformations/ToMarkdown')
+const ParseResult = require('../../build/models/ParseResult')
+const Page = require('../../build/models/Page')
+const ImageItem = require('../../build/models/ImageItem')
+
+// Only the signature of the data is checked
+const png = byte => Buffer.from([0x89, 0x50, 0x4E, 0x47, byte])
+const image = (byte, y) => new ImageItem({ x: 72, y, width: 100, height: 50, imageData: png(byte), imageFormat: 'png', pixelWidth: 20, pixelHeight: 10 })
+
+function convert (imageHandler, ...pages) {
+  const toMarkdown = new ToMarkdown({ imageHandler, pdfTitle: 'doc' })
+  return toMarkdown.transform(new ParseResult({ pages: pages.map((items, index) => new Page({ index, items })), globals: {} }))
+}
+
+describe('functions: resolveImages', () => {
+  it('hands each distinct image to the handler once and references the resolved URLs', async () => {
+    const calls = []
+    const handler = async (buffer, info) => {
+      calls.push([buffer[4], info])
+      return info.index === 1 ? `https://example.com/${info.hash}.png` : { url: 'my image.png', alt: 'Chart [2]' }
+    }
+    const parseResult = convert(handler, [image(1, 500), image(2, 300)], [image(1, 500)])
+    await resolveImages(parseResult, handler)
+
+    expect(calls.map(([byte, info]) => [byte, info.page, info.index, info.name])).to.eql([[1, 1, 1, 'doc_image1_p1.png'], [2, 1, 2, 'doc_image2_p1.png']])
+    expect(calls[0][1]).to.include({ format: 'png', width: 20, height: 10 })
+    expect(calls[0][1].bbox).to.eql({ x: 72, y: 475, width: 100, height: 50 })
+    const url = `https://example.com/${calls[0][1].hash}.png`
+    expect(parseResult.pages.map(page => page.items[0])).to.eql([
+      `![doc_image1_p1.png](${url})\n\n![Chart \\[2\\]](<my image.png>)\n\n`,
+      `![doc_image1_p1.png](${url})\n\n`,
+    ])
+    expect(parseResult.mdast.children.map(node => node.children[0].url)).to.eql([url, 'my image.png', url])
+  })
+
+  it('leaves out the images the handler resolves to null', async () => {
+    const handler = async () => null
+    const parseResult = convert(handler, [image(1, 500)])
+    await resolveImages(parseResult, handler)
+    expect(parseResult.pages[0].items).to.eql([''])
+    expect(parseResult.mdast.children).to.eql([])
+  })
+
+  it('rejects invalid results', async () => {
+    const handler = async () => ({ path: 'a.png' })
+    const parseResult = convert(handler, [image(1, 500)])
+    let error
+    await resolveImages(parseResult, handler).catch(err => (error = err))
+    expect(error).to.be.an.instanceof(TypeError)
+  })
+})
+
+describe('functions: imageMarkdown', () => {
+  it('escapes the alt text and encloses URLs with spaces', () => {
+    expect(imageMarkdown('a.png', 'A [b]')).to.equal('![A \\[b\\]](a.png)')
+    expect(imageMarkdown('my (1).png', 'A')).to.equal('![A](<my (1).png>)')
+  })
+})
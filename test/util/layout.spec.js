@@ -0,0 +1,54 @@
+const { expect } = require('chai')
+
+const { findRegions } = require('../../build/util/layout')
+
+const options = { minColumnGap: 10, minColumnWidth: 100, minColumnHeight: 36, maxRowGap: 36 }
+
+// A line of text with baseline y, named for the expectations
+const line = (name, x, y, width) => ({ name, left: x, right: x + width, bottom: y, top: y + 10 })
+const column = (name, x, y, count, width = 200) => Array.from({ length: count }, (_, i) => line(`${name}${i + 1}`, x, y - i * 12, width))
+const names = regions => regions.map(region => region.map(box => box.name))
+
+describe('functions: findRegions', () => {
+  it('reads the columns one after the other', () => {
+    const boxes = [].concat(column('L', 72, 600, 4), column('R', 322, 600, 4))
+    expect(names(findRegions(boxes, options))).to.eql([
+      ['L1', 'L2', 'L3', 'L4'],
+      ['R1', 'R2', 'R3', 'R4'],
+    ])
+  })
+
+  it('reads content spanning the columns in between', () => {
+    const boxes = [].concat(
+      [line('Title', 150, 700, 300)],
+      column('L', 72, 660, 4),
+      column('R', 322, 654, 3), // not aligned with the left column
+      [line('Caption', 72, 590, 450)],
+      column('l', 72, 560, 4),
+      column('r', 322, 560, 3), // ends earlier
+    )
+    expect(names(findRegions(boxes, options))).to.eql([
+      ['Title'],
+      ['L1', 'L2', 'L3', 'L4'],
+      ['R1', 'R2', 'R3'],
+      ['Caption'],
+      ['l1', 'l2', 'l3', 'l4'],
+      ['r1', 'r2', 'r3'],
+    ])
+  })
+
+  it('keeps single-column pages and tables in one region', () => {
+    const text = column('P', 72, 700, 3, 450)
+    const table = [].concat(column('A', 72, 600, 4, 40), column('B', 200, 600, 4, 40), column('C', 330, 600, 4, 40))
+    expect(findRegions(text.concat(table), options)).to.have.lengthOf(1)
+  })
+
+  it('ends the columns at large vertical gaps', () => {
+    const boxes = [].concat(column('L', 72, 600, 4), column('R', 322, 600, 4), [line('Page', 200, 100, 20)])
+    expect(names(findRegions(boxes, options))).to.eql([
+      ['L1', 'L2', 'L3', 'L4'],
+      ['R1', 'R2', 'R3', 'R4'],
+      ['Page'],
+    ])
+  })
+})
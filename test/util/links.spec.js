@@ -0,0 +1,44 @@
+const { expect } = require('chai')
+
+const { findLinks, findLinkAt, headingAnchor } = require('../../build/util/links')
+
+describe('functions: findLinks', () => {
+  const pdfDocument = {
+    getDestination: async name => name === 'results' ? [{ num: 7, gen: 0 }, { name: 'XYZ' }, 0, 500, 0] : null,
+    getPageIndex: async ref => ref.num === 7 ? 2 : 0,
+  }
+
+  it('reads web and document links', async () => {
+    const links = await findLinks(pdfDocument, [
+      { subtype: 'Link', rect: [10, 20, 60, 32], url: 'https://example.com' },
+      { subtype: 'Link', rect: [10, 40, 60, 52], dest: 'results' },
+      { subtype: 'Link', rect: [10, 60, 60, 72], dest: [{ num: 3, gen: 0 }, { name: 'Fit' }] },
+      { subtype: 'Link', rect: [10, 80, 60, 92], dest: 'unknown' },
+      { subtype: 'Text', rect: [10, 80, 60, 92] },
+    ])
+    expect(links).to.eql([
+      { x: 10, y: 20, width: 50, height: 12, url: 'https://example.com' },
+      { x: 10, y: 40, width: 50, height: 12, destination: { pageIndex: 2, y: 500 } },
+      { x: 10, y: 60, width: 50, height: 12, destination: { pageIndex: 0, y: null } },
+    ])
+  })
+})
+
+describe('functions: findLinkAt', () => {
+  const links = [{ x: 10, y: 20, width: 50, height: 12, url: 'https://example.com' }]
+
+  it('finds the link covering the position', () => {
+    expect(findLinkAt(links, 30, 26)).to.equal(links[0])
+    expect(findLinkAt(links, 70, 26)).to.equal(undefined)
+    expect(findLinkAt(links, 30, 40)).to.equal(undefined)
+  })
+})
+
+describe('functions: headingAnchor', () => {
+  it('creates GitHub anchors', () => {
+    const usedAnchors = new Map()
+    expect(headingAnchor('Getting Started!', usedAnchors)).to.equal('getting-started')
+    expect(headingAnchor('2.1 Über (die) Ergebnisse', usedAnchors)).to.equal('21-über-die-ergebnisse')
+    expect(headingAnchor('Getting started', usedAnchors)).to.equal('getting-started-1')
+  })
+})
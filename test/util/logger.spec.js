@@ -0,0 +1,64 @@
+const { expect } = require('chai')
+
+const pdf2md = require('../../build/pdf2md')
+const { makeLogger, SILENT_LOGGER } = require('../../build/util/logger')
+const { transform } = require('../../build/util/transformations')
+const ToLineItemTransformation = require('../../build/models/transformations/ToLineItemTransformation')
+const ParseResult = require('../../build/models/ParseResult')
+
+class Warning extends ToLineItemTransformation {
+  constructor () {
+    super('Warning')
+  }
+
+  transform (parseResult) {
+    parseResult.logger.warn('Skipped an item')
+    return new ParseResult({ ...parseResult, messages: ['Done'] })
+  }
+}
+
+describe('functions: makeLogger', () => {
+  it('completes the methods of a logger', () => {
+    const logged = []
+    const logger = makeLogger({ warn: (...args) => logged.push(args) })
+    logger.warn('Image', 3)
+    logger.debug('Not logged')
+    expect(logged).to.eql([['Image', 3]])
+    expect(makeLogger(undefined)).to.equal(SILENT_LOGGER)
+  })
+
+  it('calls the methods on the logger', () => {
+    const logger = { messages: [], info (message) { this.messages.push(message) } }
+    makeLogger(logger).info('Converted')
+    expect(logger.messages).to.eql(['Converted'])
+  })
+
+  it('rejects objects without a logging method', () => {
+    expect(() => makeLogger('console')).to.throw(TypeError)
+    expect(() => makeLogger({ log: () => {} })).to.throw(TypeError)
+  })
+})
+
+describe('functions: transform', () => {
+  it('passes the logger to the transformations and reports each stage', () => {
+    const calls = []
+    const logger = makeLogger({ warn: message => calls.push(`warn ${message}`) })
+    transform([], [new Warning(), new Warning()], {}, (transformation, result) => calls.push(`finished ${result.messages}`), {
+      onStart: () => calls.push('started'),
+      logger,
+    })
+    expect(calls).to.eql(['started', 'warn Skipped an item', 'finished Done', 'started', 'warn Skipped an item', 'finished Done'])
+  })
+
+  it('logs nothing by default', () => {
+    expect(new ParseResult({ pages: [] }).logger).to.equal(SILENT_LOGGER)
+  })
+})
+
+describe('pdf2md: logger and onProgress', () => {
+  it('validates the options', async () => {
+    const reasons = await Promise.all([{ logger: console.log }, { onProgress: 'bar' }]
+      .map(options => pdf2md(Buffer.from('%PDF-1.4'), options).catch(err => err)))
+    expect(reasons.map(reason => reason.constructor)).to.eql([TypeError, TypeError])
+  })
+})
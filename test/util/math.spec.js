@@ -0,0 +1,56 @@
+const { expect } = require('chai')
+
+const { toLatex, applyScriptMode, linesToLatex, isMathFont } = require('../../build/util/math')
+const Word = require('../../build/models/Word')
+const WordFormat = require('../../build/models/markdown/WordFormat')
+
+const word = (string, format, attached) => new Word({ string, format, attached })
+const strings = words => words.map(({ string, format, attached }) => [string, format ? format.name : null, Boolean(attached)])
+
+describe('functions: toLatex', () => {
+  it('converts math symbols and escapes LaTeX characters', () => {
+    expect(toLatex('α≤∑x')).to.equal('\\alpha\\leq\\sum x')
+    expect(toLatex('𝑥∈ℝ')).to.equal('x\\in\\mathbb{R}')
+    expect(toLatex('50% {a}_b')).to.equal('50\\% \\{a\\}\\_b')
+  })
+
+  it('recognizes math fonts', () => {
+    expect(['ABCDEF+CMMI10', 'CMSY7', 'Cambria Math', 'CambriaMath', 'STIXTwoMath-Regular', 'LatinModernMath-Regular'].map(isMathFont))
+      .to.eql([true, true, true, true, true, true])
+    expect(['ABCDEF+CMR10', 'Helvetica', 'MathJax_Main', 'Mathematica'].map(isMathFont)).to.eql([false, false, false, false])
+  })
+})
+
+describe('functions: applyScriptMode', () => {
+  // 'H₂O is x²ⁿ here'
+  const words = () => [word('H'), word('2', WordFormat.SUBSCRIPT), word('O', null, true), word('is'), word('x'), word('2n', WordFormat.SUPERSCRIPT), word('here')]
+
+  it('keeps the scripts in html mode', () => {
+    expect(applyScriptMode(words(), 'html')).to.eql(words())
+  })
+
+  it('replaces scripts by Unicode characters if all have one', () => {
+    expect(strings(applyScriptMode(words(), 'unicode'))).to.eql([
+      ['H', null, false], ['₂', null, true], ['O', null, true], ['is', null, false], ['x', null, false], ['²ⁿ', null, true], ['here', null, false],
+    ])
+    expect(strings(applyScriptMode([word('x'), word('q', WordFormat.SUPERSCRIPT)], 'unicode'))).to.eql([['x', null, false], ['q', 'SUPERSCRIPT', false]])
+  })
+
+  it('merges scripts with their base to LaTeX', () => {
+    expect(strings(applyScriptMode(words(), 'latex'))).to.eql([
+      ['H_{2}', 'MATH', false], ['O', null, true], ['is', null, false], ['x^{2n}', 'MATH', false], ['here', null, false],
+    ])
+    const chained = [word('x'), word('i', WordFormat.SUBSCRIPT), word('n', WordFormat.SUPERSCRIPT), word('+', WordFormat.SUPERSCRIPT), word('1', WordFormat.SUPERSCRIPT)]
+    expect(strings(applyScriptMode(chained, 'latex'))).to.eql([['x_{i}^{n + 1}', 'MATH', false]])
+  })
+})
+
+describe('functions: linesToLatex', () => {
+  it('converts the lines of an equation with its number', () => {
+    const line = {
+      words: [word('∑'), word('a'), word('i', WordFormat.SUBSCRIPT), word('='), word('π'), word('(3)')],
+      segments: [{ words: [] }, { words: [word('(3)')] }],
+    }
+    expect(linesToLatex([line, { words: [word('b'), word('≥'), word('0')] }])).to.equal('\\sum a_{i} = \\pi \\tag{3} \\\\\nb \\geq 0')
+  })
+})
@@ -0,0 +1,44 @@
+const { expect } = require('chai')
+
+const { readMetadata, toFrontMatter } = require('../../build/util/metadata')
+
+// Stands in for the Metadata object of pdf.js holding the parsed XMP values
+const xmpOf = values => ({ getAll: () => values })
+
+describe('functions: readMetadata', () => {
+  it('reads the info dictionary', () => {
+    const metadata = readMetadata({
+      info: { Title: ' Annual Report ', Author: 'Jane Doe', Keywords: 'finance; 2023,report', CreationDate: "D:20230102120000+01'00'", ModDate: 'broken' },
+      metadata: null,
+    })
+    expect(metadata).to.include({ title: 'Annual Report', author: 'Jane Doe', subject: null, creationDate: '2023-01-02T11:00:00.000Z', modificationDate: null })
+    expect(metadata.keywords).to.eql(['finance', '2023', 'report'])
+  })
+
+  it('prefers the XMP values', () => {
+    const metadata = readMetadata({
+      info: { Title: 'untitled', Author: 'scanner', Producer: 'Writer' },
+      metadata: xmpOf({ 'dc:title': 'Annual Report', 'dc:creator': ['Jane Doe', 'John Roe'], 'dc:subject': ['finance'], 'xmp:createdate': '2023-01-02T12:00:00+01:00' }),
+    })
+    expect(metadata).to.include({ title: 'Annual Report', author: 'Jane Doe, John Roe', producer: 'Writer', creationDate: '2023-01-02T11:00:00.000Z' })
+    expect(metadata.keywords).to.eql(['finance'])
+    expect(metadata.xmp['dc:title']).to.equal('Annual Report')
+  })
+})
+
+describe('functions: toFrontMatter', () => {
+  it('renders the present values as YAML', () => {
+    const metadata = readMetadata({ info: { Title: 'Say "hi": now', Keywords: 'a, b', CreationDate: 'D:20230102' } })
+    expect(toFrontMatter(metadata)).to.equal([
+      '---',
+      'title: "Say \\"hi\\": now"',
+      'keywords:',
+      '  - "a"',
+      '  - "b"',
+      'date: "2023-01-02T00:00:00.000Z"',
+      '---',
+      '',
+      '',
+    ].join('\n'))
+  })
+})
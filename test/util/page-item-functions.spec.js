@@ -0,0 +1,33 @@
+const { expect } = require('chai')
+
+const { insertImagesByPosition } = require('../../build/util/page-item-functions')
+const LineItem = require('../../build/models/LineItem')
+const LineItemBlock = require('../../build/models/LineItemBlock')
+const ImageItem = require('../../build/models/ImageItem')
+
+// y is the baseline of a line, the center of an image
+const line = (name, y, region) => Object.assign(new LineItem({ x: 72, y, width: 300, height: 10, words: [], region }), { name })
+const image = (name, top, height, region) => new ImageItem({ x: 72, y: top - height / 2, width: 200, height, imageName: name, region })
+const block = (name, lines) => Object.assign(new LineItemBlock({ items: lines }), { name })
+const names = items => items.map(item => item.imageName || item.name)
+
+describe('functions: insertImagesByPosition', () => {
+  it('places images between the lines above and below them', () => {
+    const lines = [line('Intro', 700), line('Caption 1', 560), line('Text', 530), line('Caption 2', 300)]
+    const images = [image('Figure 2', 480, 160), image('Figure 1', 690, 120)]
+    expect(names(insertImagesByPosition(lines, images))).to.eql(['Intro', 'Figure 1', 'Caption 1', 'Text', 'Figure 2', 'Caption 2'])
+  })
+
+  it('places images between blocks within their column', () => {
+    const blocks = [
+      block('Left', [line('Left 1', 700, 0), line('Left 2', 400, 0)]),
+      block('Right', [line('Right 1', 700, 1)]),
+      block('Right caption', [line('Right caption', 520, 1)]),
+    ]
+    expect(names(insertImagesByPosition(blocks, [image('Figure', 680, 140, 1)]))).to.eql(['Left', 'Right', 'Figure', 'Right caption'])
+  })
+
+  it('appends images below all text', () => {
+    expect(names(insertImagesByPosition([line('Text', 700)], [image('Figure', 300, 100)]))).to.eql(['Text', 'Figure'])
+  })
+})
@@ -0,0 +1,38 @@
+const { expect } = require('chai')
+
+const { parsePageRanges, selectPageNumbers } = require('../../build/util/page-ranges')
+
+describe('functions: parsePageRanges', () => {
+  it('parses range strings', () => {
+    expect(parsePageRanges('5-20, 33')).to.eql([{ from: 5, to: 20 }, { from: 33, to: 33 }])
+    expect(parsePageRanges('10-')).to.eql([{ from: 10, to: Infinity }])
+    expect(parsePageRanges('-3')).to.eql([{ from: 1, to: 3 }])
+  })
+
+  it('parses numbers, objects and arrays', () => {
+    expect(parsePageRanges(7)).to.eql([{ from: 7, to: 7 }])
+    expect(parsePageRanges({ from: 5, to: 20 })).to.eql([{ from: 5, to: 20 }])
+    expect(parsePageRanges({ from: 5 })).to.eql([{ from: 5, to: Infinity }])
+    expect(parsePageRanges([1, '4-5'])).to.eql([{ from: 1, to: 1 }, { from: 4, to: 5 }])
+  })
+
+  it('rejects malformed selections', () => {
+    expect(() => parsePageRanges('')).to.throw(TypeError)
+    expect(() => parsePageRanges('a-b')).to.throw(TypeError, 'Invalid page selection')
+    expect(() => parsePageRanges('0')).to.throw(TypeError)
+    expect(() => parsePageRanges('-')).to.throw(TypeError)
+    expect(() => parsePageRanges('20-5')).to.throw(TypeError, 'the first page is after the last page')
+    expect(() => parsePageRanges({ start: 1 })).to.throw(TypeError, 'Unknown page selection key(s): start')
+  })
+})
+
+describe('functions: selectPageNumbers', () => {
+  it('selects the pages of the document within the ranges', () => {
+    expect(selectPageNumbers(null, 3)).to.eql([1, 2, 3])
+    expect(selectPageNumbers(parsePageRanges('4-,2,1-2'), 5)).to.eql([1, 2, 4, 5])
+  })
+
+  it('rejects selections outside of the document', () => {
+    expect(() => selectPageNumbers(parsePageRanges('8-'), 5)).to.throw(RangeError, "contains none of the document's 5 pages")
+  })
+})
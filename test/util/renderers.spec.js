@@ -0,0 +1,27 @@
+const { expect } = require('chai')
+
+const { FORMATS, makeRenderer } = require('../../build/util/renderers')
+const MarkdownRenderer = require('../../build/models/renderers/MarkdownRenderer')
+const HtmlRenderer = require('../../build/models/renderers/HtmlRenderer')
+
+describe('functions: makeRenderer', () => {
+  it('creates the renderer of a format', () => {
+    expect(FORMATS).to.eql(['markdown', 'html', 'text', 'asciidoc'])
+    expect(makeRenderer()).to.be.instanceOf(MarkdownRenderer)
+    expect(makeRenderer().figures).to.equal(false)
+    expect(makeRenderer('markdown', { htmlFigures: true }).figures).to.equal(true)
+    expect(makeRenderer('html')).to.be.instanceOf(HtmlRenderer)
+    expect(FORMATS.map(format => makeRenderer(format).extension)).to.eql(['md', 'html', 'txt', 'adoc'])
+  })
+
+  it('accepts renderers of its own', () => {
+    const renderer = new (class extends HtmlRenderer {})()
+    expect(makeRenderer(renderer)).to.equal(renderer)
+  })
+
+  it('rejects unknown formats and incomplete renderers', () => {
+    expect(() => makeRenderer('docx')).to.throw(TypeError, "Unknown format 'docx'")
+    expect(() => makeRenderer({ renderBlock: () => '' })).to.throw(TypeError, 'renderImage')
+    expect(() => makeRenderer(null)).to.throw(TypeError)
+  })
+})
@@ -0,0 +1,54 @@
+const { expect } = require('chai')
+
+const { makeTransformations, customizeTransformations, transformationName } = require('../../build/util/transformations')
+const ToLineItemTransformation = require('../../build/models/transformations/ToLineItemTransformation')
+
+class MyTransformation extends ToLineItemTransformation {
+  constructor () {
+    super('Mine')
+  }
+
+  transform (parseResult) {
+    return parseResult
+  }
+}
+
+const names = transformations => transformations.map(transformationName)
+
+describe('functions: customizeTransformations', () => {
+  const defaults = () => makeTransformations(new Map())
+
+  it('returns the defaults without customization', () => {
+    const transformations = defaults()
+    expect(customizeTransformations(transformations, null)).to.equal(transformations)
+  })
+
+  it('removes and inserts transformations by name', () => {
+    const mine = new MyTransformation()
+    const customized = customizeTransformations(defaults(), {
+      remove: ['DetectTOC', 'RemoveRepetitiveElements'],
+      before: { DetectHeaders: mine },
+      after: { GatherBlocks: [new MyTransformation()] },
+    })
+    expect(names(customized)).to.eql([
+      'CalculateGlobalStats', 'DetectColumns', 'CompactLines', 'RemoveDecorativeImages', 'VerticalToHorizontal', 'DetectFootnotes', 'DetectMath',
+      'DetectOutlineHeaders', 'DetectTables',
+      'MyTransformation', 'DetectHeaders', 'DetectListItems',
+      'GatherBlocks', 'MyTransformation', 'DetectCodeQuoteBlocks', 'DetectListLevels', 'DetectCaptions', 'ToTextBlocks', 'ToMarkdown',
+    ])
+    expect(customized[9]).to.equal(mine)
+  })
+
+  it('passes a copy of the defaults to a customization function', () => {
+    const transformations = defaults()
+    const customized = customizeTransformations(transformations, list => list.reverse())
+    expect(names(customized)[0]).to.equal('ToMarkdown')
+    expect(names(transformations)[0]).to.equal('CalculateGlobalStats')
+  })
+
+  it('rejects unknown names, keys and non-transformations', () => {
+    expect(() => customizeTransformations(defaults(), { remove: ['DetectWatermarks'] })).to.throw(TypeError, "Unknown transformation 'DetectWatermarks'")
+    expect(() => customizeTransformations(defaults(), { replace: {} })).to.throw(TypeError, 'Unknown transformations option(s): replace')
+    expect(() => customizeTransformations(defaults(), list => list.concat({}))).to.throw(TypeError, 'Not a Transformation')
+  })
+})
@@ -41,13 +41,100 @@ interface ConversionOptions {
     imageMode?: 'none' | 'base64' | 'relative' | 'save'
     imageSavePath?: string
     pdfTitle?: string
+    /**
+     * Stores the images instead of the imageMode: called once for each distinct image, one after the
+     * other, resolving to the URL to reference it with, to { url, alt } or to null to leave it out
+     */
+    imageHandler?: pdf2md.ImageHandler
+    /**
+     * The output format, or a renderer of its own like an instance of a subclass of one of the exported
+     * renderers (default: 'markdown'). The markdown fields of the result hold the text in that format.
+     */
+    format?: pdf2md.OutputFormat | pdf2md.Renderer
+    /**
+     * Render images and tables with a detected caption ("Figure 3: ...") as HTML <figure> with a
+     * <figcaption> instead of using the caption as alt text and title of the image (Markdown only, HTML
+     * and AsciiDoc always render figures)
+     */
+    htmlFigures?: boolean
+    /**
+     * Output of super- and subscripts like 'x²' or 'H₂O': HTML <sup>/<sub>, Unicode characters
+     * (HTML for characters without one) or inline LaTeX like $x^{2}$ (default: 'html')
+     */
+    scriptMode?: 'html' | 'unicode' | 'latex'
+    /**
+     * HTML element of text underlined by a drawn line: <u>, or <ins> for the insertions of redlined
+     * documents (default: 'u'). Text crossed out by a line is written as ~~strikethrough~~.
+     */
+    underlineTag?: 'u' | 'ins'
+    /**
+     * Customizes the transformation pipeline. Either a function receiving the default
+     * transformations and returning the ones to run, or an object adding/removing
+     * transformations by class name
+     */
+    transformations?: pdf2md.TransformationCustomization | ((transformations: pdf2md.Transformation[]) => pdf2md.Transformation[])
+    /**
+     * Only load and convert these pages, e.g. '5-20,33', '10-' (to the end), 7 or { from: 5, to: 20 }.
+     * The returned page array contains only the selected pages.
+     */
+    pages?: pdf2md.PageSelection
+    /** Also return the document as an mdast tree (https://github.com/syntax-tree/mdast) */
+    mdast?: boolean
+    /** Record the pages after each transformation and return a debug report of the conversion */
+    debug?: boolean
+    /**
+     * Tunes the detection heuristics for this call: the name of a preset or the sections of the
+     * defaults to override, optionally on top of a preset
+     */
+    detection?: pdf2md.DetectionPreset | pdf2md.DetectionOptions
+    /** Always return a DetailedResult (not supported by stream()) */
+    detailed?: boolean
+    /**
+     * Start the Markdown with YAML front matter holding the title, author, dates, ... of the document (a
+     * <header> in HTML, plain lines in text, the document header in AsciiDoc)
+     */
+    frontMatter?: boolean
+    /** The password to open an encrypted document with */
+    password?: string
+    /**
+     * Asked for the password when it's missing or incorrect, attempt counting from 1. Resolves to the
+     * password to try (again), or to null to give up with a PasswordRequiredError or IncorrectPasswordError.
+     */
+    onPassword?: (request: { reason: 'required' | 'incorrect', attempt: number }) => Promise<string | null>
+    /**
+     * What to do with a page failing to load: throw a PageExtractionError (default: 'throw'), or convert
+     * it as empty page and report it in the warnings of the DetailedResult and the error of the StreamedPage
+     */
+    pageErrors?: 'throw' | 'warn'
+    /** Aborts the conversion with a ConversionAbortedError */
+    signal?: AbortSignal
+    /** The time budget of the whole conversion in milliseconds, rejects with a ConversionTimeoutError */
+    timeoutMs?: number
+    /**
+     * The time budget of loading each page in milliseconds, a page exceeding it fails like a page that
+     * can't be loaded (see pageErrors)
+     */
+    pageTimeoutMs?: number
+    /**
+     * When aborted or out of time, return the pages converted so far with a warning in the DetailedResult
+     * instead of rejecting (not supported by stream())
+     */
+    partialResult?: boolean
+    /** Receives the log messages of the conversion, e.g. console, pino or winston (default: nothing is logged) */
+    logger?: pdf2md.Logger
+    /** Called with the progress events of the conversion, e.g. to drive a progress bar */
+    onProgress?: (event: pdf2md.ProgressEvent) => void
 }
 
 interface ConversionResult {
     /** The Markdown text, page array */
     markdown: string[]
     /** Map of image names to image buffers (only when imageMode is 'relative') */
-    images: Map<string, Buffer>
+    images?: Map<string, Buffer>
+    /** The document as mdast tree (only when the mdast option is set) */
+    mdast?: pdf2md.MdastRoot
+    /** The debug report of the conversion (only when the debug option is set) */
+    debug?: pdf2md.DebugReport
 }
 
 /**
@@ -55,10 +142,15 @@ interface ConversionResult {
  *
  * @param {string | URL | TypedArray | ArrayBuffer | DocumentInitParameters} pdfBuffer - The PDF file to convert.
  * @param {ConversionOptions | ImageOptions} options - Optional configuration options or legacy callbacks.
- * @return {Promise<string[] | ConversionResult>} A promise that resolves to:
+ * @return {Promise<string[] | ConversionResult | DetailedResult>} A promise that resolves to:
+ *   - DetailedResult when the detailed option is set
  *   - string[] when imageMode is 'none', 'base64', or 'save'
- *   - ConversionResult when imageMode is 'relative'
+ *   - ConversionResult when imageMode is 'relative' or the mdast or debug option is set
  */
+declare function pdf2md(
+    pdfBuffer: string | URL | TypedArray | ArrayBuffer | DocumentInitParameters,
+    options: ConversionOptions & { detailed: true }
+): Promise<pdf2md.DetailedResult>
 declare function pdf2md(
     pdfBuffer: string | URL | TypedArray | ArrayBuffer | DocumentInitParameters,
     options?: ConversionOptions | {
@@ -69,4 +161,529 @@ declare function pdf2md(
     }
 ): Promise<string[] | ConversionResult>
 
+declare namespace pdf2md {
+    /**
+     * Converts a PDF file page by page with bounded memory. A first pass gathers the document-wide
+     * statistics from the text of all pages, the second pass converts and yields one page at a time.
+     * Of the callbacks, only metadataParsed and fontParsed are invoked. Links within the document only
+     * point to the headings of their own page, links to other pages are rendered as plain text.
+     */
+    function stream(
+        pdfBuffer: string | URL | TypedArray | ArrayBuffer | DocumentInitParameters,
+        options?: ConversionOptions
+    ): AsyncGenerator<StreamedPage, void, undefined>
+
+    /**
+     * Converts many documents in parallel, in a pool of worker threads, yielding each document as soon as it
+     * is done. Inputs are file paths (read by the workers), PDF data, or the data or path with options of the
+     * document overriding the shared ones.
+     */
+    function convertMany(
+        inputs: Array<ConvertManyInput>,
+        options?: ConvertManyOptions
+    ): AsyncGenerator<ConvertedDocument, void, undefined>
+
+    type ConvertManyInput = string | Uint8Array | { source: string | Uint8Array, options?: WorkerConversionOptions }
+
+    /** The options of pdf2md() which can be sent to worker threads */
+    type WorkerConversionOptions = Omit<ConversionOptions, 'callbacks' | 'imageHandler' | 'onPassword' | 'signal' | 'transformations' | 'logger' | 'onProgress' | 'format'> & {
+        /** Only the removal of transformations, the Transformation instances of before and after can't be sent */
+        transformations?: { remove?: TransformationName[] }
+        /** Only the name of a format, renderers can't be sent */
+        format?: OutputFormat
+    }
+
+    interface ConvertManyOptions extends WorkerConversionOptions {
+        /** The number of worker threads (default: the number of CPUs) */
+        concurrency?: number
+        /** Convert each document in a new worker, so no document is affected by the ones before */
+        isolate?: boolean
+        /** The heap size limit of each worker in MB, a document exceeding it fails with a WorkerCrashedError */
+        memoryLimitMb?: number
+        /** Terminates the workers and rejects with a ConversionAbortedError */
+        signal?: AbortSignal
+        /** Logs the messages of the workers, formatted to a single string */
+        logger?: Logger
+        /** Called with the progress events of the workers */
+        onProgress?: (event: ProgressEvent & { index: number }) => void
+    }
+
+    /** The logger option, the methods it lacks log nothing */
+    interface Logger {
+        debug?: (...args: any[]) => void
+        info?: (...args: any[]) => void
+        warn?: (...args: any[]) => void
+        error?: (...args: any[]) => void
+    }
+
+    /** The progress of a page, `position` being its position among the `total` pages to convert */
+    interface PageProgressEvent {
+        type: 'page-loaded' | 'page-text-extracted' | 'images-extracted'
+        /** The (1-based) page number */
+        page: number
+        position: number
+        total: number
+        /** The number of text items (page-text-extracted) */
+        items?: number
+        /** The images decoded so far and the images painted on the page (images-extracted) */
+        done?: number
+        count?: number
+    }
+
+    /** The progress of the transformations, `position` being the position among the `total` transformations */
+    interface TransformationProgressEvent {
+        type: 'transformation-started' | 'transformation-finished'
+        /** The class name of the transformation, e.g. 'DetectTables' */
+        name: string
+        position: number
+        total: number
+        /** The page being transformed, when streaming */
+        page?: number
+        /** The messages of the transformation (transformation-finished) */
+        messages?: string[]
+    }
+
+    type ProgressEvent = PageProgressEvent | TransformationProgressEvent
+
+    /** A document converted by pdf2md.convertMany(), in the order the documents are done */
+    interface ConvertedDocument {
+        /** The index of the document in the inputs */
+        index: number
+        input: ConvertManyInput
+        /** What pdf2md() resolved to, when the document was converted */
+        result?: string[] | ConversionResult | DetailedResult
+        /** Why the document couldn't be converted */
+        error?: Error
+    }
+
+    /** A page converted by pdf2md.stream() */
+    interface StreamedPage {
+        /** The (1-based) page number */
+        page: number
+        /** The Markdown text of the page */
+        markdown: string
+        /** Map of image names to image buffers of the page (only when imageMode is 'relative'), without the images already shown on an earlier page */
+        images?: Map<string, Buffer>
+        /** The page as mdast tree (only when the mdast option is set) */
+        mdast?: MdastRoot
+        /** The debug report of the page (only when the debug option is set) */
+        debug?: DebugReport
+        /** Why the page is empty (only when pageErrors is 'warn' and the page failed to load) */
+        error?: PageExtractionError
+    }
+
+    /** The stages of a conversion recorded with the debug option */
+    interface DebugReport {
+        /** The pages after parsing and after each transformation */
+        stages: DebugStage[]
+        /** A self-contained HTML page showing the messages, the changes and the annotated items of each stage */
+        html: string
+    }
+
+    interface DebugStage {
+        /** 'Parsed PDF' or the name of the transformation (see TransformationName) */
+        name: string
+        messages: string[]
+        /** The globals with a number, string or boolean value */
+        globals: { [key: string]: number | string | boolean }
+        pages: Array<{
+            index: number
+            width?: number
+            height?: number
+            items: Array<{
+                /** The class of the item, like 'TextItem', 'LineItem' or 'LineItemBlock' */
+                kind: string
+                text: string
+                /** The block type, like 'H2' or 'LIST' */
+                type: string | null
+                /** The annotation category, like 'Removed' or 'Detected' */
+                annotation: string | null
+                color: string | null
+                /** In PDF coordinates, y being the bottom */
+                box: { x: number, y: number, width: number, height: number } | null
+            }>
+        }>
+    }
+
+    /** A (1-based) page number, a range string like '5-20,33', a { from, to } range or a list of these */
+    type PageSelection = string | number | { from?: number, to?: number } | Array<string | number | { from?: number, to?: number }>
+
+    /**
+     * A node of the mdast tree (https://github.com/syntax-tree/mdast), compatible with the types of @types/mdast.
+     * Used node types: heading, paragraph, text, strong, emphasis, delete, inlineCode, link, image,
+     * footnoteReference, list, listItem, table, tableRow, tableCell, code, html, math and inlineMath.
+     */
+    interface MdastNode {
+        type: string
+        children?: MdastNode[]
+        value?: string
+        data?: { [key: string]: any }
+        [key: string]: any
+    }
+
+    /** The mdast tree of a document. Top-level nodes carry their (1-based) page number in `data.page`. */
+    interface MdastRoot extends MdastNode {
+        type: 'root'
+        children: Array<MdastNode & { data: { page: number } }>
+    }
+
+    /** The result of pdf2md() with the detailed option */
+    interface DetailedResult {
+        /** The Markdown text of the whole document */
+        markdown: string
+        /** The converted pages with their (1-based) page number */
+        pages: Array<{ page: number, markdown: string }>
+        /** Map of image names to image buffers (empty unless imageMode is 'relative') */
+        images: Map<string, Buffer>
+        metadata: DocumentMetadata
+        /** The outline (bookmarks) of the document in document order, level 0 being the top level */
+        outline: Array<{ title: string, level: number, destination: { pageIndex: number, y: number | null } | null }>
+        /** The detected figure and table captions in document order */
+        figures: Figure[]
+        /** Problems during the conversion, like images that couldn't be extracted or pages without text */
+        warnings: string[]
+        stats: {
+            /** Number of pages of the document */
+            pageCount: number
+            /** Number of converted pages (see the pages option) */
+            convertedPages: number
+            headings: number
+            tables: number
+            images: number
+            durationMs: number
+        }
+        /** The document as mdast tree (only when the mdast option is set) */
+        mdast?: MdastRoot
+        /** The debug report of the conversion (only when the debug option is set) */
+        debug?: DebugReport
+    }
+
+    /** A caption like "Figure 3: System overview" linked to an image or table */
+    interface Figure {
+        type: 'figure' | 'table'
+        /** The label as written, e.g. 'Figure 3', 'Fig. 2.1' or '表 2' */
+        label: string
+        number: string
+        /** The text after the label, e.g. 'System overview' */
+        title: string
+        /** The whole caption text */
+        text: string
+        /** The (1-based) page of the caption */
+        page: number
+    }
+
+    /** Describes an image handed to the imageHandler option */
+    interface ImageInfo {
+        /** The (1-based) page the image is first shown on */
+        page: number
+        /** The running number of the image within the document */
+        index: number
+        /** The name the image modes would give the image, e.g. 'document_image3_p2.png' */
+        name: string
+        format: 'png' | 'jpg'
+        /** The size of the image in pixels */
+        width?: number
+        height?: number
+        /** The position of the image on the page in PDF units, x/y being its lower left corner */
+        bbox: { x: number, y: number, width: number, height: number }
+        /** The SHA-1 of the image data */
+        hash: string
+    }
+
+    type ImageHandler = (buffer: Buffer, info: ImageInfo) =>
+        string | { url: string, alt?: string } | null | Promise<string | { url: string, alt?: string } | null>
+
+    /** The document information from the info dictionary and the XMP metadata (preferred) */
+    interface DocumentMetadata {
+        title: string | null
+        /** The authors, comma-separated */
+        author: string | null
+        subject: string | null
+        keywords: string[]
+        /** The application that created the original document */
+        creator: string | null
+        /** The application that produced the PDF */
+        producer: string | null
+        /** ISO 8601 */
+        creationDate: string | null
+        /** ISO 8601 */
+        modificationDate: string | null
+        /** The raw info dictionary */
+        info: { [key: string]: any }
+        /** The raw XMP values by lowercase name, e.g. 'dc:title' */
+        xmp: { [key: string]: string | string[] }
+    }
+
+    type DetectionPreset = 'academic-paper' | 'slide-deck' | 'legal' | 'book'
+
+    /** Overrides of the default detection thresholds and weights, unknown keys are rejected */
+    interface DetectionOptions {
+        /** Preset to start from instead of the defaults */
+        preset?: DetectionPreset
+        styleConfidence?: {
+            /** Minimum confidence to mark a font as bold (default: 0.3) */
+            boldThreshold?: number
+            /** Minimum confidence to mark a font as italic (default: 0.3) */
+            italicThreshold?: number
+        }
+        fontStyleWeights?: {
+            fontDescriptorWeight?: number
+            widthComparison?: number
+            bodyWidthRatio?: number
+            fontNameMatch?: number
+        }
+        widthComparison?: {
+            /** Minimum samples needed for the width comparison (default: 3) */
+            minSamples?: number
+            /** Minimum width relative to the body text to count as bold (default: 1.1) */
+            widthRatioThreshold?: number
+        }
+        headerDetection?: {
+            /** Minimum header score of a headline (default: 0.4) */
+            minScore?: number
+            /** Maximum headline level from 1 to 6, smaller headlines get this level (default: 4) */
+            maxLevel?: number
+            /** Minimum font size relative to the body text (default: 1.15) */
+            fontSizeRatioThreshold?: number
+            verticalSpacingMultiplier?: number
+        }
+        repetitiveElements?: {
+            /** Minimum number of pages a header or footer repeats on (default: 3) */
+            minPages?: number
+            /** Minimum share of the pages a header or footer repeats on (default: 2/3) */
+            minPageShare?: number
+        }
+        /** Sizes in PDF units (1/72 inch) */
+        images?: {
+            /** Narrower images like bullets are dropped (default: 8) */
+            minWidth?: number
+            /** Lower images like rules are dropped (default: 8) */
+            minHeight?: number
+            /** Images with a longer to shorter side ratio above this are dropped (default: 20) */
+            maxAspectRatio?: number
+            /** Share of the page height at the top and bottom where images repeating like headers and footers are dropped (default: 0.12) */
+            marginShare?: number
+        }
+        math?: {
+            /** Scripts are set in a font smaller than this share of the line's font size (default: 0.85) */
+            scriptHeightRatio?: number
+            /** Minimum distance of a script from the baseline, as share of the line's font size (default: 0.15) */
+            scriptMinOffset?: number
+            /** Minimum share of math characters (in math fonts) of a line's letters for a display equation (default: 0.5) */
+            minMathShare?: number
+        }
+        code?: {
+            /** Maximum spread of the width per character of a font's text for a monospace font without a known name (default: 0.02) */
+            maxWidthSpread?: number
+            /** Minimum number of distinct letters seen in a font before its widths count as uniform (default: 8) */
+            minLetters?: number
+            /** Minimum share of a block's characters in monospace fonts for a code block (default: 0.8) */
+            minBlockShare?: number
+        }
+        toc?: {
+            /** Number of pages at the start of the document searched for a table of contents (default: 20) */
+            maxPages?: number
+        }
+    }
+
+    /** Names of the transformations in the default pipeline, in pipeline order */
+    type TransformationName =
+        | 'CalculateGlobalStats'
+        | 'DetectColumns'
+        | 'CompactLines'
+        | 'RemoveRepetitiveElements'
+        | 'RemoveDecorativeImages'
+        | 'VerticalToHorizontal'
+        | 'DetectFootnotes'
+        | 'DetectMath'
+        | 'DetectOutlineHeaders'
+        | 'DetectTOC'
+        | 'DetectTables'
+        | 'DetectHeaders'
+        | 'DetectListItems'
+        | 'GatherBlocks'
+        | 'DetectCodeQuoteBlocks'
+        | 'DetectListLevels'
+        | 'DetectCaptions'
+        | 'ToTextBlocks'
+        | 'ToMarkdown'
+
+    interface TransformationCustomization {
+        /** Transformations to drop from the pipeline */
+        remove?: TransformationName[]
+        /** Transformations to insert before the named transformation */
+        before?: { [name in TransformationName]?: Transformation | Transformation[] }
+        /** Transformations to insert after the named transformation */
+        after?: { [name in TransformationName]?: Transformation | Transformation[] }
+    }
+
+    /** Base class of the errors a document can't be converted with, `cause` is the underlying exception */
+    class Pdf2mdError extends Error {
+        constructor(message: string, code: Pdf2mdError['code'], cause?: unknown)
+        code: 'PASSWORD_REQUIRED' | 'INCORRECT_PASSWORD' | 'INVALID_PDF' | 'EMPTY_DOCUMENT' | 'PAGE_EXTRACTION_FAILED' | 'ABORTED' | 'TIMEOUT' | 'WORKER_CRASHED'
+        cause?: unknown
+    }
+
+    /** The document is encrypted and no password was given */
+    class PasswordRequiredError extends Pdf2mdError {
+        constructor(cause?: unknown)
+        code: 'PASSWORD_REQUIRED'
+    }
+
+    /** The given password doesn't open the document */
+    class IncorrectPasswordError extends Pdf2mdError {
+        constructor(cause?: unknown)
+        code: 'INCORRECT_PASSWORD'
+    }
+
+    /** The data isn't a PDF document or too damaged to be read */
+    class InvalidPdfError extends Pdf2mdError {
+        constructor(cause: Error)
+        code: 'INVALID_PDF'
+    }
+
+    /** None of the converted pages has any text or images (not thrown by stream()) */
+    class EmptyDocumentError extends Pdf2mdError {
+        constructor(pageCount: number)
+        code: 'EMPTY_DOCUMENT'
+        /** The number of converted pages */
+        pageCount: number
+    }
+
+    /** A page failed to load */
+    class PageExtractionError extends Pdf2mdError {
+        constructor(page: number, cause: Error)
+        code: 'PAGE_EXTRACTION_FAILED'
+        /** The (1-based) page number */
+        page: number
+    }
+
+    /** The signal of the conversion was aborted, `cause` is the reason of the signal */
+    class ConversionAbortedError extends Pdf2mdError {
+        constructor(cause?: unknown)
+        code: 'ABORTED'
+    }
+
+    /** The conversion took longer than timeoutMs, or a page longer than pageTimeoutMs */
+    class ConversionTimeoutError extends Pdf2mdError {
+        constructor(timeoutMs: number, page?: number)
+        code: 'TIMEOUT'
+        /** The exceeded time budget in milliseconds */
+        timeoutMs: number
+        /** The (1-based) number of the page which took too long, for pageTimeoutMs */
+        page?: number
+    }
+
+    /** The worker thread converting the document with convertMany() crashed, e.g. exceeded memoryLimitMb */
+    class WorkerCrashedError extends Pdf2mdError {
+        constructor(cause: Error)
+        code: 'WORKER_CRASHED'
+    }
+
+    /** The result of a PDF parse respectively a Transformation */
+    class ParseResult {
+        constructor(options: { pages: Page[], globals?: { [key: string]: any }, messages?: string[], images?: Map<string, Buffer> | null, mdast?: MdastRoot | null })
+        pages: Page[]
+        /** Document-wide statistics shared by all following transformations (mostUsedHeight, mostUsedDistance, ...) */
+        globals: { [key: string]: any }
+        messages: string[]
+        images: Map<string, Buffer> | null
+        /** The mdast tree of the document, set by ToMarkdown */
+        mdast: MdastRoot | null
+    }
+
+    type OutputFormat = 'markdown' | 'html' | 'text' | 'asciidoc'
+
+    /** The caption of a figure or table */
+    interface Caption {
+        /** The text of the caption, e.g. 'Figure 3: System overview' */
+        text: string
+        /** Where the caption is in the PDF */
+        position: 'above' | 'below'
+    }
+
+    /**
+     * Renders the blocks detected by the transformations in an output format. renderBlock() calls the block
+     * methods by the type of the block, renderLines() the word methods for the words of its lines. Direct
+     * subclasses implement all of them, subclasses of the renderers of the formats override single ones.
+     */
+    abstract class Renderer {
+        constructor(format: string, extension: string, options?: { figures?: boolean })
+        /** The name of the format, e.g. 'html' */
+        format: string
+        /** The extension of the files of the format, e.g. 'html' */
+        extension: string
+        /** Whether images and tables with a caption are rendered as figures holding the caption */
+        figures: boolean
+        renderBlock(block: any): string
+        /** Renders the words of the lines, joined to one line with join, without formats and links with plain */
+        renderLines(lines: any[], options?: { plain?: boolean, join?: boolean }): string
+        /** The text of code lines with their indentation */
+        codeText(lines: any[]): string
+        /** The front matter of the frontMatter option, YAML unless overridden */
+        renderFrontMatter(metadata: DocumentMetadata): string
+        heading(block: any, level: number): string
+        paragraph(block: any): string
+        list(block: any): string
+        toc(block: any): string
+        footnotes(block: any): string
+        code(block: any): string
+        math(block: any): string
+        table(table: { rows: any[][][], alignments: Array<'left' | 'center' | 'right'>, headerRows: number }): string
+        /** url is null when the image handler left the image out, only the caption remains then */
+        renderImage(url: string | null, alt: string, caption: Caption | null): string
+        renderFigure(content: string, caption: Caption): string
+        text(string: string): string
+        formatWords(format: { name: string }, content: string): string
+        link(url: string, content: string): string
+        wordType(type: { name: string }, string: string): string
+    }
+
+    /** GitHub flavored Markdown, the default format */
+    class MarkdownRenderer extends Renderer {
+        constructor(options?: { htmlFigures?: boolean })
+    }
+
+    /** Semantic HTML, a fragment per page */
+    class HtmlRenderer extends Renderer {
+        constructor()
+    }
+
+    /** Plain text without markup */
+    class TextRenderer extends Renderer {
+        constructor()
+    }
+
+    /** AsciiDoc, with the front matter as document header */
+    class AsciiDocRenderer extends Renderer {
+        constructor()
+    }
+
+    /** A transformation from a ParseResult to a ParseResult */
+    abstract class Transformation {
+        constructor(name: string, itemType: string)
+        name: string
+        itemType: string
+        /** Transform an incoming ParseResult into an outgoing ParseResult */
+        transform(parseResult: ParseResult): ParseResult
+        /** Applies the changes transform() only annotated, called before the next transformation runs */
+        completeTransform(parseResult: ParseResult): ParseResult
+    }
+
+    /** Base class for transformations working on TextItems (before CompactLines) */
+    abstract class ToTextItemTransformation extends Transformation {
+        constructor(name: string)
+    }
+
+    /** Base class for transformations working on LineItems (CompactLines to DetectListItems) */
+    abstract class ToLineItemTransformation extends Transformation {
+        constructor(name: string)
+    }
+
+    /** Base class for transformations working on LineItemBlocks (GatherBlocks to DetectListLevels) */
+    abstract class ToLineItemBlockTransformation extends Transformation {
+        constructor(name: string)
+    }
+}
+
 export = pdf2md